@@ -0,0 +1,30 @@
+// Label emails archived before labels were tracked with the folder they were stored from
+// Usage: node scripts/backfill-email-labels.js [userId]
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { connectDB, closeDB } = require('../src/services/database/databaseService');
+const { emailLabelService } = require('../src/services/labels/emailLabelService');
+
+async function backfill() {
+  const userId = process.argv[2] ? parseInt(process.argv[2]) : null;
+
+  try {
+    await connectDB();
+    console.log('Database connected successfully.');
+
+    console.log(userId ? `📝 Labeling emails for user ${userId}...` : '📝 Labeling all emails...');
+    const result = await emailLabelService.backfill({ userId });
+
+    console.log('✅ Email label backfill completed!');
+    console.log(`Labeled: ${result.labeled}`);
+  } catch (error) {
+    console.error('❌ Email label backfill failed:', error.message);
+    console.error(error.stack);
+  } finally {
+    await closeDB();
+    process.exit(0);
+  }
+}
+
+backfill();
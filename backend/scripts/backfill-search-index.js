@@ -0,0 +1,30 @@
+// Index emails archived before full-text search was added
+// Usage: node scripts/backfill-search-index.js [userId]
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { connectDB, closeDB } = require('../src/services/database/databaseService');
+const { searchIndexService } = require('../src/services/search/searchIndexService');
+
+async function backfill() {
+  const userId = process.argv[2] ? parseInt(process.argv[2]) : null;
+
+  try {
+    await connectDB();
+    console.log('Database connected successfully.');
+
+    console.log(userId ? `📝 Indexing emails for user ${userId}...` : '📝 Indexing all emails...');
+    const result = await searchIndexService.backfill({ userId });
+
+    console.log('✅ Search index backfill completed!');
+    console.log(`Processed: ${result.processed}, indexed: ${result.indexed}, failed: ${result.failed}`);
+  } catch (error) {
+    console.error('❌ Search index backfill failed:', error.message);
+    console.error(error.stack);
+  } finally {
+    await closeDB();
+    process.exit(0);
+  }
+}
+
+backfill();
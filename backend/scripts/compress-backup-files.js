@@ -0,0 +1,29 @@
+// Compress EML files and attachments stored before BACKUP_COMPRESSION was enabled
+// Usage: node scripts/compress-backup-files.js
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { connectDB, closeDB } = require('../src/services/database/databaseService');
+const { compressionJobService } = require('../src/services/storage/compressionJobService');
+
+async function compress() {
+  try {
+    await connectDB();
+    console.log('Database connected successfully.');
+
+    console.log('📝 Compressing stored files...');
+    const result = await compressionJobService.run();
+
+    console.log('✅ Compression completed!');
+    console.log(`Processed: ${result.processed}, compressed: ${result.compressed}, not compressible: ${result.skipped}, failed: ${result.failed}`);
+    console.log(`Space saved: ${(result.bytesSaved / (1024 * 1024)).toFixed(1)} MB`);
+  } catch (error) {
+    console.error('❌ Compression failed:', error.message);
+    console.error(error.stack);
+  } finally {
+    await closeDB();
+    process.exit(0);
+  }
+}
+
+compress();
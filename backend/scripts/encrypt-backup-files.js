@@ -0,0 +1,99 @@
+// Encrypt EML and attachment files written before encryption at rest was enabled
+// Usage: node scripts/encrypt-backup-files.js
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { connectDB, closeDB, query } = require('../src/services/database/databaseService');
+const { encryptionService, SHARED_SCOPE } = require('../src/services/storage/encryptionService');
+const { backupFileService } = require('../src/services/storage/backupFileService');
+
+const BATCH_SIZE = 500;
+
+async function encryptFile(uri, scope, stats) {
+  try {
+    const content = await backupFileService.readStored(uri);
+    if (encryptionService.isEncrypted(content)) {
+      stats.skipped++;
+      return;
+    }
+
+    // Content is already in its stored (possibly compressed) form
+    const { data } = await backupFileService.encode(content, { scope, compress: false });
+    await backupFileService.writeStored(uri, data);
+    stats.encrypted++;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      stats.missing++;
+      return;
+    }
+    stats.failed++;
+    console.error(`❌ Failed to encrypt ${uri}: ${error.message}`);
+  }
+}
+
+// Keyset pagination: `sql` ends with "<keyColumn> > ?" and selects the key as `row_key`
+async function forEachRow(sql, keyColumn, initialCursor, handler) {
+  let cursor = initialCursor;
+  while (true) {
+    const rows = await query(`${sql} ORDER BY ${keyColumn} LIMIT ${BATCH_SIZE}`, [cursor]);
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      await handler(row);
+    }
+    cursor = rows[rows.length - 1].row_key;
+  }
+}
+
+async function encryptAll() {
+  const stats = { encrypted: 0, skipped: 0, missing: 0, failed: 0 };
+
+  try {
+    if (!encryptionService.isEnabled()) {
+      throw new Error('No master key configured (set BACKUP_MASTER_KEY_FILE or BACKUP_MASTER_KEY)');
+    }
+
+    await connectDB();
+    console.log('Database connected successfully.');
+
+    console.log('📝 Encrypting EML files...');
+    await forEachRow(
+      `SELECT e.id as row_key, e.eml_path, u.email as user_email FROM emails e
+       JOIN users u ON e.user_id = u.id
+       WHERE e.id > ?`,
+      'e.id',
+      0,
+      row => encryptFile(row.eml_path, row.user_email.split('@')[1], stats)
+    );
+
+    console.log('📝 Encrypting attachment blobs...');
+    await forEachRow(
+      'SELECT content_hash as row_key, file_path FROM attachment_blobs WHERE content_hash > ?',
+      'content_hash',
+      '',
+      row => encryptFile(row.file_path, SHARED_SCOPE, stats)
+    );
+
+    console.log('📝 Encrypting attachments stored before deduplication...');
+    await forEachRow(
+      `SELECT a.id as row_key, a.file_path, u.email as user_email FROM attachments a
+       JOIN emails e ON a.email_id = e.id
+       JOIN users u ON e.user_id = u.id
+       WHERE a.content_hash IS NULL AND a.file_path IS NOT NULL AND a.id > ?`,
+      'a.id',
+      0,
+      row => encryptFile(row.file_path, row.user_email.split('@')[1], stats)
+    );
+
+    console.log('✅ Backup encryption completed!');
+    console.log(`Encrypted: ${stats.encrypted}, already encrypted: ${stats.skipped}, missing: ${stats.missing}, failed: ${stats.failed}`);
+  } catch (error) {
+    console.error('❌ Backup encryption failed:', error.message);
+    console.error(error.stack);
+  } finally {
+    await closeDB();
+    process.exit(0);
+  }
+}
+
+encryptAll();
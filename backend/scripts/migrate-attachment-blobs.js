@@ -0,0 +1,106 @@
+// Move attachments stored next to their EML file into the deduplicated blob store
+// Usage: node scripts/migrate-attachment-blobs.js
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { simpleParser } = require('mailparser');
+const { connectDB, closeDB, query } = require('../src/services/database/databaseService');
+const { attachmentStorageService } = require('../src/services/storage/attachmentStorageService');
+const { backupFileService } = require('../src/services/storage/backupFileService');
+
+const BATCH_SIZE = 100;
+
+/**
+ * Attachment contents for an email's legacy rows. Re-extracted from the EML
+ * in storage order, because same-named attachments in one month overwrote each
+ * other's file; the stored file is only used when the EML cannot be parsed.
+ */
+async function loadContents(email, rows) {
+  try {
+    const parsed = await simpleParser(await backupFileService.read(email.eml_path, { compression: email.compression }));
+    if ((parsed.attachments || []).length === rows.length) {
+      return parsed.attachments.map(attachment => attachment.content);
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not parse EML for email ${email.id}: ${error.message}`);
+  }
+
+  return Promise.all(rows.map(row => (row.file_path ? backupFileService.read(row.file_path).catch(() => null) : null)));
+}
+
+async function migrateEmail(email, stats) {
+  const rows = await query(
+    'SELECT id, filename, mime_type, file_path FROM attachments WHERE email_id = ? AND content_hash IS NULL ORDER BY id',
+    [email.id]
+  );
+  const contents = await loadContents(email, rows);
+  const legacyPaths = new Set();
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    if (!contents[i]) {
+      stats.missing++;
+      continue;
+    }
+
+    const blob = await attachmentStorageService.storeBlob(contents[i]);
+    await query(
+      'UPDATE attachments SET content_hash = ?, file_path = ?, size = ? WHERE id = ?',
+      [blob.contentHash, blob.uri, contents[i].length, row.id]
+    );
+
+    if (row.file_path) legacyPaths.add(row.file_path);
+    stats.migrated++;
+    if (blob.deduplicated) stats.deduplicated++;
+  }
+
+  for (const filePath of legacyPaths) {
+    await attachmentStorageService.deleteLegacyFile(filePath);
+  }
+}
+
+async function migrate() {
+  const stats = { emails: 0, migrated: 0, deduplicated: 0, missing: 0 };
+
+  try {
+    await connectDB();
+    console.log('Database connected successfully.');
+    console.log('📝 Moving attachments into the blob store...');
+
+    let lastEmailId = 0;
+    while (true) {
+      const emails = await query(
+        `SELECT DISTINCT e.id, e.eml_path, e.compression FROM emails e
+         JOIN attachments a ON a.email_id = e.id
+         WHERE a.content_hash IS NULL AND e.id > ?
+         ORDER BY e.id
+         LIMIT ${BATCH_SIZE}`,
+        [lastEmailId]
+      );
+      if (emails.length === 0) break;
+
+      for (const email of emails) {
+        try {
+          await migrateEmail(email, stats);
+          stats.emails++;
+        } catch (error) {
+          console.error(`❌ Failed to migrate attachments of email ${email.id}: ${error.message}`);
+        }
+      }
+
+      lastEmailId = emails[emails.length - 1].id;
+      console.log(`Processed ${stats.emails} emails, ${stats.migrated} attachments...`);
+    }
+
+    console.log('✅ Attachment migration completed!');
+    console.log(`Emails: ${stats.emails}, attachments: ${stats.migrated}, deduplicated: ${stats.deduplicated}, missing content: ${stats.missing}`);
+  } catch (error) {
+    console.error('❌ Attachment migration failed:', error.message);
+    console.error(error.stack);
+  } finally {
+    await closeDB();
+    process.exit(0);
+  }
+}
+
+migrate();
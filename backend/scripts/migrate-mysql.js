@@ -25,15 +25,83 @@ async function migrate() {
     // Add file_path column to attachments table if not exists
     console.log('📝 Checking attachments table...');
     await addColumnIfNotExists(conn, 'attachments', 'file_path', 'VARCHAR(500) NULL');
-    console.log('✅ attachments.file_path column ready');
+    await addColumnIfNotExists(conn, 'attachments', 'content_hash', 'VARCHAR(64) NULL');
+    console.log('✅ attachments.file_path and content_hash columns ready');
+
+    // Compression of stored files (NULL = not compressed yet)
+    console.log('📝 Checking compression columns...');
+    await addColumnIfNotExists(conn, 'emails', 'compression', 'VARCHAR(10) NULL');
+    await addColumnIfNotExists(conn, 'emails', 'stored_size', 'INT NULL');
+    await addColumnIfNotExists(conn, 'attachment_blobs', 'compression', 'VARCHAR(10) NULL');
+    await addColumnIfNotExists(conn, 'attachment_blobs', 'stored_size', 'INT NULL');
+    console.log('✅ compression columns ready');
+
+    // SHA-256 of each EML, recorded at ingest and checked by the integrity job
+    console.log('📝 Checking fixity columns...');
+    await addColumnIfNotExists(conn, 'emails', 'content_hash', 'VARCHAR(64) NULL');
+    console.log('✅ emails.content_hash column ready');
+
+    // IMAP INTERNALDATE and flags at ingest, restored with the message
+    console.log('📝 Checking restore columns...');
+    await addColumnIfNotExists(conn, 'emails', 'internal_date', 'DATETIME NULL');
+    await addColumnIfNotExists(conn, 'emails', 'flags', 'VARCHAR(255) NULL');
+    console.log('✅ emails.internal_date and flags columns ready');
+
+    // Mail source per domain: Gmail or an IMAP server with a password
+    console.log('📝 Checking IMAP source columns...');
+    await addColumnIfNotExists(conn, 'domains', 'source_type', "VARCHAR(20) DEFAULT 'gmail'");
+    await addColumnIfNotExists(conn, 'domains', 'imap_host', 'VARCHAR(255) NULL');
+    await addColumnIfNotExists(conn, 'domains', 'imap_port', 'INT NULL');
+    await addColumnIfNotExists(conn, 'domains', 'imap_tls', 'VARCHAR(10) NULL');
+    await addColumnIfNotExists(conn, 'domains', 'imap_skip_tls_verify', 'TINYINT DEFAULT 0');
+    await addColumnIfNotExists(conn, 'domains', 'imap_username', 'VARCHAR(255) NULL');
+    await addColumnIfNotExists(conn, 'domains', 'imap_password', 'TEXT NULL');
+    await addColumnIfNotExists(conn, 'users', 'imap_username', 'VARCHAR(255) NULL');
+    await addColumnIfNotExists(conn, 'users', 'imap_password', 'TEXT NULL');
+    console.log('✅ IMAP source columns ready');
+
+    // Directory sync: account details from the Admin SDK Directory API
+    console.log('📝 Checking directory columns...');
+    await addColumnIfNotExists(conn, 'users', 'full_name', 'VARCHAR(255) NULL');
+    await addColumnIfNotExists(conn, 'users', 'aliases', 'TEXT NULL');
+    await addColumnIfNotExists(conn, 'users', 'directory_status', 'VARCHAR(20) NULL');
+    console.log('✅ directory columns ready');
+
+    // Gmail API ingestion: native message, thread and label ids
+    console.log('📝 Checking Gmail API columns...');
+    await addColumnIfNotExists(conn, 'emails', 'gmail_message_id', 'VARCHAR(32) NULL');
+    await addColumnIfNotExists(conn, 'emails', 'gmail_thread_id', 'VARCHAR(32) NULL');
+    await addColumnIfNotExists(conn, 'emails', 'gmail_label_ids', 'TEXT NULL');
+    console.log('✅ Gmail API columns ready');
+
+    // Flag changes and deletions on the server
+    console.log('📝 Checking server state columns...');
+    await addColumnIfNotExists(conn, 'emails', 'flags_updated_at', 'DATETIME NULL');
+    await addColumnIfNotExists(conn, 'emails', 'deleted_on_server_at', 'DATETIME NULL');
+    console.log('✅ server state columns ready');
+
+    // UIDVALIDITY-aware resume per folder
+    console.log('📝 Checking email_folder_uids columns...');
+    await addColumnIfNotExists(conn, 'email_folder_uids', 'uid_validity', 'BIGINT NULL');
+    await addColumnIfNotExists(conn, 'email_folder_uids', 'highest_modseq', 'BIGINT NULL');
+    await addColumnIfNotExists(conn, 'email_folder_uids', 'last_resync_at', 'DATETIME NULL');
+    await addColumnIfNotExists(conn, 'email_folder_uids', 'last_resync_result', 'TEXT NULL');
+    await addColumnIfNotExists(conn, 'email_folder_uids', 'message_count', 'INT NULL');
+    await addColumnIfNotExists(conn, 'email_folder_uids', 'locations_mapped_at', 'DATETIME NULL');
+    console.log('✅ email_folder_uids columns ready');
 
     // Add export_format column to pst_exports table if not exists
     console.log('📝 Checking pst_exports table...');
     await addColumnIfNotExists(conn, 'pst_exports', 'export_format', "VARCHAR(20) DEFAULT 'eml'");
     await addColumnIfNotExists(conn, 'pst_exports', 'start_date', 'DATE NULL');
     await addColumnIfNotExists(conn, 'pst_exports', 'end_date', 'DATE NULL');
+    await addColumnIfNotExists(conn, 'pst_exports', 'mbox_layout', 'VARCHAR(20) NULL');
     console.log('✅ pst_exports columns ready');
 
+    console.log('📝 Checking reconciliation_runs columns...');
+    await addColumnIfNotExists(conn, 'reconciliation_runs', 'backfill_skipped_count', 'INT DEFAULT 0');
+    console.log('✅ reconciliation_runs columns ready');
+
     // Create indexes if not exist
     console.log('📝 Creating indexes...');
     await createIndexIfNotExists(conn, 'idx_users_domain_id', 'users', 'domain_id');
@@ -42,9 +110,15 @@ async function migrate() {
     await createIndexIfNotExists(conn, 'idx_emails_message_id', 'emails', 'message_id');
     await createIndexIfNotExists(conn, 'idx_emails_date', 'emails', 'date');
     await createIndexIfNotExists(conn, 'idx_attachments_email_id', 'attachments', 'email_id');
+    await createIndexIfNotExists(conn, 'idx_attachments_content_hash', 'attachments', 'content_hash');
+    await createIndexIfNotExists(conn, 'idx_emails_eml_path', 'emails', 'eml_path');
+    await createIndexIfNotExists(conn, 'idx_attachments_file_path', 'attachments', 'file_path');
+    await createIndexIfNotExists(conn, 'idx_attachment_blobs_file_path', 'attachment_blobs', 'file_path');
     await createIndexIfNotExists(conn, 'idx_pst_exports_user_id', 'pst_exports', 'user_id');
     await createIndexIfNotExists(conn, 'idx_pst_exports_status', 'pst_exports', 'status');
     await createIndexIfNotExists(conn, 'idx_imap_connections_user_id', 'imap_connections', 'user_id');
+    await createIndexIfNotExists(conn, 'idx_emails_gmail_message_id', 'emails', 'gmail_message_id');
+    await createIndexIfNotExists(conn, 'idx_emails_deleted_on_server_at', 'emails', 'deleted_on_server_at');
     console.log('✅ Indexes ready');
 
     // Verify tables
@@ -0,0 +1,185 @@
+// Move stored EML and attachment files to another storage backend
+// Usage: node scripts/migrate-storage.js --to <local|s3> [--delete-source] [--dry-run]
+//
+// Set STORAGE_BACKEND to the target first so new backups are written there
+// while existing files are copied. Files are copied as stored (still
+// compressed and encrypted) and each row is switched to its new URI once the
+// copy is verified. Running it with --to local also turns legacy absolute
+// paths under BACKUP_DIR into local:// URIs without moving anything.
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { connectDB, closeDB, query } = require('../src/services/database/databaseService');
+const { storageService } = require('../src/services/storage/storageService');
+
+const BATCH_SIZE = 500;
+
+function parseArgs(argv) {
+  const options = { to: null, deleteSource: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--to') options.to = argv[++i];
+    else if (argv[i] === '--delete-source') options.deleteSource = true;
+    else if (argv[i] === '--dry-run') options.dryRun = true;
+  }
+  return options;
+}
+
+// Keyset pagination: `sql` ends with "<keyColumn> > ?" and selects the key as `row_key`
+async function forEachRow(sql, keyColumn, initialCursor, handler) {
+  let cursor = initialCursor;
+  while (true) {
+    const rows = await query(`${sql} ORDER BY ${keyColumn} LIMIT ${BATCH_SIZE}`, [cursor]);
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      await handler(row);
+    }
+    cursor = rows[rows.length - 1].row_key;
+  }
+}
+
+function isSameFile(source, target) {
+  return source.backend === target.backend
+    && (source.backend.name !== 'local' || source.backend.resolvePath(source.key) === target.backend.resolvePath(target.key));
+}
+
+/**
+ * Copy one file to the target backend and switch the row(s) to it.
+ *
+ * @param {string} uri - Current storage URI (or legacy path)
+ * @param {Function} updateRow - (targetUri) => Promise, records the new location
+ * @param {string} referencesSql - Counts rows still pointing at a URI, before the source is deleted
+ */
+async function migrateFile(uri, updateRow, referencesSql, options, stats) {
+  try {
+    const key = storageService.getKey(uri);
+    if (!key) {
+      throw new Error('path is outside BACKUP_DIR');
+    }
+
+    const targetUri = storageService.buildUri(key, options.to);
+    if (targetUri === uri) {
+      stats.skipped++;
+      return;
+    }
+
+    const source = storageService.resolve(uri);
+    const target = storageService.resolve(targetUri);
+
+    if (isSameFile(source, target)) {
+      // Legacy path of a file that is already in place
+      if (!options.dryRun) await updateRow(targetUri);
+      stats.converted++;
+      return;
+    }
+
+    if (options.dryRun) {
+      if (!(await storageService.exists(uri))) stats.missing++;
+      else stats.copied++;
+      return;
+    }
+
+    const data = await storageService.get(uri);
+    await storageService.put(targetUri, data);
+
+    const { size } = await storageService.stat(targetUri);
+    if (size !== data.length) {
+      throw new Error(`copy has ${size} bytes, expected ${data.length}`);
+    }
+
+    await updateRow(targetUri);
+    stats.copied++;
+    stats.bytes += data.length;
+
+    if (options.deleteSource) {
+      const references = await query(referencesSql, [uri]);
+      if (Number(references[0].count) === 0) {
+        await storageService.delete(uri);
+      }
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      stats.missing++;
+      return;
+    }
+    stats.failed++;
+    console.error(`❌ Failed to migrate ${uri}: ${error.message}`);
+  }
+}
+
+async function migrateStorage() {
+  const options = parseArgs(process.argv.slice(2));
+  const stats = { copied: 0, converted: 0, skipped: 0, missing: 0, failed: 0, bytes: 0 };
+
+  try {
+    if (!['local', 's3'].includes(options.to)) {
+      throw new Error('Specify the target backend with --to local or --to s3');
+    }
+
+    // Fails early on missing S3 settings
+    storageService.getBackend(options.to);
+
+    if (storageService.getDefaultBackendName() !== options.to) {
+      console.warn(`⚠️  STORAGE_BACKEND is ${storageService.getDefaultBackendName()}: new backups will not be written to ${options.to}`);
+    }
+
+    await connectDB();
+    console.log('Database connected successfully.');
+    if (options.dryRun) console.log('🔍 Dry run: no files are copied and no rows are changed');
+
+    console.log(`📝 Migrating EML files to ${options.to}...`);
+    await forEachRow(
+      'SELECT id as row_key, eml_path FROM emails WHERE eml_path IS NOT NULL AND id > ?',
+      'id',
+      0,
+      row => migrateFile(row.eml_path, targetUri => query(
+        'UPDATE emails SET eml_path = ? WHERE id = ? AND eml_path = ?',
+        [targetUri, row.row_key, row.eml_path]
+      ), 'SELECT COUNT(*) as count FROM emails WHERE eml_path = ?', options, stats)
+    );
+    console.log(`Copied: ${stats.copied}, converted: ${stats.converted}, failed: ${stats.failed}`);
+
+    console.log(`📝 Migrating attachment blobs to ${options.to}...`);
+    await forEachRow(
+      'SELECT content_hash as row_key, file_path FROM attachment_blobs WHERE file_path IS NOT NULL AND content_hash > ?',
+      'content_hash',
+      '',
+      row => migrateFile(row.file_path, async (targetUri) => {
+        await query(
+          'UPDATE attachment_blobs SET file_path = ? WHERE content_hash = ? AND file_path = ?',
+          [targetUri, row.row_key, row.file_path]
+        );
+        await query('UPDATE attachments SET file_path = ? WHERE content_hash = ?', [targetUri, row.row_key]);
+      }, 'SELECT COUNT(*) as count FROM attachment_blobs WHERE file_path = ?', options, stats)
+    );
+    console.log(`Copied: ${stats.copied}, converted: ${stats.converted}, failed: ${stats.failed}`);
+
+    console.log(`📝 Migrating attachments stored before deduplication to ${options.to}...`);
+    // Same-named attachments in one month shared a single file, moved with its first row
+    const legacyUris = new Set();
+    await forEachRow(
+      'SELECT id as row_key, file_path FROM attachments WHERE content_hash IS NULL AND file_path IS NOT NULL AND id > ?',
+      'id',
+      0,
+      async (row) => {
+        if (legacyUris.has(row.file_path)) return;
+        legacyUris.add(row.file_path);
+        await migrateFile(row.file_path, targetUri => query(
+          'UPDATE attachments SET file_path = ? WHERE content_hash IS NULL AND file_path = ?',
+          [targetUri, row.file_path]
+        ), 'SELECT COUNT(*) as count FROM attachments WHERE file_path = ?', options, stats);
+      }
+    );
+
+    console.log('✅ Storage migration completed!');
+    console.log(`Copied: ${stats.copied} (${(stats.bytes / (1024 * 1024)).toFixed(1)} MB), converted: ${stats.converted}, already on ${options.to}: ${stats.skipped}, missing: ${stats.missing}, failed: ${stats.failed}`);
+  } catch (error) {
+    console.error('❌ Storage migration failed:', error.message);
+    console.error(error.stack);
+  } finally {
+    await closeDB();
+    process.exit(0);
+  }
+}
+
+migrateStorage();
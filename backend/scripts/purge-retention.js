@@ -0,0 +1,41 @@
+// Apply retention policies: delete expired emails that are not under a legal hold
+// Usage: node scripts/purge-retention.js [--dry-run]
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { connectDB, closeDB } = require('../src/services/database/databaseService');
+const { retentionService } = require('../src/services/retention/retentionService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function purge() {
+  try {
+    await connectDB();
+    console.log('Database connected successfully.');
+
+    if (dryRun) {
+      console.log('📝 Previewing retention purge (dry run)...');
+      const preview = await retentionService.preview();
+
+      for (const result of preview.policies) {
+        console.log(`Policy ${result.policy.id} "${result.policy.name}": ${result.expired} to purge, ${result.held} held`);
+      }
+      console.log(`✅ Dry run completed: ${preview.totalExpired} emails would be purged, ${preview.totalHeld} held`);
+      return;
+    }
+
+    console.log('📝 Purging expired emails...');
+    const result = await retentionService.run();
+
+    console.log('✅ Retention purge completed!');
+    console.log(`Policies applied: ${result.policiesApplied}, emails purged: ${result.emailsPurged}, held: ${result.emailsHeld}, errors: ${result.errors}`);
+  } catch (error) {
+    console.error('❌ Retention purge failed:', error.message);
+    console.error(error.stack);
+  } finally {
+    await closeDB();
+    process.exit(0);
+  }
+}
+
+purge();
@@ -0,0 +1,66 @@
+// Rotate the master key that wraps the per-domain data keys. Only the data keys
+// in encryption_keys are re-wrapped; encrypted files are not rewritten.
+//
+// Usage: node scripts/rotate-master-key.js [--generate]
+//   --generate   Print a new master key and exit (e.g. for initial setup)
+//
+// With BACKUP_MASTER_KEY_FILE, a new key is added at the top of the file and
+// becomes current. With BACKUP_MASTER_KEY, generate a key, set
+// BACKUP_MASTER_KEY=<new>,<old> and run this to re-wrap the data keys.
+const fs = require('fs');
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { connectDB, closeDB } = require('../src/services/database/databaseService');
+const { EncryptionService, encryptionService } = require('../src/services/storage/encryptionService');
+
+function addKeyToFile(keyFile) {
+  const newKey = EncryptionService.generateKey();
+  const existing = fs.existsSync(keyFile) ? fs.readFileSync(keyFile, 'utf8') : '';
+
+  // Previous keys stay below the new one so running servers can still unwrap
+  const tempPath = `${keyFile}.tmp`;
+  fs.writeFileSync(tempPath, `${newKey.toString('base64')}\n${existing}`, { mode: 0o600 });
+  fs.renameSync(tempPath, keyFile);
+
+  return EncryptionService.getMasterKeyId(newKey);
+}
+
+async function rotate() {
+  if (process.argv.includes('--generate')) {
+    console.log(EncryptionService.generateKey().toString('base64'));
+    process.exit(0);
+  }
+
+  const keyFile = process.env.BACKUP_MASTER_KEY_FILE;
+
+  try {
+    if (!keyFile && !process.env.BACKUP_MASTER_KEY) {
+      throw new Error('Set BACKUP_MASTER_KEY_FILE or BACKUP_MASTER_KEY first');
+    }
+
+    await connectDB();
+    console.log('Database connected successfully.');
+
+    if (keyFile) {
+      const masterKeyId = addKeyToFile(keyFile);
+      console.log(`🔑 Added master key ${masterKeyId} to ${keyFile}`);
+    }
+
+    const currentMasterKey = encryptionService.loadMasterKeys()[0];
+    console.log(`📝 Re-wrapping data keys with master key ${currentMasterKey.id}...`);
+    const result = await encryptionService.rewrapDataKeys();
+
+    console.log('✅ Master key rotation completed!');
+    console.log(`Re-wrapped: ${result.rewrapped} of ${result.total} data keys`);
+    console.log('Older master keys can be removed once every server has been restarted.');
+  } catch (error) {
+    console.error('❌ Master key rotation failed:', error.message);
+    console.error(error.stack);
+  } finally {
+    await closeDB();
+    process.exit(0);
+  }
+}
+
+rotate();
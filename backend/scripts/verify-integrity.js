@@ -0,0 +1,30 @@
+// Verify the SHA-256 of every archived EML file and attachment and list orphaned files
+// Usage: node scripts/verify-integrity.js
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { connectDB, closeDB } = require('../src/services/database/databaseService');
+const { integrityService } = require('../src/services/backup/integrityService');
+
+async function verify() {
+  try {
+    await connectDB();
+    console.log('Database connected successfully.');
+
+    console.log('📝 Verifying archive integrity...');
+    const result = await integrityService.run();
+
+    console.log('✅ Integrity check completed!');
+    console.log(`Run: ${result.runId}, emails: ${result.emailsChecked}, attachment blobs: ${result.blobsChecked}, files scanned: ${result.filesScanned}`);
+    console.log(`Missing: ${result.missing}, hash mismatches: ${result.mismatched}, orphaned: ${result.orphaned}, errors: ${result.errors}, hashes recorded: ${result.hashesRecorded}`);
+    console.log('Details: GET /api/backup/integrity');
+  } catch (error) {
+    console.error('❌ Integrity check failed:', error.message);
+    console.error(error.stack);
+  } finally {
+    await closeDB();
+    process.exit(0);
+  }
+}
+
+verify();
@@ -2,9 +2,19 @@
 -- Compatible with MySQL, PostgreSQL, and SQLite
 
 -- Domains table
+-- source_type gmail reads mailboxes with the service account over IMAP,
+-- gmail_api through the Gmail REST API, imap from imap_host with a password
+-- (encrypted with the domain's data key)
 CREATE TABLE IF NOT EXISTS domains (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   name VARCHAR(255) UNIQUE NOT NULL,
+  source_type VARCHAR(20) DEFAULT 'gmail' CHECK (source_type IN ('gmail', 'gmail_api', 'imap')),
+  imap_host VARCHAR(255),
+  imap_port INTEGER,
+  imap_tls VARCHAR(10) CHECK (imap_tls IN ('tls', 'starttls', 'none')),
+  imap_skip_tls_verify INTEGER DEFAULT 0,
+  imap_username VARCHAR(255),
+  imap_password TEXT,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -16,6 +26,11 @@ CREATE TABLE IF NOT EXISTS users (
   email VARCHAR(255) UNIQUE NOT NULL,
   last_uid INTEGER DEFAULT 0,
   status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+  imap_username VARCHAR(255),
+  imap_password TEXT,
+  full_name VARCHAR(255),
+  aliases TEXT,
+  directory_status VARCHAR(20) CHECK (directory_status IN ('active', 'suspended', 'deleted')),
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -37,6 +52,16 @@ CREATE TABLE IF NOT EXISTS emails (
   eml_path VARCHAR(500),
   size INTEGER,
   folder VARCHAR(255) DEFAULT 'INBOX',
+  compression VARCHAR(10),
+  stored_size INTEGER,
+  content_hash VARCHAR(64),
+  internal_date DATETIME,
+  flags VARCHAR(255),
+  flags_updated_at DATETIME,
+  deleted_on_server_at DATETIME,
+  gmail_message_id VARCHAR(32),
+  gmail_thread_id VARCHAR(32),
+  gmail_label_ids TEXT,
   indexed_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -46,9 +71,78 @@ CREATE INDEX IF NOT EXISTS idx_emails_message_id ON emails(message_id);
 CREATE INDEX IF NOT EXISTS idx_emails_date ON emails(date);
 CREATE INDEX IF NOT EXISTS idx_emails_from_email ON emails(from_email);
 CREATE INDEX IF NOT EXISTS idx_emails_folder ON emails(folder);
+CREATE INDEX IF NOT EXISTS idx_emails_eml_path ON emails(eml_path);
+CREATE INDEX IF NOT EXISTS idx_emails_gmail_message_id ON emails(gmail_message_id);
+CREATE INDEX IF NOT EXISTS idx_emails_deleted_on_server_at ON emails(deleted_on_server_at);
 
--- Note: Full-text search will be implemented using LIKE queries for cross-database compatibility
--- FTS can be added later as an enhancement
+-- Every folder (Gmail label) an email is in. emails.folder is only the one
+-- it was stored from, see emailLabelService
+CREATE TABLE IF NOT EXISTS email_labels (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email_id INTEGER NOT NULL REFERENCES emails(id) ON DELETE CASCADE,
+  label VARCHAR(255) NOT NULL,
+  UNIQUE(email_id, label)
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_labels_label ON email_labels(label);
+
+-- Where each archived email is on the IMAP server: folder and UID. expunged_at
+-- is set when the UID is gone from the folder. When every location of an
+-- email is expunged, emails.deleted_on_server_at is set, the archive copy stays
+CREATE TABLE IF NOT EXISTS email_locations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email_id INTEGER NOT NULL REFERENCES emails(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL,
+  folder VARCHAR(255) NOT NULL,
+  uid INTEGER NOT NULL,
+  uid_validity BIGINT,
+  seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expunged_at DATETIME,
+  UNIQUE(email_id, folder)
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_locations_folder ON email_locations(user_id, folder);
+
+-- Full-text search: parsed body text and extracted attachment text per email.
+-- The FULLTEXT index is MySQL only, other databases fall back to LIKE queries.
+CREATE TABLE IF NOT EXISTS email_search_index (
+  email_id INTEGER PRIMARY KEY REFERENCES emails(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  subject TEXT,
+  body_text MEDIUMTEXT,
+  attachment_text MEDIUMTEXT,
+  indexed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_search_index_user_id ON email_search_index(user_id);
+CREATE FULLTEXT INDEX idx_email_search_fulltext ON email_search_index(subject, body_text, attachment_text);
+
+-- Saved searches per admin, alerts are raised after backup runs for newly ingested matches
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  admin_user_id INTEGER REFERENCES admin_users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  params TEXT NOT NULL,
+  alert_enabled INTEGER DEFAULT 0,
+  last_checked_email_id INTEGER DEFAULT 0,
+  last_alert_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_admin_user_id ON saved_searches(admin_user_id);
+
+CREATE TABLE IF NOT EXISTS saved_search_alerts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  saved_search_id INTEGER REFERENCES saved_searches(id) ON DELETE CASCADE,
+  admin_user_id INTEGER REFERENCES admin_users(id) ON DELETE CASCADE,
+  match_count INTEGER DEFAULT 0,
+  email_ids TEXT,
+  read_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_search_alerts_admin_user_id ON saved_search_alerts(admin_user_id);
 
 -- Attachments table
 CREATE TABLE IF NOT EXISTS attachments (
@@ -57,11 +151,76 @@ CREATE TABLE IF NOT EXISTS attachments (
   filename VARCHAR(255),
   mime_type VARCHAR(100),
   size INTEGER,
-  file_path VARCHAR(500)
+  file_path VARCHAR(500),
+  content_hash VARCHAR(64)
 );
 
 -- Create index for attachments table
 CREATE INDEX IF NOT EXISTS idx_attachments_email_id ON attachments(email_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_content_hash ON attachments(content_hash);
+CREATE INDEX IF NOT EXISTS idx_attachments_file_path ON attachments(file_path);
+
+-- Attachment blobs, stored once per SHA-256 and shared between attachments
+CREATE TABLE IF NOT EXISTS attachment_blobs (
+  content_hash VARCHAR(64) PRIMARY KEY,
+  size INTEGER,
+  file_path VARCHAR(500),
+  compression VARCHAR(10),
+  stored_size INTEGER,
+  ref_count INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachment_blobs_file_path ON attachment_blobs(file_path);
+
+-- Integrity verification runs (scheduled or on demand) and the problems each found:
+-- missing files, hash mismatches and orphaned files no row refers to
+CREATE TABLE IF NOT EXISTS integrity_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  trigger_type VARCHAR(20) DEFAULT 'manual' CHECK (trigger_type IN ('manual', 'scheduled')),
+  status VARCHAR(20) DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  started_by INTEGER REFERENCES admin_users(id),
+  emails_checked INTEGER DEFAULT 0,
+  blobs_checked INTEGER DEFAULT 0,
+  files_scanned INTEGER DEFAULT 0,
+  hashes_recorded INTEGER DEFAULT 0,
+  missing_count INTEGER DEFAULT 0,
+  mismatch_count INTEGER DEFAULT 0,
+  orphan_count INTEGER DEFAULT 0,
+  error_count INTEGER DEFAULT 0,
+  error TEXT,
+  started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_integrity_runs_started_at ON integrity_runs(started_at);
+
+CREATE TABLE IF NOT EXISTS integrity_issues (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id INTEGER REFERENCES integrity_runs(id) ON DELETE CASCADE,
+  issue_type VARCHAR(20) NOT NULL CHECK (issue_type IN ('missing', 'mismatch', 'orphan', 'error')),
+  resource VARCHAR(20),
+  resource_id VARCHAR(64),
+  uri VARCHAR(500),
+  expected_hash VARCHAR(64),
+  actual_hash VARCHAR(64),
+  details TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_integrity_issues_run_id ON integrity_issues(run_id);
+CREATE INDEX IF NOT EXISTS idx_integrity_issues_issue_type ON integrity_issues(issue_type);
+
+-- Data keys for stored backup files (one per domain, '*' for shared attachment blobs),
+-- wrapped by the master key
+CREATE TABLE IF NOT EXISTS encryption_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  scope VARCHAR(255) UNIQUE NOT NULL,
+  wrapped_key TEXT NOT NULL,
+  master_key_id VARCHAR(16) NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  rotated_at DATETIME
+);
 
 -- PST Exports table
 CREATE TABLE IF NOT EXISTS pst_exports (
@@ -111,6 +270,102 @@ CREATE INDEX IF NOT EXISTS idx_audit_logs_admin_user_id ON audit_logs(admin_user
 CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action);
 CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at);
 
+-- Retention policies: emails older than retention_years are purged. Scoped to
+-- a domain or a user (exactly one is set), optionally narrowed to a folder
+-- and/or sender domain
+CREATE TABLE IF NOT EXISTS retention_policies (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(255) NOT NULL,
+  domain_id INTEGER REFERENCES domains(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  retention_years INTEGER NOT NULL,
+  folder VARCHAR(255),
+  sender_domain VARCHAR(255),
+  enabled INTEGER DEFAULT 1,
+  created_by INTEGER REFERENCES admin_users(id),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_policies_domain_id ON retention_policies(domain_id);
+CREATE INDEX IF NOT EXISTS idx_retention_policies_user_id ON retention_policies(user_id);
+
+-- Legal holds block retention purges and manual deletion of the emails they
+-- cover: all of a user's emails, the matches of a search (params, as JSON) or
+-- one email. Released holds are kept for the record
+CREATE TABLE IF NOT EXISTS legal_holds (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(255) NOT NULL,
+  reason TEXT,
+  hold_type VARCHAR(20) NOT NULL CHECK (hold_type IN ('user', 'search', 'email')),
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  email_id INTEGER REFERENCES emails(id) ON DELETE SET NULL,
+  params TEXT,
+  created_by INTEGER REFERENCES admin_users(id),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  released_at DATETIME,
+  released_by INTEGER REFERENCES admin_users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_legal_holds_released_at ON legal_holds(released_at);
+
+-- Restore jobs: archived emails APPENDed back into a mailbox over IMAP.
+-- selection holds the search parameters that picked the emails (JSON). With
+-- no target_user_id every email goes back to its own mailbox
+CREATE TABLE IF NOT EXISTS restore_jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  selection TEXT NOT NULL,
+  target_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  folder_prefix VARCHAR(255),
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+  total_count INTEGER DEFAULT 0,
+  restored_count INTEGER DEFAULT 0,
+  skipped_count INTEGER DEFAULT 0,
+  failed_count INTEGER DEFAULT 0,
+  error TEXT,
+  created_by INTEGER REFERENCES admin_users(id),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  started_at DATETIME,
+  finished_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_restore_jobs_status ON restore_jobs(status);
+
+-- Directory sync runs: users (and groups) listed from the Admin SDK Directory API
+CREATE TABLE IF NOT EXISTS directory_sync_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  domain_id INTEGER REFERENCES domains(id) ON DELETE CASCADE,
+  trigger_type VARCHAR(20) DEFAULT 'manual' CHECK (trigger_type IN ('manual', 'scheduled')),
+  status VARCHAR(20) DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  include_groups INTEGER DEFAULT 0,
+  added_count INTEGER DEFAULT 0,
+  deactivated_count INTEGER DEFAULT 0,
+  reactivated_count INTEGER DEFAULT 0,
+  updated_count INTEGER DEFAULT 0,
+  skipped_count INTEGER DEFAULT 0,
+  group_count INTEGER,
+  error TEXT,
+  started_by INTEGER REFERENCES admin_users(id),
+  started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_directory_sync_runs_domain_id ON directory_sync_runs(domain_id);
+
+-- Groups of a domain as of the last directory sync that included groups
+CREATE TABLE IF NOT EXISTS directory_groups (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  domain_id INTEGER REFERENCES domains(id) ON DELETE CASCADE,
+  directory_id VARCHAR(64),
+  email VARCHAR(255) NOT NULL,
+  name VARCHAR(255),
+  aliases TEXT,
+  member_count INTEGER,
+  synced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_directory_groups_domain_id ON directory_groups(domain_id);
+
 -- IMAP connections table (for tracking active connections)
 CREATE TABLE IF NOT EXISTS imap_connections (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -126,12 +381,44 @@ CREATE INDEX IF NOT EXISTS idx_imap_connections_user_id ON imap_connections(user
 CREATE INDEX IF NOT EXISTS idx_imap_connections_status ON imap_connections(status);
 CREATE INDEX IF NOT EXISTS idx_imap_connections_last_activity ON imap_connections(last_activity);
 
+-- Gmail API ingestion: the history id each mailbox is synced up to
+CREATE TABLE IF NOT EXISTS gmail_sync_state (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  history_id VARCHAR(32),
+  last_sync_mode VARCHAR(20),
+  last_sync_at DATETIME,
+  last_full_sync_at DATETIME,
+  last_error TEXT,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Gmail label ids and names per mailbox, for emails.gmail_label_ids
+CREATE TABLE IF NOT EXISTS gmail_labels (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  label_id VARCHAR(255) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  type VARCHAR(20),
+  UNIQUE(user_id, label_id)
+);
+
 -- Email folder UIDs table (for tracking last processed UID per folder per user)
+-- last_uid is only valid for the stored uid_validity. highest_modseq is set
+-- after a complete run (CONDSTORE servers) so unchanged folders are skipped.
+-- last_resync_result is the outcome of the last rescan after a UIDVALIDITY change (JSON).
+-- locations_mapped_at is set once the UIDs of messages archived before
+-- email_locations existed have been recorded
 CREATE TABLE IF NOT EXISTS email_folder_uids (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   user_id INTEGER NOT NULL,
   folder_name VARCHAR(255) NOT NULL,
   last_uid INTEGER DEFAULT 0,
+  uid_validity BIGINT,
+  highest_modseq BIGINT,
+  message_count INTEGER,
+  locations_mapped_at DATETIME,
+  last_resync_at DATETIME,
+  last_resync_result TEXT,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   UNIQUE(user_id, folder_name)
@@ -140,3 +427,143 @@ CREATE TABLE IF NOT EXISTS email_folder_uids (
 -- Create indexes for email_folder_uids table
 CREATE INDEX IF NOT EXISTS idx_email_folder_uids_user_id ON email_folder_uids(user_id);
 CREATE INDEX IF NOT EXISTS idx_email_folder_uids_folder ON email_folder_uids(folder_name);
+
+-- Reconciliation runs: the Message-IDs in each folder on the server compared
+-- with the archive. folders holds the per-folder counts (JSON). deleted_count
+-- is NULL when a folder could not be read. A backfill run first fetches the
+-- messages the run backfill_from_run_id found missing, then compares again.
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  backfill_from_run_id INTEGER,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+  server_count INTEGER DEFAULT 0,
+  archived_count INTEGER DEFAULT 0,
+  missing_count INTEGER DEFAULT 0,
+  deleted_count INTEGER,
+  archived_elsewhere_count INTEGER DEFAULT 0,
+  mismatched_folders INTEGER DEFAULT 0,
+  backfilled_count INTEGER DEFAULT 0,
+  backfill_failed_count INTEGER DEFAULT 0,
+  backfill_skipped_count INTEGER DEFAULT 0,
+  folders MEDIUMTEXT,
+  error TEXT,
+  created_by INTEGER REFERENCES admin_users(id),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  started_at DATETIME,
+  finished_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_user_id ON reconciliation_runs(user_id);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_status ON reconciliation_runs(status);
+
+-- Messages a run found on the server but not archived (missing, with their UID),
+-- and archived emails no folder on the server has any more (deleted)
+CREATE TABLE IF NOT EXISTS reconciliation_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id INTEGER NOT NULL REFERENCES reconciliation_runs(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('missing', 'deleted')),
+  folder VARCHAR(255),
+  uid INTEGER,
+  uid_validity BIGINT,
+  email_id INTEGER,
+  message_id VARCHAR(255),
+  subject TEXT,
+  date DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_run_id ON reconciliation_items(run_id, kind);
+
+-- Messages a backup could not archive: larger than MAX_MESSAGE_SIZE_MB
+-- (too_large) or failing to download, parse or store (failed). They stay
+-- here until a retry archives them (resolved, with email_id). uid_validity
+-- is 0 when the server did not report one.
+CREATE TABLE IF NOT EXISTS skipped_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  folder VARCHAR(255) NOT NULL,
+  uid INTEGER NOT NULL,
+  uid_validity BIGINT NOT NULL DEFAULT 0,
+  message_id VARCHAR(255),
+  subject TEXT,
+  from_email VARCHAR(255),
+  size BIGINT,
+  reason VARCHAR(20) NOT NULL CHECK (reason IN ('too_large', 'failed')),
+  error TEXT,
+  status VARCHAR(20) DEFAULT 'skipped' CHECK (status IN ('skipped', 'resolved')),
+  attempts INTEGER DEFAULT 1,
+  email_id INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  resolved_at DATETIME,
+  UNIQUE(user_id, folder, uid_validity, uid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_skipped_messages_user_status ON skipped_messages(user_id, status);
+
+-- Messages a backup failed to download (lost connection, timeout, throttling),
+-- retried by the next backups of the folder, see fetchFailureService.
+-- status: pending (retried automatically), failed (after FETCH_FAILURE_MAX_ATTEMPTS,
+-- retried only on request) or resolved
+CREATE TABLE IF NOT EXISTS fetch_failures (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  folder VARCHAR(255) NOT NULL,
+  uid INTEGER NOT NULL,
+  uid_validity BIGINT NOT NULL DEFAULT 0,
+  message_id VARCHAR(255),
+  error TEXT,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'failed', 'resolved')),
+  attempts INTEGER DEFAULT 1,
+  email_id INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  resolved_at DATETIME,
+  UNIQUE(user_id, folder, uid_validity, uid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fetch_failures_user_status ON fetch_failures(user_id, status);
+
+-- Background jobs (backups, exports, restores, verification, IMAP actions), see jobService.
+-- A worker holds a job by its lease (lease_owner until lease_expires_at) and
+-- renews it while the job runs, so a crashed worker's jobs are picked up
+-- again once the lease expires. Jobs sharing a lock_key never run at the
+-- same time. Timestamps are set by the application, not the database.
+CREATE TABLE IF NOT EXISTS jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  uuid VARCHAR(36) NOT NULL UNIQUE,
+  type VARCHAR(50) NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+  payload TEXT,
+  progress TEXT,
+  result TEXT,
+  lock_key VARCHAR(255),
+  user_id INTEGER,
+  priority INTEGER DEFAULT 0,
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 3,
+  run_at DATETIME NOT NULL,
+  lease_owner VARCHAR(255),
+  lease_expires_at DATETIME,
+  heartbeat_at DATETIME,
+  cancel_requested INTEGER DEFAULT 0,
+  error TEXT,
+  created_by INTEGER REFERENCES admin_users(id),
+  created_at DATETIME NOT NULL,
+  started_at DATETIME,
+  finished_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_type_status ON jobs(type, status);
+CREATE INDEX IF NOT EXISTS idx_jobs_lock_key ON jobs(lock_key, status);
+CREATE INDEX IF NOT EXISTS idx_jobs_user_id ON jobs(user_id, type);
+
+-- One row per lock_key held by a running job, its primary key serializes claims
+CREATE TABLE IF NOT EXISTS job_locks (
+  lock_key VARCHAR(255) PRIMARY KEY,
+  job_id INTEGER NOT NULL,
+  lease_expires_at DATETIME NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_locks_job_id ON job_locks(job_id);
@@ -5,14 +5,24 @@ const helmet = require('helmet');
 const winston = require('winston');
 const path = require('path');
 const { connectDB } = require('./services/database/databaseService');
-const { initQueues } = require('./services/queue/queueService');
+const { initQueues, queueService } = require('./services/queue/queueService');
 const { startScheduledBackup } = require('./services/backup/scheduledBackup');
+const { integrityService } = require('./services/backup/integrityService');
+const { retentionService } = require('./services/retention/retentionService');
+const { restoreService } = require('./services/restore/restoreService');
+const { reconciliationService } = require('./services/reconciliation/reconciliationService');
+const { directorySyncService } = require('./services/directory/directorySyncService');
 const authRoutes = require('./routes/auth');
 const domainRoutes = require('./routes/domains');
 const userRoutes = require('./routes/users');
 const emailRoutes = require('./routes/emails');
 const exportRoutes = require('./routes/exports');
 const backupRoutes = require('./routes/backup');
+const savedSearchRoutes = require('./routes/savedSearches');
+const retentionRoutes = require('./routes/retention');
+const restoreRoutes = require('./routes/restore');
+const jobRoutes = require('./routes/jobs');
+const eventRoutes = require('./routes/events');
 
 // Import debug routers
 const { debugRouter: emailDebugRouter } = require('./routes/emails');
@@ -83,6 +93,11 @@ app.use('/api/users', userRoutes);
 app.use('/api/emails', emailRoutes);
 app.use('/api/exports', exportRoutes);
 app.use('/api/backup', backupRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/restore', restoreRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/events', eventRoutes);
 
 // Debug routes (no auth required)
 app.use('/api/debug/emails', emailDebugRouter);
@@ -107,13 +122,16 @@ app.use((err, req, res, next) => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+// Running jobs are handed over rather than left until their leases expire
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  await queueService.close().catch(() => {});
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  await queueService.close().catch(() => {});
   process.exit(0);
 });
 
@@ -132,6 +150,21 @@ async function startServer() {
     startScheduledBackup();
     logger.info('Scheduled backup started');
 
+    // Start scheduled integrity verification
+    integrityService.startSchedule();
+
+    // Start scheduled retention purge
+    retentionService.startSchedule();
+
+    // Start scheduled directory sync
+    directorySyncService.startSchedule();
+
+    // Pick up restore jobs a restart interrupted
+    await restoreService.resumeInterrupted();
+
+    // Pick up reconciliation runs a restart interrupted
+    await reconciliationService.resumeInterrupted();
+
     // Start server
     app.listen(PORT, '0.0.0.0', () => {
       logger.info(`Server running on port ${PORT}`);
@@ -1,7 +1,9 @@
 const express = require('express');
 const { authenticateToken } = require('./auth');
 const winston = require('winston');
+const { query } = require('../services/database/databaseService');
 const { scheduledBackupService, runManualBackup, getScheduledBackupStatus } = require('../services/backup/scheduledBackup');
+const { integrityService } = require('../services/backup/integrityService');
 
 const router = express.Router();
 const debugRouter = express.Router(); // Separate router for debug endpoints
@@ -26,12 +28,12 @@ debugRouter.get('/config-debug', async (req, res) => {
     console.log('🔍 Debug: Backup config requested (no auth)');
     const config = {
       backupInterval: process.env.BACKUP_INTERVAL || '60',
-      maxConcurrentUsers: process.env.MAX_CONCURRENT_USERS || '1', // Sequential mode
+      maxConcurrentUsers: process.env.MAX_CONCURRENT_USERS || '4',
       batchSize: process.env.BATCH_SIZE || '100',                 // Faster processing
       batchDelay: process.env.BATCH_DELAY || '2000',
       useRealGmail: process.env.USE_REAL_GMAIL === 'true',
       // Add IMAP config
-      maxConcurrentConnections: process.env.MAX_CONCURRENT_CONNECTIONS || '1',
+      domainMaxConnections: process.env.DOMAIN_MAX_CONNECTIONS || '10',
       nodeEnv: process.env.NODE_ENV,
       port: process.env.PORT
     };
@@ -50,7 +52,7 @@ router.get('/config', async (req, res) => {
     console.log('🔍 Backup config requested by:', req.user?.username || 'unknown');
     const config = {
       backupInterval: process.env.BACKUP_INTERVAL || '60',
-      maxConcurrentUsers: process.env.MAX_CONCURRENT_USERS || '1', // Sequential mode
+      maxConcurrentUsers: process.env.MAX_CONCURRENT_USERS || '4',
       batchSize: process.env.BATCH_SIZE || '100',                 // Faster processing
       batchDelay: process.env.BATCH_DELAY || '2000',
       useRealGmail: process.env.USE_REAL_GMAIL === 'true'
@@ -70,7 +72,7 @@ router.get('/config-debug', async (req, res) => {
     console.log('🔍 Debug: Backup config requested (no auth)');
     const config = {
       backupInterval: process.env.BACKUP_INTERVAL || '60',
-      maxConcurrentUsers: process.env.MAX_CONCURRENT_USERS || '1', // Sequential mode
+      maxConcurrentUsers: process.env.MAX_CONCURRENT_USERS || '4',
       batchSize: process.env.BATCH_SIZE || '100',                 // Faster processing
       batchDelay: process.env.BATCH_DELAY || '2000',
       useRealGmail: process.env.USE_REAL_GMAIL === 'true'
@@ -143,7 +145,7 @@ router.put('/config', async (req, res) => {
 // Get backup status
 router.get('/status', async (req, res) => {
   try {
-    const status = getScheduledBackupStatus();
+    const status = await getScheduledBackupStatus();
     res.json({ status });
   } catch (error) {
     logger.error('Failed to get backup status', { error: error.message });
@@ -156,14 +158,12 @@ router.post('/manual', async (req, res) => {
   try {
     logger.info('Manual backup triggered by admin', { admin: req.user.username });
 
-    // Run backup in background
-    runManualBackup().catch(error => {
-      logger.error('Manual backup failed in background', { error: error.message });
-    });
+    const job = await runManualBackup(null, req.user.id);
 
     res.json({
       message: 'Manual backup started in background',
-      status: 'running'
+      status: 'running',
+      jobId: job.id
     });
   } catch (error) {
     logger.error('Failed to start manual backup', { error: error.message });
@@ -181,18 +181,18 @@ router.post('/manual/:userId', async (req, res) => {
       admin: req.user.username
     });
 
-    // Run backup in background
-    runManualBackup(parseInt(userId)).catch(error => {
-      logger.error('Manual backup failed for user in background', {
-        userId,
-        error: error.message
-      });
-    });
+    let job;
+    try {
+      job = await runManualBackup(parseInt(userId), req.user.id);
+    } catch (error) {
+      return res.status(409).json({ error: error.message, status: 'running' });
+    }
 
     res.json({
       message: `Manual backup started for user ${userId} in background`,
       status: 'running',
-      userId: parseInt(userId)
+      userId: parseInt(userId),
+      jobId: job.id
     });
   } catch (error) {
     logger.error('Failed to start manual backup for user', {
@@ -222,5 +222,82 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// Get integrity report: latest (or given) verification run with its issues
+router.get('/integrity', async (req, res) => {
+  try {
+    const { run_id, type, page = 1, limit = 100 } = req.query;
+
+    const validTypes = ['missing', 'mismatch', 'orphan', 'error'];
+    if (type && !validTypes.includes(type)) {
+      return res.status(400).json({ error: `Invalid issue type. Must be one of: ${validTypes.join(', ')}` });
+    }
+
+    const report = await integrityService.getReport({
+      runId: run_id ? parseInt(run_id) : null,
+      issueType: type || null,
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(1000, Math.max(1, parseInt(limit) || 100)),
+    });
+
+    if (run_id && !report.run) {
+      return res.status(404).json({ error: 'Integrity run not found' });
+    }
+
+    await logAuditAction(req.user.id, 'view_integrity_report', 'integrity_runs', report.run ? report.run.id : null, req.ip);
+
+    res.json({ ...report, status: integrityService.getStatus() });
+  } catch (error) {
+    logger.error('Failed to get integrity report', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List past verification runs
+router.get('/integrity/runs', async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    const runs = await integrityService.getRuns(Math.min(100, Math.max(1, parseInt(limit) || 20)));
+    res.json({ runs });
+  } catch (error) {
+    logger.error('Failed to get integrity runs', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start an integrity verification run
+router.post('/integrity/verify', async (req, res) => {
+  try {
+    const job = await integrityService.start({ triggerType: 'manual', adminUserId: req.user.id });
+    if (!job) {
+      return res.status(409).json({ error: 'Integrity check is already running' });
+    }
+
+    await logAuditAction(req.user.id, 'verify_integrity', 'integrity_runs', null, req.ip);
+
+    logger.info('Integrity check started', { admin: req.user.username });
+
+    res.json({
+      message: 'Integrity check started in background',
+      status: 'running',
+      jobId: job.id
+    });
+  } catch (error) {
+    logger.error('Failed to start integrity check', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper function to log audit actions
+async function logAuditAction(adminUserId, action, resource, resourceId, ipAddress) {
+  try {
+    await query(
+      'INSERT INTO audit_logs (admin_user_id, action, resource, resource_id, ip_address) VALUES (?, ?, ?, ?, ?)',
+      [adminUserId, action, resource, resourceId, ipAddress]
+    );
+  } catch (error) {
+    logger.error('Failed to log audit action', { error: error.message });
+  }
+}
+
 module.exports = router;
 module.exports.debugRouter = debugRouter;
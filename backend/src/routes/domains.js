@@ -1,5 +1,7 @@
 const express = require('express');
 const { query } = require('../services/database/databaseService');
+const { imapSourceService, ImapSourceError } = require('../services/imap/imapSourceService');
+const { directorySyncService, DirectorySyncError } = require('../services/directory/directorySyncService');
 const { authenticateToken } = require('./auth');
 const winston = require('winston');
 
@@ -26,7 +28,7 @@ router.get('/', async (req, res) => {
       'SELECT d.*, COUNT(u.id) as user_count FROM domains d LEFT JOIN users u ON d.id = u.domain_id GROUP BY d.id ORDER BY d.created_at DESC'
     );
 
-    res.json({ domains });
+    res.json({ domains: domains.map(domain => imapSourceService.redactRow(domain)) });
   } catch (error) {
     logger.error('Failed to get domains', { error: error.message });
     res.status(500).json({ error: 'Internal server error' });
@@ -56,7 +58,7 @@ router.get('/:id', async (req, res) => {
     );
 
     res.json({
-      domain: domains[0],
+      domain: imapSourceService.redactRow(domains[0]),
       users,
       stats: stats[0],
     });
@@ -190,6 +192,115 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Get where the domain's mailboxes are read from
+router.get('/:id/source', async (req, res) => {
+  try {
+    const source = await imapSourceService.getSource(req.params.id);
+    if (!source) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+    res.json({ source });
+  } catch (error) {
+    logger.error('Failed to get domain source', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Read the domain's mailboxes from Gmail or from an IMAP server
+router.put('/:id/source', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sourceType, host, port, tls, skipTlsVerify, username, password } = req.body;
+
+    const source = await imapSourceService.updateSource(id, {
+      sourceType, host, port, tls, skipTlsVerify, username, password
+    });
+    if (!source) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    // Log audit
+    await logAuditAction(req.user.id, 'update_domain_source', 'domains', id, req.ip);
+
+    logger.info('Domain source updated', { id, sourceType: source.sourceType, admin: req.user.username });
+
+    res.json({ source });
+  } catch (error) {
+    if (error instanceof ImapSourceError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Failed to update domain source', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Preview what a directory sync would change (?include_groups=true also lists groups)
+router.get('/:id/directory/preview', async (req, res) => {
+  try {
+    const preview = await directorySyncService.preview(req.params.id, {
+      includeGroups: req.query.include_groups === 'true'
+    });
+    if (!preview) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+    res.json(preview);
+  } catch (error) {
+    if (error instanceof DirectorySyncError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Failed to preview directory sync', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to read the Workspace directory', details: error.message });
+  }
+});
+
+// Sync the domain's users from the Workspace directory
+router.post('/:id/directory/sync', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const run = await directorySyncService.sync(id, {
+      includeGroups: Boolean(req.body.includeGroups),
+      triggerType: 'manual',
+      adminUserId: req.user.id
+    });
+    if (!run) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    logger.info('Directory sync run', { id, runId: run.id, admin: req.user.username });
+
+    res.json({ run });
+  } catch (error) {
+    if (error instanceof DirectorySyncError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Failed to sync directory', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to sync from the Workspace directory', details: error.message });
+  }
+});
+
+// Get past directory syncs of the domain
+router.get('/:id/directory/runs', async (req, res) => {
+  try {
+    const runs = await directorySyncService.listRuns(req.params.id, req.query.limit || 20);
+    res.json({ runs, status: directorySyncService.getStatus() });
+  } catch (error) {
+    logger.error('Failed to get directory sync runs', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the domain's groups as of the last sync with groups
+router.get('/:id/directory/groups', async (req, res) => {
+  try {
+    const groups = await directorySyncService.listGroups(req.params.id);
+    res.json({ groups });
+  } catch (error) {
+    logger.error('Failed to get directory groups', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Discover users for domain (simulate user discovery)
 router.post('/:id/discover-users', async (req, res) => {
   try {
@@ -1,8 +1,15 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
 const { simpleParser } = require('mailparser');
 const { query, DB_TYPE } = require('../services/database/databaseService');
+const { searchIndexService } = require('../services/search/searchIndexService');
+const { SearchQueryError } = require('../services/search/searchQueryParser');
+const { attachmentStorageService } = require('../services/storage/attachmentStorageService');
+const { backupFileService } = require('../services/storage/backupFileService');
+const { compressionService } = require('../services/storage/compressionService');
+const { compressionJobService } = require('../services/storage/compressionJobService');
+const { legalHoldService } = require('../services/retention/legalHoldService');
+const { emailLabelService } = require('../services/labels/emailLabelService');
+const { storageService } = require('../services/storage/storageService');
 const { authenticateToken } = require('./auth');
 const winston = require('winston');
 
@@ -32,78 +39,57 @@ router.get('/search', async (req, res) => {
       to,
       user_id,
       folder,
+      label,
       date_from,
       date_to,
+      deleted_on_server,
+      deleted_from,
+      deleted_to,
       page = 1,
       limit = 50,
-      sort = 'date',
+      sort,
       order = 'desc'
     } = req.query;
 
+    // General query uses Gmail-style syntax (from:, has:attachment, after:, -in:, is:, larger:, "phrase")
+    let search;
+    try {
+      search = searchIndexService.buildEmailSearch(req.query);
+    } catch (error) {
+      if (error instanceof SearchQueryError) {
+        return res.status(400).json({ error: 'Invalid search query', details: error.toJSON() });
+      }
+      throw error;
+    }
+
+    const { conditions, params } = search;
+    const searchIndexJoin = search.joinSearchIndex ? ' LEFT JOIN email_search_index si ON si.email_id = e.id' : '';
+
     let queryStr = `
       SELECT e.*, u.email as user_email, d.name as domain_name,
-             COUNT(a.id) as attachment_count
+             COUNT(a.id) as attachment_count${search.relevance ? `,
+             MAX(${search.relevance.expression}) as relevance` : ''}
       FROM emails e
       LEFT JOIN users u ON e.user_id = u.id
       LEFT JOIN domains d ON u.domain_id = d.id
-      LEFT JOIN attachments a ON e.id = a.email_id
+      LEFT JOIN attachments a ON e.id = a.email_id${searchIndexJoin}
     `;
 
-    const params = [];
-    const conditions = [];
-
-    // Build search conditions
-    if (q) {
-      conditions.push('(e.subject LIKE ? OR e.from_email LIKE ? OR e.to_email LIKE ?)');
-      params.push(`%${q}%`, `%${q}%`, `%${q}%`);
-    }
-
-    if (subject) {
-      conditions.push('e.subject LIKE ?');
-      params.push(`%${subject}%`);
-    }
-
-    if (from) {
-      conditions.push('e.from_email LIKE ?');
-      params.push(`%${from}%`);
-    }
-
-    if (to) {
-      conditions.push('e.to_email LIKE ?');
-      params.push(`%${to}%`);
-    }
-
-    if (user_id) {
-      conditions.push('e.user_id = ?');
-      params.push(user_id);
-    }
-
-    if (folder) {
-      conditions.push('e.folder = ?');
-      params.push(folder);
-    }
-
-    if (date_from) {
-      conditions.push('e.date >= ?');
-      params.push(new Date(date_from));
-    }
-
-    if (date_to) {
-      conditions.push('e.date <= ?');
-      params.push(new Date(date_to));
-    }
-
     if (conditions.length > 0) {
       queryStr += ' WHERE ' + conditions.join(' AND ');
     }
 
     queryStr += ' GROUP BY e.id';
 
-    // Sorting
-    const validSortFields = ['date', 'subject', 'from_email', 'size'];
-    const sortField = validSortFields.includes(sort) ? sort : 'date';
+    // Sorting (full-text searches default to relevance)
+    const validSortFields = ['date', 'subject', 'from_email', 'size', 'deleted_on_server_at'];
     const sortOrder = order.toLowerCase() === 'asc' ? 'ASC' : 'DESC';
-    queryStr += ` ORDER BY e.${sortField} ${sortOrder}`;
+    if (search.relevance && (!sort || sort === 'relevance')) {
+      queryStr += ' ORDER BY relevance DESC, e.date DESC';
+    } else {
+      const sortField = validSortFields.includes(sort) ? sort : 'date';
+      queryStr += ` ORDER BY e.${sortField} ${sortOrder}`;
+    }
 
     // Pagination
     const limitValue = parseInt(limit);
@@ -112,10 +98,22 @@ router.get('/search', async (req, res) => {
     // MySQL doesn't support parameterized LIMIT/OFFSET, so we use template literals for these values
     queryStr += ` LIMIT ${limitValue} OFFSET ${offsetValue}`;
 
-    const emails = await query(queryStr, params);
+    const emails = await query(queryStr, search.relevance ? [...search.relevance.params, ...params] : params);
+
+    if (search.highlightTerms.length > 0) {
+      const snippets = await searchIndexService.getSnippets(emails.map(email => email.id), search.highlightTerms);
+      emails.forEach(email => {
+        email.snippet = snippets[email.id] || null;
+      });
+    }
+
+    const labels = await emailLabelService.getLabelsForEmails(emails.map(email => email.id));
+    emails.forEach(email => {
+      email.labels = labels[email.id] || [];
+    });
 
     // Get total count
-    let countQuery = 'SELECT COUNT(DISTINCT e.id) as total FROM emails e';
+    let countQuery = `SELECT COUNT(DISTINCT e.id) as total FROM emails e${searchIndexJoin}`;
     if (conditions.length > 0) {
       countQuery += ' WHERE ' + conditions.join(' AND ');
     }
@@ -125,7 +123,7 @@ router.get('/search', async (req, res) => {
     // Log search
     logger.info('Email search performed', {
       query: q,
-      filters: { subject, from, to, user_id, date_from, date_to },
+      filters: { subject, from, to, user_id, folder, label, date_from, date_to, deleted_on_server, deleted_from, deleted_to },
       results: emails.length,
       admin: req.user.username
     });
@@ -145,6 +143,121 @@ router.get('/search', async (req, res) => {
   }
 });
 
+// List labels (folders) in use with their email counts, for the search filter
+router.get('/labels', async (req, res) => {
+  try {
+    const { user_id } = req.query;
+    const labels = await emailLabelService.listLabels({ userId: user_id || null });
+    res.json({ labels });
+  } catch (error) {
+    logger.error('Failed to list labels', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Label emails archived before labels were tracked with their folder
+router.post('/labels/backfill', async (req, res) => {
+  try {
+    const { userId } = req.body || {};
+    const result = await emailLabelService.backfill({ userId: userId || null });
+
+    await logAuditAction(req.user.id, 'labels_backfill', 'emails', userId || null, req.ip);
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Failed to backfill labels', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get full-text search index coverage and backfill progress
+router.get('/search-index/status', async (req, res) => {
+  try {
+    const totalResult = await query('SELECT COUNT(*) as total FROM emails');
+    const indexedResult = await query('SELECT COUNT(*) as total FROM email_search_index');
+
+    res.json({
+      totalEmails: totalResult[0].total,
+      indexedEmails: indexedResult[0].total,
+      backfill: searchIndexService.getBackfillStatus(),
+    });
+  } catch (error) {
+    logger.error('Failed to get search index status', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Index emails archived before full-text search existed
+router.post('/search-index/backfill', async (req, res) => {
+  try {
+    const { userId } = req.body || {};
+
+    if (searchIndexService.getBackfillStatus().running) {
+      return res.status(409).json({ error: 'Search index backfill is already running' });
+    }
+
+    // Run backfill in background
+    searchIndexService.backfill({ userId: userId || null }).catch(error => {
+      logger.error('Search index backfill failed in background', { error: error.message });
+    });
+
+    await logAuditAction(req.user.id, 'search_index_backfill', 'emails', userId || null, req.ip);
+
+    logger.info('Search index backfill started', { userId, admin: req.user.username });
+
+    res.json({
+      message: 'Search index backfill started in background',
+      status: 'running'
+    });
+  } catch (error) {
+    logger.error('Failed to start search index backfill', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get storage compression savings and job progress
+router.get('/compression/status', async (req, res) => {
+  try {
+    res.json({
+      ...(await compressionJobService.getSpaceSaved()),
+      job: compressionJobService.getStatus(),
+    });
+  } catch (error) {
+    logger.error('Failed to get compression status', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Compress EML files and attachments stored before compression was enabled
+router.post('/compression/run', async (req, res) => {
+  try {
+    if (!compressionService.isEnabled()) {
+      return res.status(400).json({ error: 'Compression is not enabled (set BACKUP_COMPRESSION to zstd or gzip)' });
+    }
+
+    if (compressionJobService.getStatus().running) {
+      return res.status(409).json({ error: 'Compression job is already running' });
+    }
+
+    // Run job in background
+    compressionJobService.run().catch(error => {
+      logger.error('Compression job failed in background', { error: error.message });
+    });
+
+    await logAuditAction(req.user.id, 'compress_storage', 'emails', null, req.ip);
+
+    logger.info('Compression job started', { admin: req.user.username });
+
+    res.json({
+      message: 'Compression job started in background',
+      status: 'running'
+    });
+  } catch (error) {
+    logger.error('Failed to start compression job', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get email by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -174,11 +287,10 @@ router.get('/:id', async (req, res) => {
     try {
       let emlContent;
 
-      // Check if EML file exists
       try {
-        await fs.access(email.eml_path);
-        emlContent = await fs.readFile(email.eml_path);
+        emlContent = await backupFileService.read(email.eml_path, { compression: email.compression });
       } catch (fileError) {
+        if (fileError.code !== 'ENOENT') throw fileError;
         // File doesn't exist, generate mock EML content for simulated emails
         logger.info('EML file not found for parsing, generating mock content', { id, emlPath: email.eml_path });
         emlContent = generateMockEMLContent(email);
@@ -205,7 +317,7 @@ router.get('/:id', async (req, res) => {
 
       // Fallback: try to extract basic content from raw EML
       try {
-        const emlContent = await fs.readFile(email.eml_path, 'utf8');
+        const emlContent = await backupFileService.read(email.eml_path, { compression: email.compression, encoding: 'utf8' });
         const lines = emlContent.split('\n');
         let inBody = false;
         let body = '';
@@ -234,6 +346,7 @@ router.get('/:id', async (req, res) => {
       'SELECT * FROM attachments WHERE email_id = ?',
       [id]
     );
+    const labels = await emailLabelService.getLabelsForEmails([email.id]);
 
     // Log access
     await logAuditAction(req.user.id, 'view_email', 'emails', id, req.ip);
@@ -243,7 +356,8 @@ router.get('/:id', async (req, res) => {
         ...email,
         body_html: parsedContent.body_html,
         body_text: parsedContent.body_text,
-        content_type: parsedContent.content_type
+        content_type: parsedContent.content_type,
+        labels: labels[email.id] || []
       },
       attachments,
     });
@@ -258,7 +372,7 @@ router.get('/:id/content', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const emails = await query('SELECT eml_path, subject, from_email, to_email, date FROM emails WHERE id = ?', [id]);
+    const emails = await query('SELECT eml_path, compression, subject, from_email, to_email, date FROM emails WHERE id = ?', [id]);
     if (emails.length === 0) {
       return res.status(404).json({ error: 'Email not found' });
     }
@@ -268,12 +382,10 @@ router.get('/:id/content', async (req, res) => {
 
     let content;
 
-    // Check if file exists
     try {
-      await fs.access(emlPath);
-      // Read actual file
-      content = await fs.readFile(emlPath, 'utf8');
+      content = await backupFileService.read(emlPath, { compression: email.compression, encoding: 'utf8' });
     } catch (fileError) {
+      if (fileError.code !== 'ENOENT') throw fileError;
       // File doesn't exist, generate mock EML content for simulated emails
       logger.info('EML file not found, generating mock content', { id, emlPath });
       content = generateMockEMLContent(email);
@@ -283,7 +395,7 @@ router.get('/:id/content', async (req, res) => {
     await logAuditAction(req.user.id, 'download_email', 'emails', id, req.ip);
 
     res.setHeader('Content-Type', 'message/rfc822');
-    res.setHeader('Content-Disposition', `attachment; filename="${path.basename(emlPath)}"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${backupFileService.getOriginalName(emlPath)}"`);
     res.send(content);
   } catch (error) {
     logger.error('Failed to get email content', { id: req.params.id, error: error.message });
@@ -296,7 +408,7 @@ router.get('/:id/preview', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const emails = await query('SELECT eml_path, subject, from_email, to_email, date FROM emails WHERE id = ?', [id]);
+    const emails = await query('SELECT eml_path, compression, subject, from_email, to_email, date FROM emails WHERE id = ?', [id]);
     if (emails.length === 0) {
       return res.status(404).json({ error: 'Email not found' });
     }
@@ -306,12 +418,10 @@ router.get('/:id/preview', async (req, res) => {
 
     let emlContent;
 
-    // Check if file exists
     try {
-      await fs.access(emlPath);
-      // Read actual file
-      emlContent = await fs.readFile(emlPath, 'utf8');
+      emlContent = await backupFileService.read(emlPath, { compression: email.compression, encoding: 'utf8' });
     } catch (fileError) {
+      if (fileError.code !== 'ENOENT') throw fileError;
       // File doesn't exist, generate mock EML content for simulated emails
       logger.info('EML file not found for preview, generating mock content', { id, emlPath });
       emlContent = generateMockEMLContent(email);
@@ -377,8 +487,12 @@ router.get('/:emailId/attachments/:attachmentId', async (req, res) => {
     const { emailId, attachmentId } = req.params;
     const { download = 'false' } = req.query;
 
+    // The blob row has the current location and compression of shared attachment files
     const attachments = await query(
-      'SELECT * FROM attachments WHERE id = ? AND email_id = ?',
+      `SELECT a.*, COALESCE(b.file_path, a.file_path) as file_path, b.compression
+       FROM attachments a
+       LEFT JOIN attachment_blobs b ON a.content_hash = b.content_hash
+       WHERE a.id = ? AND a.email_id = ?`,
       [attachmentId, emailId]
     );
 
@@ -389,11 +503,10 @@ router.get('/:emailId/attachments/:attachmentId', async (req, res) => {
     const attachment = attachments[0];
     const filePath = attachment.file_path;
 
-    // Try to serve actual file from disk
+    // Try to serve the stored file
     if (filePath) {
       try {
-        await fs.access(filePath);
-        const content = await fs.readFile(filePath);
+        const content = await backupFileService.read(filePath, { compression: attachment.compression });
         const contentType = attachment.mime_type || 'application/octet-stream';
 
         // Set appropriate headers
@@ -412,6 +525,7 @@ router.get('/:emailId/attachments/:attachmentId', async (req, res) => {
         await logAuditAction(req.user.id, download === 'true' ? 'download_attachment' : 'view_attachment', 'attachments', attachmentId, req.ip);
         return;
       } catch (fileError) {
+        if (fileError.code !== 'ENOENT') throw fileError;
         logger.warn('Attachment file not found, falling back to EML extraction', {
           attachmentId,
           filePath,
@@ -422,12 +536,11 @@ router.get('/:emailId/attachments/:attachmentId', async (req, res) => {
 
     // Fallback: Try to extract attachment from EML file
     try {
-      const emails = await query('SELECT eml_path FROM emails WHERE id = ?', [emailId]);
+      const emails = await query('SELECT eml_path, compression FROM emails WHERE id = ?', [emailId]);
       if (emails.length > 0) {
         const emlPath = emails[0].eml_path;
         try {
-          await fs.access(emlPath);
-          const emlContent = await fs.readFile(emlPath, 'utf8');
+          const emlContent = await backupFileService.read(emlPath, { compression: emails[0].compression, encoding: 'utf8' });
           const parsed = await simpleParser(emlContent);
 
           // Find matching attachment
@@ -555,8 +668,12 @@ router.get('/stats/overview', async (req, res) => {
       oldest_email: null
     };
 
+    // Compression savings are for all stored files, not just the selected period
+    const compression = await compressionJobService.getSpaceSaved();
+
     res.json({
       overview,
+      compression,
       users: userStats,
       domains: domainStats,
       daily: dailyStats,
@@ -590,9 +707,17 @@ router.delete('/bulk', async (req, res) => {
     let failedCount = 0;
     const failedIds = [];
 
+    const heldIds = await legalHoldService.getHeldEmailIds(emailIds);
+
     // Process each email deletion
     for (const emailId of emailIds) {
       try {
+        if (heldIds.has(parseInt(emailId))) {
+          failedIds.push({ id: emailId, reason: 'Email is under legal hold' });
+          failedCount++;
+          continue;
+        }
+
         const emails = await query('SELECT * FROM emails WHERE id = ?', [emailId]);
         if (emails.length === 0) {
           failedIds.push({ id: emailId, reason: 'Email not found' });
@@ -604,11 +729,14 @@ router.delete('/bulk', async (req, res) => {
 
         // Delete EML file
         try {
-          await fs.unlink(email.eml_path);
+          await storageService.delete(email.eml_path);
         } catch (error) {
           logger.warn('Failed to delete EML file', { path: email.eml_path });
         }
 
+        // Release attachment blobs before the cascade drops the references
+        await attachmentStorageService.releaseEmailAttachments([emailId]);
+
         // Delete from database
         await query('DELETE FROM emails WHERE id = ?', [emailId]);
 
@@ -659,13 +787,24 @@ router.delete('/:id', async (req, res) => {
 
     const email = emails[0];
 
+    const holds = await legalHoldService.getHoldsForEmail(id);
+    if (holds.length > 0) {
+      return res.status(409).json({
+        error: 'Email is under legal hold',
+        holds: holds.map(hold => ({ id: hold.id, name: hold.name }))
+      });
+    }
+
     // Delete EML file
     try {
-      await fs.unlink(email.eml_path);
+      await storageService.delete(email.eml_path);
     } catch (error) {
       logger.warn('Failed to delete EML file', { path: email.eml_path });
     }
 
+    // Release attachment blobs before the cascade drops the references
+    await attachmentStorageService.releaseEmailAttachments([id]);
+
     // Delete from database
     await query('DELETE FROM emails WHERE id = ?', [id]);
 
@@ -0,0 +1,54 @@
+const express = require('express');
+const { progressService } = require('../services/progress/progressService');
+const { authenticateToken } = require('./auth');
+const winston = require('winston');
+
+const router = express.Router();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/events.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25000;
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Server-sent events: a `snapshot` of running backups and exports, then a
+// `backup` or `export` event on each change (see progressService)
+router.get('/progress', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx would buffer the stream otherwise
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const onProgress = ({ type, data }) => send(type, data);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  send('snapshot', progressService.getSnapshot());
+  progressService.on('progress', onProgress);
+  logger.info('Progress stream opened', { admin: req.user.username, listeners: progressService.listenerCount('progress') });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    progressService.off('progress', onProgress);
+    logger.info('Progress stream closed', { admin: req.user.username });
+  });
+});
+
+module.exports = router;
@@ -23,7 +23,7 @@ router.use(authenticateToken);
 // Create new export
 router.post('/', async (req, res) => {
   try {
-    const { userId, startDate, endDate, format = 'eml' } = req.body;
+    const { userId, startDate, endDate, format = 'eml', mboxLayout = 'folder' } = req.body;
 
     if (!userId) {
       return res.status(400).json({ error: 'userId is required' });
@@ -41,8 +41,13 @@ router.post('/', async (req, res) => {
     }
 
     // Validate format
-    if (!['eml', 'pst'].includes(format)) {
-      return res.status(400).json({ error: 'Invalid format. Use "eml" or "pst"' });
+    if (!['eml', 'pst', 'mbox'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Use "eml", "pst" or "mbox"' });
+    }
+
+    // mbox exports are either one file per folder or a single mailbox
+    if (format === 'mbox' && !['folder', 'single'].includes(mboxLayout)) {
+      return res.status(400).json({ error: 'Invalid mboxLayout. Use "folder" or "single"' });
     }
 
     // Get email count for user (to estimate processing time)
@@ -92,7 +97,7 @@ router.post('/', async (req, res) => {
     }
 
     // Create export (uses new format-aware method)
-    const exportId = await pstExportService.createExport(userId, startDate, endDate, format);
+    const exportId = await pstExportService.createExport(userId, startDate, endDate, format, { mboxLayout });
 
     // Log audit
     await logAuditAction(req.user.id, 'create_export', 'pst_exports', exportId, req.ip);
@@ -247,7 +252,7 @@ router.get('/:id/download', async (req, res) => {
     });
 
     // Stream file
-    res.setHeader('Content-Type', 'application/vnd.ms-outlook');
+    res.setHeader('Content-Type', exportData.export_format === 'pst' ? 'application/vnd.ms-outlook' : 'application/zip');
     res.setHeader('Content-Disposition', `attachment; filename="${exportData.filename}"`);
 
     const fileStream = require('fs').createReadStream(exportData.file_path);
@@ -372,7 +377,8 @@ router.post('/:id/retry', async (req, res) => {
       exportData.user_id,
       exportData.start_date,
       exportData.end_date,
-      exportData.export_format || 'eml'
+      exportData.export_format || 'eml',
+      { mboxLayout: exportData.mbox_layout }
     );
 
     // Log audit
@@ -0,0 +1,135 @@
+const express = require('express');
+const { query } = require('../services/database/databaseService');
+const { jobService, JOB_TYPES, JOB_STATUSES } = require('../services/queue/jobService');
+const { authenticateToken } = require('./auth');
+const winston = require('winston');
+
+const router = express.Router();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/jobs.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+// Job types whose state is also kept elsewhere, cancelled and retried there
+const MANAGED_ELSEWHERE = {
+  export: '/api/exports',
+  restore: '/api/restore',
+};
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Viewers can see jobs but not cancel or retry them
+const requireAdmin = (req, res, next) => {
+  if (req.user.role === 'viewer') {
+    return res.status(403).json({ error: 'Viewers cannot manage jobs' });
+  }
+  next();
+};
+
+// List jobs, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { type, status, user_id, limit = 50 } = req.query;
+
+    if (type && !JOB_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${JOB_TYPES.join(', ')}` });
+    }
+    const statuses = status ? String(status).split(',') : null;
+    if (statuses && statuses.some(value => !JOB_STATUSES.includes(value))) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+
+    const jobs = await jobService.listJobs({
+      type: type || null,
+      statuses,
+      userId: user_id ? parseInt(user_id) : null,
+      limit: Math.min(200, Math.max(1, parseInt(limit) || 50)),
+    });
+    const counts = type ? await jobService.getCounts(type) : null;
+
+    res.json({ jobs, counts, worker: jobService.getStatus() });
+  } catch (error) {
+    logger.error('Failed to list jobs', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a job
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job });
+  } catch (error) {
+    logger.error('Failed to get job', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel a pending job, or stop a running one at its next checkpoint
+router.post('/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const existing = await jobService.getJob(req.params.id);
+    if (existing && MANAGED_ELSEWHERE[existing.type]) {
+      return res.status(409).json({ error: `Cancel ${existing.type} jobs through ${MANAGED_ELSEWHERE[existing.type]}` });
+    }
+
+    const job = existing && await jobService.cancel(existing.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Pending or running job not found' });
+    }
+
+    await logAuditAction(req.user.id, 'cancel_job', 'jobs', job.id, req.ip);
+
+    res.json({ job });
+  } catch (error) {
+    logger.error('Failed to cancel job', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Queue a failed or cancelled job again
+router.post('/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const existing = await jobService.getJob(req.params.id);
+    if (existing && MANAGED_ELSEWHERE[existing.type]) {
+      return res.status(409).json({ error: `Retry ${existing.type} jobs through ${MANAGED_ELSEWHERE[existing.type]}` });
+    }
+
+    const job = existing && await jobService.retry(existing.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Failed or cancelled job not found' });
+    }
+
+    await logAuditAction(req.user.id, 'retry_job', 'jobs', job.id, req.ip);
+
+    res.json({ job });
+  } catch (error) {
+    logger.error('Failed to retry job', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper function to log audit actions
+async function logAuditAction(adminUserId, action, resource, resourceId, ipAddress) {
+  try {
+    await query(
+      'INSERT INTO audit_logs (admin_user_id, action, resource, resource_id, ip_address) VALUES (?, ?, ?, ?, ?)',
+      [adminUserId, action, resource, resourceId, ipAddress]
+    );
+  } catch (error) {
+    logger.error('Failed to log audit action', { error: error.message });
+  }
+}
+
+module.exports = router;
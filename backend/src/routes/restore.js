@@ -0,0 +1,118 @@
+const express = require('express');
+const { query } = require('../services/database/databaseService');
+const { restoreService, RestoreError } = require('../services/restore/restoreService');
+const { SearchQueryError } = require('../services/search/searchQueryParser');
+const { authenticateToken } = require('./auth');
+const winston = require('winston');
+
+const router = express.Router();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/restore.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Viewers can see restore jobs but not start or cancel them
+const requireAdmin = (req, res, next) => {
+  if (req.user.role === 'viewer') {
+    return res.status(403).json({ error: 'Viewers cannot restore emails' });
+  }
+  next();
+};
+
+// Get restore jobs
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await restoreService.listJobs(req.query.limit || 50);
+    res.json({ jobs, status: restoreService.getStatus() });
+  } catch (error) {
+    logger.error('Failed to get restore jobs', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get restore job
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await restoreService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Restore job not found' });
+    }
+    res.json({ job });
+  } catch (error) {
+    logger.error('Failed to get restore job', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a restore of the emails picked by search parameters or a saved search
+router.post('/jobs', requireAdmin, async (req, res) => {
+  try {
+    const { params, savedSearchId, targetUserId, folderPrefix } = req.body;
+
+    if (params !== undefined && (!params || typeof params !== 'object')) {
+      return res.status(400).json({ error: 'params must be an object of search parameters' });
+    }
+
+    const job = await restoreService.createJob(req.user.id, {
+      params, savedSearchId, targetUserId, folderPrefix
+    });
+
+    await logAuditAction(req.user.id, 'create_restore_job', 'restore_jobs', job.id, req.ip);
+
+    logger.info('Restore job queued', { id: job.id, totalCount: job.totalCount, admin: req.user.username });
+
+    res.status(201).json({ job });
+  } catch (error) {
+    if (error instanceof RestoreError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof SearchQueryError) {
+      return res.status(400).json({ error: 'Invalid search query', details: error.toJSON() });
+    }
+    logger.error('Failed to create restore job', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel a pending or running restore job
+router.post('/jobs/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const job = await restoreService.cancelJob(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Pending or running restore job not found' });
+    }
+
+    await logAuditAction(req.user.id, 'cancel_restore_job', 'restore_jobs', id, req.ip);
+
+    res.json({ job });
+  } catch (error) {
+    logger.error('Failed to cancel restore job', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper function to log audit actions
+async function logAuditAction(adminUserId, action, resource, resourceId, ipAddress) {
+  try {
+    await query(
+      'INSERT INTO audit_logs (admin_user_id, action, resource, resource_id, ip_address) VALUES (?, ?, ?, ?, ?)',
+      [adminUserId, action, resource, resourceId, ipAddress]
+    );
+  } catch (error) {
+    logger.error('Failed to log audit action', { error: error.message });
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require('express');
+const { query } = require('../services/database/databaseService');
+const { retentionService, RetentionPolicyError } = require('../services/retention/retentionService');
+const { legalHoldService, LegalHoldError } = require('../services/retention/legalHoldService');
+const { SearchQueryError } = require('../services/search/searchQueryParser');
+const { authenticateToken } = require('./auth');
+const winston = require('winston');
+
+const router = express.Router();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/retention.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Viewers can see policies and holds but not change them
+const requireAdmin = (req, res, next) => {
+  if (req.user.role === 'viewer') {
+    return res.status(403).json({ error: 'Viewers cannot change retention policies or legal holds' });
+  }
+  next();
+};
+
+// Get retention policies
+router.get('/policies', async (req, res) => {
+  try {
+    const policies = await retentionService.listPolicies();
+    res.json({ policies });
+  } catch (error) {
+    logger.error('Failed to get retention policies', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create retention policy
+router.post('/policies', requireAdmin, async (req, res) => {
+  try {
+    const { name, domainId, userId, retentionYears, folder, senderDomain, enabled } = req.body;
+
+    const policy = await retentionService.createPolicy(req.user.id, {
+      name, domainId, userId, retentionYears, folder, senderDomain, enabled
+    });
+
+    await logAuditAction(req.user.id, 'create_retention_policy', 'retention_policies', policy.id, req.ip);
+
+    res.status(201).json({ policy });
+  } catch (error) {
+    if (error instanceof RetentionPolicyError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Failed to create retention policy', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update retention policy
+router.put('/policies/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, domainId, userId, retentionYears, folder, senderDomain, enabled } = req.body;
+
+    const policy = await retentionService.updatePolicy(id, {
+      name, domainId, userId, retentionYears, folder, senderDomain, enabled
+    });
+
+    if (!policy) {
+      return res.status(404).json({ error: 'Retention policy not found' });
+    }
+
+    await logAuditAction(req.user.id, 'update_retention_policy', 'retention_policies', id, req.ip);
+
+    res.json({ policy });
+  } catch (error) {
+    if (error instanceof RetentionPolicyError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Failed to update retention policy', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete retention policy
+router.delete('/policies/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deleted = await retentionService.deletePolicy(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Retention policy not found' });
+    }
+
+    await logAuditAction(req.user.id, 'delete_retention_policy', 'retention_policies', id, req.ip);
+
+    res.json({ message: 'Retention policy deleted successfully' });
+  } catch (error) {
+    logger.error('Failed to delete retention policy', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get legal holds (active only unless include_released=true)
+router.get('/holds', async (req, res) => {
+  try {
+    const holds = await legalHoldService.listHolds({
+      includeReleased: req.query.include_released === 'true'
+    });
+    res.json({ holds });
+  } catch (error) {
+    logger.error('Failed to get legal holds', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Place a legal hold on a user, a search or an email
+router.post('/holds', requireAdmin, async (req, res) => {
+  try {
+    const { name, reason, holdType, userId, emailId, params, savedSearchId } = req.body;
+
+    if (params !== undefined && (!params || typeof params !== 'object')) {
+      return res.status(400).json({ error: 'params must be an object of search parameters' });
+    }
+
+    const hold = await legalHoldService.createHold(req.user.id, {
+      name, reason, holdType, userId, emailId, params, savedSearchId
+    });
+
+    await logAuditAction(req.user.id, 'create_legal_hold', 'legal_holds', hold.id, req.ip);
+
+    logger.info('Legal hold placed', { id: hold.id, holdType, admin: req.user.username });
+
+    res.status(201).json({ hold });
+  } catch (error) {
+    if (error instanceof LegalHoldError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof SearchQueryError) {
+      return res.status(400).json({ error: 'Invalid search query', details: error.toJSON() });
+    }
+    logger.error('Failed to create legal hold', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Release a legal hold
+router.post('/holds/:id/release', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const hold = await legalHoldService.releaseHold(id, req.user.id);
+    if (!hold) {
+      return res.status(404).json({ error: 'Active legal hold not found' });
+    }
+
+    await logAuditAction(req.user.id, 'release_legal_hold', 'legal_holds', id, req.ip);
+
+    logger.info('Legal hold released', { id, admin: req.user.username });
+
+    res.json({ hold });
+  } catch (error) {
+    logger.error('Failed to release legal hold', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get retention purge status
+router.get('/purge/status', async (req, res) => {
+  try {
+    res.json({ status: retentionService.getStatus() });
+  } catch (error) {
+    logger.error('Failed to get retention purge status', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Preview what a purge would delete now, per policy
+router.get('/purge/preview', async (req, res) => {
+  try {
+    const preview = await retentionService.preview();
+    res.json(preview);
+  } catch (error) {
+    logger.error('Failed to preview retention purge', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a retention purge
+router.post('/purge/run', requireAdmin, async (req, res) => {
+  try {
+    if (retentionService.getStatus().running) {
+      return res.status(409).json({ error: 'Retention purge is already running' });
+    }
+
+    // Run purge in background
+    retentionService.run({ triggerType: 'manual', adminUserId: req.user.id }).catch(error => {
+      logger.error('Retention purge failed in background', { error: error.message });
+    });
+
+    await logAuditAction(req.user.id, 'run_retention_purge', 'retention_policies', null, req.ip);
+
+    logger.info('Retention purge started', { admin: req.user.username });
+
+    res.json({
+      message: 'Retention purge started in background',
+      status: 'running'
+    });
+  } catch (error) {
+    logger.error('Failed to start retention purge', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper function to log audit actions
+async function logAuditAction(adminUserId, action, resource, resourceId, ipAddress) {
+  try {
+    await query(
+      'INSERT INTO audit_logs (admin_user_id, action, resource, resource_id, ip_address) VALUES (?, ?, ?, ?, ?)',
+      [adminUserId, action, resource, resourceId, ipAddress]
+    );
+  } catch (error) {
+    logger.error('Failed to log audit action', { error: error.message });
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const { query } = require('../services/database/databaseService');
+const { savedSearchService } = require('../services/search/savedSearchService');
+const { SearchQueryError } = require('../services/search/searchQueryParser');
+const { authenticateToken } = require('./auth');
+const winston = require('winston');
+
+const router = express.Router();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/saved-searches.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Get saved searches of the current admin
+router.get('/', async (req, res) => {
+  try {
+    const savedSearches = await savedSearchService.listSavedSearches(req.user.id);
+    res.json({ savedSearches });
+  } catch (error) {
+    logger.error('Failed to get saved searches', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get search alerts of the current admin
+router.get('/alerts', async (req, res) => {
+  try {
+    const alerts = await savedSearchService.listAlerts(req.user.id, {
+      unreadOnly: req.query.unread === 'true'
+    });
+    res.json({ alerts });
+  } catch (error) {
+    logger.error('Failed to get search alerts', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark search alerts as read (all, one alert, or all alerts of one saved search)
+router.post('/alerts/read', async (req, res) => {
+  try {
+    const { alertId, savedSearchId } = req.body || {};
+    await savedSearchService.markAlertsRead(req.user.id, { alertId, savedSearchId });
+    res.json({ message: 'Alerts marked as read' });
+  } catch (error) {
+    logger.error('Failed to mark search alerts as read', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create saved search
+router.post('/', async (req, res) => {
+  try {
+    const { name, params, alertEnabled = false } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    if (!params || typeof params !== 'object') {
+      return res.status(400).json({ error: 'params must be an object of search parameters' });
+    }
+
+    const savedSearch = await savedSearchService.createSavedSearch(req.user.id, {
+      name: name.trim(),
+      params,
+      alertEnabled: Boolean(alertEnabled)
+    });
+
+    await logAuditAction(req.user.id, 'create_saved_search', 'saved_searches', savedSearch.id, req.ip);
+
+    res.status(201).json({ savedSearch });
+  } catch (error) {
+    if (error instanceof SearchQueryError) {
+      return res.status(400).json({ error: 'Invalid search query', details: error.toJSON() });
+    }
+    logger.error('Failed to create saved search', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update saved search (name, params, alerts)
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, params, alertEnabled } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'name cannot be empty' });
+    }
+
+    if (params !== undefined && (!params || typeof params !== 'object')) {
+      return res.status(400).json({ error: 'params must be an object of search parameters' });
+    }
+
+    const savedSearch = await savedSearchService.updateSavedSearch(id, req.user.id, {
+      name: name !== undefined ? String(name).trim() : undefined,
+      params,
+      alertEnabled: alertEnabled !== undefined ? Boolean(alertEnabled) : undefined
+    });
+
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    await logAuditAction(req.user.id, 'update_saved_search', 'saved_searches', id, req.ip);
+
+    res.json({ savedSearch });
+  } catch (error) {
+    if (error instanceof SearchQueryError) {
+      return res.status(400).json({ error: 'Invalid search query', details: error.toJSON() });
+    }
+    logger.error('Failed to update saved search', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete saved search
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const savedSearch = await savedSearchService.deleteSavedSearch(id, req.user.id);
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    await logAuditAction(req.user.id, 'delete_saved_search', 'saved_searches', id, req.ip);
+
+    res.json({ message: 'Saved search deleted successfully' });
+  } catch (error) {
+    logger.error('Failed to delete saved search', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Audit logging helper
+async function logAuditAction(adminUserId, action, resource, resourceId, ipAddress) {
+  try {
+    await query(
+      'INSERT INTO audit_logs (admin_user_id, action, resource, resource_id, ip_address) VALUES (?, ?, ?, ?, ?)',
+      [adminUserId, action, resource, resourceId, ipAddress]
+    );
+  } catch (error) {
+    logger.error('Failed to log audit action', { error: error.message });
+  }
+}
+
+module.exports = router;
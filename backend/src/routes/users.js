@@ -1,6 +1,14 @@
 const express = require('express');
 const { query } = require('../services/database/databaseService');
 const { queueService } = require('../services/queue/queueService');
+const { attachmentStorageService } = require('../services/storage/attachmentStorageService');
+const { legalHoldService } = require('../services/retention/legalHoldService');
+const { imapSourceService, ImapSourceError } = require('../services/imap/imapSourceService');
+const { gmailApiService } = require('../services/gmail/gmailApiService');
+const { reconciliationService, ReconciliationError, ITEM_KINDS } = require('../services/reconciliation/reconciliationService');
+const { skippedMessageService, SkippedMessageError, SKIPPED_STATUSES } = require('../services/imap/skippedMessageService');
+const { fetchFailureService, FAILURE_STATUSES } = require('../services/imap/fetchFailureService');
+const { jobService } = require('../services/queue/jobService');
 const { authenticateToken } = require('./auth');
 const winston = require('winston');
 
@@ -59,7 +67,7 @@ router.get('/', async (req, res) => {
     // MySQL doesn't support parameterized LIMIT/OFFSET, so we use template literals for these values
     queryStr += ` LIMIT ${limitValue} OFFSET ${offsetValue}`;
 
-    const users = await query(queryStr, params);
+    const users = (await query(queryStr, params)).map(user => imapSourceService.redactRow(user));
 
     // Get total count
     let countQuery = 'SELECT COUNT(*) as total FROM users u';
@@ -69,6 +77,11 @@ router.get('/', async (req, res) => {
     const totalResult = await query(countQuery, params);
     const total = totalResult[0].total;
 
+    // Messages a backup could not archive, see skippedMessageService
+    const skippedCounts = await skippedMessageService.countByUser(users.map(user => user.id));
+    // Messages a backup failed to download and still has to retry, see fetchFailureService
+    const failureCounts = await fetchFailureService.countByUser(users.map(user => user.id));
+
     // Add connection data to each user
     const usersWithConnections = await Promise.all(
       users.map(async (user) => {
@@ -87,6 +100,8 @@ router.get('/', async (req, res) => {
 
             return {
               ...user,
+              skipped_messages: skippedCounts.get(Number(user.id)) || 0,
+              fetch_failures: failureCounts.get(Number(user.id)) || 0,
               connection: {
                 ...connection,
                 isRecent,
@@ -101,12 +116,16 @@ router.get('/', async (req, res) => {
 
           return {
             ...user,
+            skipped_messages: skippedCounts.get(Number(user.id)) || 0,
+            fetch_failures: failureCounts.get(Number(user.id)) || 0,
             connection: null,
           };
         } catch (error) {
           logger.warn('Failed to fetch connection for user', { userId: user.id, error: error.message });
           return {
             ...user,
+            skipped_messages: skippedCounts.get(Number(user.id)) || 0,
+            fetch_failures: failureCounts.get(Number(user.id)) || 0,
             connection: null,
           };
         }
@@ -156,7 +175,7 @@ router.get('/:id', async (req, res) => {
     );
 
     res.json({
-      user: users[0],
+      user: imapSourceService.redactRow(users[0]),
       connection: connections[0] || null,
     });
   } catch (error) {
@@ -248,6 +267,30 @@ router.patch('/:id/status', async (req, res) => {
   }
 });
 
+// Set the user's own login for a domain read from an IMAP server
+router.put('/:id/imap-credentials', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { username, password } = req.body;
+
+    const credentials = await imapSourceService.updateUserCredentials(id, { username, password });
+    if (!credentials) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Log audit
+    await logAuditAction(req.user.id, 'update_user_imap_credentials', 'users', id, req.ip);
+
+    res.json({ credentials });
+  } catch (error) {
+    if (error instanceof ImapSourceError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Failed to update user IMAP credentials', { userId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Start IMAP connection for user
 router.post('/:id/connect', async (req, res) => {
   try {
@@ -347,11 +390,12 @@ router.post('/:id/backup', async (req, res) => {
       });
     }
 
-    // Check if manual backup is already running for this user
-    const { scheduledBackupService } = require('../services/backup/scheduledBackup');
-    const status = scheduledBackupService.getStatus();
-
-    if (status.manualBackupRunning) {
+    // Queue the backup, unless one is already queued or running for this user
+    const { runManualBackup } = require('../services/backup/scheduledBackup');
+    let job;
+    try {
+      job = await runManualBackup(parseInt(id), req.user.id);
+    } catch (error) {
       logger.warn('Manual backup rejected - already running', {
         userId: id,
         email: users[0].email,
@@ -363,54 +407,21 @@ router.post('/:id/backup', async (req, res) => {
       });
     }
 
-    // Start manual backup asynchronously
-    logger.info('Starting async manual backup for user', {
+    logger.info('Manual backup queued for user', {
       userId: id,
       email: users[0].email,
+      jobId: job.id,
       admin: req.user.username
     });
 
-    // Run backup in background (don't await)
-    const { runManualBackup } = require('../services/backup/scheduledBackup');
-    runManualBackup(id).then(() => {
-      logger.info('Manual backup completed successfully in background', {
-        userId: id,
-        email: users[0].email,
-        admin: req.user.username
-      });
-    }).catch(async (error) => {
-      logger.error('Manual backup failed in background', {
-        userId: id,
-        email: users[0].email,
-        admin: req.user.username,
-        error: error.message
-      });
-
-      // If backup failed, disconnect IMAP connection to clean up
-      try {
-        const { imapService } = require('../services/imap/imapService');
-        await imapService.disconnect(id);
-        logger.info('IMAP connection cleaned up after backup failure', {
-          userId: id,
-          email: users[0].email
-        });
-      } catch (disconnectError) {
-        logger.warn('Failed to cleanup IMAP connection after backup failure', {
-          userId: id,
-          email: users[0].email,
-          error: disconnectError.message
-        });
-      }
-    });
-
     // Log audit
     await logAuditAction(req.user.id, 'manual_backup', 'users', id, req.ip);
 
-    // Return immediately with backup ID for status tracking
-    const backupId = `manual_${id}_${Date.now()}`;
+    // Return immediately with the job ID for status tracking
     res.json({
       message: 'Manual backup started successfully',
-      backupId: backupId,
+      backupId: job.id,
+      jobId: job.id,
       userId: id,
       email: users[0].email,
       status: 'running'
@@ -438,11 +449,10 @@ router.get('/:id/backup/status', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Get backup service status
+    // The latest backup job covering this user
     const { scheduledBackupService } = require('../services/backup/scheduledBackup');
-    const serviceStatus = scheduledBackupService.getStatus();
+    const job = await scheduledBackupService.getLatestUserJob(id);
 
-    // Get recent backup logs or connection status as proxy for backup progress
     const connections = await query(
       'SELECT * FROM imap_connections WHERE user_id = ? ORDER BY last_activity DESC LIMIT 1',
       [id]
@@ -452,58 +462,33 @@ router.get('/:id/backup/status', async (req, res) => {
     let message = 'No backup in progress';
     let progress = null;
 
-    if (serviceStatus.manualBackupRunning) {
+    if (job && (job.status === 'pending' || job.status === 'running')) {
       backupStatus = 'running';
-      message = 'Manual backup is currently running';
-
-      // Try to get more detailed status from connection
-      if (connections.length > 0) {
-        const connection = connections[0];
-        const lastActivity = new Date(connection.last_activity);
-        const timeSinceActivity = Date.now() - lastActivity.getTime();
-        const isRecent = timeSinceActivity < 5 * 60 * 1000; // 5 minutes
-
-        if (connection.status === 'connected' && isRecent) {
-          message = 'Backup in progress - IMAP connection active';
-          progress = 'Processing emails...';
-        } else if (connection.status === 'idle' && isRecent) {
-          message = 'Backup completed - connection idle';
-          progress = 'Backup finished';
-        } else if (connection.status === 'disconnected') {
-          // Check if it was recently disconnected (might indicate failure)
-          if (timeSinceActivity < 2 * 60 * 1000) { // 2 minutes ago
-            backupStatus = 'failed';
-            message = 'Backup failed - connection lost';
-            progress = 'Connection error occurred';
-          } else {
-            message = 'Backup may have encountered connection issues';
-            progress = 'Checking connection...';
-          }
-        }
+      if (job.status === 'pending') {
+        message = job.error
+          ? `Backup failed, retrying (attempt ${job.attempts + 1} of ${job.maxAttempts}): ${job.error}`
+          : 'Backup is queued';
+      } else {
+        message = 'Backup is currently running';
       }
-    } else {
-      // Check if backup recently completed or failed by looking at connection activity
-      if (connections.length > 0) {
-        const connection = connections[0];
-        const lastActivity = new Date(connection.last_activity);
-        const timeSinceActivity = Date.now() - lastActivity.getTime();
-        const recentlyActive = timeSinceActivity < 15 * 60 * 1000; // 15 minutes
-
-        if (recentlyActive) {
-          if (connection.status === 'idle') {
-            backupStatus = 'completed';
-            message = 'Backup completed successfully';
-            progress = 'All emails processed';
-          } else if (connection.status === 'disconnected') {
-            // If recently disconnected and no backup running, it might have failed
-            backupStatus = 'failed';
-            message = 'Backup failed - connection was lost';
-            progress = 'Backup terminated unexpectedly';
-          }
-        }
+      if ((job.progress?.current || []).includes(parseInt(id))) {
+        progress = 'Processing emails...';
       }
+    } else if (job && job.status === 'completed') {
+      backupStatus = 'completed';
+      message = 'Backup completed successfully';
+      progress = 'All emails processed';
+    } else if (job && job.status === 'failed') {
+      backupStatus = 'failed';
+      message = `Backup failed: ${job.error}`;
+    } else if (job && job.status === 'cancelled') {
+      message = 'Backup was cancelled';
     }
 
+    // Folders rescanned because the server reset their UIDVALIDITY
+    const { imapService } = require('../services/imap/imapService');
+    const folderResyncs = await imapService.getFolderResyncs(id);
+
     res.json({
       userId: id,
       email: users[0].email,
@@ -511,7 +496,9 @@ router.get('/:id/backup/status', async (req, res) => {
       message: message,
       progress: progress,
       lastActivity: connections[0]?.last_activity || null,
-      connectionStatus: connections[0]?.status || 'unknown'
+      connectionStatus: connections[0]?.status || 'unknown',
+      job,
+      folderResyncs
     });
 
   } catch (error) {
@@ -725,6 +712,247 @@ router.get('/:id/imap-status', async (req, res) => {
   }
 });
 
+// Get Gmail API sync state for user (domains with source type gmail_api)
+router.get('/:id/gmail-api/status', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const users = await query('SELECT id FROM users WHERE id = ?', [id]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const state = await gmailApiService.getSyncState(id);
+    res.json({
+      synced: Boolean(state?.history_id),
+      historyId: state?.history_id || null,
+      lastSyncMode: state?.last_sync_mode || null,
+      lastSyncAt: state?.last_sync_at || null,
+      lastFullSyncAt: state?.last_full_sync_at || null,
+      lastError: state?.last_error || null
+    });
+  } catch (error) {
+    logger.error('Failed to get Gmail API status', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to get Gmail API status' });
+  }
+});
+
+// Make the next Gmail API backup a full sync
+router.post('/:id/gmail-api/resync', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const users = await query('SELECT id FROM users WHERE id = ?', [id]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await gmailApiService.resetSyncState(id);
+
+    // Log audit
+    await logAuditAction(req.user.id, 'gmail_api_resync', 'users', id, req.ip);
+
+    res.json({ message: 'Next backup will run a full Gmail API sync' });
+  } catch (error) {
+    logger.error('Failed to reset Gmail API sync state', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to reset Gmail API sync state' });
+  }
+});
+
+// Get reconciliation report: latest completed (or given) run with its missing and deleted messages
+router.get('/:id/reconciliation', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { run_id, type, page = 1, limit = 100 } = req.query;
+
+    if (type && !ITEM_KINDS.includes(type)) {
+      return res.status(400).json({ error: `Invalid type. Must be one of: ${ITEM_KINDS.join(', ')}` });
+    }
+
+    const users = await query('SELECT id FROM users WHERE id = ?', [id]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const report = await reconciliationService.getReport(id, {
+      runId: run_id ? parseInt(run_id) : null,
+      kind: type || null,
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(1000, Math.max(1, parseInt(limit) || 100)),
+    });
+
+    if (run_id && !report.run) {
+      return res.status(404).json({ error: 'Reconciliation run not found' });
+    }
+
+    res.json(report);
+  } catch (error) {
+    logger.error('Failed to get reconciliation report', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to get reconciliation report' });
+  }
+});
+
+// List past reconciliation runs for user
+router.get('/:id/reconciliation/runs', async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    const runs = await reconciliationService.listRuns(req.params.id, Math.min(100, Math.max(1, parseInt(limit) || 20)));
+    res.json({ runs });
+  } catch (error) {
+    logger.error('Failed to get reconciliation runs', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to get reconciliation runs' });
+  }
+});
+
+// Compare the mailbox on the server with the archive, in background
+router.post('/:id/reconciliation', async (req, res) => {
+  try {
+    const run = await reconciliationService.startRun(req.params.id, req.user.id);
+    if (!run) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await logAuditAction(req.user.id, 'start_reconciliation', 'reconciliation_runs', run.id, req.ip);
+
+    res.status(202).json({ run });
+  } catch (error) {
+    if (error instanceof ReconciliationError) {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error('Failed to start reconciliation', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to start reconciliation' });
+  }
+});
+
+// Fetch the messages the latest reconciliation found missing, then reconcile again
+router.post('/:id/reconciliation/backfill', async (req, res) => {
+  try {
+    const run = await reconciliationService.startRun(req.params.id, req.user.id, { backfill: true });
+    if (!run) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await logAuditAction(req.user.id, 'backfill_missing', 'reconciliation_runs', run.id, req.ip);
+
+    res.status(202).json({ run });
+  } catch (error) {
+    if (error instanceof ReconciliationError) {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error('Failed to start backfill', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to start backfill' });
+  }
+});
+
+// List messages a backup could not archive (too large, or failing to download or store)
+router.get('/:id/skipped-messages', async (req, res) => {
+  try {
+    const { status = 'skipped', page = 1, limit = 100 } = req.query;
+
+    if (status !== 'all' && !SKIPPED_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${SKIPPED_STATUSES.join(', ')}, all` });
+    }
+
+    const users = await query('SELECT id FROM users WHERE id = ?', [req.params.id]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(await skippedMessageService.list(req.params.id, {
+      status: status === 'all' ? null : status,
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(1000, Math.max(1, parseInt(limit) || 100)),
+    }));
+  } catch (error) {
+    logger.error('Failed to get skipped messages', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to get skipped messages' });
+  }
+});
+
+// Download skipped messages again, all of them or the given ids, in background
+router.post('/:id/skipped-messages/retry', async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id)))) {
+      return res.status(400).json({ error: 'ids must be an array of skipped message ids' });
+    }
+
+    const job = await skippedMessageService.retry(req.params.id, { ids, adminUserId: req.user.id });
+    if (!job) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await logAuditAction(req.user.id, 'retry_skipped_messages', 'users', req.params.id, req.ip);
+
+    res.status(202).json({ jobId: job.id, count: job.payload.ids.length });
+  } catch (error) {
+    if (error instanceof SkippedMessageError) {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error('Failed to retry skipped messages', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to retry skipped messages' });
+  }
+});
+
+// List messages a backup failed to download, unresolved ones by default
+router.get('/:id/fetch-failures', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 100 } = req.query;
+
+    if (status !== undefined && status !== 'all' && !FAILURE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${FAILURE_STATUSES.join(', ')}, all` });
+    }
+
+    const users = await query('SELECT id FROM users WHERE id = ?', [req.params.id]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(await fetchFailureService.list(req.params.id, {
+      status: status || null,
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(1000, Math.max(1, parseInt(limit) || 100)),
+    }));
+  } catch (error) {
+    logger.error('Failed to get fetch failures', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to get fetch failures' });
+  }
+});
+
+// Retry failed message fetches, all of them or the given ids, with the user's next backup
+router.post('/:id/fetch-failures/retry', async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id)))) {
+      return res.status(400).json({ error: 'ids must be an array of fetch failure ids' });
+    }
+
+    const users = await query('SELECT id FROM users WHERE id = ?', [req.params.id]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const count = await fetchFailureService.requeue(req.params.id, ids);
+    if (count === 0) {
+      return res.status(409).json({ error: 'No failed message fetches to retry' });
+    }
+
+    // A backup already queued or running retries them when it reaches their folders
+    const { scheduledBackupService } = require('../services/backup/scheduledBackup');
+    let job = await jobService.findActive('backup', { userId: parseInt(req.params.id) });
+    if (!job) {
+      job = await scheduledBackupService.manualBackup(req.params.id, req.user.id);
+    }
+
+    await logAuditAction(req.user.id, 'retry_fetch_failures', 'users', req.params.id, req.ip);
+
+    res.status(202).json({ jobId: job.id, count });
+  } catch (error) {
+    logger.error('Failed to retry fetch failures', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to retry fetch failures' });
+  }
+});
+
 // Get user's email statistics
 router.get('/:id/stats', async (req, res) => {
   try {
@@ -741,10 +969,13 @@ router.get('/:id/stats', async (req, res) => {
         SUM(size) as total_size,
         COUNT(CASE WHEN date >= ? THEN 1 END) as recent_emails,
         MAX(date) as last_email_date,
-        MIN(date) as first_email_date
+        MIN(date) as first_email_date,
+        COUNT(deleted_on_server_at) as deleted_on_server,
+        COUNT(CASE WHEN deleted_on_server_at >= ? THEN 1 END) as recent_deleted_on_server,
+        MAX(deleted_on_server_at) as last_deleted_on_server_at
       FROM emails
       WHERE user_id = ?
-    `, [startDate, id]);
+    `, [startDate, startDate, id]);
 
     // Get daily email counts
     const dailyStats = await query(`
@@ -759,9 +990,22 @@ router.get('/:id/stats', async (req, res) => {
       LIMIT 30
     `, [id, startDate]);
 
+    // Archived emails the user deleted from their mailbox, by day they were found deleted
+    const dailyDeletions = await query(`
+      SELECT
+        DATE(deleted_on_server_at) as date,
+        COUNT(*) as count
+      FROM emails
+      WHERE user_id = ? AND deleted_on_server_at >= ?
+      GROUP BY DATE(deleted_on_server_at)
+      ORDER BY date DESC
+      LIMIT 30
+    `, [id, startDate]);
+
     res.json({
       stats: stats[0],
       daily: dailyStats,
+      deletions: dailyDeletions,
     });
   } catch (error) {
     logger.error('Failed to get user stats', { id: req.params.id, error: error.message });
@@ -780,6 +1024,14 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    const holds = await legalHoldService.getHoldsForUser(id);
+    if (holds.length > 0) {
+      return res.status(409).json({
+        error: 'User has emails under legal hold',
+        holds: holds.map(hold => ({ id: hold.id, name: hold.name }))
+      });
+    }
+
     try {
       // Skip IMAP disconnect for now to avoid timeout issues
       // TODO: Implement proper IMAP disconnect before deletion
@@ -798,8 +1050,9 @@ router.delete('/:id', async (req, res) => {
       });
 
       // Delete step by step with logging
-      await query('DELETE FROM attachments WHERE email_id IN (SELECT id FROM emails WHERE user_id = ?)', [id]);
-      logger.debug('Deleted attachments', { userId: id });
+      // Blobs shared with other users' emails are kept until their last reference goes
+      await attachmentStorageService.releaseUserAttachments(id);
+      logger.debug('Released attachments', { userId: id });
 
       await query('DELETE FROM emails WHERE user_id = ?', [id]);
       logger.debug('Deleted emails', { userId: id });
@@ -845,24 +1098,7 @@ async function logAuditAction(adminUserId, action, resource, resourceId, ipAddre
   }
 }
 
-// Bulk IMAP operations (for concurrency control)
-router.post('/bulk-imap/start', async (req, res) => {
-  try {
-    const { scheduledBackupService } = require('../services/backup/scheduledBackup');
-    await scheduledBackupService.startBulkImap();
-
-    logger.info('Bulk IMAP operation started via API', { admin: req.user.username });
-    res.json({ message: 'Bulk IMAP operation started successfully' });
-  } catch (error) {
-    logger.error('Failed to start bulk IMAP operation', {
-      error: error.message,
-      admin: req.user.username
-    });
-    res.status(409).json({ error: error.message });
-  }
-});
-
-// Start direct bulk IMAP processing for selected users (bypassing queue service)
+// Queue one backup job for the selected users
 router.post('/bulk-imap/direct', async (req, res) => {
   try {
     const { userIds } = req.body;
@@ -873,68 +1109,46 @@ router.post('/bulk-imap/direct', async (req, res) => {
 
     const { scheduledBackupService } = require('../services/backup/scheduledBackup');
 
-    // Check if bulk IMAP operation is already running
-    const status = scheduledBackupService.getStatus();
+    // Check if a bulk backup is already queued or running
+    const status = await scheduledBackupService.getStatus();
     if (status.bulkImapRunning) {
-      logger.warn('Direct bulk IMAP rejected - bulk operation already running', {
+      logger.warn('Bulk IMAP rejected - bulk operation already running', {
         admin: req.user.username,
         userCount: userIds.length
       });
       return res.status(409).json({ error: 'Bulk IMAP operation already running' });
     }
 
-    // Start bulk IMAP operation to set locks
-    await scheduledBackupService.startBulkImap();
+    const job = await scheduledBackupService.startBulkBackup(userIds, req.user.id);
 
-    logger.info('Starting direct bulk IMAP processing via API (bypassing queue service)', {
+    logger.info('Bulk IMAP backup queued via API', {
       admin: req.user.username,
       userCount: userIds.length,
-      userIds: userIds
-    });
-
-    // Perform direct bulk processing (bypassing queue service)
-    await scheduledBackupService.performDirectBulkImapProcessing(userIds);
-
-    logger.info('Direct bulk IMAP processing completed successfully', {
-      admin: req.user.username,
-      userCount: userIds.length
+      jobId: job.id
     });
 
-    // Release bulk IMAP locks
-    await scheduledBackupService.endBulkImap();
-
-    res.json({
-      message: 'Direct bulk IMAP processing completed successfully',
-      userCount: userIds.length
+    res.status(202).json({
+      message: 'Bulk IMAP backup queued',
+      userCount: userIds.length,
+      jobId: job.id
     });
   } catch (error) {
-    logger.error('Failed to perform direct bulk IMAP processing', {
+    logger.error('Failed to queue bulk IMAP backup', {
       error: error.message,
-      admin: req.user.username,
-      stack: error.stack?.substring(0, 500)
+      admin: req.user.username
     });
-
-    // Try to release locks even on error
-    try {
-      const { scheduledBackupService } = require('../services/backup/scheduledBackup');
-      await scheduledBackupService.endBulkImap();
-    } catch (endError) {
-      logger.error('Failed to release bulk IMAP locks after error', {
-        error: endError.message
-      });
-    }
-
-    res.status(500).json({ error: 'Failed to perform direct bulk IMAP processing' });
+    res.status(500).json({ error: 'Failed to queue bulk IMAP backup' });
   }
 });
 
+// Cancel queued and running bulk backups
 router.post('/bulk-imap/end', async (req, res) => {
   try {
     const { scheduledBackupService } = require('../services/backup/scheduledBackup');
-    await scheduledBackupService.endBulkImap();
+    const cancelled = await scheduledBackupService.cancelBackups('bulk');
 
-    logger.info('Bulk IMAP operation ended via API', { admin: req.user.username });
-    res.json({ message: 'Bulk IMAP operation ended successfully' });
+    logger.info('Bulk IMAP operation ended via API', { admin: req.user.username, cancelled });
+    res.json({ message: 'Bulk IMAP operation ended successfully', cancelled });
   } catch (error) {
     logger.error('Failed to end bulk IMAP operation', {
       error: error.message,
@@ -948,10 +1162,10 @@ router.post('/bulk-imap/end', async (req, res) => {
 router.post('/backup/stop', async (req, res) => {
   try {
     const { scheduledBackupService } = require('../services/backup/scheduledBackup');
-    await scheduledBackupService.stopManualBackup();
+    const cancelled = await scheduledBackupService.cancelBackups('manual');
 
-    logger.info('Manual backup operation stopped via API', { admin: req.user.username });
-    res.json({ message: 'Manual backup operation stopped successfully' });
+    logger.info('Manual backup operation stopped via API', { admin: req.user.username, cancelled });
+    res.json({ message: 'Manual backup operation stopped successfully', cancelled });
   } catch (error) {
     logger.error('Failed to stop manual backup operation', {
       error: error.message,
@@ -965,7 +1179,7 @@ router.post('/backup/stop', async (req, res) => {
 router.get('/backup/status', async (req, res) => {
   try {
     const { getScheduledBackupStatus } = require('../services/backup/scheduledBackup');
-    const status = getScheduledBackupStatus();
+    const status = await getScheduledBackupStatus();
 
     res.json({ status });
   } catch (error) {
@@ -0,0 +1,64 @@
+jest.mock('../../database/databaseService', () => ({ query: jest.fn() }));
+jest.mock('../../imap/imapService', () => ({ imapService: { connections: new Map() } }));
+jest.mock('../../search/savedSearchService', () => ({ savedSearchService: { checkAlerts: jest.fn() } }));
+jest.mock('../../queue/jobService', () => ({
+  ACTIVE_STATUSES: ['pending', 'running'],
+  jobService: { registerHandler: jest.fn(), enqueue: jest.fn(), findActive: jest.fn() },
+}));
+
+const { query } = require('../../database/databaseService');
+const { QuotaExhaustedError } = require('../../imap/rateLimitService');
+const { progressService } = require('../../progress/progressService');
+const { scheduledBackupService } = require('../scheduledBackup');
+
+const USERS = [{ id: 1, email: 'alice@example.com' }, { id: 2, email: 'bob@example.com' }];
+
+describe('ScheduledBackupService.runBackupJob()', () => {
+  let saved;
+  let context;
+
+  beforeEach(() => {
+    query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT id, email FROM users')) return USERS;
+      if (sql.startsWith('SELECT status FROM users')) return [{ status: 'active' }];
+      return [];
+    });
+    saved = [];
+    context = {
+      isCancelled: () => false,
+      isLastAttempt: () => false,
+      saveProgress: jest.fn(async (progress) => saved.push(JSON.parse(JSON.stringify(progress)))),
+    };
+    jest.spyOn(progressService, 'finishBackup');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('defers a user out of daily quota without failing the job', async () => {
+    const retryAt = new Date(Date.now() + 60 * 60 * 1000);
+    jest.spyOn(scheduledBackupService, 'backupUserMailbox').mockImplementation(async (userId) => {
+      if (userId === 2) throw new QuotaExhaustedError('Daily download quota of 2500 MB used up', retryAt);
+    });
+
+    const result = await scheduledBackupService.runBackupJob({ id: 9, payload: { trigger: 'scheduled' } }, context);
+
+    expect(result).toEqual({ users: 2, done: 1, deferred: 1 });
+    expect(saved[saved.length - 1]).toMatchObject({ done: [1], failed: [], deferred: [2] });
+    expect(progressService.finishBackup).toHaveBeenCalledWith(2, expect.objectContaining({ status: 'deferred' }));
+    expect(progressService.finishBackup).not.toHaveBeenCalledWith(2, expect.objectContaining({ status: 'failed' }));
+  });
+
+  test('still fails the job, for a retry, when a backup failed', async () => {
+    jest.spyOn(scheduledBackupService, 'backupUserMailbox').mockImplementation(async (userId) => {
+      if (userId === 2) throw new Error('Mailbox not found');
+    });
+
+    await expect(scheduledBackupService.runBackupJob({ id: 9, payload: { trigger: 'scheduled' } }, context))
+      .rejects.toThrow('Backup failed for 1 of 2 users');
+    expect(saved[saved.length - 1]).toMatchObject({ done: [1], failed: [2], deferred: [] });
+    expect(progressService.finishBackup).toHaveBeenCalledWith(2, expect.objectContaining({ status: 'failed' }));
+  });
+});
@@ -0,0 +1,209 @@
+const winston = require('winston');
+const { rateLimitService, QuotaExhaustedError } = require('../imap/rateLimitService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/scheduled-backup.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+// Concurrency goes back up one step per interval without throttling
+const RECOVERY_MS = 5 * 60 * 1000;
+// A user whose backup was throttled is put back at the end of the queue this many times
+const MAX_REQUEUES = 3;
+// How often the scheduler looks again while every domain is paused
+const IDLE_CHECK_MS = 1000;
+
+/**
+ * Backs up several mailboxes at once.
+ *
+ * Up to MAX_CONCURRENT_USERS users run in parallel, no more per domain than
+ * it has connections (see rateLimitService), and none from a domain paused
+ * for throttling. Each throttle halves the concurrency; it grows back by one
+ * every few minutes without throttling.
+ */
+class BackupWorkerPool {
+  constructor() {
+    this.maxConcurrency = 1;
+    this.limit = 1;
+    this.workers = new Map(); // slot -> { userId, userEmail, domain, startedAt, startBytes }
+    this.queued = 0;
+    this.running = false;
+    this.lastThrottleAt = null;
+    this.lastIncreaseAt = 0;
+
+    rateLimitService.on('throttled', ({ domain }) => this.onThrottled(domain));
+  }
+
+  getMaxConcurrency() {
+    return Math.max(1, parseInt(process.env.MAX_CONCURRENT_USERS || '4'));
+  }
+
+  onThrottled(domain) {
+    if (!this.running) return;
+
+    this.lastThrottleAt = Date.now();
+    const previous = this.limit;
+    this.limit = Math.max(1, Math.floor(this.limit / 2));
+    if (this.limit !== previous) {
+      logger.warn('Backup concurrency lowered after throttling', { domain, from: previous, to: this.limit });
+    }
+  }
+
+  maybeIncrease() {
+    const since = Math.max(this.lastThrottleAt || 0, this.lastIncreaseAt);
+    if (this.limit < this.maxConcurrency && Date.now() - since > RECOVERY_MS) {
+      this.limit++;
+      this.lastIncreaseAt = Date.now();
+      logger.info('Backup concurrency raised', { to: this.limit, max: this.maxConcurrency });
+    }
+  }
+
+  countDomainWorkers(domain) {
+    let count = 0;
+    for (const worker of this.workers.values()) {
+      if (worker.domain === domain) count++;
+    }
+    return count;
+  }
+
+  canStart(user) {
+    const domain = rateLimitService.getDomain(user.email);
+    return rateLimitService.getPauseRemaining(domain) === 0 &&
+      this.countDomainWorkers(domain) < rateLimitService.getDomainConnectionLimit(domain);
+  }
+
+  freeSlot() {
+    let slot = 1;
+    while (this.workers.has(slot)) slot++;
+    return slot;
+  }
+
+  /**
+   * Run `backupUser(user)` for every `{ id, email }` user.
+   *
+   * @param {Function} backupUser - Async, throws when the backup failed
+   * @param {Object} [options]
+   * @param {Function} [options.isCancelled] - No new user starts once it returns true
+   * @returns {Promise<{completed: Object[], failed: Array<{user: Object, error: Error}>,
+   *   deferred: Array<{user: Object, error: QuotaExhaustedError}>}>} `deferred`: users
+   *   stopped because their daily quota is used up, for the next run to resume
+   */
+  async run(users, backupUser, { isCancelled = () => false } = {}) {
+    if (this.running) {
+      throw new Error('Backup worker pool is already running');
+    }
+
+    this.running = true;
+    this.maxConcurrency = this.getMaxConcurrency();
+    this.limit = this.maxConcurrency;
+    this.lastThrottleAt = null;
+
+    const queue = users.map(user => ({ user, requeues: 0 }));
+    const active = new Set();
+    const completed = [];
+    const failed = [];
+    const deferred = [];
+
+    logger.info('Backup worker pool started', { users: users.length, concurrency: this.limit });
+
+    const startWorker = (entry) => {
+      const slot = this.freeSlot();
+      const { user } = entry;
+      this.workers.set(slot, {
+        userId: user.id,
+        userEmail: user.email,
+        domain: rateLimitService.getDomain(user.email),
+        startedAt: new Date().toISOString(),
+        startBytes: rateLimitService.getBytes(user.email),
+      });
+
+      const task = (async () => {
+        try {
+          await backupUser(user);
+          completed.push(user);
+          this.maybeIncrease();
+        } catch (error) {
+          if (error instanceof QuotaExhaustedError) {
+            deferred.push({ user, error });
+          } else if (rateLimitService.reportError(user.email, error) && entry.requeues < MAX_REQUEUES) {
+            entry.requeues++;
+            queue.push(entry);
+            logger.warn('User backup throttled, queued again', { userId: user.id, requeues: entry.requeues });
+          } else {
+            failed.push({ user, error });
+          }
+        } finally {
+          this.workers.delete(slot);
+          active.delete(task);
+        }
+      })();
+      active.add(task);
+    };
+
+    try {
+      while (queue.length > 0 || active.size > 0) {
+        if (isCancelled()) {
+          queue.length = 0;
+        }
+
+        while (active.size < this.limit && queue.length > 0) {
+          const index = queue.findIndex(entry => this.canStart(entry.user));
+          if (index === -1) break;
+          startWorker(queue.splice(index, 1)[0]);
+        }
+        this.queued = queue.length;
+
+        if (queue.length === 0 && active.size === 0) break;
+
+        // Wake up when a worker finishes, or to look at paused domains again
+        await Promise.race([
+          ...active,
+          new Promise(resolve => setTimeout(resolve, IDLE_CHECK_MS)),
+        ]);
+      }
+    } finally {
+      this.running = false;
+      this.queued = 0;
+    }
+
+    logger.info('Backup worker pool finished', { completed: completed.length, failed: failed.length, deferred: deferred.length });
+    return { completed, failed, deferred };
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      concurrency: this.limit,
+      maxConcurrency: this.running ? this.maxConcurrency : this.getMaxConcurrency(),
+      queued: this.queued,
+      lastThrottleAt: this.lastThrottleAt ? new Date(this.lastThrottleAt).toISOString() : null,
+      workers: [...this.workers.entries()].map(([slot, worker]) => {
+        const waiting = rateLimitService.getWaiting(worker.userEmail);
+        return {
+          slot,
+          userId: worker.userId,
+          userEmail: worker.userEmail,
+          domain: worker.domain,
+          state: waiting ? `waiting_${waiting.reason}` : 'backing_up',
+          waitingUntil: waiting ? waiting.until : null,
+          startedAt: worker.startedAt,
+          bytesDownloaded: rateLimitService.getBytes(worker.userEmail) - worker.startBytes,
+        };
+      }),
+    };
+  }
+}
+
+const backupWorkerPool = new BackupWorkerPool();
+
+module.exports = {
+  BackupWorkerPool,
+  backupWorkerPool,
+};
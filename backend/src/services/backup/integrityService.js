@@ -0,0 +1,414 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+const { backupFileService } = require('../storage/backupFileService');
+const { storageService } = require('../storage/storageService');
+const { jobService } = require('../queue/jobService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/integrity.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+const BATCH_SIZE = 200;
+// Weekly, Sunday 03:00; set INTEGRITY_CHECK_SCHEDULE=off to disable
+const DEFAULT_SCHEDULE = '0 3 * * 0';
+// Issues stored per run; counts keep going past it
+const MAX_ISSUES_PER_RUN = parseInt(process.env.INTEGRITY_MAX_ISSUES || '10000');
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Fixity audit of the archive.
+ *
+ * Every EML file and attachment blob is read back, decoded and hashed, and the
+ * SHA-256 compared with the one recorded at ingest (emails.content_hash,
+ * attachment_blobs.content_hash). Emails archived before hashes were recorded
+ * get their hash on the first run. Finally the storage backends are listed to
+ * find orphaned files that no row refers to.
+ *
+ * Each run is stored in integrity_runs with its problems in integrity_issues.
+ */
+class IntegrityService {
+  constructor() {
+    this.cronJob = null;
+    this.status = {
+      running: false,
+      runId: null,
+      phase: null,
+      emailsChecked: 0,
+      blobsChecked: 0,
+      filesScanned: 0,
+      hashesRecorded: 0,
+      missing: 0,
+      mismatched: 0,
+      orphaned: 0,
+      errors: 0,
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+    };
+
+    // Run again once, e.g. when a restart cut the run short
+    jobService.registerHandler('verification', job => this.run(job.payload), { maxAttempts: 2 });
+  }
+
+  /**
+   * Queue a verification run.
+   *
+   * @returns {Promise<Object|null>} The job, or null when a run is already queued or running
+   */
+  async start({ triggerType = 'manual', adminUserId = null } = {}) {
+    if (await jobService.findActive('verification')) {
+      return null;
+    }
+
+    return jobService.enqueue('verification', { triggerType, adminUserId }, {
+      lockKey: 'verification',
+      createdBy: adminUserId,
+    });
+  }
+
+  startSchedule() {
+    const schedule = process.env.INTEGRITY_CHECK_SCHEDULE || DEFAULT_SCHEDULE;
+    if (schedule === 'off') {
+      logger.info('Scheduled integrity check disabled');
+      return;
+    }
+    if (!cron.validate(schedule)) {
+      logger.error('Invalid INTEGRITY_CHECK_SCHEDULE, scheduled integrity check disabled', { schedule });
+      return;
+    }
+
+    this.cronJob = cron.schedule(schedule, async () => {
+      try {
+        if (!await this.start({ triggerType: 'scheduled' })) {
+          logger.info('Skipping scheduled integrity check, a check is already running');
+        }
+      } catch (error) {
+        logger.error('Failed to queue scheduled integrity check', { error: error.message });
+      }
+    });
+
+    logger.info('Scheduled integrity check started', { schedule });
+  }
+
+  stopSchedule() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+    }
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.triggerType] - 'manual' or 'scheduled'
+   * @param {number} [options.adminUserId] - Admin who started a manual run
+   */
+  async run({ triggerType = 'manual', adminUserId = null, batchSize = BATCH_SIZE } = {}) {
+    if (this.status.running) {
+      throw new Error('Integrity check is already running');
+    }
+
+    const startedAt = new Date();
+    this.status = {
+      running: true,
+      runId: null,
+      phase: 'starting',
+      emailsChecked: 0,
+      blobsChecked: 0,
+      filesScanned: 0,
+      hashesRecorded: 0,
+      missing: 0,
+      mismatched: 0,
+      orphaned: 0,
+      errors: 0,
+      startedAt: startedAt.toISOString(),
+      finishedAt: null,
+      error: null,
+    };
+
+    const status = this.status;
+    this.issuesStored = 0;
+
+    try {
+      // Verification jobs run one at a time, so a run still marked running was cut short
+      if (jobService.countRunning('verification') > 0) {
+        await query(
+          "UPDATE integrity_runs SET status = 'failed', error = ?, finished_at = NOW() WHERE status = 'running'",
+          ['Interrupted by a restart']
+        );
+      }
+
+      const result = await query(
+        'INSERT INTO integrity_runs (trigger_type, status, started_by, started_at) VALUES (?, ?, ?, NOW())',
+        [triggerType, 'running', adminUserId]
+      );
+      const header = Array.isArray(result) ? result[0] : result;
+      status.runId = header.insertId || header.lastID;
+
+      logger.info('Integrity check started', { runId: status.runId, triggerType });
+
+      status.phase = 'emails';
+      await this.verifyEmails(parseInt(batchSize));
+
+      status.phase = 'attachments';
+      await this.verifyBlobs(parseInt(batchSize));
+
+      status.phase = 'orphans';
+      await this.scanOrphans(startedAt);
+
+      await this.finishRun('completed');
+      logger.info('Integrity check completed', { ...status });
+    } catch (error) {
+      status.error = error.message;
+      logger.error('Integrity check failed', { runId: status.runId, error: error.message });
+      if (status.runId) {
+        await this.finishRun('failed').catch(() => {});
+      }
+      throw error;
+    } finally {
+      status.running = false;
+      status.phase = null;
+      status.finishedAt = new Date().toISOString();
+    }
+
+    return { ...status };
+  }
+
+  async verifyEmails(batchSize) {
+    const status = this.status;
+
+    // Keyset pagination, since rows with recorded hashes are updated while we go
+    let lastEmailId = 0;
+    while (true) {
+      const emails = await query(
+        `SELECT id, eml_path, compression, content_hash FROM emails
+         WHERE eml_path IS NOT NULL AND id > ?
+         ORDER BY id LIMIT ${batchSize}`,
+        [lastEmailId]
+      );
+      if (emails.length === 0) break;
+
+      for (const email of emails) {
+        lastEmailId = email.id;
+        const actualHash = await this.hashFile('email', email.id, email.eml_path, email.compression, email.content_hash);
+
+        if (actualHash && !email.content_hash) {
+          // First verification of an email archived before hashes were recorded
+          await query('UPDATE emails SET content_hash = ? WHERE id = ? AND content_hash IS NULL', [actualHash, email.id]);
+          status.hashesRecorded++;
+        }
+        status.emailsChecked++;
+      }
+
+      logger.info(`Integrity check progress: ${status.emailsChecked} emails`, { runId: status.runId });
+    }
+  }
+
+  async verifyBlobs(batchSize) {
+    const status = this.status;
+
+    let lastContentHash = '';
+    while (true) {
+      const blobs = await query(
+        `SELECT content_hash, file_path, compression FROM attachment_blobs
+         WHERE file_path IS NOT NULL AND content_hash > ?
+         ORDER BY content_hash LIMIT ${batchSize}`,
+        [lastContentHash]
+      );
+      if (blobs.length === 0) break;
+
+      for (const blob of blobs) {
+        lastContentHash = blob.content_hash;
+        await this.hashFile('attachment_blob', blob.content_hash, blob.file_path, blob.compression, blob.content_hash);
+        status.blobsChecked++;
+      }
+
+      logger.info(`Integrity check progress: ${status.blobsChecked} attachment blobs`, { runId: status.runId });
+    }
+  }
+
+  /**
+   * Read, decode and hash one stored file, recording any problem.
+   *
+   * @returns {Promise<string|null>} The SHA-256, or null if the file could not be verified
+   */
+  async hashFile(resource, resourceId, uri, compression, expectedHash) {
+    let stored;
+    try {
+      stored = await backupFileService.readStored(uri);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        await this.recordIssue('missing', { resource, resourceId, uri, expectedHash });
+      } else {
+        await this.recordIssue('error', { resource, resourceId, uri, expectedHash, details: error.message });
+      }
+      return null;
+    }
+
+    let actualHash;
+    try {
+      actualHash = sha256(await backupFileService.decode(stored, { compression }));
+    } catch (error) {
+      // Failed authentication tag or corrupt compressed data: the stored bytes were altered
+      await this.recordIssue('mismatch', { resource, resourceId, uri, expectedHash, details: error.message });
+      return null;
+    }
+
+    if (expectedHash && actualHash !== expectedHash) {
+      await this.recordIssue('mismatch', { resource, resourceId, uri, expectedHash, actualHash });
+      return null;
+    }
+    return actualHash;
+  }
+
+  /**
+   * List the local backup directory and the configured backend for files no
+   * row refers to. Files written after the run started are skipped, since
+   * the row of a message being archived is inserted after its file.
+   */
+  async scanOrphans(startedAt) {
+    const status = this.status;
+    const backends = [storageService.getBackend('local')];
+    if (storageService.getDefaultBackendName() !== 'local') {
+      backends.push(storageService.getBackend());
+    }
+
+    for (const backend of backends) {
+      for await (const entry of backend.list()) {
+        // Temp files of writes in progress
+        if (entry.key.endsWith('.tmp') || entry.lastModified >= startedAt) continue;
+
+        status.filesScanned++;
+        const uri = backend.getUri(entry.key);
+        if (!(await this.isReferenced(uri))) {
+          await this.recordIssue('orphan', { resource: 'file', uri, details: `${entry.size} bytes` });
+        }
+
+        if (status.filesScanned % 10000 === 0) {
+          logger.info(`Integrity check progress: ${status.filesScanned} files scanned`, { runId: status.runId });
+        }
+      }
+    }
+  }
+
+  async isReferenced(uri) {
+    const aliases = storageService.getUriAliases(uri);
+    const placeholders = aliases.map(() => '?').join(', ');
+
+    for (const sql of [
+      `SELECT id FROM emails WHERE eml_path IN (${placeholders}) LIMIT 1`,
+      `SELECT content_hash FROM attachment_blobs WHERE file_path IN (${placeholders}) LIMIT 1`,
+      `SELECT id FROM attachments WHERE file_path IN (${placeholders}) LIMIT 1`,
+    ]) {
+      const rows = await query(sql, aliases);
+      if (rows.length > 0) return true;
+    }
+    return false;
+  }
+
+  async recordIssue(issueType, { resource = null, resourceId = null, uri = null, expectedHash = null, actualHash = null, details = null }) {
+    const status = this.status;
+    const counters = { missing: 'missing', mismatch: 'mismatched', orphan: 'orphaned', error: 'errors' };
+    status[counters[issueType]]++;
+
+    if (issueType !== 'orphan') {
+      logger.warn('Integrity issue found', { runId: status.runId, issueType, resource, resourceId, uri });
+    }
+
+    if (this.issuesStored >= MAX_ISSUES_PER_RUN) return;
+    this.issuesStored++;
+
+    await query(
+      `INSERT INTO integrity_issues (run_id, issue_type, resource, resource_id, uri, expected_hash, actual_hash, details, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [status.runId, issueType, resource, resourceId !== null ? String(resourceId) : null, uri, expectedHash, actualHash, details]
+    );
+  }
+
+  async finishRun(runStatus) {
+    const status = this.status;
+    await query(
+      `UPDATE integrity_runs SET status = ?, emails_checked = ?, blobs_checked = ?, files_scanned = ?,
+         hashes_recorded = ?, missing_count = ?, mismatch_count = ?, orphan_count = ?, error_count = ?,
+         error = ?, finished_at = NOW()
+       WHERE id = ?`,
+      [
+        runStatus, status.emailsChecked, status.blobsChecked, status.filesScanned,
+        status.hashesRecorded, status.missing, status.mismatched, status.orphaned, status.errors,
+        status.error, status.runId
+      ]
+    );
+  }
+
+  getStatus() {
+    return { ...this.status };
+  }
+
+  async getRuns(limit = 20) {
+    return query(`SELECT * FROM integrity_runs ORDER BY id DESC LIMIT ${parseInt(limit)}`);
+  }
+
+  /**
+   * Report of one run (the latest by default) with a page of its issues.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.runId]
+   * @param {string} [options.issueType] - missing, mismatch, orphan or error
+   */
+  async getReport({ runId = null, issueType = null, page = 1, limit = 100 } = {}) {
+    const runs = runId
+      ? await query('SELECT * FROM integrity_runs WHERE id = ?', [runId])
+      : await query('SELECT * FROM integrity_runs ORDER BY id DESC LIMIT 1');
+
+    if (runs.length === 0) {
+      return { run: null, issues: [], pagination: { page: 1, limit, total: 0, pages: 0 } };
+    }
+
+    const run = runs[0];
+    let whereClause = 'WHERE run_id = ?';
+    const params = [run.id];
+    if (issueType) {
+      whereClause += ' AND issue_type = ?';
+      params.push(issueType);
+    }
+
+    const limitValue = parseInt(limit);
+    const offsetValue = (parseInt(page) - 1) * limitValue;
+    const issues = await query(
+      `SELECT * FROM integrity_issues ${whereClause} ORDER BY id LIMIT ${limitValue} OFFSET ${offsetValue}`,
+      params
+    );
+    const [count] = await query(`SELECT COUNT(*) as total FROM integrity_issues ${whereClause}`, params);
+    const total = Number(count.total);
+
+    return {
+      run,
+      issues,
+      pagination: {
+        page: parseInt(page),
+        limit: limitValue,
+        total,
+        pages: Math.ceil(total / limitValue),
+      },
+    };
+  }
+}
+
+const integrityService = new IntegrityService();
+
+module.exports = {
+  IntegrityService,
+  integrityService,
+};
@@ -2,6 +2,11 @@ const cron = require('node-cron');
 const winston = require('winston');
 const { query } = require('../database/databaseService');
 const { imapService } = require('../imap/imapService');
+const { savedSearchService } = require('../search/savedSearchService');
+const { jobService, ACTIVE_STATUSES } = require('../queue/jobService');
+const { backupWorkerPool } = require('./backupWorkerPool');
+const { rateLimitService, QuotaExhaustedError } = require('../imap/rateLimitService');
+const { progressService } = require('../progress/progressService');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -15,19 +20,35 @@ const logger = winston.createLogger({
   ],
 });
 
+// Scheduled runs, then manual and bulk backups which go first
+const TRIGGERS = ['scheduled', 'manual', 'bulk'];
+
+/**
+ * Mailbox backups, run as `backup` jobs (see jobService).
+ *
+ * A job backs up a list of users, or every active user for scheduled runs.
+ * All backup jobs share the `backup` lock, so one runs at a time: manual and
+ * bulk backups queued during a scheduled run start after it, ahead of the
+ * next scheduled one. Within a job, users are backed up in parallel by the
+ * backup worker pool. Users already done are saved as the job's progress,
+ * so a run interrupted by a restart resumes with the users not done yet, and
+ * a retry after some users failed backs up only those. A user whose daily
+ * quota is used up is deferred, not failed: the next run resumes them.
+ */
 class ScheduledBackupService {
   constructor() {
-    this.isRunning = false;
-    this.manualBackupRunning = false; // Flag to prevent concurrent manual backups
-    this.bulkImapRunning = false; // Flag to prevent concurrent bulk IMAP operations
-    this.backupLock = false; // Additional lock to prevent any backup during bulk operations
     this.cronJob = null;
     // Always use real Gmail mode - no development mode
     this.backupInterval = process.env.BACKUP_INTERVAL || '60'; // Default 60 minutes
-    this.maxConcurrentUsers = parseInt(process.env.MAX_CONCURRENT_USERS || '1'); // Default 1 for sequential mode
+    this.maxConcurrentUsers = backupWorkerPool.getMaxConcurrency();
     this.batchSize = parseInt(process.env.BATCH_SIZE || '100'); // Default 100 for faster processing
     this.batchDelay = parseInt(process.env.BATCH_DELAY || '2000'); // Default 2 seconds delay between batches
 
+    jobService.registerHandler('backup', (job, context) => this.runBackupJob(job, context), {
+      maxAttempts: 3,
+      backoffMs: 60 * 1000,
+    });
+
     logger.info('Scheduled Backup Service initialized in PRODUCTION (Real Gmail) mode');
     logger.info(`Backup configuration: interval=${this.backupInterval}min, concurrent=${this.maxConcurrentUsers}, batch=${this.batchSize}, delay=${this.batchDelay}ms`);
   }
@@ -48,113 +69,149 @@ class ScheduledBackupService {
     }
 
     this.cronJob = cron.schedule(cronExpression, async () => {
-      // Use enhanced check that gives bulk operations absolute priority
-      if (!this.shouldRunScheduledBackup()) {
-        return;
-      }
-
       try {
-        this.isRunning = true;
-        logger.info('Starting scheduled backup (REAL)', {
-          intervalMinutes,
-          timestamp: new Date().toISOString()
-        });
-
-        await this.performBackup();
+        // Manual and bulk backups have priority: never queue behind or on top of them
+        const active = await jobService.findActive('backup');
+        if (active) {
+          logger.info('Scheduled backup skipped - another backup is queued or running', {
+            jobId: active.id,
+            trigger: active.payload.trigger
+          });
+          return;
+        }
 
-        logger.info('Scheduled backup (REAL) completed successfully', {
+        const job = await this.enqueueBackup({ trigger: 'scheduled' });
+        logger.info('Scheduled backup (REAL) queued', {
+          intervalMinutes,
+          jobId: job.id,
           timestamp: new Date().toISOString()
         });
       } catch (error) {
-        logger.error('Scheduled backup failed', {
+        logger.error('Failed to queue scheduled backup', {
           error: error.message,
-          stack: error.stack?.substring(0, 500),
           timestamp: new Date().toISOString()
         });
-      } finally {
-        this.isRunning = false;
       }
     });
 
     logger.info(`Scheduled backup service started (PRODUCTION (Real Gmail) - runs every ${intervalMinutes} minutes)`);
   }
 
-  async performBackup() {
-    try {
-      // Clean up any stale connections before starting backup
-      await this.cleanupStaleConnections();
-
-      // Get all active users
-      const users = await query(
-        'SELECT id, email FROM users WHERE status = ?',
-        ['active']
-      );
+  /**
+   * Queue a backup job.
+   *
+   * @param {Object} [options]
+   * @param {number[]} [options.userIds] - Users to back up, default every active user
+   * @param {string} [options.trigger] - 'scheduled', 'manual' or 'bulk'
+   * @param {number} [options.adminUserId] - Admin who started it
+   * @param {number} [options.priority] - Default: manual and bulk before scheduled
+   */
+  async enqueueBackup({ userIds = null, trigger = 'manual', adminUserId = null, priority = null } = {}) {
+    if (!TRIGGERS.includes(trigger)) {
+      throw new Error(`Unknown backup trigger: ${trigger}`);
+    }
 
-      logger.info('Found users for REAL backup', { count: users.length });
+    const ids = userIds ? [...new Set(userIds.map(id => parseInt(id)))] : null;
+    return jobService.enqueue('backup', { userIds: ids, trigger }, {
+      lockKey: 'backup',
+      userId: ids && ids.length === 1 ? ids[0] : null,
+      priority: priority !== null ? priority : (trigger === 'scheduled' ? 0 : 1),
+      createdBy: adminUserId,
+    });
+  }
 
-      if (users.length === 0) {
-        logger.info('No active users to backup');
+  async runBackupJob(job, context) {
+    const { userIds = null, trigger = 'manual' } = job.payload;
+    // Users that failed are tried again on a retry
+    const progress = { done: [], ...(job.progress || {}), failed: [], deferred: [], current: [] };
+
+    logger.info('Starting backup job (REAL)', { jobId: job.id, trigger, userIds, alreadyDone: progress.done.length });
+
+    // Clean up any stale connections before starting backup
+    await this.cleanupStaleConnections();
+
+    const users = userIds
+      ? await query(
+        `SELECT id, email FROM users WHERE id IN (${userIds.map(() => '?').join(', ')}) AND status = ?`,
+        [...userIds, 'active']
+      )
+      : await query('SELECT id, email FROM users WHERE status = ?', ['active']);
+    const remaining = users.filter(user => !progress.done.includes(user.id));
+
+    logger.info('Found users for REAL backup', { jobId: job.id, count: users.length, remaining: remaining.length });
+
+    const { failed, deferred } = await backupWorkerPool.run(remaining, async (user) => {
+      // Double-check user status before processing
+      const currentUser = await query('SELECT status FROM users WHERE id = ?', [user.id]);
+      if (currentUser.length === 0 || currentUser[0].status !== 'active') {
+        logger.info('Skipping backup for inactive user', {
+          userId: user.id,
+          email: user.email,
+          currentStatus: currentUser[0]?.status || 'not found'
+        });
         return;
       }
 
-      // Process users concurrently in batches to avoid overwhelming Google
-      const concurrentBatches = [];
-      for (let i = 0; i < users.length; i += this.maxConcurrentUsers) {
-        const batch = users.slice(i, i + this.maxConcurrentUsers);
-        concurrentBatches.push(batch);
-      }
-
-      // Process users SEQUENTIALLY to avoid any potential credential conflicts
-      // Even though maxConcurrentUsers = 1, we want to ensure complete isolation
-      for (const user of users) {
-        try {
-          // Double-check user status before processing
-          const currentUser = await query(
-            'SELECT status FROM users WHERE id = ?',
-            [user.id]
-          );
-
-          if (currentUser.length === 0 || currentUser[0].status !== 'active') {
-            logger.info(`Skipping backup for inactive user`, {
-              userId: user.id,
-              email: user.email,
-              currentStatus: currentUser[0]?.status || 'not found'
-            });
-            continue;
-          }
-
-          logger.info('Starting sequential backup for user', {
-            userId: user.id,
-            email: user.email
-          });
-
-          await this.backupUserMailbox(user.id, user.email);
-
-          logger.info('Backup completed for user', {
-            userId: user.id,
-            email: user.email
-          });
+      progress.current.push(user.id);
+      await context.saveProgress(progress);
 
-          // Add delay between users to ensure complete cleanup and avoid rate limiting
-          const delayBetweenUsers = 10000; // Increased to 10 seconds for better Gmail stability
-          logger.info(`Waiting ${delayBetweenUsers/1000} seconds before next user`, { userId, userEmail });
-          await new Promise(resolve => setTimeout(resolve, delayBetweenUsers));
-
-        } catch (error) {
-          logger.error('Failed to backup user mailbox (REAL)', {
-            userId: user.id,
-            email: user.email,
-            error: error.message
-          });
-          // Continue with next user even if one fails
-        }
+      try {
+        logger.info('Starting backup for user', { jobId: job.id, userId: user.id, email: user.email });
+        progressService.startBackup(user.id, user.email, { jobId: job.id });
+        await this.backupUserMailbox(user.id, user.email);
+        progress.done.push(user.id);
+        progressService.finishBackup(user.id, { status: 'completed' });
+        logger.info('Backup completed for user', { jobId: job.id, userId: user.id, email: user.email });
+      } catch (error) {
+        logger.error('Failed to backup user mailbox (REAL)', {
+          jobId: job.id,
+          userId: user.id,
+          email: user.email,
+          error: error.message
+        });
+        // A throttled user may be queued again by the worker pool
+        let status = rateLimitService.isThrottlingError(error) ? 'throttled' : 'failed';
+        if (error instanceof QuotaExhaustedError) status = 'deferred';
+        progressService.finishBackup(user.id, { status, error: error.message });
+        throw error;
+      } finally {
+        progress.current = progress.current.filter(id => id !== user.id);
+        await context.saveProgress(progress);
+      }
+    }, { isCancelled: context.isCancelled });
+
+    progress.failed = failed.map(({ user }) => user.id);
+    progress.deferred = deferred.map(({ user }) => user.id);
+    if (deferred.length > 0) {
+      logger.warn('Backup deferred to the next run for users out of daily quota', {
+        jobId: job.id,
+        users: deferred.map(({ user, error }) => ({ userId: user.id, retryAt: error.retryAt }))
+      });
+    }
+    for (const { user, error } of failed) {
+      if (rateLimitService.isThrottlingError(error)) {
+        progressService.finishBackup(user.id, { status: 'failed', error: error.message });
       }
+    }
+    await context.saveProgress(progress);
+
+    if (context.isCancelled()) {
+      logger.info('Backup job cancelled', { jobId: job.id, done: progress.done.length });
+    }
 
-      logger.info('All user backups completed (REAL)');
+    // Raise saved search alerts for newly ingested matches; never fails the backup run
+    try {
+      await savedSearchService.checkAlerts();
     } catch (error) {
-      logger.error('Failed to perform scheduled backup', { error: error.message });
-      throw error;
+      logger.error('Failed to check saved search alerts', { error: error.message });
+    }
+
+    if (progress.failed.length > 0) {
+      throw new Error(`Backup failed for ${progress.failed.length} of ${users.length} users`);
     }
+
+    logger.info('All user backups completed (REAL)', { jobId: job.id, trigger, count: progress.done.length, deferred: progress.deferred.length });
+    return { users: users.length, done: progress.done.length, deferred: progress.deferred.length };
   }
 
   async backupUserMailbox(userId, userEmail) {
@@ -234,45 +291,48 @@ class ScheduledBackupService {
     }
   }
 
-  async manualBackup(userId = null) {
-    // Check if manual backup is already running to prevent concurrent backups
-    if (this.manualBackupRunning) {
-      const errorMsg = 'Manual backup already running. Please wait for the current backup to complete before starting a new one.';
-      logger.warn('Manual backup rejected - already running', { userId });
-      throw new Error(errorMsg);
+  /**
+   * Queue a backup of one user, or of every active user.
+   *
+   * @throws {Error} When the user already has a backup queued or running
+   */
+  async manualBackup(userId = null, adminUserId = null) {
+    if (userId) {
+      const active = await jobService.findActive('backup', { userId });
+      if (active) {
+        logger.warn('Manual backup rejected - already queued or running', { userId, jobId: active.id });
+        throw new Error('Manual backup already running. Please wait for the current backup to complete before starting a new one.');
+      }
     }
 
-    try {
-      this.manualBackupRunning = true;
-      logger.info('Starting manual backup (REAL)', { userId });
-
-      if (userId) {
-        // Clean up stale connections for specific user
-        const isHealthy = await imapService.isConnectionHealthy(userId);
-        if (!isHealthy && imapService.connections.has(userId)) {
-          logger.warn('Existing connection unhealthy, forcing disconnect before manual backup', { userId });
-          await imapService.forceDisconnect(userId);
-        }
-
-        // Backup specific user
-        const users = await query('SELECT email FROM users WHERE id = ?', [userId]);
-        if (users.length === 0) {
-          throw new Error('User not found');
-        }
+    const job = await this.enqueueBackup({ userIds: userId ? [userId] : null, trigger: 'manual', adminUserId });
+    logger.info('Manual backup (REAL) queued', { userId, jobId: job.id });
+    return job;
+  }
 
-        await this.backupUserMailbox(userId, users[0].email);
-      } else {
-        // Backup all users
-        await this.performBackup();
-      }
+  /**
+   * Queue one backup job for the selected users.
+   */
+  async startBulkBackup(userIds, adminUserId = null) {
+    const job = await this.enqueueBackup({ userIds, trigger: 'bulk', adminUserId });
+    logger.info('Bulk backup queued', { jobId: job.id, userCount: userIds.length });
+    return job;
+  }
 
-      logger.info('Manual backup (REAL) completed successfully');
-    } catch (error) {
-      logger.error('Manual backup failed', { error: error.message });
-      throw error;
-    } finally {
-      this.manualBackupRunning = false;
+  /**
+   * Cancel queued and running backups started a given way. Running ones stop
+   * after the mailbox they are backing up.
+   *
+   * @returns {Promise<number>} Jobs cancelled
+   */
+  async cancelBackups(trigger) {
+    const jobs = await jobService.listJobs({ type: 'backup', statuses: ACTIVE_STATUSES, limit: 100 });
+    let cancelled = 0;
+    for (const job of jobs.filter(job => job.payload.trigger === trigger)) {
+      if (await jobService.cancel(job.id)) cancelled++;
     }
+    logger.info('Backups cancelled', { trigger, cancelled });
+    return cancelled;
   }
 
   stopScheduledBackup() {
@@ -282,186 +342,36 @@ class ScheduledBackupService {
     }
   }
 
-  // Check if any backup operation is currently running
-  isAnyBackupRunning() {
-    return this.isRunning || this.manualBackupRunning || this.bulkImapRunning || this.backupLock;
-  }
-
-  // Start bulk IMAP operation (called from frontend bulk IMAP)
-  async startBulkImap() {
-    if (this.isAnyBackupRunning()) {
-      const errorMsg = 'Cannot start bulk IMAP: Another backup operation is currently running';
-      logger.warn('Bulk IMAP rejected - backup already running', {
-        isRunning: this.isRunning,
-        manualBackupRunning: this.manualBackupRunning,
-        bulkImapRunning: this.bulkImapRunning,
-        backupLock: this.backupLock
-      });
-      throw new Error(errorMsg);
-    }
-
-    this.bulkImapRunning = true;
-    this.backupLock = true; // Set global backup lock
-    logger.info('Bulk IMAP operation started with global lock - BLOCKING all scheduled backups');
-
-    // Return immediately to allow frontend to start processing without delay
-    // The frontend's pollBulkImapStatus function will handle the actual user processing
-    // This ensures bulk operations run immediately and bypass the queue service entirely
-  }
-
-  // Enhanced scheduled backup check that respects bulk operations
-  shouldRunScheduledBackup() {
-    // Bulk IMAP operations have absolute priority - never interrupt them
-    if (this.bulkImapRunning || this.backupLock) {
-      logger.info('Scheduled backup skipped - bulk IMAP operation has priority', {
-        bulkImapRunning: this.bulkImapRunning,
-        backupLock: this.backupLock
-      });
-      return false;
-    }
-
-    // Also check for manual backups
-    if (this.manualBackupRunning) {
-      logger.info('Scheduled backup skipped - manual backup in progress');
-      return false;
-    }
-
-    // Check if scheduled backup is already running (shouldn't happen but just in case)
-    if (this.isRunning) {
-      logger.warn('Scheduled backup skipped - already running');
-      return false;
-    }
-
-    return true;
-  }
-
-  // Perform direct bulk IMAP processing for selected users (bypassing queue service)
-  async performDirectBulkImapProcessing(userIds) {
-    try {
-      // SPECIFIC BULK LOG: Clear indication that bulk operation is starting
-      logger.info('🚀 [BULK BACKUP START] Instant bulk backup processing initiated (bypassing queue service)', {
-        operation: 'BULK_BACKUP_DIRECT',
-        userCount: userIds.length,
-        userIds: userIds,
-        timestamp: new Date().toISOString()
-      });
-
-      // Get user emails for processing
-      const { query } = require('../database/databaseService');
-      const users = await query(
-        'SELECT id, email FROM users WHERE id IN (?) AND status = ?',
-        [userIds, 'active']
-      );
-
-      // SPECIFIC BULK LOG: Show which users will be processed
-      logger.info('📋 [BULK BACKUP USERS] Found active users for instant bulk processing', {
-        operation: 'BULK_BACKUP_DIRECT',
-        count: users.length,
-        users: users.map(u => u.email),
-        timestamp: new Date().toISOString()
-      });
-
-      if (users.length === 0) {
-        logger.info('⚠️ [BULK BACKUP SKIPPED] No active users found for bulk backup processing', {
-          operation: 'BULK_BACKUP_DIRECT',
-          timestamp: new Date().toISOString()
-        });
-        return;
-      }
-
-      // Process users sequentially to avoid overwhelming Gmail
-      for (const user of users) {
-        try {
-          // SPECIFIC BULK LOG: Clear indication of bulk user processing
-          logger.info(`🔄 [BULK BACKUP USER START] Processing user in bulk operation: ${user.email}`, {
-            operation: 'BULK_BACKUP_DIRECT',
-            userId: user.id,
-            email: user.email,
-            timestamp: new Date().toISOString()
-          });
-
-          // Clean up stale connections for specific user
-          const isHealthy = await imapService.isConnectionHealthy(user.id);
-          if (!isHealthy && imapService.connections.has(user.id)) {
-            logger.warn('Existing connection unhealthy, forcing disconnect before bulk backup', { 
-              userId: user.id, 
-              email: user.email 
-            });
-            await imapService.forceDisconnect(user.id);
-          }
-
-          // Perform actual backup for the user
-          await this.backupUserMailbox(user.id, user.email);
-
-          // SPECIFIC BULK LOG: Success for individual user in bulk operation
-          logger.info(`✅ [BULK BACKUP USER SUCCESS] Completed processing user: ${user.email}`, {
-            operation: 'BULK_BACKUP_DIRECT',
-            userId: user.id,
-            email: user.email,
-            timestamp: new Date().toISOString()
-          });
-
-          // Add delay between users to ensure complete cleanup and avoid rate limiting
-          const delayBetweenUsers = 10000; // 10 seconds for better Gmail stability
-          logger.info(`⏳ [BULK BACKUP DELAY] Waiting ${delayBetweenUsers/1000} seconds before next user`, {
-            operation: 'BULK_BACKUP_DIRECT',
-            currentUser: user.email,
-            nextDelaySeconds: delayBetweenUsers/1000,
-            timestamp: new Date().toISOString()
-          });
-          await new Promise(resolve => setTimeout(resolve, delayBetweenUsers));
-
-        } catch (error) {
-          // SPECIFIC BULK LOG: Error for individual user in bulk operation
-          logger.error(`❌ [BULK BACKUP USER ERROR] Failed to process user: ${user.email}`, {
-            operation: 'BULK_BACKUP_DIRECT',
-            userId: user.id,
-            email: user.email,
-            error: error.message,
-            timestamp: new Date().toISOString()
-          });
-          // Continue with next user even if one fails
-        }
-      }
-
-      // SPECIFIC BULK LOG: Clear indication that bulk operation completed
-      logger.info('🎉 [BULK BACKUP COMPLETED] Instant bulk backup processing finished successfully', {
-        operation: 'BULK_BACKUP_DIRECT',
-        userCount: users.length,
-        timestamp: new Date().toISOString()
-      });
-
-    } catch (error) {
-      // SPECIFIC BULK LOG: Error for entire bulk operation
-      logger.error('💥 [BULK BACKUP FAILED] Instant bulk backup processing failed', {
-        operation: 'BULK_BACKUP_DIRECT',
-        error: error.message,
-        stack: error.stack?.substring(0, 500),
-        timestamp: new Date().toISOString()
-      });
-      throw error;
-    }
-  }
-
-  // End bulk IMAP operation
-  async endBulkImap() {
-    this.bulkImapRunning = false;
-    this.backupLock = false; // Release global backup lock
-    logger.info('Bulk IMAP operation ended, global lock released');
+  /**
+   * The latest backup job of one user (alone, or as part of a run).
+   */
+  async getLatestUserJob(userId) {
+    const own = await jobService.listJobs({ type: 'backup', userId, limit: 1 });
+    const runs = await jobService.listJobs({ type: 'backup', statuses: ACTIVE_STATUSES, limit: 100 });
+    const covering = runs.find(job => !job.payload.userIds || job.payload.userIds.includes(parseInt(userId)));
+    return covering || own[0] || null;
   }
 
-  // Stop manual backup operation
-  async stopManualBackup() {
-    this.manualBackupRunning = false;
-    logger.info('Manual backup operation stopped');
-  }
+  async getStatus() {
+    const jobs = await jobService.listJobs({ type: 'backup', statuses: ACTIVE_STATUSES, limit: 100 });
+    const isActive = trigger => jobs.some(job => job.payload.trigger === trigger);
 
-  getStatus() {
     return {
-      isRunning: this.isRunning,
-      manualBackupRunning: this.manualBackupRunning,
-      bulkImapRunning: this.bulkImapRunning,
-      anyBackupRunning: this.isAnyBackupRunning(),
+      isRunning: isActive('scheduled'),
+      manualBackupRunning: isActive('manual'),
+      bulkImapRunning: isActive('bulk'),
+      anyBackupRunning: jobs.length > 0,
+      pool: backupWorkerPool.getStatus(),
+      rateLimits: rateLimitService.getStatus(),
+      jobs: jobs.map(job => ({
+        id: job.id,
+        status: job.status,
+        trigger: job.payload.trigger,
+        userIds: job.payload.userIds,
+        progress: job.progress,
+        runAt: job.runAt,
+        error: job.error,
+      })),
       nextRun: this.cronJob ? this.cronJob.nextRun : null,
     };
   }
@@ -481,8 +391,8 @@ function getScheduledBackupStatus() {
   return scheduledBackupService.getStatus();
 }
 
-async function runManualBackup(userId = null) {
-  return await scheduledBackupService.manualBackup(userId);
+async function runManualBackup(userId = null, adminUserId = null) {
+  return await scheduledBackupService.manualBackup(userId, adminUserId);
 }
 
 module.exports = {
@@ -492,5 +402,5 @@ module.exports = {
   stopScheduledBackup,
   getScheduledBackupStatus,
   runManualBackup,
-  stopManualBackup: scheduledBackupService.stopManualBackup.bind(scheduledBackupService),
+  stopManualBackup: () => scheduledBackupService.cancelBackups('manual'),
 };
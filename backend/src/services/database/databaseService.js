@@ -175,6 +175,12 @@ function adaptSchemaForDatabase(sql, dbType) {
   } else if (dbType === 'postgresql') {
     // Replace SQLite AUTOINCREMENT with PostgreSQL SERIAL
     adaptedSQL = adaptedSQL.replace(/INTEGER PRIMARY KEY AUTOINCREMENT/g, 'SERIAL PRIMARY KEY');
+    adaptedSQL = adaptedSQL.replace(/MEDIUMTEXT/g, 'TEXT');
+  }
+
+  if (dbType !== 'mysql') {
+    // FULLTEXT indexes are MySQL only
+    adaptedSQL = adaptedSQL.replace(/CREATE FULLTEXT INDEX[^;]*;/g, '');
   }
   // For SQLite, keep the original syntax
 
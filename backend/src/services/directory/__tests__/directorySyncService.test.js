@@ -0,0 +1,312 @@
+const http = require('http');
+
+jest.mock('../../database/databaseService', () => ({ query: jest.fn() }));
+jest.mock('../../queue/queueService', () => ({ queueService: { addIMAPJob: jest.fn() } }));
+jest.mock('../../imap/imapSourceService', () => ({
+  imapSourceService: { isGoogleSource: jest.fn(type => ['gmail', 'gmail_api'].includes(type || 'gmail')) },
+}));
+
+const { query } = require('../../database/databaseService');
+const { queueService } = require('../../queue/queueService');
+const { DirectoryClient } = require('../directoryClient');
+const { DirectorySyncService, DirectorySyncError } = require('../directorySyncService');
+
+// The stand-in returns at most this many entries per page, whatever maxResults asks for
+const PAGE_SIZE = 2;
+
+/**
+ * Local Directory API answering users.list and groups.list a page at a
+ * time, with nextPageToken like the real one.
+ */
+async function startDirectoryApi() {
+  const api = { users: [], groups: [], requests: [] };
+
+  const page = (items, pageToken) => {
+    const start = pageToken ? parseInt(pageToken.replace('page-', '')) : 0;
+    const next = start + PAGE_SIZE;
+    return { items: items.slice(start, next), nextPageToken: next < items.length ? `page-${next}` : undefined };
+  };
+
+  api.server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = Object.fromEntries(url.searchParams);
+    api.requests.push({ path: url.pathname, params });
+
+    let body;
+    if (url.pathname === '/admin/directory/v1/users') {
+      const { items, nextPageToken } = page(api.users.filter(user => user.primaryEmail.endsWith(`@${params.domain}`)), params.pageToken);
+      body = { kind: 'admin#directory#users', users: items, nextPageToken };
+    } else if (url.pathname === '/admin/directory/v1/groups') {
+      const { items, nextPageToken } = page(api.groups, params.pageToken);
+      body = { kind: 'admin#directory#groups', groups: items, nextPageToken };
+    } else {
+      res.writeHead(404).end();
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+  });
+
+  await new Promise(resolve => api.server.listen(0, '127.0.0.1', resolve));
+  api.url = `http://127.0.0.1:${api.server.address().port}`;
+  api.close = () => new Promise(resolve => api.server.close(resolve));
+  return api;
+}
+
+/**
+ * The domains, users and sync tables behind the mocked query().
+ */
+function useDatabase({ users = [] } = {}) {
+  const db = {
+    domains: [
+      { id: 1, name: 'example.com', source_type: 'gmail' },
+      { id: 2, name: 'legacy.example.org', source_type: 'imap' },
+    ],
+    users: users.map((user, index) => ({
+      id: index + 1,
+      domain_id: 1,
+      status: 'active',
+      full_name: null,
+      aliases: null,
+      directory_status: null,
+      ...user,
+    })),
+    runs: [],
+    groups: [],
+    audit: [],
+  };
+  const findUser = id => db.users.find(user => user.id === id);
+
+  query.mockImplementation(async (sql, params = []) => {
+    const statement = sql.replace(/\s+/g, ' ').trim();
+
+    if (statement === 'SELECT * FROM domains WHERE id = ?') {
+      return db.domains.filter(domain => domain.id === params[0]);
+    }
+    if (statement.startsWith('SELECT id, name, source_type FROM domains')) {
+      return db.domains;
+    }
+
+    if (statement === 'SELECT * FROM users WHERE domain_id = ?') {
+      return db.users.filter(user => user.domain_id === params[0]).map(user => ({ ...user }));
+    }
+    if (statement === 'SELECT id FROM users WHERE email = ?') {
+      return db.users.filter(user => user.email === params[0]).map(user => ({ id: user.id }));
+    }
+    if (statement.startsWith('INSERT INTO users')) {
+      const [domainId, email, status, fullName, aliases, directoryStatus] = params;
+      const id = db.users.length + 1;
+      db.users.push({ id, domain_id: domainId, email, status, full_name: fullName, aliases, directory_status: directoryStatus });
+      return { affectedRows: 1, insertId: id };
+    }
+    let match = /^UPDATE users SET (?:status = '(\w+)', )?full_name = \?, aliases = \?, directory_status = \?/.exec(statement);
+    if (match) {
+      const [fullName, aliases, directoryStatus, id] = params;
+      Object.assign(findUser(id), { full_name: fullName, aliases, directory_status: directoryStatus }, match[1] ? { status: match[1] } : {});
+      return { affectedRows: 1 };
+    }
+
+    if (statement.startsWith('INSERT INTO directory_sync_runs')) {
+      const id = db.runs.length + 1;
+      db.runs.push({ id, domain_id: params[0], trigger_type: params[1], status: 'running', include_groups: params[2] });
+      return { affectedRows: 1, insertId: id };
+    }
+    match = /^UPDATE directory_sync_runs SET status = '(\w+)'/.exec(statement);
+    if (match) {
+      const run = db.runs.find(row => row.id === params[params.length - 1]);
+      run.status = match[1];
+      if (match[1] === 'completed') {
+        [run.added_count, run.deactivated_count, run.reactivated_count, run.updated_count, run.skipped_count, run.group_count] = params;
+      } else {
+        run.error = params[0];
+      }
+      return { affectedRows: 1 };
+    }
+    if (statement === 'SELECT * FROM directory_sync_runs WHERE id = ?') {
+      return db.runs.filter(run => run.id === params[0]);
+    }
+
+    if (statement.startsWith('DELETE FROM directory_groups')) {
+      db.groups = db.groups.filter(group => group.domain_id !== params[0]);
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('INSERT INTO directory_groups')) {
+      const [domainId, directoryId, email, name, aliases, memberCount] = params;
+      db.groups.push({ domain_id: domainId, directory_id: directoryId, email, name, aliases, member_count: memberCount });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('INSERT INTO audit_logs')) {
+      db.audit.push({ action: params[1], details: JSON.parse(params[4]) });
+      return { affectedRows: 1 };
+    }
+
+    throw new Error(`Unexpected query: ${statement}`);
+  });
+
+  return db;
+}
+
+const directoryUser = (email, overrides = {}) => ({
+  id: `id-${email}`,
+  primaryEmail: email,
+  name: { fullName: email.split('@')[0].replace(/^./, letter => letter.toUpperCase()) },
+  suspended: false,
+  ...overrides,
+});
+
+const userState = (db) => Object.fromEntries(db.users.map(user => [user.email, [user.status, user.directory_status]]));
+
+describe('DirectorySyncService', () => {
+  let api;
+  let service;
+
+  beforeEach(async () => {
+    api = await startDirectoryApi();
+    service = new DirectorySyncService(new DirectoryClient({ baseUrl: api.url }));
+  });
+
+  afterEach(async () => {
+    await api.close();
+    jest.clearAllMocks();
+  });
+
+  test('adds the accounts of every page, suspended ones as inactive', async () => {
+    api.users = [
+      directoryUser('alice@example.com', { aliases: ['Ally@example.com'], nonEditableAliases: ['alice@example.test-google-a.com'] }),
+      directoryUser('bob@example.com'),
+      directoryUser('carol@example.com', { suspended: true }),
+      directoryUser('dave@example.com'),
+      directoryUser('erin@example.com'),
+    ];
+    const db = useDatabase({ users: [{ email: 'bob@example.com', full_name: 'Bob', directory_status: 'active' }] });
+
+    const run = await service.sync(1, { adminUserId: 9 });
+
+    const userRequests = api.requests.filter(request => request.path === '/admin/directory/v1/users');
+    expect(userRequests.map(request => request.params.pageToken)).toEqual([undefined, 'page-2', 'page-4']);
+    expect(userRequests.every(request => request.params.domain === 'example.com')).toBe(true);
+
+    expect(userState(db)).toEqual({
+      'bob@example.com': ['active', 'active'],
+      'alice@example.com': ['active', 'active'],
+      'carol@example.com': ['inactive', 'suspended'],
+      'dave@example.com': ['active', 'active'],
+      'erin@example.com': ['active', 'active'],
+    });
+    const alice = db.users.find(user => user.email === 'alice@example.com');
+    expect(alice).toMatchObject({ full_name: 'Alice', aliases: JSON.stringify(['alice@example.test-google-a.com', 'ally@example.com']) });
+
+    expect(run).toMatchObject({ status: 'completed', addedCount: 4, deactivatedCount: 0, updatedCount: 0, triggerType: 'manual' });
+    expect(db.audit[0].details.added).toEqual(['alice@example.com', 'carol@example.com', 'dave@example.com', 'erin@example.com']);
+  });
+
+  test('deactivates suspended accounts and reactivates them once active again', async () => {
+    api.users = [directoryUser('alice@example.com', { suspended: true }), directoryUser('bob@example.com')];
+    const db = useDatabase({
+      users: [
+        { email: 'alice@example.com', full_name: 'Alice', directory_status: 'active' },
+        { email: 'bob@example.com', full_name: 'Bob', directory_status: 'active' },
+      ],
+    });
+
+    const run = await service.sync(1);
+
+    expect(userState(db)).toEqual({
+      'alice@example.com': ['inactive', 'suspended'],
+      'bob@example.com': ['active', 'active'],
+    });
+    expect(run).toMatchObject({ deactivatedCount: 1, reactivatedCount: 0 });
+    // As when deactivated by hand, the IMAP connection is dropped
+    expect(queueService.addIMAPJob).toHaveBeenCalledWith(1, 'alice@example.com', 'disconnect', 1);
+
+    api.users[0].suspended = false;
+    const second = await service.sync(1);
+
+    expect(userState(db)['alice@example.com']).toEqual(['active', 'active']);
+    expect(second).toMatchObject({ deactivatedCount: 0, reactivatedCount: 1 });
+  });
+
+  test('deactivates users whose account was deleted, and leaves users deactivated by hand alone', async () => {
+    api.users = [directoryUser('alice@example.com'), directoryUser('carol@example.com')];
+    const db = useDatabase({
+      users: [
+        { email: 'alice@example.com', full_name: 'Alice', directory_status: 'active' },
+        { email: 'bob@example.com', full_name: 'Bob', directory_status: 'active' },
+        { email: 'carol@example.com', full_name: 'Carol', directory_status: 'active', status: 'inactive' },
+      ],
+    });
+
+    const run = await service.sync(1);
+
+    expect(userState(db)).toEqual({
+      'alice@example.com': ['active', 'active'],
+      'bob@example.com': ['inactive', 'deleted'],
+      'carol@example.com': ['inactive', 'active'],
+    });
+    expect(run).toMatchObject({ deactivatedCount: 1, reactivatedCount: 0 });
+    expect(db.audit[0].details.deactivated).toEqual([{ email: 'bob@example.com', reason: 'deleted' }]);
+    expect(queueService.addIMAPJob).toHaveBeenCalledWith(2, 'bob@example.com', 'disconnect', 1);
+  });
+
+  test('previews without changes, skipping accounts already in another domain', async () => {
+    api.users = [directoryUser('alice@example.com'), directoryUser('moved@example.com')];
+    const db = useDatabase({ users: [{ email: 'moved@example.com', domain_id: 3 }] });
+
+    const preview = await service.preview(1);
+
+    expect(preview.summary).toMatchObject({ added: 1, skipped: 1 });
+    expect(preview.changes.skipped).toEqual([{ email: 'moved@example.com', reason: 'User exists in another domain' }]);
+    // A preview changes nothing
+    expect(db.users).toHaveLength(1);
+    expect(db.runs).toHaveLength(0);
+  });
+
+  test('stores the groups of every page', async () => {
+    api.users = [directoryUser('alice@example.com')];
+    api.groups = [
+      { id: 'g1', email: 'Sales@example.com', name: 'Sales', directMembersCount: '12' },
+      { id: 'g2', email: 'support@example.com', name: 'Support', aliases: ['help@example.com'] },
+      { id: 'g3', email: 'all@example.com' },
+    ];
+    const db = useDatabase();
+
+    const run = await service.sync(1, { includeGroups: true });
+
+    expect(run.groupCount).toBe(3);
+    expect(db.groups).toEqual([
+      { domain_id: 1, directory_id: 'g1', email: 'sales@example.com', name: 'Sales', aliases: null, member_count: 12 },
+      { domain_id: 1, directory_id: 'g2', email: 'support@example.com', name: 'Support', aliases: '["help@example.com"]', member_count: null },
+      { domain_id: 1, directory_id: 'g3', email: 'all@example.com', name: null, aliases: null, member_count: null },
+    ]);
+  });
+
+  test('changes nothing when the directory returns no users', async () => {
+    const db = useDatabase({ users: [{ email: 'alice@example.com', directory_status: 'active' }] });
+
+    await expect(service.sync(1)).rejects.toThrow(DirectorySyncError);
+
+    expect(userState(db)).toEqual({ 'alice@example.com': ['active', 'active'] });
+    expect(db.runs[0]).toMatchObject({ status: 'failed', error: 'The directory returned no users for example.com, nothing was changed' });
+  });
+
+  test('fails the run when the Directory API answers with an error', async () => {
+    const db = useDatabase();
+    await api.close();
+    api = await startDirectoryApi();
+    service.setClient(new DirectoryClient({ baseUrl: `${api.url}/missing` }));
+
+    await expect(service.sync(1)).rejects.toThrow('Directory API request failed: 404');
+    expect(db.runs[0].status).toBe('failed');
+  });
+
+  test('syncs only Google Workspace domains', async () => {
+    api.users = [directoryUser('alice@example.com')];
+    const db = useDatabase();
+
+    const results = await service.syncAll({ triggerType: 'scheduled' });
+
+    expect(results.map(run => [run.domainId, run.status, run.triggerType])).toEqual([[1, 'completed', 'scheduled']]);
+    await expect(service.sync(2)).rejects.toThrow('Directory sync is only available for Google Workspace domains');
+    expect(db.runs).toHaveLength(1);
+  });
+});
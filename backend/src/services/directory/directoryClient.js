@@ -0,0 +1,133 @@
+const { GoogleAuth } = require('google-auth-library');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/directory.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+const GOOGLE_API_URL = 'https://admin.googleapis.com';
+const SCOPES = [
+  'https://www.googleapis.com/auth/admin.directory.user.readonly',
+  'https://www.googleapis.com/auth/admin.directory.group.readonly',
+];
+const PAGE_SIZE = 500;
+const GROUP_PAGE_SIZE = 200;
+
+/**
+ * Read-only client for the Admin SDK Directory API.
+ *
+ * Calls are made with the service account impersonating GOOGLE_ADMIN_EMAIL,
+ * a Workspace admin (the service account needs the directory readonly scopes
+ * in its domain-wide delegation). With DIRECTORY_API_URL set, requests go to
+ * that server instead, unauthenticated, so a local stand-in can answer them.
+ */
+class DirectoryClient {
+  constructor({
+    baseUrl = process.env.DIRECTORY_API_URL || GOOGLE_API_URL,
+    adminEmail = process.env.GOOGLE_ADMIN_EMAIL,
+    keyFile = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE || './service-account-key.json',
+  } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.adminEmail = adminEmail;
+    this.keyFile = keyFile;
+    this.auth = null;
+  }
+
+  isGoogle() {
+    return this.baseUrl === GOOGLE_API_URL;
+  }
+
+  isConfigured() {
+    return !this.isGoogle() || Boolean(this.adminEmail);
+  }
+
+  getAuth() {
+    if (!this.adminEmail) {
+      throw new Error('GOOGLE_ADMIN_EMAIL is not set: the Directory API must be called as a Workspace admin');
+    }
+    if (!this.auth) {
+      this.auth = new GoogleAuth({
+        keyFile: this.keyFile,
+        scopes: SCOPES,
+        clientOptions: { subject: this.adminEmail },
+      });
+    }
+    return this.auth;
+  }
+
+  async get(path, params) {
+    const url = `${this.baseUrl}${path}`;
+
+    if (this.isGoogle()) {
+      const response = await this.getAuth().request({ url, params });
+      return response.data;
+    }
+
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) search.set(key, value);
+    }
+    const response = await fetch(`${url}?${search}`);
+    if (!response.ok) {
+      throw new Error(`Directory API request failed: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  async listPages(path, params, key) {
+    const items = [];
+    let pageToken;
+
+    do {
+      const data = await this.get(path, { ...params, pageToken });
+      items.push(...(data[key] || []));
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    return items;
+  }
+
+  /**
+   * All user accounts of a domain, including suspended ones. Deleted
+   * accounts are not listed.
+   *
+   * @returns {Promise<Array<{id: string, primaryEmail: string, name?: Object, suspended?: boolean, aliases?: string[]}>>}
+   */
+  async listUsers(domain) {
+    const users = await this.listPages('/admin/directory/v1/users', {
+      domain,
+      maxResults: PAGE_SIZE,
+    }, 'users');
+
+    logger.info('Directory users listed', { domain, count: users.length });
+    return users;
+  }
+
+  /**
+   * @returns {Promise<Array<{id: string, email: string, name?: string, aliases?: string[], directMembersCount?: string}>>}
+   */
+  async listGroups(domain) {
+    const groups = await this.listPages('/admin/directory/v1/groups', {
+      domain,
+      maxResults: GROUP_PAGE_SIZE,
+    }, 'groups');
+
+    logger.info('Directory groups listed', { domain, count: groups.length });
+    return groups;
+  }
+}
+
+const directoryClient = new DirectoryClient();
+
+module.exports = {
+  DirectoryClient,
+  directoryClient,
+};
@@ -0,0 +1,399 @@
+const cron = require('node-cron');
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+const { queueService } = require('../queue/queueService');
+const { imapSourceService } = require('../imap/imapSourceService');
+const { directoryClient } = require('./directoryClient');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/directory.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+// Daily at 01:00; set DIRECTORY_SYNC_SCHEDULE=off to disable
+const DEFAULT_SCHEDULE = '0 1 * * *';
+
+class DirectorySyncError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DirectorySyncError';
+  }
+}
+
+function getFullName(directoryUser) {
+  return directoryUser.name?.fullName || null;
+}
+
+function getAliases(entry) {
+  const aliases = [...(entry.aliases || []), ...(entry.nonEditableAliases || [])];
+  return aliases.length > 0 ? JSON.stringify(aliases.map(alias => alias.toLowerCase()).sort()) : null;
+}
+
+/**
+ * Keeps a domain's users in step with its Google Workspace directory.
+ *
+ * A sync adds accounts missing from `users` (suspended ones as inactive),
+ * marks users inactive when their account is suspended or gone, reactivates
+ * users it deactivated once their account is active again, and records full
+ * names and aliases. Users deactivated by hand stay inactive. With groups,
+ * the domain's groups and their aliases are stored in directory_groups.
+ *
+ * preview() computes the same changes without applying them. Only Google
+ * Workspace domains (not IMAP servers) are synced, see imapSourceService.
+ */
+class DirectorySyncService {
+  constructor(client = directoryClient) {
+    this.client = client;
+    this.cronJob = null;
+    this.running = false;
+  }
+
+  /**
+   * Replace the Directory API client, e.g. with a stand-in in tests.
+   */
+  setClient(client) {
+    this.client = client;
+  }
+
+  startSchedule() {
+    const schedule = process.env.DIRECTORY_SYNC_SCHEDULE || DEFAULT_SCHEDULE;
+    if (schedule === 'off') {
+      logger.info('Scheduled directory sync disabled');
+      return;
+    }
+    if (!cron.validate(schedule)) {
+      logger.error('Invalid DIRECTORY_SYNC_SCHEDULE, scheduled directory sync disabled', { schedule });
+      return;
+    }
+    if (this.client.isConfigured && !this.client.isConfigured()) {
+      logger.info('GOOGLE_ADMIN_EMAIL is not set, scheduled directory sync disabled');
+      return;
+    }
+
+    this.cronJob = cron.schedule(schedule, async () => {
+      if (this.running) {
+        logger.info('Skipping scheduled directory sync, a sync is already running');
+        return;
+      }
+
+      try {
+        await this.syncAll({ triggerType: 'scheduled' });
+      } catch (error) {
+        logger.error('Scheduled directory sync failed', { error: error.message });
+      }
+    });
+
+    logger.info('Scheduled directory sync started', { schedule });
+  }
+
+  stopSchedule() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+    }
+  }
+
+  getStatus() {
+    return { running: this.running };
+  }
+
+  async getDomain(domainId) {
+    const domains = await query('SELECT * FROM domains WHERE id = ?', [domainId]);
+    if (domains.length === 0) return null;
+
+    if (!imapSourceService.isGoogleSource(domains[0].source_type)) {
+      throw new DirectorySyncError('Directory sync is only available for Google Workspace domains');
+    }
+    return domains[0];
+  }
+
+  /**
+   * Changes a sync of `domain` would make, from the current directory.
+   */
+  async computeChanges(domain, { includeGroups = false } = {}) {
+    const directoryUsers = await this.client.listUsers(domain.name);
+    if (directoryUsers.length === 0) {
+      // An empty answer is a misconfiguration, not a domain without accounts
+      throw new DirectorySyncError(`The directory returned no users for ${domain.name}, nothing was changed`);
+    }
+
+    const existingUsers = await query('SELECT * FROM users WHERE domain_id = ?', [domain.id]);
+    const existingByEmail = new Map(existingUsers.map(user => [user.email.toLowerCase(), user]));
+
+    const changes = { added: [], deactivated: [], reactivated: [], updated: [], skipped: [], groups: null };
+    const seen = new Set();
+
+    for (const directoryUser of directoryUsers) {
+      const email = directoryUser.primaryEmail.toLowerCase();
+      const directoryStatus = directoryUser.suspended ? 'suspended' : 'active';
+      const fullName = getFullName(directoryUser);
+      const aliases = getAliases(directoryUser);
+      seen.add(email);
+
+      const user = existingByEmail.get(email);
+      if (!user) {
+        if (!email.endsWith(`@${domain.name.toLowerCase()}`)) {
+          // A secondary domain's account, synced with that domain
+          continue;
+        }
+        const other = await query('SELECT id FROM users WHERE email = ?', [email]);
+        if (other.length > 0) {
+          changes.skipped.push({ email, reason: 'User exists in another domain' });
+          continue;
+        }
+        changes.added.push({ email, fullName, aliases, directoryStatus, status: directoryUser.suspended ? 'inactive' : 'active' });
+        continue;
+      }
+
+      const change = { id: user.id, email: user.email, fullName, aliases, directoryStatus };
+      if (user.status === 'active' && directoryUser.suspended) {
+        changes.deactivated.push({ ...change, reason: 'suspended' });
+      } else if (user.status === 'inactive' && !directoryUser.suspended && ['suspended', 'deleted'].includes(user.directory_status)) {
+        changes.reactivated.push(change);
+      } else if (user.full_name !== fullName || user.aliases !== aliases || user.directory_status !== directoryStatus) {
+        changes.updated.push(change);
+      }
+    }
+
+    for (const user of existingUsers) {
+      if (seen.has(user.email.toLowerCase())) continue;
+
+      const change = { id: user.id, email: user.email, fullName: user.full_name, aliases: user.aliases, directoryStatus: 'deleted' };
+      if (user.status === 'active') {
+        changes.deactivated.push({ ...change, reason: 'deleted' });
+      } else if (user.directory_status !== 'deleted') {
+        changes.updated.push(change);
+      }
+    }
+
+    if (includeGroups) {
+      const groups = await this.client.listGroups(domain.name);
+      changes.groups = groups.map(group => ({
+        directoryId: group.id,
+        email: group.email.toLowerCase(),
+        name: group.name || null,
+        aliases: getAliases(group),
+        memberCount: group.directMembersCount ? parseInt(group.directMembersCount) : null,
+      }));
+    }
+
+    return changes;
+  }
+
+  summarize(changes) {
+    return {
+      added: changes.added.length,
+      deactivated: changes.deactivated.length,
+      reactivated: changes.reactivated.length,
+      updated: changes.updated.length,
+      skipped: changes.skipped.length,
+      groups: changes.groups ? changes.groups.length : null,
+    };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The changes a sync would make, or null if the domain does not exist
+   * @throws {DirectorySyncError} When the domain cannot be synced
+   */
+  async preview(domainId, { includeGroups = false } = {}) {
+    const domain = await this.getDomain(domainId);
+    if (!domain) return null;
+
+    const changes = await this.computeChanges(domain, { includeGroups });
+    return { domain: { id: domain.id, name: domain.name }, summary: this.summarize(changes), changes };
+  }
+
+  /**
+   * Sync a domain's users with the directory and record the run.
+   *
+   * @param {number} domainId
+   * @param {Object} [options]
+   * @param {boolean} [options.includeGroups] - Also store the domain's groups
+   * @param {string} [options.triggerType] - 'manual' or 'scheduled'
+   * @param {number} [options.adminUserId] - Admin who started a manual sync
+   * @returns {Promise<Object|null>} The run, or null if the domain does not exist
+   * @throws {DirectorySyncError} When the domain cannot be synced
+   */
+  async sync(domainId, { includeGroups = false, triggerType = 'manual', adminUserId = null } = {}) {
+    const domain = await this.getDomain(domainId);
+    if (!domain) return null;
+
+    const result = await query(
+      `INSERT INTO directory_sync_runs (domain_id, trigger_type, status, include_groups, started_by, started_at)
+       VALUES (?, ?, 'running', ?, ?, NOW())`,
+      [domain.id, triggerType, includeGroups ? 1 : 0, adminUserId]
+    );
+    const header = Array.isArray(result) ? result[0] : result;
+    const runId = header.insertId || header.lastID;
+
+    try {
+      const changes = await this.computeChanges(domain, { includeGroups });
+      await this.applyChanges(domain, changes);
+
+      const summary = this.summarize(changes);
+      await query(
+        `UPDATE directory_sync_runs SET status = 'completed', added_count = ?, deactivated_count = ?, reactivated_count = ?,
+         updated_count = ?, skipped_count = ?, group_count = ?, finished_at = NOW() WHERE id = ?`,
+        [summary.added, summary.deactivated, summary.reactivated, summary.updated, summary.skipped, summary.groups, runId]
+      );
+
+      await this.logAudit(adminUserId, 'directory_sync', 'domains', domain.id, {
+        triggerType,
+        summary,
+        added: changes.added.map(user => user.email),
+        deactivated: changes.deactivated.map(user => ({ email: user.email, reason: user.reason })),
+        reactivated: changes.reactivated.map(user => user.email),
+      });
+
+      logger.info('Directory sync completed', { domain: domain.name, triggerType, ...summary });
+    } catch (error) {
+      await query(
+        "UPDATE directory_sync_runs SET status = 'failed', error = ?, finished_at = NOW() WHERE id = ?",
+        [error.message, runId]
+      );
+      logger.error('Directory sync failed', { domain: domain.name, error: error.message });
+      throw error;
+    }
+
+    return this.getRun(runId);
+  }
+
+  async applyChanges(domain, changes) {
+    for (const user of changes.added) {
+      await query(
+        `INSERT INTO users (domain_id, email, status, full_name, aliases, directory_status)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [domain.id, user.email, user.status, user.fullName, user.aliases, user.directoryStatus]
+      );
+    }
+
+    for (const user of changes.deactivated) {
+      await query(
+        "UPDATE users SET status = 'inactive', full_name = ?, aliases = ?, directory_status = ?, updated_at = NOW() WHERE id = ?",
+        [user.fullName, user.aliases, user.directoryStatus, user.id]
+      );
+      // Same as deactivating by hand: drop the IMAP connection
+      await queueService.addIMAPJob(user.id, user.email, 'disconnect', 1);
+    }
+
+    for (const user of changes.reactivated) {
+      await query(
+        "UPDATE users SET status = 'active', full_name = ?, aliases = ?, directory_status = ?, updated_at = NOW() WHERE id = ?",
+        [user.fullName, user.aliases, user.directoryStatus, user.id]
+      );
+    }
+
+    for (const user of changes.updated) {
+      await query(
+        'UPDATE users SET full_name = ?, aliases = ?, directory_status = ?, updated_at = NOW() WHERE id = ?',
+        [user.fullName, user.aliases, user.directoryStatus, user.id]
+      );
+    }
+
+    if (changes.groups) {
+      await query('DELETE FROM directory_groups WHERE domain_id = ?', [domain.id]);
+      for (const group of changes.groups) {
+        await query(
+          `INSERT INTO directory_groups (domain_id, directory_id, email, name, aliases, member_count, synced_at)
+           VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+          [domain.id, group.directoryId, group.email, group.name, group.aliases, group.memberCount]
+        );
+      }
+    }
+  }
+
+  /**
+   * Sync every Google Workspace domain, one after another.
+   */
+  async syncAll({ triggerType = 'scheduled', includeGroups = process.env.DIRECTORY_SYNC_GROUPS === 'true' } = {}) {
+    if (this.running) {
+      throw new Error('Directory sync is already running');
+    }
+    this.running = true;
+
+    const results = [];
+    try {
+      const rows = await query('SELECT id, name, source_type FROM domains ORDER BY id');
+      const domains = rows.filter(domain => imapSourceService.isGoogleSource(domain.source_type));
+
+      for (const domain of domains) {
+        try {
+          results.push(await this.sync(domain.id, { includeGroups, triggerType }));
+        } catch (error) {
+          // Recorded in directory_sync_runs, continue with the next domain
+          results.push({ domainId: domain.id, status: 'failed', error: error.message });
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return results;
+  }
+
+  toRun(row) {
+    return {
+      id: row.id,
+      domainId: row.domain_id,
+      triggerType: row.trigger_type,
+      status: row.status,
+      includeGroups: Boolean(row.include_groups),
+      addedCount: row.added_count,
+      deactivatedCount: row.deactivated_count,
+      reactivatedCount: row.reactivated_count,
+      updatedCount: row.updated_count,
+      skippedCount: row.skipped_count,
+      groupCount: row.group_count,
+      error: row.error,
+      startedBy: row.started_by,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+    };
+  }
+
+  async getRun(id) {
+    const rows = await query('SELECT * FROM directory_sync_runs WHERE id = ?', [id]);
+    return rows.length > 0 ? this.toRun(rows[0]) : null;
+  }
+
+  async listRuns(domainId, limit = 20) {
+    const rows = await query(
+      `SELECT * FROM directory_sync_runs WHERE domain_id = ? ORDER BY id DESC LIMIT ${parseInt(limit)}`,
+      [domainId]
+    );
+    return rows.map(row => this.toRun(row));
+  }
+
+  async listGroups(domainId) {
+    return query(
+      'SELECT id, directory_id, email, name, aliases, member_count, synced_at FROM directory_groups WHERE domain_id = ? ORDER BY email',
+      [domainId]
+    );
+  }
+
+  async logAudit(adminUserId, action, resource, resourceId, details) {
+    try {
+      await query(
+        'INSERT INTO audit_logs (admin_user_id, action, resource, resource_id, details) VALUES (?, ?, ?, ?, ?)',
+        [adminUserId, action, resource, resourceId, JSON.stringify(details)]
+      );
+    } catch (error) {
+      logger.error('Failed to log audit action', { action, resourceId, error: error.message });
+    }
+  }
+}
+
+const directorySyncService = new DirectorySyncService();
+
+module.exports = {
+  DirectorySyncService,
+  directorySyncService,
+  DirectorySyncError,
+};
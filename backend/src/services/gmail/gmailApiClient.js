@@ -0,0 +1,182 @@
+const winston = require('winston');
+const { oauth2Service } = require('../auth/oauth2Service');
+const { rateLimitService } = require('../imap/rateLimitService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/gmail-api.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+const GOOGLE_API_URL = 'https://gmail.googleapis.com';
+const PAGE_SIZE = 500;
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY = 2000;
+
+class GmailApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'GmailApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Minimal Gmail REST API client.
+ *
+ * Requests carry the service account's delegated token for the mailbox, the
+ * same one the IMAP connections use (the https://mail.google.com/ scope
+ * covers the API). With GMAIL_API_URL set, requests go to that server
+ * instead, unauthenticated, so a local stand-in can answer them.
+ *
+ * Requests stay within the per-user quota (see rateLimitService). Rate
+ * limit and server errors (429, 403 rateLimitExceeded, 5xx) are retried with
+ * exponential backoff; rate limit errors also pause the user's domain.
+ */
+class GmailApiClient {
+  constructor({ baseUrl = process.env.GMAIL_API_URL || GOOGLE_API_URL } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.tokens = new Map();
+  }
+
+  // Tokens are reused until five minutes before they expire
+  async getToken(userEmail) {
+    const cached = this.tokens.get(userEmail);
+    if (cached && cached.expiresAt.getTime() - Date.now() > 5 * 60 * 1000) {
+      return cached.token;
+    }
+
+    const tokenData = await oauth2Service.generateAccessToken(userEmail);
+    this.tokens.set(userEmail, tokenData);
+    return tokenData.token;
+  }
+
+  isGoogle() {
+    return this.baseUrl === GOOGLE_API_URL;
+  }
+
+  async get(userEmail, path, params = {}) {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value === undefined || value === null) continue;
+      for (const item of Array.isArray(value) ? value : [value]) {
+        search.append(key, item);
+      }
+    }
+    const url = `${this.baseUrl}/gmail/v1/users/${encodeURIComponent(userEmail)}${path}?${search}`;
+
+    for (let attempt = 1; ; attempt++) {
+      await rateLimitService.acquire(userEmail, { requests: 1 });
+
+      const headers = {};
+      if (this.isGoogle()) {
+        headers.Authorization = `Bearer ${await this.getToken(userEmail)}`;
+      }
+
+      const response = await fetch(url, { headers });
+      if (response.ok) {
+        return response.json();
+      }
+
+      const body = await response.json().catch(() => ({}));
+      if (response.status === 401) {
+        this.tokens.delete(userEmail);
+      }
+      const reason = body.error?.errors?.[0]?.reason;
+      const throttled = response.status === 429 ||
+        (response.status === 403 && ['rateLimitExceeded', 'userRateLimitExceeded'].includes(reason));
+      const retryable = throttled || response.status >= 500;
+
+      if (!retryable || attempt >= MAX_ATTEMPTS) {
+        throw new GmailApiError(body.error?.message || `Gmail API request failed: ${response.status}`, response.status);
+      }
+
+      if (throttled) {
+        rateLimitService.reportThrottle(userEmail, reason || `HTTP ${response.status}`);
+      }
+
+      const delay = RETRY_DELAY * Math.pow(2, attempt - 1);
+      logger.warn('Gmail API throttled, retrying', { userEmail, path, status: response.status, reason, attempt, delay });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * @returns {Promise<{emailAddress: string, messagesTotal: number, historyId: string}>}
+   */
+  async getProfile(userEmail) {
+    return this.get(userEmail, '/profile');
+  }
+
+  /**
+   * @returns {Promise<Array<{id: string, name: string, type: string}>>}
+   */
+  async listLabels(userEmail) {
+    const data = await this.get(userEmail, '/labels');
+    return data.labels || [];
+  }
+
+  /**
+   * One page of message ids, spam and trash included.
+   *
+   * @returns {Promise<{messages: Array<{id: string, threadId: string}>, nextPageToken?: string}>}
+   */
+  async listMessages(userEmail, pageToken) {
+    const data = await this.get(userEmail, '/messages', {
+      maxResults: PAGE_SIZE,
+      includeSpamTrash: 'true',
+      pageToken,
+    });
+    return { messages: data.messages || [], nextPageToken: data.nextPageToken };
+  }
+
+  /**
+   * The message as RFC 822 bytes, with its labels and internal date.
+   *
+   * @returns {Promise<{id: string, threadId: string, labelIds: string[], internalDate: Date|null, historyId: string, raw: Buffer}>}
+   */
+  async getRawMessage(userEmail, id) {
+    const data = await this.get(userEmail, `/messages/${encodeURIComponent(id)}`, { format: 'raw' });
+    const raw = Buffer.from(data.raw || '', 'base64url');
+    // The size is only known once downloaded, later messages wait for it
+    rateLimitService.record(userEmail, raw.length);
+    return {
+      id: data.id,
+      threadId: data.threadId,
+      labelIds: data.labelIds || [],
+      internalDate: data.internalDate ? new Date(parseInt(data.internalDate)) : null,
+      historyId: data.historyId,
+      raw,
+    };
+  }
+
+  /**
+   * One page of changes since `startHistoryId`. A 404 means the history id
+   * is too old and a full sync is needed.
+   *
+   * @returns {Promise<{history: Array<Object>, historyId: string, nextPageToken?: string}>}
+   */
+  async listHistory(userEmail, startHistoryId, pageToken) {
+    const data = await this.get(userEmail, '/history', {
+      startHistoryId,
+      historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+      maxResults: PAGE_SIZE,
+      pageToken,
+    });
+    return { history: data.history || [], historyId: data.historyId, nextPageToken: data.nextPageToken };
+  }
+}
+
+const gmailApiClient = new GmailApiClient();
+
+module.exports = {
+  GmailApiClient,
+  gmailApiClient,
+  GmailApiError,
+};
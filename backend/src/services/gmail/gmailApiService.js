@@ -0,0 +1,366 @@
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+const { imapService } = require('../imap/imapService');
+const { gmailApiClient } = require('./gmailApiClient');
+const { QuotaExhaustedError } = require('../imap/rateLimitService');
+const { emailLabelService } = require('../labels/emailLabelService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/gmail-api.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+// System labels and the IMAP folder Gmail shows them as, so emails.folder
+// means the same whichever way a message was ingested. First match wins.
+const SYSTEM_LABEL_FOLDERS = [
+  ['INBOX', 'INBOX'],
+  ['SENT', '[Gmail]/Sent Mail'],
+  ['DRAFT', '[Gmail]/Drafts'],
+  ['TRASH', '[Gmail]/Trash'],
+  ['SPAM', '[Gmail]/Spam'],
+];
+// Other system labels Gmail also shows as folders, recorded as labels only
+const FLAG_LABEL_FOLDERS = [
+  ['STARRED', '[Gmail]/Starred'],
+  ['IMPORTANT', '[Gmail]/Important'],
+];
+const LABEL_FOLDERS = new Map([...SYSTEM_LABEL_FOLDERS, ...FLAG_LABEL_FOLDERS]);
+const ALL_MAIL_FOLDER = '[Gmail]/All Mail';
+
+function getMessageIdHeader(raw) {
+  const end = raw.indexOf('\r\n\r\n');
+  const header = raw.subarray(0, end >= 0 ? end : Math.min(raw.length, 64 * 1024)).toString('utf8');
+  const match = header.replace(/\r?\n[ \t]+/g, ' ').match(/^message-id:\s*(<[^>]+>|\S+)/im);
+  return match ? match[1] : null;
+}
+
+/**
+ * Backs up mailboxes of `gmail_api` domains through the Gmail REST API.
+ *
+ * The first sync lists every message (spam and trash included) and fetches
+ * the ones not archived yet with messages.get?format=raw. It records the
+ * mailbox historyId from before the listing, and later syncs only replay
+ * history since then: new messages are fetched, label changes update
+ * emails.gmail_label_ids and the flags they imply, and permanently deleted
+ * messages get emails.deleted_on_server_at (the archive copy stays). When
+ * the history id has expired, a full sync runs again, skipping everything
+ * already archived and marking archived messages it no longer lists as deleted.
+ *
+ * Each message is stored once with its native label ids (names in
+ * gmail_labels), through the same imapService.storeMessage path as IMAP
+ * ingestion, and its labels in email_labels under the folder names IMAP
+ * would show. Progress lives in gmail_sync_state, not email_folder_uids.
+ */
+class GmailApiService {
+  constructor(client = gmailApiClient) {
+    this.client = client;
+  }
+
+  /**
+   * Replace the Gmail API client, e.g. with a stand-in in tests.
+   */
+  setClient(client) {
+    this.client = client;
+  }
+
+  async getSyncState(userId) {
+    const rows = await query('SELECT * FROM gmail_sync_state WHERE user_id = ?', [userId]);
+    return rows[0] || null;
+  }
+
+  async saveSyncState(userId, historyId, mode) {
+    await query(
+      `INSERT INTO gmail_sync_state (user_id, history_id, last_sync_mode, last_sync_at, last_full_sync_at, last_error, updated_at)
+       VALUES (?, ?, ?, NOW(), ${mode === 'full' ? 'NOW()' : 'NULL'}, NULL, NOW())
+       ON DUPLICATE KEY UPDATE
+       history_id = VALUES(history_id),
+       last_sync_mode = VALUES(last_sync_mode),
+       last_sync_at = NOW(),
+       ${mode === 'full' ? 'last_full_sync_at = NOW(),' : ''}
+       last_error = NULL,
+       updated_at = NOW()`,
+      [userId, historyId, mode]
+    );
+  }
+
+  async saveSyncError(userId, message) {
+    await query(
+      `INSERT INTO gmail_sync_state (user_id, last_error, updated_at) VALUES (?, ?, NOW())
+       ON DUPLICATE KEY UPDATE last_error = VALUES(last_error), updated_at = NOW()`,
+      [userId, message]
+    );
+  }
+
+  /**
+   * Forget the history id so the next backup runs a full sync.
+   */
+  async resetSyncState(userId) {
+    await query('UPDATE gmail_sync_state SET history_id = NULL, updated_at = NOW() WHERE user_id = ?', [userId]);
+  }
+
+  /**
+   * Back up one mailbox, incrementally when a history id is known.
+   *
+   * @returns {Promise<{mode: string, fetched: number, skipped: number, labelUpdates: number, deleted: number, errors: number}>}
+   */
+  async backupMailbox(userId, userEmail) {
+    const labels = await this.syncLabels(userId, userEmail);
+    const state = await this.getSyncState(userId);
+    const stats = { mode: 'incremental', fetched: 0, skipped: 0, labelUpdates: 0, deleted: 0, errors: 0 };
+
+    try {
+      let historyId = null;
+
+      if (state?.history_id) {
+        try {
+          historyId = await this.incrementalSync(userId, userEmail, state.history_id, labels, stats);
+        } catch (error) {
+          if (error.status !== 404) throw error;
+          logger.warn('Gmail history expired, running a full sync', { userEmail, historyId: state.history_id });
+        }
+      }
+
+      if (!historyId) {
+        stats.mode = 'full';
+        historyId = await this.fullSync(userId, userEmail, labels, stats);
+      }
+
+      // After failures, start from the same point again: archived messages are skipped
+      await this.saveSyncState(userId, stats.errors > 0 ? (state?.history_id || null) : historyId, stats.mode);
+
+      logger.info('Gmail API backup completed', { userEmail, ...stats });
+      return stats;
+    } catch (error) {
+      await this.saveSyncError(userId, error.message).catch(() => {});
+      logger.error('Gmail API backup failed', { userEmail, error: error.message, ...stats });
+      throw error;
+    }
+  }
+
+  /**
+   * Store the mailbox's labels and return them by id.
+   */
+  async syncLabels(userId, userEmail) {
+    const labels = await this.client.listLabels(userEmail);
+    const byId = new Map();
+
+    for (const label of labels) {
+      byId.set(label.id, label);
+      const existing = await query('SELECT id FROM gmail_labels WHERE user_id = ? AND label_id = ?', [userId, label.id]);
+      if (existing.length > 0) {
+        await query('UPDATE gmail_labels SET name = ?, type = ? WHERE id = ?', [label.name, label.type || null, existing[0].id]);
+      } else {
+        await query(
+          'INSERT INTO gmail_labels (user_id, label_id, name, type) VALUES (?, ?, ?, ?)',
+          [userId, label.id, label.name, label.type || null]
+        );
+      }
+    }
+
+    return byId;
+  }
+
+  async getArchivedGmailIds(userId) {
+    const rows = await query('SELECT gmail_message_id FROM emails WHERE user_id = ? AND gmail_message_id IS NOT NULL', [userId]);
+    return new Set(rows.map(row => row.gmail_message_id));
+  }
+
+  /**
+   * @returns {Promise<string>} The history id to continue from next time
+   */
+  async fullSync(userId, userEmail, labels, stats) {
+    // Taken before listing, so changes made during the sync are replayed next time
+    const profile = await this.client.getProfile(userEmail);
+    const archived = await this.getArchivedGmailIds(userId);
+    const notListed = new Set(archived);
+    logger.info('Starting Gmail API full sync', { userEmail, messagesTotal: profile.messagesTotal, archived: archived.size });
+
+    let pageToken;
+    do {
+      const page = await this.client.listMessages(userEmail, pageToken);
+
+      for (const message of page.messages) {
+        notListed.delete(message.id);
+        if (archived.has(message.id)) {
+          stats.skipped++;
+          continue;
+        }
+        await this.archiveMessage(userId, userEmail, message.id, labels, stats);
+        archived.add(message.id);
+      }
+
+      pageToken = page.nextPageToken;
+      logger.info('Gmail API full sync progress', { userEmail, ...stats });
+    } while (pageToken);
+
+    // Spam and trash are listed too: what is left was deleted for good
+    await this.markDeleted(userId, [...notListed], stats);
+
+    return profile.historyId;
+  }
+
+  /**
+   * @returns {Promise<string>} The history id to continue from next time
+   * @throws {GmailApiError} With status 404 when `startHistoryId` has expired
+   */
+  async incrementalSync(userId, userEmail, startHistoryId, labels, stats) {
+    const added = new Map();
+    const labelChanges = new Map();
+    const deleted = new Set();
+    let historyId = startHistoryId;
+    let pageToken;
+
+    do {
+      const page = await this.client.listHistory(userEmail, startHistoryId, pageToken);
+      for (const record of page.history) {
+        for (const { message } of record.messagesAdded || []) {
+          added.set(message.id, message);
+        }
+        for (const { message } of [...(record.labelsAdded || []), ...(record.labelsRemoved || [])]) {
+          labelChanges.set(message.id, message.labelIds || []);
+        }
+        for (const { message } of record.messagesDeleted || []) {
+          deleted.add(message.id);
+        }
+      }
+      historyId = page.historyId || historyId;
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    const archived = await this.getArchivedGmailIds(userId);
+
+    for (const id of added.keys()) {
+      if (archived.has(id)) {
+        stats.skipped++;
+        continue;
+      }
+      await this.archiveMessage(userId, userEmail, id, labels, stats);
+      archived.add(id);
+    }
+
+    for (const [id, labelIds] of labelChanges) {
+      if (!archived.has(id) || added.has(id) || deleted.has(id)) continue;
+      const emails = await query('SELECT id FROM emails WHERE user_id = ? AND gmail_message_id = ?', [userId, id]);
+      for (const email of emails) {
+        await query('UPDATE emails SET gmail_label_ids = ? WHERE id = ?', [JSON.stringify(labelIds), email.id]);
+        await emailLabelService.setLabels(email.id, this.getLabelFolders(labelIds, labels));
+        await imapService.updateServerFlags(email.id, this.getFlags(labelIds));
+      }
+      stats.labelUpdates++;
+    }
+
+    await this.markDeleted(userId, [...deleted].filter(id => archived.has(id)), stats);
+
+    return historyId;
+  }
+
+  /**
+   * Record that messages were deleted from the mailbox, keeping their archive copy.
+   */
+  async markDeleted(userId, gmailIds, stats) {
+    for (const id of gmailIds) {
+      const result = await query(
+        'UPDATE emails SET deleted_on_server_at = NOW() WHERE user_id = ? AND gmail_message_id = ? AND deleted_on_server_at IS NULL',
+        [userId, id]
+      );
+      const header = Array.isArray(result) ? result[0] : result;
+      stats.deleted += header?.affectedRows || 0;
+    }
+  }
+
+  async archiveMessage(userId, userEmail, id, labels, stats) {
+    try {
+      const message = await this.client.getRawMessage(userEmail, id);
+      if (message.raw.length === 0) {
+        stats.skipped++;
+        return null;
+      }
+
+      const gmail = { messageId: message.id, threadId: message.threadId, labelIds: message.labelIds };
+      const messageId = getMessageIdHeader(message.raw);
+
+      if (messageId) {
+        const existing = await query('SELECT id, user_id FROM emails WHERE message_id = ?', [messageId]);
+        if (existing.length > 0) {
+          // Archived before, e.g. over IMAP: link it to the Gmail message instead of storing it again
+          if (existing[0].user_id === userId) {
+            await query(
+              'UPDATE emails SET gmail_message_id = ?, gmail_thread_id = ?, gmail_label_ids = ? WHERE id = ?',
+              [gmail.messageId, gmail.threadId, JSON.stringify(gmail.labelIds), existing[0].id]
+            );
+            await emailLabelService.setLabels(existing[0].id, this.getLabelFolders(message.labelIds, labels));
+          }
+          stats.skipped++;
+          return null;
+        }
+      }
+
+      const { emailId } = await imapService.storeMessage(userId, userEmail, message.raw, {
+        messageId,
+        folder: this.getFolder(message.labelIds, labels),
+        labels: this.getLabelFolders(message.labelIds, labels),
+        internalDate: message.internalDate,
+        flags: this.getFlags(message.labelIds),
+        gmail,
+      });
+
+      if (emailId) {
+        stats.fetched++;
+      } else {
+        stats.skipped++;
+      }
+      return emailId;
+    } catch (error) {
+      // The user's daily quota is used up: the whole backup stops, the next one resumes
+      if (error instanceof QuotaExhaustedError) throw error;
+      stats.errors++;
+      logger.error('Failed to archive Gmail message', { userEmail, id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * The folder recorded in emails.folder: the IMAP name of the most
+   * important system label, else the first user label, else All Mail.
+   */
+  getFolder(labelIds, labels) {
+    for (const [labelId, folder] of SYSTEM_LABEL_FOLDERS) {
+      if (labelIds.includes(labelId)) return folder;
+    }
+    const userLabel = labelIds.map(labelId => labels.get(labelId)).find(label => label && label.type === 'user');
+    return userLabel ? userLabel.name : ALL_MAIL_FOLDER;
+  }
+
+  /**
+   * The folders IMAP would show the message in, for email_labels. Labels
+   * without a folder (UNREAD, categories) are left out.
+   */
+  getLabelFolders(labelIds, labels) {
+    return labelIds
+      .map(labelId => LABEL_FOLDERS.get(labelId) || (labels.get(labelId)?.type === 'user' ? labels.get(labelId).name : null))
+      .filter(Boolean);
+  }
+
+  // IMAP flags implied by the labels, stored like the IMAP path's flags
+  getFlags(labelIds) {
+    const flags = [];
+    if (!labelIds.includes('UNREAD')) flags.push('\\Seen');
+    if (labelIds.includes('STARRED')) flags.push('\\Flagged');
+    if (labelIds.includes('DRAFT')) flags.push('\\Draft');
+    return flags;
+  }
+}
+
+const gmailApiService = new GmailApiService();
+
+module.exports = {
+  GmailApiService,
+  gmailApiService,
+};
@@ -0,0 +1,390 @@
+const { startFakeImapServer, buildRawMessage } = require('../../../../test/helpers/fakeImapServer');
+
+jest.mock('../../database/databaseService', () => ({ query: jest.fn() }));
+jest.mock('../../auth/oauth2Service', () => ({
+  oauth2Service: { generateXOAuth2Token: jest.fn(async () => ({ token: 'gmail-token' })) },
+}));
+jest.mock('../../storage/encryptionService', () => ({
+  SHARED_SCOPE: 'shared',
+  encryptionService: {
+    isEnabled: jest.fn(() => true),
+    encrypt: jest.fn(async (data) => Buffer.concat([Buffer.from('enc:'), data])),
+    decrypt: jest.fn(async (data) => data.subarray(4)),
+  },
+}));
+jest.mock('../../storage/backupFileService', () => ({ backupFileService: { write: jest.fn() } }));
+jest.mock('../../storage/attachmentStorageService', () => ({
+  attachmentStorageService: { storeAttachments: jest.fn() },
+}));
+jest.mock('../../search/searchIndexService', () => ({ searchIndexService: { indexEmail: jest.fn() } }));
+jest.mock('../../labels/emailLabelService', () => ({
+  emailLabelService: {
+    addLabels: jest.fn(),
+    addLabelsByMessageId: jest.fn(),
+    renameLabel: jest.fn(),
+    isAllMailFolder: jest.fn(() => false),
+  },
+}));
+jest.mock('../../queue/jobService', () => ({ jobService: { registerHandler: jest.fn() } }));
+
+const { query } = require('../../database/databaseService');
+const { oauth2Service } = require('../../auth/oauth2Service');
+const { backupFileService } = require('../../storage/backupFileService');
+const { attachmentStorageService } = require('../../storage/attachmentStorageService');
+const { emailLabelService } = require('../../labels/emailLabelService');
+const { imapSourceService, ImapSourceError } = require('../imapSourceService');
+const { imapService } = require('../imapService');
+const { rateLimitService, QuotaExhaustedError } = require('../rateLimitService');
+
+const encrypted = (password) => Buffer.from(`enc:${password}`).toString('base64');
+
+/**
+ * The rows the connection and backup code reads and writes, behind the
+ * mocked query(). Other statements find nothing and change nothing.
+ */
+function useDatabase({ domain, user }) {
+  const db = { emails: [], folders: [], fetchFailures: [], files: new Map() };
+
+  backupFileService.write.mockImplementation(async (key, content) => {
+    db.files.set(key, Buffer.from(content));
+    return { uri: `local://${key}`, compression: null, storedSize: content.length };
+  });
+
+  query.mockImplementation(async (sql, params = []) => {
+    const statement = sql.replace(/\s+/g, ' ').trim();
+
+    if (/FROM users u LEFT JOIN domains d ON u\.domain_id = d\.id WHERE u\.email = \?/.test(statement)) {
+      if (params[0] !== user.email) return [];
+      return [{ ...domain, user_imap_username: user.imap_username || null, user_imap_password: user.imap_password || null }];
+    }
+
+    if (statement.startsWith('SELECT message_id FROM emails WHERE user_id = ?')) {
+      return db.emails.filter(email => email.user_id === params[0]).map(email => ({ message_id: email.message_id }));
+    }
+    if (statement.startsWith('INSERT IGNORE INTO emails')) {
+      const [userId, messageId, subject] = params;
+      if (db.emails.some(email => email.user_id === userId && email.message_id === messageId)) return { affectedRows: 0 };
+      const email = {
+        id: db.emails.length + 1,
+        user_id: userId,
+        message_id: messageId,
+        subject,
+        eml_path: params[6],
+        folder: params[8],
+        internal_date: params[12],
+        flags: params[13],
+      };
+      db.emails.push(email);
+      return { affectedRows: 1, insertId: email.id };
+    }
+    if (statement.startsWith('SELECT id FROM emails WHERE user_id = ? AND message_id = ?')) {
+      return db.emails.filter(email => email.user_id === params[0] && email.message_id === params[1]).map(email => ({ id: email.id }));
+    }
+    if (statement.startsWith('SELECT flags FROM emails WHERE id = ?')) {
+      return db.emails.filter(email => email.id === params[0]).map(email => ({ flags: email.flags }));
+    }
+
+    if (statement.startsWith('SELECT * FROM email_folder_uids WHERE user_id = ? AND folder_name = ?')) {
+      return db.folders.filter(folder => folder.user_id === params[0] && folder.folder_name === params[1]);
+    }
+    if (statement.startsWith('SELECT last_uid FROM email_folder_uids WHERE user_id = ? AND folder_name = ?')) {
+      return db.folders.filter(folder => folder.user_id === params[0] && folder.folder_name === params[1]).map(folder => ({ last_uid: folder.last_uid }));
+    }
+    if (statement.startsWith('INSERT INTO email_folder_uids')) {
+      const [userId, folderName, value] = params;
+      let folder = db.folders.find(row => row.user_id === userId && row.folder_name === folderName);
+      if (!folder) {
+        folder = { id: db.folders.length + 1, user_id: userId, folder_name: folderName, last_uid: 0, uid_validity: null, locations_mapped_at: new Date() };
+        db.folders.push(folder);
+      }
+      if (statement.includes('uid_validity')) folder.uid_validity = value; else folder.last_uid = value;
+      return { affectedRows: 1 };
+    }
+
+    if (statement.startsWith('INSERT INTO fetch_failures')) {
+      const [userId, folder, uid, uidValidity, messageId, error] = params;
+      db.fetchFailures.push({ id: db.fetchFailures.length + 1, user_id: userId, folder, uid, uid_validity: uidValidity, message_id: messageId, error, status: 'pending' });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith("SELECT * FROM fetch_failures WHERE user_id = ? AND folder = ? AND status = 'pending'")) {
+      return db.fetchFailures.filter(failure => failure.user_id === params[0] && failure.folder === params[1] && failure.status === 'pending');
+    }
+    if (statement.startsWith("UPDATE fetch_failures SET status = 'resolved'")) {
+      db.fetchFailures.find(failure => failure.id === params[1]).status = 'resolved';
+      return { affectedRows: 1 };
+    }
+
+    return statement.startsWith('SELECT') ? [] : { affectedRows: 0 };
+  });
+
+  return db;
+}
+
+const DOMAIN = {
+  id: 1,
+  name: 'example.com',
+  source_type: 'imap',
+  imap_host: 'mail.example.com',
+  imap_port: null,
+  imap_tls: 'tls',
+  imap_skip_tls_verify: 0,
+  imap_username: null,
+  imap_password: encrypted('domain-secret'),
+};
+const USER = { id: 7, email: 'alice@example.com' };
+
+const attachmentMessage = [
+  'From: carol@example.com',
+  'To: alice@example.com',
+  'Subject: Quarterly report',
+  'Date: Tue, 16 Jan 2024 09:30:00 +0000',
+  'Message-ID: <report@example.com>',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="b1"',
+  '',
+  '--b1',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  'See attached.',
+  '--b1',
+  'Content-Type: text/csv; name="report.csv"',
+  'Content-Disposition: attachment; filename="report.csv"',
+  '',
+  'quarter,total',
+  'Q4,42',
+  '--b1--',
+  '',
+].join('\r\n');
+
+describe('ImapSourceService.getConnectionOptions', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('logs in to the domain server with the domain password', async () => {
+    useDatabase({ domain: DOMAIN, user: USER });
+
+    await expect(imapSourceService.getConnectionOptions(USER.email)).resolves.toEqual({
+      host: 'mail.example.com',
+      port: 993,
+      secure: true,
+      auth: { user: 'alice@example.com', pass: 'domain-secret' },
+    });
+    expect(oauth2Service.generateXOAuth2Token).not.toHaveBeenCalled();
+  });
+
+  test('fills {email} into the domain username, e.g. for a Dovecot master user', async () => {
+    useDatabase({ domain: { ...DOMAIN, imap_username: '{email}*backup' }, user: USER });
+
+    const options = await imapSourceService.getConnectionOptions(USER.email);
+    expect(options.auth).toEqual({ user: 'alice@example.com*backup', pass: 'domain-secret' });
+  });
+
+  test("prefers the user's own credentials", async () => {
+    useDatabase({
+      domain: { ...DOMAIN, imap_username: 'master' },
+      user: { ...USER, imap_username: 'alice', imap_password: encrypted('alice-secret') },
+    });
+
+    const options = await imapSourceService.getConnectionOptions(USER.email);
+    expect(options.auth).toEqual({ user: 'alice', pass: 'alice-secret' });
+  });
+
+  test('maps STARTTLS, plaintext and skipped certificate checks to ImapFlow options', async () => {
+    useDatabase({ domain: { ...DOMAIN, imap_tls: 'starttls', imap_skip_tls_verify: 1 }, user: USER });
+    await expect(imapSourceService.getConnectionOptions(USER.email)).resolves.toMatchObject({
+      port: 143,
+      secure: false,
+      doSTARTTLS: true,
+      tls: { rejectUnauthorized: false },
+    });
+
+    useDatabase({ domain: { ...DOMAIN, imap_tls: 'none', imap_port: 1143 }, user: USER });
+    await expect(imapSourceService.getConnectionOptions(USER.email)).resolves.toMatchObject({
+      port: 1143,
+      secure: false,
+      doSTARTTLS: false,
+    });
+  });
+
+  test('rejects an IMAP domain without a password', async () => {
+    useDatabase({ domain: { ...DOMAIN, imap_password: null }, user: USER });
+
+    await expect(imapSourceService.getConnectionOptions(USER.email)).rejects.toThrow(ImapSourceError);
+  });
+
+  test('uses the service account token for Gmail domains', async () => {
+    useDatabase({ domain: { ...DOMAIN, source_type: 'gmail' }, user: USER });
+
+    await expect(imapSourceService.getConnectionOptions(USER.email)).resolves.toEqual({
+      host: 'imap.gmail.com',
+      port: 993,
+      secure: true,
+      auth: { user: 'alice@example.com', accessToken: 'gmail-token' },
+    });
+  });
+});
+
+describe('backup from an IMAP server without Gmail extensions', () => {
+  let imap;
+  let db;
+
+  beforeEach(async () => {
+    imap = await startFakeImapServer({
+      users: { 'alice@example.com': { password: 'domain-secret' } },
+      storage: {
+        INBOX: {
+          messages: [
+            {
+              raw: buildRawMessage({ messageId: '<welcome@example.com>', subject: 'Welcome' }),
+              flags: ['\\Seen', '\\Flagged'],
+              internaldate: '15-Jan-2024 10:01:00 +0000',
+            },
+            { raw: attachmentMessage, internaldate: '16-Jan-2024 09:31:00 +0000' },
+          ],
+        },
+        '': {
+          separator: '/',
+          folders: {
+            Sent: {
+              'special-use': '\\Sent',
+              messages: [{ raw: buildRawMessage({ messageId: '<reply@example.com>', subject: 'Re: Welcome', from: 'alice@example.com' }), flags: ['\\Seen'] }],
+            },
+            Projects: {
+              folders: {
+                2024: {
+                  // Also in INBOX: archived once, labelled with both folders
+                  messages: [{ raw: attachmentMessage }],
+                },
+              },
+            },
+          },
+        },
+      },
+    });
+
+    db = useDatabase({
+      domain: { ...DOMAIN, imap_host: '127.0.0.1', imap_port: imap.connectionOptions.port, imap_tls: 'none' },
+      user: USER,
+    });
+  });
+
+  afterEach(async () => {
+    await imapService.disconnect(USER.id);
+    await imap.close();
+    jest.clearAllMocks();
+  });
+
+  test('connects with the domain settings', async () => {
+    const { imap: client } = await imapService.connect(USER.email, USER.id);
+
+    expect(client.usable).toBe(true);
+    expect(client.capabilities.has('X-GM-EXT-1')).toBe(false);
+    expect(imap.commands.some(command => / LOGIN "?alice@example\.com"? "?domain-secret"?/.test(command))).toBe(true);
+  });
+
+  test('backs up every folder, INBOX and SPECIAL-USE folders first', async () => {
+    await imapService.backupUserMailbox(USER.id, USER.email);
+
+    expect(db.emails.map(email => [email.folder, email.subject])).toEqual([
+      ['INBOX', 'Welcome'],
+      ['INBOX', 'Quarterly report'],
+      ['Sent', 'Re: Welcome'],
+    ]);
+    expect(imap.commands.some(command => command.includes('X-GM-'))).toBe(false);
+
+    const [welcome] = db.emails;
+    expect(JSON.parse(welcome.flags)).toEqual(['\\Flagged', '\\Seen']);
+    expect(welcome.internal_date).toEqual(new Date('2024-01-15T10:01:00Z'));
+    expect(db.files.get('example.com/alice/2024/01/_welcome@example.com_.eml').toString()).toContain('Subject: Welcome');
+
+    // The copy in Projects/2024 is a duplicate: its folder becomes a label of the archived email
+    expect(emailLabelService.addLabelsByMessageId).toHaveBeenCalledWith(USER.id, '<report@example.com>', ['Projects/2024']);
+    expect(attachmentStorageService.storeAttachments).toHaveBeenCalledTimes(1);
+    expect(attachmentStorageService.storeAttachments.mock.calls[0][1][0]).toMatchObject({ filename: 'report.csv' });
+
+    expect(db.folders.map(folder => [folder.folder_name, folder.last_uid])).toEqual([
+      ['INBOX', 2],
+      ['Sent', 1],
+      ['Projects', 0],
+      ['Projects/2024', 1],
+    ]);
+  });
+
+  test('resumes after the last archived UID of each folder', async () => {
+    await imapService.backupUserMailbox(USER.id, USER.email);
+    imap.server.appendMessage('INBOX', [], new Date(), buildRawMessage({ messageId: '<later@example.com>', subject: 'Later' }));
+    imap.commands.length = 0;
+
+    await imapService.backupUserMailbox(USER.id, USER.email);
+
+    expect(db.emails.map(email => email.subject)).toEqual(['Welcome', 'Quarterly report', 'Re: Welcome', 'Later']);
+    expect(imap.commands.some(command => /UID SEARCH UID 3:\*/i.test(command))).toBe(true);
+    expect(db.folders.find(folder => folder.folder_name === 'INBOX').last_uid).toBe(3);
+  });
+
+  test('records the unprocessed UIDs of a failed batch as fetch failures, retried by the next run', async () => {
+    const fetchAndStoreBatch = imapService.fetchAndStoreBatch;
+    const batchSpy = jest.spyOn(imapService, 'fetchAndStoreBatch').mockImplementationOnce(async function (client, uids, ...rest) {
+      // The first UID is stored, then the connection drops
+      await fetchAndStoreBatch.call(this, client, uids.slice(0, 1), ...rest);
+      throw new Error('Connection not available');
+    });
+
+    await imapService.backupUserMailbox(USER.id, USER.email);
+
+    // The copy in Projects/2024 is archived instead
+    expect(db.emails.map(email => [email.folder, email.subject])).toEqual([
+      ['INBOX', 'Welcome'],
+      ['Sent', 'Re: Welcome'],
+      ['Projects/2024', 'Quarterly report'],
+    ]);
+    expect(db.fetchFailures).toEqual([
+      expect.objectContaining({ folder: 'INBOX', uid: 2, uid_validity: expect.any(String), error: 'Connection not available', status: 'pending' }),
+    ]);
+
+    batchSpy.mockRestore();
+    await imapService.backupUserMailbox(USER.id, USER.email);
+
+    // The retry finds it archived and records it in INBOX too
+    expect(db.emails).toHaveLength(3);
+    expect(emailLabelService.addLabelsByMessageId).toHaveBeenCalledWith(USER.id, '<report@example.com>', ['INBOX']);
+    expect(db.fetchFailures.map(failure => failure.status)).toEqual(['resolved']);
+  });
+
+  test('stops the user when the daily quota is used up, the next run resumes', async () => {
+    const acquire = jest.spyOn(rateLimitService, 'acquire').mockImplementation(async (userEmail, { bytes = 0 } = {}) => {
+      if (bytes > 0) throw new QuotaExhaustedError('Daily download quota used up', new Date(Date.now() + 3600 * 1000));
+    });
+
+    await expect(imapService.backupUserMailbox(USER.id, USER.email)).rejects.toThrow(QuotaExhaustedError);
+
+    // Stopped at the first download: no other folder was read, no UID moved past
+    expect(db.emails).toEqual([]);
+    expect(imap.commands.some(command => /SELECT "?Sent"?/i.test(command))).toBe(false);
+    expect(db.folders.every(folder => folder.last_uid === 0)).toBe(true);
+
+    acquire.mockRestore();
+    await imapService.backupUserMailbox(USER.id, USER.email);
+
+    expect(db.emails.map(email => email.subject)).toEqual(['Welcome', 'Quarterly report', 'Re: Welcome']);
+    expect(db.folders.find(folder => folder.folder_name === 'INBOX').last_uid).toBe(2);
+  });
+
+  test('uses up the quota on the messages it covers before stopping the user', async () => {
+    let downloads = 0;
+    const acquire = jest.spyOn(rateLimitService, 'acquire').mockImplementation(async (userEmail, { bytes = 0 } = {}) => {
+      if (bytes > 0 && ++downloads > 1) throw new QuotaExhaustedError('Daily download quota used up', new Date(Date.now() + 3600 * 1000));
+    });
+
+    await expect(imapService.backupUserMailbox(USER.id, USER.email)).rejects.toThrow(QuotaExhaustedError);
+
+    // The first message of the batch fitted in the quota
+    expect(db.emails.map(email => email.subject)).toEqual(['Welcome']);
+    expect(db.folders.find(folder => folder.folder_name === 'INBOX').last_uid).toBe(1);
+    expect(imap.commands.some(command => /SELECT "?Sent"?/i.test(command))).toBe(false);
+
+    acquire.mockRestore();
+    await imapService.backupUserMailbox(USER.id, USER.email);
+
+    expect(db.emails.map(email => email.subject)).toEqual(['Welcome', 'Quarterly report', 'Re: Welcome']);
+  });
+});
@@ -0,0 +1,54 @@
+const { RateLimitService, QuotaExhaustedError } = require('../rateLimitService');
+
+const MB = 1024 * 1024;
+const USER = 'alice@example.com';
+
+describe('RateLimitService.acquire()', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    service = new RateLimitService();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('waits while the daily bandwidth refills for a few minutes', async () => {
+    // 1 MB over the 2500 MB a day: refilled in about 35 seconds
+    service.record(USER, 2501 * MB);
+
+    let acquired = false;
+    const acquire = service.acquire(USER).then(() => { acquired = true; });
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    expect(acquired).toBe(false);
+    expect(service.getWaiting(USER)).toMatchObject({ reason: 'bandwidth' });
+
+    await jest.advanceTimersByTimeAsync(10 * 1000);
+    await acquire;
+    expect(service.getWaiting(USER)).toBeNull();
+  });
+
+  test('stops the user when the daily bandwidth is used up for longer', async () => {
+    service.record(USER, 2600 * MB);
+
+    const error = await service.acquire(USER, { bytes: MB }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(QuotaExhaustedError);
+    expect(error.retryAt.getTime()).toBeGreaterThan(Date.now() + 30 * 60 * 1000);
+    expect(service.getWaiting(USER)).toBeNull();
+    // Only this user stops: the domain is not paused and the error is not a throttle
+    expect(service.isThrottlingError(error)).toBe(false);
+    expect(service.getPauseRemaining(USER)).toBe(0);
+    await expect(service.acquire('bob@example.com', { bytes: MB })).resolves.toBeUndefined();
+  });
+
+  test('a message larger than what is left waits for the bucket, not past it', async () => {
+    service.record(USER, 2490 * MB);
+
+    // 20 MB with 10 MB left would take 6 minutes to refill
+    await expect(service.acquire(USER, { bytes: 20 * MB })).rejects.toThrow(QuotaExhaustedError);
+    await expect(service.acquire(USER, { bytes: 10 * MB })).resolves.toBeUndefined();
+  });
+});
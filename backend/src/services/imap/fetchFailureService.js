@@ -0,0 +1,168 @@
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/fetch-failures.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+// Backups stop retrying a message after this many failed attempts; it can still be retried from the API
+const MAX_ATTEMPTS = parseInt(process.env.FETCH_FAILURE_MAX_ATTEMPTS || '5');
+const FAILURE_STATUSES = ['pending', 'failed', 'resolved'];
+
+/**
+ * Dead letters of the backup: messages that could not be downloaded (the
+ * connection dropped, the server timed out...). A backup records them in
+ * fetch_failures and moves its resume point past them, then retries the
+ * pending ones of each folder on its next runs. After MAX_ATTEMPTS they are
+ * `failed` and only retried on request.
+ *
+ * Messages that were downloaded but cannot be archived (too large, not
+ * parseable) are skipped messages instead, see skippedMessageService.
+ */
+class FetchFailureService {
+  getMaxAttempts() {
+    return MAX_ATTEMPTS;
+  }
+
+  /**
+   * Record a failed attempt at downloading a message.
+   */
+  async record({ userId, folder, uid, uidValidity = null, messageId = null, error = null }) {
+    try {
+      await query(
+        `INSERT INTO fetch_failures (user_id, folder, uid, uid_validity, message_id, error, status, attempts, created_at, last_attempt_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 1, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE
+         message_id = COALESCE(VALUES(message_id), message_id),
+         error = VALUES(error),
+         status = CASE WHEN attempts + 1 >= ? THEN 'failed' ELSE 'pending' END,
+         attempts = attempts + 1,
+         email_id = NULL,
+         resolved_at = NULL,
+         last_attempt_at = NOW()`,
+        [userId, folder, uid, uidValidity ? String(uidValidity) : 0, messageId, error ? String(error).substring(0, 2000) : null,
+          MAX_ATTEMPTS <= 1 ? 'failed' : 'pending', MAX_ATTEMPTS]
+      );
+      logger.warn('Message fetch failed', { userId, folder, uid, messageId, error });
+    } catch (dbError) {
+      logger.error('Failed to record fetch failure', { userId, folder, uid, error: dbError.message });
+    }
+  }
+
+  /**
+   * @param {number|null} emailId - Null when the message turned out to be a duplicate or gone
+   */
+  async resolve(id, emailId = null) {
+    await query(
+      "UPDATE fetch_failures SET status = 'resolved', email_id = ?, resolved_at = NOW(), last_attempt_at = NOW() WHERE id = ?",
+      [emailId, id]
+    );
+  }
+
+  /**
+   * Pending failures of a folder, to retry. Failures recorded under another
+   * UIDVALIDITY are dropped: their UIDs mean nothing any more, and the folder
+   * is re-scanned in full after such a change.
+   */
+  async getPending(userId, folder, uidValidity) {
+    await query(
+      "DELETE FROM fetch_failures WHERE user_id = ? AND folder = ? AND uid_validity <> ? AND status <> 'resolved'",
+      [userId, folder, uidValidity ? String(uidValidity) : 0]
+    );
+    return query(
+      "SELECT * FROM fetch_failures WHERE user_id = ? AND folder = ? AND status = 'pending' ORDER BY uid",
+      [userId, folder]
+    );
+  }
+
+  /**
+   * @param {string|null} status - One of FAILURE_STATUSES, or null for pending and failed
+   */
+  async list(userId, { status = null, page = 1, limit = 100 } = {}) {
+    let whereClause = "WHERE user_id = ? AND status <> 'resolved'";
+    const params = [userId];
+    if (status === 'all') {
+      whereClause = 'WHERE user_id = ?';
+    } else if (status) {
+      whereClause = 'WHERE user_id = ? AND status = ?';
+      params.push(status);
+    }
+
+    const limitValue = parseInt(limit);
+    const offsetValue = (parseInt(page) - 1) * limitValue;
+    const failures = await query(
+      `SELECT * FROM fetch_failures ${whereClause} ORDER BY last_attempt_at DESC, id DESC LIMIT ${limitValue} OFFSET ${offsetValue}`,
+      params
+    );
+    const [count] = await query(`SELECT COUNT(*) as total FROM fetch_failures ${whereClause}`, params);
+    const total = Number(count.total);
+
+    return {
+      failures,
+      maxAttempts: MAX_ATTEMPTS,
+      pagination: {
+        page: parseInt(page),
+        limit: limitValue,
+        total,
+        pages: Math.ceil(total / limitValue),
+      },
+    };
+  }
+
+  /**
+   * Make the user's unresolved failures (all, or `ids`) pending again with a
+   * fresh attempt budget, for the next backup to retry.
+   *
+   * @returns {Promise<number>} Failures requeued
+   */
+  async requeue(userId, ids = null) {
+    let sql = "UPDATE fetch_failures SET status = 'pending', attempts = 0 WHERE user_id = ? AND status <> 'resolved'";
+    const params = [userId];
+    if (ids && ids.length > 0) {
+      sql += ` AND id IN (${ids.map(() => '?').join(', ')})`;
+      params.push(...ids);
+    }
+
+    const result = await query(sql, params);
+    const header = Array.isArray(result) ? result[0] : result;
+    const count = header ? (header.affectedRows || header.changes || 0) : 0;
+    logger.info('Fetch failures requeued', { userId, count });
+    return count;
+  }
+
+  /**
+   * Unresolved failures per user, for the user list.
+   *
+   * @returns {Promise<Map<number, number>>}
+   */
+  async countByUser(userIds) {
+    const counts = new Map();
+    if (!userIds || userIds.length === 0) return counts;
+
+    const rows = await query(
+      `SELECT user_id, COUNT(*) as count FROM fetch_failures
+       WHERE status <> 'resolved' AND user_id IN (${userIds.map(() => '?').join(', ')}) GROUP BY user_id`,
+      userIds
+    );
+    for (const row of rows) {
+      counts.set(Number(row.user_id), Number(row.count));
+    }
+    return counts;
+  }
+}
+
+const fetchFailureService = new FetchFailureService();
+
+module.exports = {
+  FetchFailureService,
+  fetchFailureService,
+  FAILURE_STATUSES,
+};
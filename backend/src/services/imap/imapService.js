@@ -1,11 +1,24 @@
 const { ImapFlow } = require('imapflow');
-const { simpleParser } = require('mailparser');
+const { simpleParser, MailParser } = require('mailparser');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const os = require('os');
 const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
-const { oauth2Service } = require('../auth/oauth2Service');
 const { query } = require('../database/databaseService');
+const { imapSourceService } = require('./imapSourceService');
+const { rateLimitService, QuotaExhaustedError } = require('./rateLimitService');
+const { skippedMessageService } = require('./skippedMessageService');
+const { fetchFailureService } = require('./fetchFailureService');
+const { progressService } = require('../progress/progressService');
+const { searchIndexService } = require('../search/searchIndexService');
+const { emailLabelService } = require('../labels/emailLabelService');
+const { attachmentStorageService } = require('../storage/attachmentStorageService');
+const { backupFileService } = require('../storage/backupFileService');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -19,26 +32,45 @@ const logger = winston.createLogger({
   ],
 });
 
-// Rate limiter untuk Google Workspace compliance - Sequential IMAP mode
-// Values can be overridden via environment variables with better defaults
+// Timing for Google Workspace compliance; connection and bandwidth quotas
+// are enforced by rateLimitService. Values can be overridden via environment variables
 const RATE_LIMITS = {
-  MAX_CONCURRENT_CONNECTIONS: parseInt(process.env.MAX_CONCURRENT_CONNECTIONS || '2'), // Increased to 2 for better recovery
   IDLE_REFRESH_INTERVAL: 25 * 60 * 1000,
-  BATCH_SIZE: parseInt(process.env.BATCH_SIZE || '50'), // Reduced batch size for stability
+  BATCH_SIZE: parseInt(process.env.BATCH_SIZE || '100'), // UIDs per envelope and pipelined source fetch
   FETCH_TIMEOUT: parseInt(process.env.FETCH_TIMEOUT || '120000'), // 2 minutes for large batches
   RETRY_ATTEMPTS: 5, // Increased retry attempts
   RETRY_DELAY: parseInt(process.env.RETRY_DELAY || '3000'), // Increased base delay
   MAX_RETRY_DELAY: 30000, // Maximum delay between retries
-  FETCH_DELAY: parseInt(process.env.FETCH_DELAY || '800'), // Delay between individual fetches
+};
+
+// Messages above STREAM_THRESHOLD_MB are streamed to a spool file and parsed
+// from disk instead of in memory. Above MAX_MESSAGE_SIZE_MB (0 = no limit)
+// they are recorded in skipped_messages, to be archived by a retry.
+const MB = 1024 * 1024;
+const STREAM_THRESHOLD_BYTES = parseFloat(process.env.STREAM_THRESHOLD_MB || '10') * MB;
+const MAX_MESSAGE_BYTES = parseFloat(process.env.MAX_MESSAGE_SIZE_MB || '1024') * MB;
+const SPOOL_DIR = process.env.SPOOL_DIR || path.join(os.tmpdir(), 'gws-backup-spool');
+
+// Folders backed up before all others, in this order: on Gmail INBOX,
+// [Gmail]/All Mail, [Gmail]/Sent Mail and [Gmail]/Trash
+const SYSTEM_FOLDER_USES = ['\\Inbox', '\\All', '\\Sent', '\\Trash'];
+
+// Gmail system labels in X-GM-LABELS and the attribute of the folder showing them
+const GMAIL_LABEL_FOLDER_USES = {
+  '\\Inbox': '\\Inbox',
+  '\\Sent': '\\Sent',
+  '\\Draft': '\\Drafts',
+  '\\Starred': '\\Flagged',
+  '\\Important': '\\Important',
+  '\\Trash': '\\Trash',
+  '\\Spam': '\\Junk',
 };
 
 class ImapService {
   constructor() {
     this.connections = new Map();
     this.isProcessing = new Map();
-    this.pendingConnections = 0; // Counter khusus untuk proses handshake
-    this.connectionQueue = []; // Queue for connection requests when pool is full
-    this.backupDir = process.env.BACKUP_DIR || './backup';
+    this.pendingConnections = new Map(); // domain -> connections in handshake
 
     // OPTIMASI: Cache Message-ID untuk menghindari query database berulang
     // Batasi ukuran cache untuk mencegah memory exhaustion
@@ -48,12 +80,12 @@ class ImapService {
 
     // Always use real Gmail mode - no development mode
     logger.info('IMAP Service initialized in PRODUCTION (Real Gmail) mode', {
-      maxConcurrentConnections: RATE_LIMITS.MAX_CONCURRENT_CONNECTIONS,
+      domainMaxConnections: rateLimitService.getDomainConnectionLimit(),
       batchSize: RATE_LIMITS.BATCH_SIZE,
       fetchTimeout: RATE_LIMITS.FETCH_TIMEOUT,
       retryDelay: RATE_LIMITS.RETRY_DELAY,
       environmentCheck: {
-        MAX_CONCURRENT_CONNECTIONS: process.env.MAX_CONCURRENT_CONNECTIONS || 'default(2)',
+        DOMAIN_MAX_CONNECTIONS: process.env.DOMAIN_MAX_CONNECTIONS || 'default(10)',
         NODE_ENV: process.env.NODE_ENV
       }
     });
@@ -98,38 +130,48 @@ class ImapService {
   }
 
   // --- SLOT MANAGEMENT (SELF-HEALING) ---
-  async acquireConnectionSlot() {
+  // Slots are counted per domain: open connections of the domain + handshakes in progress
+  countDomainConnections(domain) {
+    let count = this.pendingConnections.get(domain) || 0;
+    for (const connection of this.connections.values()) {
+      if (rateLimitService.getDomain(connection.userEmail) === domain) count++;
+    }
+    return count;
+  }
+
+  async acquireConnectionSlot(userEmail) {
     const maxWait = 120000; // Increased to 2 minutes for queued requests
+    const domain = rateLimitService.getDomain(userEmail);
+    const maxConnections = rateLimitService.getDomainConnectionLimit(domain);
     let waited = 0;
 
     // LOGGING: Track slot acquisition attempts
     logger.debug('Attempting to acquire connection slot', {
+      domain,
+      domainConnections: this.countDomainConnections(domain),
+      maxConnections,
       activeConnections: this.connections.size,
-      pendingConnections: this.pendingConnections,
-      maxConcurrent: RATE_LIMITS.MAX_CONCURRENT_CONNECTIONS,
-      currentTotal: this.connections.size + this.pendingConnections,
-      queueLength: this.connectionQueue.length,
       timestamp: new Date().toISOString()
     });
 
-    // Slot dihitung dari: Koneksi Aktif di Map + Proses yang sedang Connecting
-    while ((this.connections.size + this.pendingConnections) >= RATE_LIMITS.MAX_CONCURRENT_CONNECTIONS) {
+    while (this.countDomainConnections(domain) >= maxConnections) {
       if (waited >= maxWait) {
+        const pending = this.pendingConnections.get(domain) || 0;
         // LOGGING: Pool exhaustion details
         logger.error('Connection pool exhausted - detailed analysis', {
-          activeConnections: this.connections.size,
-          pendingConnections: this.pendingConnections,
-          maxConcurrent: RATE_LIMITS.MAX_CONCURRENT_CONNECTIONS,
+          domain,
+          domainConnections: this.countDomainConnections(domain),
+          pendingConnections: pending,
+          maxConnections,
           waitedMs: waited,
           connectionIds: Array.from(this.connections.keys()),
-          queueLength: this.connectionQueue.length,
           timestamp: new Date().toISOString()
         });
 
-        // Jika stuck lebih dari 2 menit padahal Map kosong, paksa reset pending counter
-        if (this.connections.size === 0 && this.pendingConnections > 0) {
-          logger.warn('Force resetting pending connection counter (Stuck detected)');
-          this.pendingConnections = 0;
+        // Jika stuck lebih dari 2 menit padahal tidak ada koneksi, paksa reset pending counter
+        if (pending > 0 && this.countDomainConnections(domain) === pending) {
+          logger.warn('Force resetting pending connection counter (Stuck detected)', { domain });
+          this.pendingConnections.delete(domain);
           break;
         }
         throw new Error('Connection pool exhausted, please try again later');
@@ -137,29 +179,34 @@ class ImapService {
       await new Promise(resolve => setTimeout(resolve, 2000));
       waited += 2000;
     }
-    this.pendingConnections++;
+    this.pendingConnections.set(domain, (this.pendingConnections.get(domain) || 0) + 1);
 
     // LOGGING: Slot acquired successfully
     logger.debug('Connection slot acquired', {
-      activeConnections: this.connections.size,
-      pendingConnections: this.pendingConnections,
-      queueLength: this.connectionQueue.length,
+      domain,
+      domainConnections: this.countDomainConnections(domain),
       timestamp: new Date().toISOString()
     });
 
     return true;
   }
 
-  releasePendingSlot() {
-    if (this.pendingConnections > 0) this.pendingConnections--;
-    logger.info(`Slot Status - Active: ${this.connections.size}, Pending: ${this.pendingConnections}`);
+  releasePendingSlot(userEmail) {
+    const domain = rateLimitService.getDomain(userEmail);
+    const pending = this.pendingConnections.get(domain) || 0;
+    if (pending > 1) {
+      this.pendingConnections.set(domain, pending - 1);
+    } else {
+      this.pendingConnections.delete(domain);
+    }
+    logger.info(`Slot Status - Domain: ${domain}, Domain connections: ${this.countDomainConnections(domain)}, Active: ${this.connections.size}`);
   }
 
   releaseConnectionSlot() {
     // This method is called when a connection is removed from the active connections map
     // The slot counting is handled by the Map size, so no additional action needed here
     // But we log the current status for monitoring
-    logger.debug(`Connection slot released - Active: ${this.connections.size}, Pending: ${this.pendingConnections}`);
+    logger.debug(`Connection slot released - Active: ${this.connections.size}`);
   }
 
   // Periodic cleanup of dead/stale connections - DISABLED for Gmail IMAP stability
@@ -351,104 +398,6 @@ class ImapService {
     return stats;
   }
 
-  // RESUME: Parse UID terakhir yang berhasil dari log terbaru
-  async getLastSuccessfulUidFromLog(userEmail, folder = 'INBOX') {
-    try {
-      const fs = require('fs').promises;
-      const path = require('path');
-
-      // Path log file
-      const logPath = path.join(process.cwd(), 'logs', 'imap.log');
-
-      // Cek apakah file log ada
-      try {
-        await fs.access(logPath);
-      } catch (error) {
-        logger.debug('Log file not found, cannot resume from log', { logPath });
-        return 0;
-      }
-
-      // Baca log file (ambil 10MB terakhir untuk performa)
-      const logContent = await fs.readFile(logPath, 'utf8');
-      const lines = logContent.split('\n').reverse(); // Dari bawah ke atas (terbaru)
-
-      // Cari pattern UID yang berhasil
-      const successPattern = /✓ SUCCESS: UID (\d+) saved/;
-      const duplicatePattern = /Skipping Duplicate UID (\d+) \(cached\)/;
-
-      for (const line of lines) {
-        // Cari UID yang berhasil disimpan
-        const successMatch = line.match(successPattern);
-        if (successMatch) {
-          const uid = parseInt(successMatch[1]);
-          logger.info('Found last successful UID from log', { userEmail, folder, uid });
-          return uid;
-        }
-
-        // Cari UID yang duplicate (juga berarti berhasil diproses)
-        const duplicateMatch = line.match(duplicatePattern);
-        if (duplicateMatch) {
-          const uid = parseInt(duplicateMatch[1]);
-          logger.info('Found last duplicate UID from log', { userEmail, folder, uid });
-          return uid;
-        }
-
-        // Jika menemukan error untuk user/folder ini, berhenti
-        if (line.includes(`"userEmail":"${userEmail}"`) && line.includes(`"folder":"${folder}"`) &&
-            (line.includes('error') || line.includes('Error'))) {
-          logger.debug('Found error in log, stopping search', { userEmail, folder });
-          break;
-        }
-      }
-
-      logger.debug('No successful UID found in recent log', { userEmail, folder });
-      return 0;
-
-    } catch (error) {
-      logger.warn('Failed to parse UID from log', { userEmail, folder, error: error.message });
-      return 0;
-    }
-  }
-
-  // RESUME: Smart resume dengan kombinasi database + log parsing
-  async getResumeUid(userId, userEmail, folder = 'INBOX') {
-    try {
-      // 1. Coba ambil dari database (terpercaya)
-      const dbUid = await this.getLastUidByFolder(userId, folder);
-
-      // 2. Jika database kosong, coba parse dari log
-      if (dbUid === 0) {
-        const logUid = await this.getLastSuccessfulUidFromLog(userEmail, folder);
-        if (logUid > 0) {
-          logger.info('Using UID from log parsing for resume', { userEmail, folder, logUid });
-
-          // Simpan ke database untuk future reference
-          await this.updateLastUidByFolder(userId, folder, logUid);
-
-          return logUid;
-        }
-      }
-
-      // 3. Jika database ada, validasi dengan log (opsional)
-      if (dbUid > 0 && process.env.VALIDATE_RESUME_WITH_LOG === 'true') {
-        const logUid = await this.getLastSuccessfulUidFromLog(userEmail, folder);
-        if (logUid > dbUid) {
-          logger.warn('Log shows higher UID than database, using log value', {
-            userEmail, folder, dbUid, logUid
-          });
-          await this.updateLastUidByFolder(userId, folder, logUid);
-          return logUid;
-        }
-      }
-
-      return dbUid;
-
-    } catch (error) {
-      logger.error('Failed to get resume UID', { userId, userEmail, folder, error: error.message });
-      return 0; // Fallback ke 0 jika error
-    }
-  }
-
   // OPTIMASI: Memory monitoring dan cleanup
   getMemoryStats() {
     const memUsage = process.memoryUsage();
@@ -566,13 +515,18 @@ class ImapService {
 
     while (attempt < maxAttempts) {
       try {
+        // Waits while the domain is paused for throttling
+        await rateLimitService.acquire(userEmail);
         return await operation();
       } catch (error) {
         attempt++;
         lastError = error;
 
+        // Throttling pauses the whole domain, the retry waits for it
+        const throttled = rateLimitService.reportError(userEmail, error);
+
         // Check if error is retryable
-        const isRetryable = this.isRetryableError(error);
+        const isRetryable = throttled || this.isRetryableError(error);
 
         if (!isRetryable || attempt >= maxAttempts) {
           logger.error(`${operationName} failed after ${attempt} attempts`, {
@@ -630,21 +584,24 @@ class ImapService {
     );
   }
 
+  // A download that may work later (connection, timeout, throttling), as opposed to a message that cannot be archived
+  isFetchError(error) {
+    return this.isRetryableError(error) || rateLimitService.isThrottlingError(error);
+  }
+
   async connect(userEmail, userId) {
     // Always use real Gmail mode - no simulated mode
     return this.connectRealGmail(userEmail, userId);
   }
 
+  // Connects to Gmail or to the domain's own IMAP server, see imapSourceService
   async connectRealGmail(userEmail, userId) {
     try {
-      await this.acquireConnectionSlot();
+      await this.acquireConnectionSlot(userEmail);
 
-      const tokenData = await oauth2Service.generateXOAuth2Token(userEmail);
+      const connectionOptions = await imapSourceService.getConnectionOptions(userEmail);
       const imap = new ImapFlow({
-        host: 'imap.gmail.com',
-        port: 993,
-        secure: true,
-        auth: { user: userEmail, accessToken: tokenData.token },
+        ...connectionOptions,
         connectTimeout: 30000,
         logger: false // Matikan logger internal agar tidak spam log
       });
@@ -715,10 +672,12 @@ class ImapService {
         code: error.code,
         timestamp: new Date().toISOString()
       });
+      // e.g. "Too many simultaneous connections"
+      rateLimitService.reportError(userEmail, error);
       throw error;
     } finally {
       // Selalu lepaskan status PENDING, baik sukses maupun gagal
-      this.releasePendingSlot();
+      this.releasePendingSlot(userEmail);
     }
   }
 
@@ -733,6 +692,12 @@ class ImapService {
 
       const { userEmail } = connection;
 
+      // New mail of gmail_api domains is picked up by the incremental history sync
+      if (await imapSourceService.getSourceType(userEmail) === 'gmail_api') {
+        logger.info('Skipping IDLE for Gmail API domain', { userEmail });
+        return { simulated: false, idle: false };
+      }
+
       // Always use real IDLE mode - no simulated mode
       return this.startRealIdle(userId, connection);
     } catch (error) {
@@ -751,31 +716,27 @@ class ImapService {
       logger.info('Starting REAL IDLE mode', { userEmail, lastUid });
       await this.updateConnectionStatus(userId, connection.connectionId, 'idle');
 
-      imap.idle.start();
+      // ImapFlow enters IDLE by itself whenever the connection is not busy
 
       // CRITICAL: Handle new mail - only process NEW emails
-      imap.on('mail', async (numNewMsgs) => {
-        logger.info('New mail detected (REAL)', { userEmail, numNewMsgs });
+      imap.on('exists', async (info) => {
+        logger.info('New mail detected (REAL)', { userEmail, count: info.count, prevCount: info.prevCount });
         connection.lastActivity = Date.now();
         await this.handleNewMail(imap, userId, userEmail);
       });
 
-      // CRITICAL: Ignore delete/expunge actions - IMMUTABLE BACKUP
-      imap.on('update', async (seqno, info) => {
+      // Flag changes and expunges are recorded (emails.flags, deleted_on_server_at),
+      // the archived copies are never deleted - IMMUTABLE BACKUP
+      imap.on('flags', async (info) => {
         connection.lastActivity = Date.now();
+        logger.debug('Message flags updated', { userEmail, seq: info.seq, uid: info.uid, flags: Array.from(info.flags || []) });
+        await this.handleNewMail(imap, userId, userEmail);
+      });
 
-        // REJECT ALL DELETE ACTIONS
-        if (info.flags && info.flags.includes('\\Deleted')) {
-          logger.debug('DELETE ACTION REJECTED - Immutable backup', { userEmail, seqno });
-          return; // Do NOT process deleted messages
-        }
-
-        // Handle flag updates (read status, etc.)
-        if (info.flags) {
-          logger.debug('Message flags updated', { userEmail, seqno, flags: info.flags });
-          // Only re-fetch if there might be content changes
-          await this.handleNewMail(imap, userId, userEmail);
-        }
+      imap.on('expunge', async (info) => {
+        connection.lastActivity = Date.now();
+        logger.info('Message expunged on server', { userEmail, path: info.path, seq: info.seq });
+        await this.handleNewMail(imap, userId, userEmail);
       });
 
       // Auto-reconnect before Gmail timeout
@@ -815,6 +776,8 @@ class ImapService {
       for (const folder of folders) {
         await this.processFolderNewMail(imap, folder, userId, userEmail);
       }
+
+      await this.markDeletedOnServer(userId, folders);
     } catch (error) {
       logger.error('Failed to handle new mail', { userEmail, error: error.message });
     } finally {
@@ -834,6 +797,64 @@ class ImapService {
     }
   }
 
+  async listMailboxes(imap) {
+    try {
+      return await imap.list();
+    } catch (error) {
+      logger.error('Failed to list folders', { error: error.message });
+      throw error;
+    }
+  }
+
+  // SPECIAL-USE attribute of a listed mailbox, \\Inbox for INBOX
+  getSpecialUse(mailbox) {
+    if (mailbox.path.toUpperCase() === 'INBOX') return '\\Inbox';
+    return mailbox.specialUse || null;
+  }
+
+  /**
+   * Folder paths by attribute (\\Sent, \\Important, ...) for mapping
+   * X-GM-LABELS to folders. Cached on the connection.
+   */
+  async getLabelFolders(imap, userId) {
+    const connection = this.connections.get(userId);
+    if (connection?.imap === imap && connection.labelFolders) {
+      return connection.labelFolders;
+    }
+
+    const labelFolders = new Map();
+    for (const mailbox of await this.listMailboxes(imap)) {
+      for (const attribute of [this.getSpecialUse(mailbox), ...(mailbox.flags || [])]) {
+        if (attribute && !labelFolders.has(attribute)) {
+          labelFolders.set(attribute, mailbox.path);
+        }
+      }
+    }
+
+    if (connection?.imap === imap) {
+      connection.labelFolders = labelFolders;
+    }
+    return labelFolders;
+  }
+
+  /**
+   * Labels of a message found in `folder`: the folder itself (All Mail is
+   * not a label) plus, on Gmail, every folder in its X-GM-LABELS.
+   */
+  async getMessageLabels(imap, userId, folder, gmailLabels) {
+    const labelFolders = await this.getLabelFolders(imap, userId);
+    const labels = folder === labelFolders.get('\\All') ? [] : [folder];
+
+    for (const label of gmailLabels || []) {
+      if (!label.startsWith('\\')) {
+        labels.push(label);
+      } else if (labelFolders.has(GMAIL_LABEL_FOLDER_USES[label])) {
+        labels.push(labelFolders.get(GMAIL_LABEL_FOLDER_USES[label]));
+      }
+    }
+    return labels;
+  }
+
   extractFolderNames(boxes, prefix = '') {
     let folders = [];
     for (const [name, box] of Object.entries(boxes)) {
@@ -850,11 +871,9 @@ class ImapService {
 
   async processFolderNewMail(imap, folder, userId, userEmail) {
     try {
-      // Get last processed UID for this folder
-      const lastUid = await this.getLastUidByFolder(userId, folder);
-      
-      // Open the folder
-      await this.openMailbox(imap, folder, false);
+      // Open the folder, then resume after the last processed UID if UIDVALIDITY still matches
+      const mailbox = await this.openMailbox(imap, folder, false);
+      const { lastUid, resync, highestModseq } = await this.checkFolderValidity(imap, userId, userEmail, folder, mailbox);
 
       // Search for new messages
       const searchCriteria = lastUid > 0 ? [['UID', `${lastUid + 1}:*`]] : ['ALL'];
@@ -862,16 +881,21 @@ class ImapService {
 
       if (results.length === 0) {
         logger.debug('No new messages in folder', { userEmail, folder });
-        return;
-      }
+      } else {
+        logger.info('New messages found in folder', { userEmail, folder, count: results.length });
 
-      logger.info('New messages found in folder', { userEmail, folder, count: results.length });
+        // Process in batches
+        const batches = this.chunkArray(results, RATE_LIMITS.BATCH_SIZE);
 
-      // Process in batches
-      const batches = this.chunkArray(results, RATE_LIMITS.BATCH_SIZE);
+        for (const batch of batches) {
+          await this.processMessageBatch(imap, batch, userId, userEmail, folder);
+        }
+      }
 
-      for (const batch of batches) {
-        await this.processMessageBatch(imap, batch, userId, userEmail, folder);
+      await this.syncFolderChanges(imap, userId, userEmail, folder, mailbox, { changedSince: highestModseq, complete: false });
+
+      if (resync && results.length > 0) {
+        await this.completeFolderState(userId, folder, null, { ...resync, messages: results.length });
       }
     } catch (error) {
       logger.warn('Failed to process folder', { userEmail, folder, error: error.message });
@@ -907,42 +931,579 @@ class ImapService {
     }
   }
 
-  async processMessageBatch(imap, uids, userId, userEmail, folder = 'INBOX') {
-    logger.info('Starting batch processing', { userEmail, folder, batchSize: uids.length });
+  async getFolderState(userId, folder) {
+    const rows = await query(
+      'SELECT * FROM email_folder_uids WHERE user_id = ? AND folder_name = ?',
+      [userId, folder]
+    );
+    return rows[0] || null;
+  }
 
-    let successCount = 0;
-    let errorCount = 0;
+  /**
+   * Where to resume an opened folder, checked against its UIDVALIDITY.
+   *
+   * Stored UIDs are only valid while UIDVALIDITY is unchanged. When the
+   * server has reset it, the folder state is cleared and `resync` is set:
+   * the whole folder is scanned again, already archived messages are
+   * recognised by Message-ID (counted as skipped). A folder without state may be a renamed one,
+   * see adoptRenamedFolder. `unchanged` is set when HIGHESTMODSEQ and the
+   * message count show nothing happened since the last complete run, whose
+   * HIGHESTMODSEQ is returned as `highestModseq`.
+   *
+   * @returns {Promise<{lastUid: number, resync: Object|null, unchanged: boolean, highestModseq: string|null}>}
+   */
+  async checkFolderValidity(imap, userId, userEmail, folder, mailbox) {
+    const uidValidity = mailbox?.uidValidity ? String(mailbox.uidValidity) : null;
+    let state = await this.getFolderState(userId, folder);
+
+    if (!uidValidity) {
+      return { lastUid: state?.last_uid || 0, resync: null, unchanged: false };
+    }
 
-    // Proses satu per satu, jangan pakai Promise.all agar tidak OOM (Out of Memory)
-    for (const [index, uid] of uids.entries()) {
-      try {
-        if (!imap || imap.state !== 2) {
-          logger.error('IMAP connection lost during batch', { uid, userEmail });
-          break;
-        }
+    if (!state) {
+      state = await this.adoptRenamedFolder(imap, userId, userEmail, folder, uidValidity);
+    }
 
-        // Gunakan info agar muncul di console
-        logger.info(`Processing ${index + 1}/${uids.length}`, { uid, userEmail });
+    if (state?.uid_validity && String(state.uid_validity) !== uidValidity) {
+      logger.warn('UIDVALIDITY changed, resyncing folder', {
+        userEmail, folder, previousUidValidity: String(state.uid_validity), uidValidity, previousLastUid: state.last_uid
+      });
+      await query(
+        'UPDATE email_folder_uids SET last_uid = 0, uid_validity = ?, highest_modseq = NULL, updated_at = NOW() WHERE id = ?',
+        [uidValidity, state.id]
+      );
+      return {
+        lastUid: 0,
+        resync: { previousUidValidity: String(state.uid_validity), uidValidity, previousLastUid: state.last_uid || 0 },
+        unchanged: false
+      };
+    }
+
+    if (!state?.uid_validity) {
+      // New folder, or state from before UIDVALIDITY was tracked (its UIDs are kept).
+      // A new folder's messages get their location as they are archived
+      await query(
+        `INSERT INTO email_folder_uids (user_id, folder_name, last_uid, uid_validity, locations_mapped_at, updated_at)
+         VALUES (?, ?, 0, ?, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE
+         uid_validity = VALUES(uid_validity),
+         updated_at = NOW()`,
+        [userId, folder, uidValidity]
+      );
+    }
+
+    // An expunge does not always raise HIGHESTMODSEQ (no QRESYNC), but it lowers the message count
+    const highestModseq = mailbox.highestModseq ? String(mailbox.highestModseq) : null;
+    const unchanged = Boolean(highestModseq && state?.highest_modseq && String(state.highest_modseq) === highestModseq &&
+      state.message_count !== null && state.message_count !== undefined && Number(state.message_count) === mailbox.exists);
+    return { lastUid: state?.last_uid || 0, resync: null, unchanged, highestModseq: state?.highest_modseq || null };
+  }
+
+  /**
+   * Take over the state of a folder that is no longer listed and had the
+   * same UIDVALIDITY (RENAME keeps it), so a renamed label resumes instead
+   * of being scanned again. Archived emails follow the new name.
+   */
+  async adoptRenamedFolder(imap, userId, userEmail, folder, uidValidity) {
+    const candidates = await query(
+      'SELECT * FROM email_folder_uids WHERE user_id = ? AND uid_validity = ? AND folder_name <> ?',
+      [userId, uidValidity, folder]
+    );
+    if (candidates.length === 0) return null;
 
-        const result = await this.fetchAndStoreMessage(imap, uid, userId, userEmail, folder);
+    const listed = new Set((await this.listMailboxes(imap)).map(mailbox => mailbox.path));
+    const previous = candidates.find(row => !listed.has(row.folder_name));
+    if (!previous) return null;
 
-        if (result) {
-          successCount++;
+    await query('UPDATE email_folder_uids SET folder_name = ?, updated_at = NOW() WHERE id = ?', [folder, previous.id]);
+    await query('UPDATE emails SET folder = ? WHERE user_id = ? AND folder = ?', [folder, userId, previous.folder_name]);
+    await query('UPDATE email_locations SET folder = ? WHERE user_id = ? AND folder = ?', [folder, userId, previous.folder_name]);
+    await emailLabelService.renameLabel(userId, previous.folder_name, folder);
+
+    logger.info('Folder renamed, resuming from its previous state', {
+      userEmail, from: previous.folder_name, to: folder, lastUid: previous.last_uid
+    });
+    return { ...previous, folder_name: folder };
+  }
+
+  /**
+   * Record that a folder was fully backed up up to HIGHESTMODSEQ (and its
+   * message count), and the outcome of a resync when one ran.
+   */
+  async completeFolderState(userId, folder, mailbox, resync = null) {
+    try {
+      const highestModseq = mailbox?.highestModseq ? String(mailbox.highestModseq) : null;
+      const messageCount = mailbox ? mailbox.exists : null;
+      if (resync) {
+        await query(
+          `UPDATE email_folder_uids SET highest_modseq = ?, message_count = ?, last_resync_at = NOW(), last_resync_result = ?, updated_at = NOW()
+           WHERE user_id = ? AND folder_name = ?`,
+          [highestModseq, messageCount, JSON.stringify(resync), userId, folder]
+        );
+      } else {
+        await query(
+          'UPDATE email_folder_uids SET highest_modseq = ?, message_count = ?, updated_at = NOW() WHERE user_id = ? AND folder_name = ?',
+          [highestModseq, messageCount, userId, folder]
+        );
+      }
+    } catch (error) {
+      logger.error('Failed to update folder state', { userId, folder, error: error.message });
+    }
+  }
+
+  /**
+   * Folder resyncs after a UIDVALIDITY change, latest first, for the backup status API.
+   */
+  async getFolderResyncs(userId) {
+    const rows = await query(
+      `SELECT folder_name, uid_validity, last_resync_at, last_resync_result FROM email_folder_uids
+       WHERE user_id = ? AND last_resync_at IS NOT NULL ORDER BY last_resync_at DESC`,
+      [userId]
+    );
+    return rows.map(row => ({
+      folder: row.folder_name,
+      uidValidity: String(row.uid_validity),
+      resyncedAt: row.last_resync_at,
+      ...JSON.parse(row.last_resync_result || '{}')
+    }));
+  }
+
+  /**
+   * Record where an archived email is on the server and, when fetched, its
+   * current flags. An email found on the server again is no longer deleted.
+   */
+  async recordLocation(userId, emailId, folder, uid, uidValidity, flags = null) {
+    await query(
+      `INSERT INTO email_locations (email_id, user_id, folder, uid, uid_validity, seen_at)
+       VALUES (?, ?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE
+       uid = VALUES(uid),
+       uid_validity = VALUES(uid_validity),
+       seen_at = NOW(),
+       expunged_at = NULL`,
+      [emailId, userId, folder, uid, uidValidity ? String(uidValidity) : null]
+    );
+
+    const deleted = flags ? (await this.updateServerFlags(emailId, flags)).deleted : false;
+    if (!deleted) {
+      await query('UPDATE emails SET deleted_on_server_at = NULL WHERE id = ? AND deleted_on_server_at IS NOT NULL', [emailId]);
+    }
+  }
+
+  /**
+   * Store an email's flags as the server reports them now. A message marked
+   * \\Deleted counts as deleted on the server, even before it is expunged.
+   *
+   * @returns {Promise<{changed: boolean, deleted: boolean}>}
+   */
+  async updateServerFlags(emailId, flags) {
+    const current = Array.from(flags).map(String).sort();
+    const rows = await query('SELECT flags FROM emails WHERE id = ?', [emailId]);
+    if (rows.length === 0) return { changed: false, deleted: false };
+
+    const previous = rows[0].flags ? JSON.parse(rows[0].flags) : null;
+    const changed = !previous || previous.length !== current.length || previous.some(flag => !current.includes(flag));
+    if (changed) {
+      await query('UPDATE emails SET flags = ?, flags_updated_at = NOW() WHERE id = ?', [JSON.stringify(current), emailId]);
+    }
+
+    const deleted = current.includes('\\Deleted');
+    if (deleted) {
+      await query('UPDATE emails SET deleted_on_server_at = NOW() WHERE id = ? AND deleted_on_server_at IS NULL', [emailId]);
+    }
+    return { changed, deleted };
+  }
+
+  /**
+   * Find what changed on the server in an opened folder since the last run:
+   * archived messages whose UID is gone (expunged) and flag changes, fetched
+   * since `changedSince` (HIGHESTMODSEQ) on CONDSTORE servers. Locations
+   * from before a UIDVALIDITY change that a `complete` rescan did not see
+   * again are expunged too. Never throws: the backup goes on without it.
+   *
+   * @returns {Promise<{expunged: number, flagsChanged: number}|null>}
+   */
+  async syncFolderChanges(imap, userId, userEmail, folder, mailbox, { changedSince = null, complete = true } = {}) {
+    const uidValidity = mailbox?.uidValidity ? String(mailbox.uidValidity) : null;
+    if (!uidValidity) return null;
+
+    try {
+      const state = await this.getFolderState(userId, folder);
+      if (state && !state.locations_mapped_at) {
+        await this.mapFolderLocations(imap, userId, userEmail, folder, uidValidity);
+      }
+
+      if (complete) {
+        await query(
+          `UPDATE email_locations SET expunged_at = NOW()
+           WHERE user_id = ? AND folder = ? AND uid_validity <> ? AND expunged_at IS NULL`,
+          [userId, folder, uidValidity]
+        );
+      }
+
+      const locations = await query(
+        `SELECT id, email_id, uid FROM email_locations
+         WHERE user_id = ? AND folder = ? AND uid_validity = ? AND expunged_at IS NULL`,
+        [userId, folder, uidValidity]
+      );
+      if (locations.length === 0) return { expunged: 0, flagsChanged: 0 };
+
+      const present = new Set(await this.searchMessages(imap, ['ALL']));
+      const expunged = locations.filter(location => !present.has(location.uid));
+      for (const batch of this.chunkArray(expunged.map(location => location.id), 500)) {
+        await query(`UPDATE email_locations SET expunged_at = NOW() WHERE id IN (${batch.map(() => '?').join(', ')})`, batch);
+      }
+
+      const emailIds = new Map(locations.filter(location => present.has(location.uid)).map(location => [location.uid, location.email_id]));
+      const changes = [];
+      if (emailIds.size > 0) {
+        const options = changedSince ? { uid: true, changedSince: BigInt(String(changedSince)) } : { uid: true };
+        for await (const message of imap.fetch('1:*', { uid: true, flags: true }, options)) {
+          if (message.flags && emailIds.has(message.uid)) {
+            changes.push([emailIds.get(message.uid), message.flags]);
+          }
         }
-      } catch (err) {
-        errorCount++;
-        logger.error('Failed to process message', { uid, error: err.message });
       }
+
+      let flagsChanged = 0;
+      for (const [emailId, flags] of changes) {
+        if ((await this.updateServerFlags(emailId, flags)).changed) flagsChanged++;
+      }
+
+      if (expunged.length > 0 || flagsChanged > 0) {
+        logger.info('Server changes recorded', { userEmail, folder, expunged: expunged.length, flagsChanged });
+      }
+      return { expunged: expunged.length, flagsChanged };
+    } catch (error) {
+      logger.warn('Failed to check folder for deletions and flag changes', { userEmail, folder, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record the UIDs of messages archived before email_locations existed,
+   * once per folder, by Message-ID.
+   */
+  async mapFolderLocations(imap, userId, userEmail, folder, uidValidity) {
+    const uids = new Map();
+    if (imap.mailbox?.exists > 0) {
+      for await (const message of imap.fetch('1:*', { uid: true, envelope: true }, { uid: true })) {
+        const messageId = message.envelope?.messageId;
+        if (messageId && !uids.has(messageId)) uids.set(messageId, message.uid);
+      }
+    }
+
+    let mapped = 0;
+    for (const batch of this.chunkArray([...uids.keys()], 500)) {
+      const emails = await query(
+        `SELECT id, message_id FROM emails WHERE user_id = ? AND message_id IN (${batch.map(() => '?').join(', ')})`,
+        [userId, ...batch]
+      );
+      if (emails.length === 0) continue;
+
+      await query(
+        `INSERT INTO email_locations (email_id, user_id, folder, uid, uid_validity, seen_at)
+         VALUES ${emails.map(() => '(?, ?, ?, ?, ?, NOW())').join(', ')}
+         ON DUPLICATE KEY UPDATE
+         uid = VALUES(uid),
+         uid_validity = VALUES(uid_validity),
+         expunged_at = NULL`,
+        emails.flatMap(email => [email.id, userId, folder, uids.get(email.message_id), uidValidity])
+      );
+      mapped += emails.length;
+    }
+
+    await query(
+      'UPDATE email_folder_uids SET locations_mapped_at = NOW() WHERE user_id = ? AND folder_name = ?',
+      [userId, folder]
+    );
+    logger.info('Mapped archived emails to server UIDs', { userEmail, folder, messages: uids.size, mapped });
+  }
+
+  /**
+   * Set deleted_on_server_at on emails that are in no folder on the server
+   * any more. Locations in folders the server no longer lists (`listedFolders`
+   * is every folder it lists) are expunged first.
+   */
+  async markDeletedOnServer(userId, listedFolders = null) {
+    try {
+      if (listedFolders && listedFolders.length > 0) {
+        await query(
+          `UPDATE email_locations SET expunged_at = NOW()
+           WHERE user_id = ? AND expunged_at IS NULL AND folder NOT IN (${listedFolders.map(() => '?').join(', ')})`,
+          [userId, ...listedFolders]
+        );
+      }
+
+      const result = await query(
+        `UPDATE emails SET deleted_on_server_at = NOW()
+         WHERE user_id = ? AND deleted_on_server_at IS NULL
+         AND EXISTS (SELECT 1 FROM email_locations l WHERE l.email_id = emails.id)
+         AND NOT EXISTS (SELECT 1 FROM email_locations l WHERE l.email_id = emails.id AND l.expunged_at IS NULL)`,
+        [userId]
+      );
+      const header = Array.isArray(result) ? result[0] : result;
+      const deleted = header?.affectedRows || 0;
+      if (deleted > 0) {
+        logger.info('Emails deleted on server', { userId, count: deleted });
+      }
+      return deleted;
+    } catch (error) {
+      logger.error('Failed to record emails deleted on server', { userId, error: error.message });
+      return 0;
     }
+  }
+
+  async processMessageBatch(imap, uids, userId, userEmail, folder = 'INBOX') {
+    logger.info('Starting batch processing', { userEmail, folder, batchSize: uids.length });
+
+    const { stored, skipped, errors } = await this.fetchAndStoreBatch(imap, uids, userId, userEmail, folder);
 
     logger.info('Batch processing completed', {
       folder,
-      success: successCount,
-      errors: errorCount
+      success: stored,
+      skipped,
+      errors
     });
   }
 
-  async fetchAndStoreMessage(imap, uid, userId, userEmail, folder = 'INBOX') {
+  /**
+   * Back up a batch of UIDs of the open folder with two FETCH commands:
+   * envelopes of the whole range, then the sources of the messages whose
+   * Message-ID is not archived yet, stored one by one as they arrive.
+   * imapflow reads the next message only once the previous one is stored, so
+   * a batch holds one source in memory at a time.
+   *
+   * The folder's last UID only moves past a UID once every lower UID of the
+   * batch is done, so an interrupted batch resumes at its first missing
+   * message. Messages the pipelined fetch did not deliver are fetched one by
+   * one with fetchAndStoreMessage, which recovers the connection.
+   *
+   * @returns {Promise<{stored: number, skipped: number, errors: number}>}
+   */
+  async fetchAndStoreBatch(imap, uids, userId, userEmail, folder = 'INBOX') {
+    const counts = { stored: 0, skipped: 0, errors: 0 };
+    const sorted = [...uids].sort((a, b) => a - b);
+    if (sorted.length === 0) return counts;
+
+    const uidValidity = imap.mailbox?.uidValidity;
+    const connection = this.connections.get(userId);
+    const done = new Set();
+    let resumeIndex = 0;
+
+    const markDone = async (uid) => {
+      done.add(uid);
+      const previous = resumeIndex;
+      while (resumeIndex < sorted.length && done.has(sorted[resumeIndex])) {
+        resumeIndex++;
+      }
+      if (resumeIndex > previous) {
+        await this.updateLastUidByFolder(userId, folder, sorted[resumeIndex - 1]);
+      }
+    };
+
+    const fetchOneByOne = async (list) => {
+      for (const uid of list) {
+        try {
+          // Failures are recorded in fetch_failures, the batch moves on
+          const emailId = await this.fetchAndStoreMessage(imap, uid, userId, userEmail, folder, { throwOnError: true });
+          if (emailId) counts.stored++; else counts.skipped++;
+        } catch (error) {
+          if (error instanceof QuotaExhaustedError) throw error;
+          counts.errors++;
+        }
+        await markDone(uid);
+        // A connection recovery in fetchAndStoreMessage replaces the connection
+        imap = this.connections.get(userId)?.imap || imap;
+      }
+    };
+
+    if (connection) {
+      connection.lastActivity = Date.now();
+    }
+
+    // STEP 1: envelopes (and X-GM-LABELS on Gmail) of the whole range in one command
+    let envelopes;
+    try {
+      envelopes = await this.fetchMessages(imap, `${sorted[0]}:${sorted[sorted.length - 1]}`, {
+        uid: true,
+        envelope: true,
+        labels: true,
+        flags: true,
+        internalDate: true,
+        size: true // RFC822.SIZE, taken from the bandwidth budget before the download
+      });
+    } catch (error) {
+      logger.warn('Envelope fetch failed, fetching the batch one by one', { userEmail, folder, count: sorted.length, error: error.message });
+      await fetchOneByOne(sorted);
+      return counts;
+    }
+
+    // STEP 2: skip Message-IDs already archived, before any source is downloaded
+    if (!this.messageIdCache.has(userId)) {
+      await this.loadMessageIdCache(userId);
+    }
+    const messageIdCache = this.messageIdCache.get(userId);
+
+    const envelopesByUid = new Map(envelopes.map(message => [message.uid, message]));
+    const toDownload = new Map(); // uid -> { messageId, labels, size, subject, fromEmail, flags, internalDate }
+    const large = new Map(); // Same, above STREAM_THRESHOLD_MB: streamed to disk one by one
+    const repeated = []; // Same Message-ID as an earlier message of the batch
+    const batchMessageIds = new Set();
+
+    for (const uid of sorted) {
+      const msgInfo = envelopesByUid.get(uid);
+      if (!msgInfo) {
+        // Expunged since the search
+        counts.skipped++;
+        await markDone(uid);
+        continue;
+      }
+
+      const messageId = msgInfo.envelope?.messageId || `no-id-${uid}-${userId}`;
+      const labels = await this.getMessageLabels(imap, userId, folder, msgInfo.labels);
+
+      if (messageIdCache?.has(messageId)) {
+        logger.debug(`Skipping Duplicate UID ${uid} (cached)`, { messageId });
+        await this.recordDuplicate(userId, messageId, labels, folder, uid, uidValidity, msgInfo.flags);
+        counts.skipped++;
+        await markDone(uid);
+      } else if (batchMessageIds.has(messageId)) {
+        repeated.push({ uid, messageId, labels, flags: msgInfo.flags });
+      } else {
+        batchMessageIds.add(messageId);
+        const entry = {
+          messageId,
+          labels,
+          size: msgInfo.size || 0,
+          subject: msgInfo.envelope?.subject || null,
+          fromEmail: msgInfo.envelope?.from?.[0]?.address || null,
+          flags: msgInfo.flags,
+          internalDate: msgInfo.internalDate || null
+        };
+
+        if (MAX_MESSAGE_BYTES > 0 && entry.size > MAX_MESSAGE_BYTES) {
+          await skippedMessageService.record({
+            userId, folder, uid, uidValidity, ...entry,
+            reason: 'too_large',
+            error: `${(entry.size / MB).toFixed(1)} MB is over MAX_MESSAGE_SIZE_MB`
+          });
+          counts.skipped++;
+          await markDone(uid);
+        } else if (entry.size > STREAM_THRESHOLD_BYTES) {
+          large.set(uid, entry);
+        } else {
+          toDownload.set(uid, entry);
+        }
+      }
+    }
+
+    // STEP 3: sources of the new messages in one pipelined command, within the bandwidth quota.
+    // Taken per message, so a quota running out mid-batch still fetches the messages it covers
+    let quotaError = null;
+    const acquired = [];
+    let bytes = 0;
+    for (const [uid, entry] of toDownload) {
+      try {
+        await rateLimitService.acquire(userEmail, { bytes: entry.size });
+      } catch (error) {
+        if (!(error instanceof QuotaExhaustedError)) throw error;
+        quotaError = error;
+        break;
+      }
+      acquired.push(uid);
+      bytes += entry.size;
+    }
+
+    if (acquired.length > 0) {
+      logger.info(`Downloading ${acquired.length} new emails`, { userEmail, folder, bytes });
+
+      try {
+        const range = this.toUidSet(acquired);
+        for await (const message of imap.fetch(range, { uid: true, source: true, internalDate: true, flags: true }, { uid: true })) {
+          const entry = toDownload.get(message.uid);
+          if (!entry || !message.source) continue;
+          toDownload.delete(message.uid);
+
+          try {
+            message.sourceBuffer = Buffer.isBuffer(message.source) ? message.source : await this.streamToBuffer(message.source);
+            const emailId = await this.storeFetchedMessage(userId, userEmail, folder, uidValidity, message, entry);
+            if (emailId) counts.stored++; else counts.skipped++;
+          } catch (error) {
+            counts.errors++;
+            logger.error('Failed to store message', { uid: message.uid, userEmail, folder, error: error.message });
+            await skippedMessageService.record({ userId, folder, uid: message.uid, uidValidity, ...entry, reason: 'failed', error: error.message });
+          }
+
+          await markDone(message.uid);
+          if (connection) {
+            connection.lastActivity = Date.now();
+          }
+        }
+      } catch (error) {
+        rateLimitService.reportError(userEmail, error);
+        logger.warn('Pipelined fetch interrupted', { userEmail, folder, remaining: toDownload.size, error: error.message });
+      }
+    }
+
+    // The user stops for this run, the next one resumes after the messages stored so far
+    if (quotaError) throw quotaError;
+
+    // STEP 4: large messages, each streamed to disk on its own
+    for (const [uid, entry] of large) {
+      try {
+        await rateLimitService.acquire(userEmail, { bytes: entry.size });
+        const emailId = await this.streamAndStoreMessage(imap, uid, userId, userEmail, folder, entry);
+        if (emailId) counts.stored++; else counts.skipped++;
+      } catch (error) {
+        if (error instanceof QuotaExhaustedError) throw error;
+        counts.errors++;
+        rateLimitService.reportError(userEmail, error);
+        logger.error('Failed to stream large message', { uid, userEmail, folder, size: entry.size, error: error.message });
+        if (this.isFetchError(error)) {
+          await fetchFailureService.record({ userId, folder, uid, uidValidity, messageId: entry.messageId, error: error.message });
+        } else {
+          await skippedMessageService.record({ userId, folder, uid, uidValidity, ...entry, reason: 'failed', error: error.message });
+        }
+      }
+      await markDone(uid);
+    }
+
+    // Repeats of a message stored above are duplicates now, the rest is fetched one by one
+    const remaining = [...toDownload.keys()];
+    for (const entry of repeated) {
+      if (messageIdCache?.has(entry.messageId)) {
+        await this.recordDuplicate(userId, entry.messageId, entry.labels, folder, entry.uid, uidValidity, entry.flags);
+        counts.skipped++;
+        await markDone(entry.uid);
+      } else {
+        remaining.push(entry.uid);
+      }
+    }
+
+    if (remaining.length > 0) {
+      logger.warn('Fetching messages missing from the pipelined fetch one by one', { userEmail, folder, count: remaining.length });
+      await fetchOneByOne(remaining.sort((a, b) => a - b));
+    }
+
+    return counts;
+  }
+
+  /**
+   * Archive one message. Its UID becomes the folder's resume point whatever
+   * happens; a message that fails to download is recorded in fetch_failures
+   * and retried by the next backups of the folder.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.resume] - Move the folder's resume point to this UID
+   * @param {boolean} [options.throwOnError] - Throw the error, once recorded, instead of returning null
+   * @param {boolean} [options.recover] - Reconnect and try again once on a lost connection
+   * @returns {Promise<number|null>} Id of the stored email, null when none was stored
+   */
+  async fetchAndStoreMessage(imap, uid, userId, userEmail, folder = 'INBOX', { resume = true, throwOnError = false, recover = true } = {}) {
+    const markProcessed = () => (resume ? this.updateLastUidByFolder(userId, folder, uid) : null);
+    let messageId = null;
+
     try {
       // Update last activity for connection health monitoring
       const connection = this.connections.get(userId);
@@ -950,19 +1511,24 @@ class ImapService {
         connection.lastActivity = Date.now();
       }
 
-      // TAHAP 1: Light Fetch (Hanya ambil Envelope/Message-ID)
+      // TAHAP 1: Light Fetch (Hanya ambil Envelope/Message-ID), with X-GM-LABELS on Gmail
       const lightMessages = await this.fetchMessages(imap, uid.toString(), {
         envelope: true,
+        labels: true,
+        flags: true,
+        internalDate: true,
+        size: true, // RFC822.SIZE, taken from the bandwidth budget before the download
         uid: true // Pastikan UID disertakan
       });
 
       if (!lightMessages || lightMessages.length === 0) {
-        await this.updateLastUidByFolder(userId, folder, uid);
+        await markProcessed();
         return null;
       }
 
       const msgInfo = lightMessages[0];
-      const messageId = msgInfo.envelope?.messageId || `no-id-${uid}-${userId}`;
+      messageId = msgInfo.envelope?.messageId || `no-id-${uid}-${userId}`;
+      const labels = await this.getMessageLabels(imap, userId, folder, msgInfo.labels);
 
       // TAHAP 2: OPTIMASI - Cek Message-ID Cache SEBELUM download Source (Heavy)
       // Load cache jika belum ada
@@ -975,63 +1541,69 @@ class ImapService {
 
       if (isDuplicate) {
         logger.debug(`Skipping Duplicate UID ${uid} (cached)`, { messageId });
+        await this.recordDuplicate(userId, messageId, labels, folder, uid, imap.mailbox?.uidValidity, msgInfo.flags);
         // PENTING: Update UID bahkan untuk duplicate agar resume bekerja
-        await this.updateLastUidByFolder(userId, folder, uid);
+        await markProcessed();
         return null;
       }
 
-      // TAHAP 3: Heavy Fetch (Hanya jika email benar-benar baru)
+      const entry = {
+        messageId,
+        labels,
+        size: msgInfo.size || 0,
+        subject: msgInfo.envelope?.subject || null,
+        fromEmail: msgInfo.envelope?.from?.[0]?.address || null,
+        flags: msgInfo.flags,
+        internalDate: msgInfo.internalDate || null
+      };
+
+      if (MAX_MESSAGE_BYTES > 0 && entry.size > MAX_MESSAGE_BYTES) {
+        await skippedMessageService.record({
+          userId, folder, uid, uidValidity: imap.mailbox?.uidValidity, ...entry,
+          reason: 'too_large',
+          error: `${(entry.size / MB).toFixed(1)} MB is over MAX_MESSAGE_SIZE_MB`
+        });
+        await markProcessed();
+        return null;
+      }
+
+      // TAHAP 3: Heavy Fetch (Hanya jika email benar-benar baru), within the bandwidth quota
+      await rateLimitService.acquire(userEmail, { bytes: entry.size });
+
+      if (entry.size > STREAM_THRESHOLD_BYTES) {
+        let emailId = null;
+        try {
+          emailId = await this.streamAndStoreMessage(imap, uid, userId, userEmail, folder, entry);
+        } catch (streamError) {
+          // Lost connection or throttled: a fetch failure, retried by the next backup
+          if (this.isFetchError(streamError)) throw streamError;
+          logger.error('Failed to stream large message', { uid, userEmail, folder, size: entry.size, error: streamError.message });
+          await skippedMessageService.record({ userId, folder, uid, uidValidity: imap.mailbox?.uidValidity, ...entry, reason: 'failed', error: streamError.message });
+        }
+        await markProcessed();
+        return emailId;
+      }
+
       logger.info(`Downloading New Email UID ${uid}...`);
       const fullMessages = await this.fetchMessages(imap, uid.toString(), {
         source: true,
         internalDate: true,
+        flags: true,
         size: true // Get size info to check before downloading full content
       });
 
       if (!fullMessages || !fullMessages[0].sourceBuffer) {
-        await this.updateLastUidByFolder(userId, folder, uid);
+        await markProcessed();
         return null;
       }
 
-      const rawContent = fullMessages[0].sourceBuffer;
-
-      // Monitor RAM saat memproses file besar
-      const emailSizeMB = rawContent.length / (1024 * 1024);
-      if (emailSizeMB > 10) {
-        logger.warn(`Handling Very Large Email (${emailSizeMB.toFixed(2)} MB)`, {
-          uid, userEmail, folder, sizeBytes: rawContent.length
-        });
-
-        // For extremely large emails (>50MB), skip processing to prevent OOM
-        if (emailSizeMB > 50) {
-          logger.error(`Skipping Extremely Large Email (${emailSizeMB.toFixed(2)} MB) to prevent OOM`, {
-            uid, userEmail, folder, sizeBytes: rawContent.length
-          });
-          await this.updateLastUidByFolder(userId, folder, uid);
-          return null;
-        }
-      }
-
-      // Parsing menggunakan simpleParser
-      const parsed = await simpleParser(rawContent);
-
-      // Simpan EML (Gunakan messageId hasil parsing agar tidak split buffer lagi)
-      const emlPath = await this.storeEmlFile(rawContent, userEmail, parsed.date || new Date(), messageId, folder);
-
-      // Simpan Metadata
-      const emailId = await this.storeEmailMetadata(userId, parsed, emlPath, rawContent.length, folder);
-
-      if (emailId) {
-        if (parsed.attachments?.length > 0) {
-          await this.storeAttachments(emailId, parsed.attachments);
-        }
-        await this.updateLastUidByFolder(userId, folder, uid);
-        logger.info(`✓ SUCCESS: UID ${uid} saved`, { emailId, subject: this.sanitizeForDb(parsed.subject) });
-        return emailId;
-      }
-
-      return null;
+      const emailId = await this.storeFetchedMessage(userId, userEmail, folder, imap.mailbox?.uidValidity, fullMessages[0], { messageId, labels });
+      await markProcessed();
+      return emailId;
     } catch (error) {
+      // Not a failure of the message: it is fetched by the next run
+      if (error instanceof QuotaExhaustedError) throw error;
+
       // ENHANCED LOGGING: Connection state during fetch failure
       logger.error(`Error UID ${uid} - connection analysis:`, {
         msg: error.message,
@@ -1045,7 +1617,8 @@ class ImapService {
       });
 
       // CONNECTION RECOVERY: If connection error, try to recover
-      if (this.isRetryableError(error) &&
+      let recoveredImap = null;
+      if (recover && this.isRetryableError(error) &&
           (error.message?.includes('Connection not in valid state') ||
            error.message?.includes('Connection no longer available'))) {
         logger.warn(`Attempting connection recovery for UID ${uid}`, { userEmail, folder });
@@ -1072,9 +1645,7 @@ class ImapService {
           await this.openMailbox(newImap, folder, true);
 
           logger.info(`Connection recovered with new connection for UID ${uid}`, { userEmail, folder });
-
-          // Retry the operation once after recovery with new connection
-          return await this.fetchAndStoreMessage(newImap, uid, userId, userEmail, folder);
+          recoveredImap = newImap;
         } catch (recoveryError) {
           logger.error(`Connection recovery failed for UID ${uid}`, {
             userEmail,
@@ -1084,12 +1655,322 @@ class ImapService {
         }
       }
 
-      await this.updateLastUidByFolder(userId, folder, uid);
+      // Retry the operation once after recovery with new connection
+      if (recoveredImap) {
+        return this.fetchAndStoreMessage(recoveredImap, uid, userId, userEmail, folder, { resume, throwOnError, recover: false });
+      }
+
+      await fetchFailureService.record({
+        userId,
+        folder,
+        uid,
+        uidValidity: imap?.mailbox?.uidValidity,
+        messageId,
+        error: error.message
+      });
+      if (throwOnError) throw error;
+
+      await markProcessed();
       return null;
     }
   }
 
+  /**
+   * Retry the folder's pending fetch failures (see fetchFailureService). A
+   * message stored, already archived or no longer on the server resolves its
+   * failure; one failing again counts an attempt.
+   *
+   * @returns {Promise<{resolved: number, failed: number}>}
+   */
+  async retryFetchFailures(imap, userId, userEmail, folder, mailbox) {
+    const counts = { resolved: 0, failed: 0 };
+    const failures = await fetchFailureService.getPending(userId, folder, mailbox?.uidValidity);
+    if (failures.length === 0) return counts;
+
+    logger.info('Retrying failed message fetches', { userEmail, folder, count: failures.length });
+
+    for (const failure of failures) {
+      try {
+        let emailId = await this.fetchAndStoreMessage(imap, failure.uid, userId, userEmail, folder, { resume: false, throwOnError: true });
+        if (!emailId && failure.message_id) {
+          const existing = await query('SELECT id FROM emails WHERE user_id = ? AND message_id = ?', [userId, failure.message_id]);
+          emailId = existing[0]?.id || null;
+        }
+        await fetchFailureService.resolve(failure.id, emailId);
+        counts.resolved++;
+      } catch (error) {
+        if (error instanceof QuotaExhaustedError) throw error;
+        counts.failed++;
+      }
+      // A connection recovery in fetchAndStoreMessage replaces the connection
+      imap = this.connections.get(userId)?.imap || imap;
+    }
+
+    logger.info('Failed message fetches retried', { userEmail, folder, ...counts });
+    return counts;
+  }
+
+  /**
+   * Record a message already archived from another folder as being in this one too.
+   */
+  async recordDuplicate(userId, messageId, labels, folder, uid, uidValidity, flags) {
+    try {
+      await emailLabelService.addLabelsByMessageId(userId, messageId, labels);
+      const existing = await query('SELECT id FROM emails WHERE user_id = ? AND message_id = ?', [userId, messageId]);
+      if (existing.length > 0) {
+        await this.recordLocation(userId, existing[0].id, folder, uid, uidValidity, flags);
+      }
+    } catch (labelError) {
+      logger.warn('Failed to record labels of duplicate', { uid, folder, error: labelError.message });
+    }
+  }
+
+  /**
+   * Store a message fetched with its source and record where it was found.
+   *
+   * @param {Object} message - Fetched message: uid, sourceBuffer, internalDate, flags
+   * @returns {Promise<number|null>} The new email's id, null if it was not stored
+   */
+  async storeFetchedMessage(userId, userEmail, folder, uidValidity, message, { messageId, labels }) {
+    const { uid } = message;
+    const rawContent = message.sourceBuffer;
+
+    // INTERNALDATE and flags are kept so a restore can put the message back as it was
+    const { emailId, parsed } = await this.storeMessage(userId, userEmail, rawContent, {
+      messageId,
+      folder,
+      labels,
+      internalDate: message.internalDate || null,
+      flags: message.flags ? Array.from(message.flags).sort() : null
+    });
+
+    if (emailId) {
+      await this.recordLocation(userId, emailId, folder, uid, uidValidity, message.flags).catch(locationError => {
+        logger.warn('Failed to record email location', { uid, folder, error: locationError.message });
+      });
+      logger.info(`✓ SUCCESS: UID ${uid} saved`, { emailId, subject: this.sanitizeForDb(parsed.subject) });
+    }
+    return emailId;
+  }
+
+  /**
+   * Archive a large message without holding it in memory: the source is
+   * streamed to a spool file, parsed from there by the streaming parser with
+   * each attachment spooled to its own file, then stored. The EML file and
+   * the attachments are compressed, encrypted and written from those files.
+   *
+   * @param {Object} entry - messageId, labels, flags and internalDate from the envelope fetch
+   * @returns {Promise<number|null>} The new email's id, null for a duplicate
+   */
+  async streamAndStoreMessage(imap, uid, userId, userEmail, folder, { messageId, labels, flags = null, internalDate = null }) {
+    logger.info(`Streaming large email UID ${uid} to disk`, { userEmail, folder });
+    const spool = await this.downloadToSpool(imap, uid, userId);
+
+    try {
+      const { emailId, parsed } = await this.storeSpooledMessage(userId, userEmail, spool, {
+        messageId,
+        folder,
+        labels,
+        internalDate,
+        flags: flags ? Array.from(flags).sort() : null
+      });
+
+      if (emailId) {
+        await this.recordLocation(userId, emailId, folder, uid, imap.mailbox?.uidValidity, flags).catch(locationError => {
+          logger.warn('Failed to record email location', { uid, folder, error: locationError.message });
+        });
+        logger.info(`✓ SUCCESS: UID ${uid} saved (streamed)`, {
+          emailId,
+          sizeMB: (spool.size / MB).toFixed(1),
+          subject: this.sanitizeForDb(parsed.subject)
+        });
+      }
+      return emailId;
+    } finally {
+      await fs.rm(spool.path, { force: true });
+    }
+  }
+
+  /**
+   * Download the source of `uid` to a file in SPOOL_DIR, hashing it on the way.
+   *
+   * @returns {Promise<{path: string, size: number, contentHash: string}>}
+   */
+  async downloadToSpool(imap, uid, userId) {
+    await fs.mkdir(SPOOL_DIR, { recursive: true });
+    const spoolPath = path.join(SPOOL_DIR, `${userId}-${uid}-${uuidv4()}.eml`);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    try {
+      const { content } = await imap.download(String(uid), undefined, { uid: true });
+      if (!content) {
+        throw new Error(`Message UID ${uid} not found`);
+      }
+
+      await pipeline(
+        content,
+        new Transform({
+          transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            size += chunk.length;
+            callback(null, chunk);
+          }
+        }),
+        createWriteStream(spoolPath)
+      );
+      return { path: spoolPath, size, contentHash: hash.digest('hex') };
+    } catch (error) {
+      await fs.rm(spoolPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a spooled message with the streaming parser. Headers and text
+   * parts are kept in memory, attachments go to `<spool>.<n>.part` files.
+   *
+   * @returns {Promise<Object>} Shaped like simpleParser's result, attachments
+   *   as { filename, contentType, size, path } instead of with their content
+   */
+  async parseSpooledMessage(spoolPath) {
+    const parsed = { attachments: [] };
+    const attachmentWrites = [];
+    const parser = new MailParser();
+
+    parser.on('headers', (headers) => {
+      parsed.headers = headers;
+      parsed.messageId = headers.get('message-id');
+      parsed.subject = headers.get('subject');
+      parsed.from = headers.get('from');
+      parsed.to = headers.get('to');
+      parsed.date = headers.get('date');
+    });
+
+    parser.on('data', (data) => {
+      if (data.type === 'text') {
+        parsed.text = data.text;
+        parsed.html = data.html || undefined;
+        return;
+      }
+
+      // The parser waits for release() before reading on, so one attachment is written at a time
+      const attachment = {
+        filename: data.filename,
+        contentType: data.contentType,
+        size: 0,
+        path: `${spoolPath}.${parsed.attachments.length}.part`
+      };
+      parsed.attachments.push(attachment);
+      attachmentWrites.push(pipeline(
+        data.content,
+        new Transform({
+          transform(chunk, encoding, callback) {
+            attachment.size += chunk.length;
+            callback(null, chunk);
+          }
+        }),
+        createWriteStream(attachment.path)
+      ).finally(() => data.release()));
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        parser.on('end', resolve);
+        parser.on('error', reject);
+        const source = createReadStream(spoolPath);
+        source.on('error', reject);
+        source.pipe(parser);
+      });
+      await Promise.all(attachmentWrites);
+    } catch (error) {
+      await this.removeSpooledAttachments(parsed);
+      throw error;
+    }
+
+    return parsed;
+  }
+
+  async removeSpooledAttachments(parsed) {
+    await Promise.all(parsed.attachments.map(attachment => fs.rm(attachment.path, { force: true })));
+  }
+
+  /**
+   * storeMessage() for a spooled message. The storage backends encode and
+   * write whole files, so the source is read back once for the EML file and
+   * each attachment once for its blob. Attachments are indexed for search by
+   * file name only.
+   *
+   * @param {{path: string, size: number, contentHash: string}} spool
+   * @returns {Promise<{emailId: number|null, parsed: Object}>}
+   */
+  async storeSpooledMessage(userId, userEmail, spool, { messageId = null, folder = 'INBOX', labels = null, ...metadata } = {}) {
+    const parsed = await this.parseSpooledMessage(spool.path);
+
+    try {
+      const fileMessageId = messageId || parsed.messageId || uuidv4();
+      const storedEml = await this.storeEmlFile({ path: spool.path }, userEmail, parsed.date || new Date(), fileMessageId, folder);
+
+      const emailId = await this.storeEmailMetadata(userId, parsed, storedEml.uri, spool.size, folder, {
+        ...storedEml,
+        contentHash: spool.contentHash,
+        ...metadata
+      });
+
+      if (emailId) {
+        await emailLabelService.addLabels(emailId, labels || (emailLabelService.isAllMailFolder(folder) ? [] : [folder]));
+        await this.storeAttachments(emailId, parsed.attachments.map(attachment => ({
+          filename: attachment.filename,
+          contentType: attachment.contentType,
+          path: attachment.path
+        })));
+        await searchIndexService.indexEmail(emailId, userId, parsed);
+      }
+
+      return { emailId, parsed };
+    } finally {
+      await this.removeSpooledAttachments(parsed);
+    }
+  }
+
+  /**
+   * Archive a raw message: EML file, metadata, attachments and search index.
+   * Shared by IMAP and Gmail API ingestion.
+   *
+   * @param {Object} [options] - messageId (for the file name), folder, labels
+   *   (defaults to the folder) and the storeEmailMetadata options
+   *   (internalDate, flags, gmail)
+   * @returns {Promise<{emailId: number|null, parsed: Object}>} emailId is null for a duplicate
+   */
+  async storeMessage(userId, userEmail, rawContent, { messageId = null, folder = 'INBOX', labels = null, ...metadata } = {}) {
+    // Parsing menggunakan simpleParser
+    const parsed = await simpleParser(rawContent);
+
+    // Simpan EML (Gunakan messageId hasil parsing agar tidak split buffer lagi)
+    const fileMessageId = messageId || parsed.messageId || uuidv4();
+    const storedEml = await this.storeEmlFile(rawContent, userEmail, parsed.date || new Date(), fileMessageId, folder);
+
+    // Simpan Metadata, with the SHA-256 of the original message for fixity checks
+    const contentHash = crypto.createHash('sha256').update(rawContent).digest('hex');
+    const emailId = await this.storeEmailMetadata(userId, parsed, storedEml.uri, rawContent.length, folder, {
+      ...storedEml,
+      contentHash,
+      ...metadata
+    });
+
+    if (emailId) {
+      await emailLabelService.addLabels(emailId, labels || (emailLabelService.isAllMailFolder(folder) ? [] : [folder]));
+      if (parsed.attachments?.length > 0) {
+        await this.storeAttachments(emailId, parsed.attachments);
+      }
+      await searchIndexService.indexEmail(emailId, userId, parsed);
+    }
+
+    return { emailId, parsed };
+  }
+
   // Update storeEmlFile agar menerima messageId langsung
+  // `emlContent` is the message, or { path } of a file holding it, which is streamed from disk
   async storeEmlFile(emlContent, userEmail, date, messageId, folder = 'INBOX') {
     try {
       const domain = userEmail.split('@')[1];
@@ -1097,26 +1978,28 @@ class ImapService {
       const year = date.getFullYear();
       const month = String(date.getMonth() + 1).padStart(2, '0');
 
-      const dirPath = path.join(this.backupDir, domain, user, year.toString(), month);
-      await fs.mkdir(dirPath, { recursive: true });
-
       // Bersihkan Message-ID dari karakter ilegal untuk nama file
       const safeId = messageId.replace(/[^a-zA-Z0-9.@_-]/g, '_');
       const filename = `${safeId}.eml`;
-      const filePath = path.join(dirPath, filename);
+      const key = [domain, user, year.toString(), month, filename].join('/');
 
-      await fs.writeFile(filePath, emlContent);
-      return filePath;
+      // Returns the storage URI (with compression extension) and how it was stored
+      if (emlContent.path) {
+        return await backupFileService.writeFile(key, emlContent.path, { scope: domain });
+      }
+      return await backupFileService.write(key, emlContent, { scope: domain });
     } catch (error) {
       logger.error('Failed to store EML file', { userEmail, error: error.message });
       throw error;
     }
   }
 
-  async storeEmailMetadata(userId, parsedEmail, emlPath, size, folder = 'INBOX') {
+  // `gmail` holds { messageId, threadId, labelIds } for messages ingested through the Gmail API
+  async storeEmailMetadata(userId, parsedEmail, emlPath, size, folder = 'INBOX', { compression = null, storedSize = null, contentHash = null, internalDate = null, flags = null, gmail = null } = {}) {
     try {
-      const sql = `INSERT IGNORE INTO emails (user_id, message_id, subject, from_email, to_email, date, eml_path, size, folder, created_at)
-                   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`;
+      const sql = `INSERT IGNORE INTO emails (user_id, message_id, subject, from_email, to_email, date, eml_path, size, folder, compression, stored_size, content_hash, internal_date, flags,
+                   gmail_message_id, gmail_thread_id, gmail_label_ids, created_at)
+                   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`;
 
       const params = [
         userId,
@@ -1127,7 +2010,15 @@ class ImapService {
         parsedEmail.date || new Date(),
         emlPath,
         size,
-        folder
+        folder,
+        compression,
+        storedSize,
+        contentHash,
+        internalDate,
+        flags ? JSON.stringify(flags) : null,
+        gmail ? gmail.messageId : null,
+        gmail ? gmail.threadId : null,
+        gmail ? JSON.stringify(gmail.labelIds || []) : null
       ];
 
       const result = await query(sql, params);
@@ -1163,50 +2054,13 @@ class ImapService {
     if (!attachments || attachments.length === 0) return;
 
     try {
-      // Get email info for folder structure
-      const emails = await query('SELECT eml_path FROM emails WHERE id = ?', [emailId]);
-      if (emails.length === 0) return;
-
-      const emlDir = path.dirname(emails[0].eml_path);
-      const attachmentsDir = path.join(emlDir, 'attachments');
-      await fs.mkdir(attachmentsDir, { recursive: true });
-
-      for (const attachment of attachments) {
-        const filename = attachment.filename || `attachment_${Date.now()}`;
-        const filePath = path.join(attachmentsDir, filename);
-
-        // Store actual file content
-        if (attachment.content && Buffer.isBuffer(attachment.content)) {
-          await fs.writeFile(filePath, attachment.content);
-        } else if (attachment.content && typeof attachment.content === 'string') {
-          await fs.writeFile(filePath, attachment.content, 'utf8');
-        } else if (attachment.stream) {
-          // Handle stream if provided
-          await this.writeStreamToFile(attachment.stream, filePath);
-        }
-
-        // Store metadata with file path
-        await query(
-          'INSERT INTO attachments (email_id, filename, mime_type, size, file_path) VALUES (?, ?, ?, ?, ?)',
-          [emailId, filename, attachment.contentType || 'application/octet-stream', attachment.size || 0, filePath]
-        );
-
-        logger.debug('Attachment stored', { emailId, filename, path: filePath });
-      }
+      // Blobs are content-addressed, so a PDF sent to many mailboxes is stored once
+      await attachmentStorageService.storeAttachments(emailId, attachments);
     } catch (error) {
       logger.error('Failed to store attachments', { emailId, error: error.message });
     }
   }
 
-  async writeStreamToFile(stream, filePath) {
-    return new Promise((resolve, reject) => {
-      const writeStream = require('fs').createWriteStream(filePath);
-      stream.pipe(writeStream);
-      writeStream.on('finish', resolve);
-      writeStream.on('error', reject);
-    });
-  }
-
   async getLastUid(userId) {
     try {
       const result = await query('SELECT last_uid FROM users WHERE id = ?', [userId]);
@@ -1272,8 +2126,8 @@ class ImapService {
         convertedCriteria: searchCriteria
       });
 
-      const results = await imap.search(searchCriteria);
-      // imap.search mengembalikan array of UIDs di imapflow
+      // Without { uid: true } imapflow returns sequence numbers, which shift on every expunge
+      const results = await imap.search(searchCriteria, { uid: true });
       return results;
     } catch (error) {
       logger.error('IMAP search failed', { criteria, error: error.message });
@@ -1348,15 +2202,20 @@ class ImapService {
       try {
         // ImapFlow fetch menggunakan async generator dengan timeout
         const fetchPromise = (async () => {
-          for await (const message of imap.fetch(uids, options)) {
+          for await (const message of imap.fetch(uids, options, { uid: true })) {
             // Pastikan kita mengonsumsi stream source jika ada
             if (message.source) {
               // Mengubah stream menjadi Buffer agar aman di memori dengan timeout
               const bufferPromise = this.streamToBuffer(message.source);
-              const timeoutPromise = new Promise((_, reject) =>
-                setTimeout(() => reject(new Error('Buffer conversion timeout')), 120000) // 2 minutes
-              );
-              message.sourceBuffer = await Promise.race([bufferPromise, timeoutPromise]);
+              let bufferTimer;
+              const timeoutPromise = new Promise((_, reject) => {
+                bufferTimer = setTimeout(() => reject(new Error('Buffer conversion timeout')), 120000); // 2 minutes
+              });
+              try {
+                message.sourceBuffer = await Promise.race([bufferPromise, timeoutPromise]);
+              } finally {
+                clearTimeout(bufferTimer);
+              }
             }
             messages.push(message);
           }
@@ -1364,11 +2223,12 @@ class ImapService {
         })();
 
         // Add overall fetch timeout (5 minutes for large emails)
-        const timeoutPromise = new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('IMAP fetch timeout')), 300000)
-        );
+        let fetchTimer;
+        const timeoutPromise = new Promise((_, reject) => {
+          fetchTimer = setTimeout(() => reject(new Error('IMAP fetch timeout')), 300000);
+        });
 
-        const result = await Promise.race([fetchPromise, timeoutPromise]);
+        const result = await Promise.race([fetchPromise, timeoutPromise]).finally(() => clearTimeout(fetchTimer));
 
         // LOGGING: Success logging
         logger.debug('IMAP fetch success', {
@@ -1445,6 +2305,20 @@ class ImapService {
     return chunks;
   }
 
+  /**
+   * IMAP sequence set of UIDs, consecutive ones as ranges: [1, 2, 3, 7] -> "1:3,7"
+   */
+  toUidSet(uids) {
+    const sorted = [...uids].sort((a, b) => a - b);
+    const parts = [];
+    for (let i = 0; i < sorted.length; i++) {
+      const start = sorted[i];
+      while (i + 1 < sorted.length && sorted[i + 1] === sorted[i] + 1) i++;
+      parts.push(start === sorted[i] ? String(start) : `${start}:${sorted[i]}`);
+    }
+    return parts.join(',');
+  }
+
   async reconnect(userId) {
     try {
       logger.info('Reconnecting IMAP', { userId });
@@ -1656,6 +2530,12 @@ class ImapService {
 
   // Method for full mailbox backup (used by queue service)
   async backupUserMailbox(userId, userEmail) {
+    // gmail_api domains are read through the Gmail REST API instead of IMAP
+    if (await imapSourceService.getSourceType(userEmail) === 'gmail_api') {
+      const { gmailApiService } = require('../gmail/gmailApiService');
+      return gmailApiService.backupMailbox(userId, userEmail);
+    }
+
     try {
       logger.info('Starting full mailbox backup (REAL GMAIL)', { userId, userEmail });
 
@@ -1680,30 +2560,19 @@ class ImapService {
       const { imap } = await this.connect(userEmail, userId);
 
       // Get all folders
-      const allFolders = await this.listFolders(imap);
+      const mailboxes = await this.listMailboxes(imap);
+      const allFolders = mailboxes.map(mailbox => mailbox.path);
       logger.info('Available folders', { userEmail, folderCount: allFolders.length, folders: allFolders });
 
-      // CRITICAL FIX: Prioritize Gmail system folders for backup stability
-      // Gmail labels can be problematic, so backup system folders first
-      const gmailSystemFolders = [
-        'INBOX',
-        '[Gmail]/All Mail',
-        '[Gmail]/Sent Mail',
-        '[Gmail]/Trash'
-      ];
-
-      // Separate system folders from user labels
-      const systemFolders = allFolders.filter(folder =>
-        gmailSystemFolders.some(sysFolder =>
-          folder.toLowerCase().includes(sysFolder.toLowerCase())
-        )
-      );
+      // CRITICAL FIX: Prioritize system folders for backup stability
+      // Labels can be problematic, so backup system folders first. They are
+      // found by SPECIAL-USE (RFC 6154) so non-Gmail servers work too
+      const systemFolders = SYSTEM_FOLDER_USES
+        .map(specialUse => mailboxes.find(mailbox => this.getSpecialUse(mailbox) === specialUse))
+        .filter(Boolean)
+        .map(mailbox => mailbox.path);
 
-      const labelFolders = allFolders.filter(folder =>
-        !gmailSystemFolders.some(sysFolder =>
-          folder.toLowerCase().includes(sysFolder.toLowerCase())
-        )
-      );
+      const labelFolders = allFolders.filter(folder => !systemFolders.includes(folder));
 
       logger.info('Separated folders for backup', {
         userEmail,
@@ -1714,9 +2583,10 @@ class ImapService {
       // Process system folders first (more reliable)
       for (const folder of systemFolders) {
         try {
-          logger.info('Backing up Gmail system folder', { userEmail, folder });
+          logger.info('Backing up system folder', { userEmail, folder });
           await this.backupFolder(imap, folder, userId, userEmail);
         } catch (folderError) {
+          if (folderError instanceof QuotaExhaustedError) throw folderError;
           logger.warn('Failed to backup system folder, continuing with others', {
             userEmail, folder, error: folderError.message
           });
@@ -1727,9 +2597,10 @@ class ImapService {
       // Process user label folders (may be less reliable)
       for (const folder of labelFolders) {
         try {
-          logger.info('Backing up Gmail label folder', { userEmail, folder });
+          logger.info('Backing up label folder', { userEmail, folder });
           await this.backupFolder(imap, folder, userId, userEmail);
         } catch (folderError) {
+          if (folderError instanceof QuotaExhaustedError) throw folderError;
           logger.warn('Failed to backup label folder, continuing with others', {
             userEmail, folder, error: folderError.message
           });
@@ -1737,6 +2608,8 @@ class ImapService {
         }
       }
 
+      await this.markDeletedOnServer(userId, allFolders);
+
       // Disconnect after backup
       await this.disconnect(userId);
       logger.info('Gmail mailbox backup completed successfully', { userEmail, totalFolders: allFolders.length });
@@ -1757,30 +2630,36 @@ class ImapService {
     try {
       logger.info('Backing up folder', { userEmail, folder });
 
-    // RESUME: Smart resume dari database + log parsing
-    let lastProcessedUid = await this.getResumeUid(userId, userEmail, folder);
-    logger.info('Backup folder resume check', {
-      userEmail,
-      folder,
-      lastProcessedUid,
-      resumeSource: lastProcessedUid > 0 ? 'database_or_log' : 'fresh_start',
-      timestamp: new Date().toISOString()
-    });
+      // Open the folder
+      const mailbox = await this.openMailbox(imap, folder, true); // Read-only for backup
 
-    // FORCE RESUME: Jika environment variable diset, gunakan UID tertentu
-    const forceResumeUid = process.env.FORCE_RESUME_UID ? parseInt(process.env.FORCE_RESUME_UID) : null;
-    if (forceResumeUid && forceResumeUid > 0) {
-      logger.warn('FORCE RESUME activated - overriding resume UID', {
-        userEmail, folder, originalUid: lastProcessedUid, forcedUid: forceResumeUid
+      // RESUME: last UID from the database, valid while UIDVALIDITY is unchanged
+      const { lastUid, resync, unchanged, highestModseq } = await this.checkFolderValidity(imap, userId, userEmail, folder, mailbox);
+      let lastProcessedUid = lastUid;
+      logger.info('Backup folder resume check', {
+        userEmail,
+        folder,
+        lastProcessedUid,
+        uidValidity: mailbox?.uidValidity ? String(mailbox.uidValidity) : null,
+        resumeSource: resync ? 'uidvalidity_resync' : (lastProcessedUid > 0 ? 'database' : 'fresh_start'),
+        timestamp: new Date().toISOString()
       });
-      lastProcessedUid = forceResumeUid;
-    }
 
-      // Get fresh token for this operation
-      const tokenData = await oauth2Service.generateXOAuth2Token(userEmail);
+      // Messages earlier runs failed to download, before the resume point: retry them
+      await this.retryFetchFailures(imap, userId, userEmail, folder, mailbox);
+      imap = this.connections.get(userId)?.imap || imap;
 
-      // Open the folder
-      await this.openMailbox(imap, folder, true); // Read-only for backup
+      // FORCE RESUME: Jika environment variable diset, gunakan UID tertentu
+      const forceResumeUid = process.env.FORCE_RESUME_UID ? parseInt(process.env.FORCE_RESUME_UID) : null;
+      if (forceResumeUid && forceResumeUid > 0) {
+        logger.warn('FORCE RESUME activated - overriding resume UID', {
+          userEmail, folder, originalUid: lastProcessedUid, forcedUid: forceResumeUid
+        });
+        lastProcessedUid = forceResumeUid;
+      } else if (unchanged) {
+        logger.info('Folder unchanged since last backup (HIGHESTMODSEQ)', { userEmail, folder });
+        return;
+      }
 
       // CRITICAL FIX: For Gmail, search messages from last UID onwards, not ALL
       // This prevents re-processing already backed up messages
@@ -1820,6 +2699,8 @@ class ImapService {
 
       if (results.length === 0) {
         logger.debug('No messages in folder', { userEmail, folder });
+        await this.syncFolderChanges(imap, userId, userEmail, folder, mailbox, { changedSince: highestModseq });
+        await this.completeFolderState(userId, folder, mailbox, resync && { ...resync, messages: 0, stored: 0, skipped: 0, errors: 0 });
         return;
       }
 
@@ -1842,7 +2723,7 @@ class ImapService {
       // CRITICAL FIX: Sort UIDs ascending for chronological processing (oldest first)
       uids.sort((a, b) => a - b);
 
-      logger.info('Starting Gmail-compatible sequential processing', {
+      logger.info('Starting Gmail-compatible batch processing', {
         userEmail,
         folder,
         totalMessages: uids.length,
@@ -1860,28 +2741,24 @@ class ImapService {
 
       let processedCount = 0;
       let successCount = 0;
+      let skippedCount = 0;
       let errorCount = 0;
 
-  // OPTIMASI MEMORY: Adjust batch size based on mailbox size untuk mencegah OOM
+      // Live progress of the folder, see progressService
+      const startBytes = rateLimitService.getBytes(userEmail);
+      const reportProgress = (done = false) => progressService.updateFolder(userId, folder, {
+        total: uids.length,
+        scanned: processedCount,
+        downloaded: successCount,
+        skipped: skippedCount,
+        errors: errorCount,
+        bytes: rateLimitService.getBytes(userEmail) - startBytes
+      }, { done });
+      reportProgress();
+
+      // Sources are stored as they arrive, so a batch only bounds the envelopes held in memory
       const totalMessages = uids.length;
-      let batchSize;
-
-      // More aggressive batch size reduction for memory safety
-      if (totalMessages > 50000) {
-        batchSize = 10; // Very small batch for extremely large mailboxes
-        logger.info('Using very small batch size for extremely large mailbox', { userEmail, folder, totalMessages, batchSize });
-      } else if (totalMessages > 20000) {
-        batchSize = 15; // Small batch untuk mailbox sangat besar
-        logger.info('Using small batch size for very large mailbox', { userEmail, folder, totalMessages, batchSize });
-      } else if (totalMessages > 10000) {
-        batchSize = 20; // Medium-small batch untuk mailbox besar
-        logger.info('Using medium-small batch size for large mailbox', { userEmail, folder, totalMessages, batchSize });
-      } else if (totalMessages > 5000) {
-        batchSize = 30; // Medium batch untuk mailbox sedang
-        logger.info('Using medium batch size for medium mailbox', { userEmail, folder, totalMessages, batchSize });
-      } else {
-        batchSize = 50; // Normal batch untuk mailbox kecil
-      }
+      const batchSize = RATE_LIMITS.BATCH_SIZE;
 
       // MANUAL GC: Force garbage collection sebelum memulai batch processing besar
       if (totalMessages > 5000 && global.gc) {
@@ -1906,87 +2783,62 @@ class ImapService {
           totalMessages: uids.length
         });
 
-        // Process each UID in batch individually
-        for (let i = 0; i < batch.length; i++) {
-          const uid = batch[i];
-          const globalIndex = batchIndex + i;
-
-          try {
-            logger.debug(`Processing message ${globalIndex + 1}/${uids.length}`, {
-              uid,
+        try {
+          // CEK STATUS KONEKSI: Jika koneksi sudah terputus, buat koneksi baru
+          if (!imap || imap.state !== 2 && imap.state !== 3) {
+            logger.warn('Connection lost during batch processing, creating new connection', {
               userEmail,
-              folder
+              folder,
+              currentState: imap?.state,
+              batchIndex
             });
 
-            // CEK STATUS KONECKSI: Jika koneksi sudah terputus, buat koneksi baru
-            if (!imap || imap.state !== 2 && imap.state !== 3) {
-              logger.warn('Connection lost during batch processing, creating new connection', {
-                uid,
-                userEmail,
-                folder,
-                currentState: imap?.state,
-                batchIndex,
-                uidIndex: i
-              });
-
-              // Disconnect koneksi lama jika masih ada
-              try {
-                await this.disconnect(userId);
-              } catch (disconnectError) {
-                logger.warn('Error disconnecting broken connection', { error: disconnectError.message });
-              }
-
-              // Buat koneksi baru
-              const { imap: newImap } = await this.connect(userEmail, userId);
-              await this.openMailbox(newImap, folder, true);
-
-              // Update referensi imap ke koneksi baru
-              imap = newImap;
-
-              logger.info('New connection established for continued processing', {
-                uid,
-                userEmail,
-                folder,
-                newState: imap.state
-              });
+            // Disconnect koneksi lama jika masih ada
+            try {
+              await this.disconnect(userId);
+            } catch (disconnectError) {
+              logger.warn('Error disconnecting broken connection', { error: disconnectError.message });
             }
 
-            // Process single message
-            const result = await this.fetchAndStoreMessage(imap, uid, userId, userEmail, folder);
-
-            if (result !== null) {
-              successCount++;
-              logger.debug('Message processed successfully', { uid, userEmail, folder, emailId: result });
-            } else {
-              logger.debug('Message skipped (duplicate)', { uid, userEmail, folder });
-            }
+            // Buat koneksi baru
+            const { imap: newImap } = await this.connect(userEmail, userId);
+            await this.openMailbox(newImap, folder, true);
 
-            processedCount++;
+            // Update referensi imap ke koneksi baru
+            imap = newImap;
 
-          } catch (messageError) {
-            errorCount++;
-            logger.error('Failed to process individual message', {
-              uid,
+            logger.info('New connection established for continued processing', {
               userEmail,
               folder,
-              index: globalIndex,
-              error: messageError.message,
-              errorType: messageError.constructor.name
+              newState: imap.state
             });
           }
 
-          // CRITICAL FIX: Delay between individual messages for Gmail stability
-          if (globalIndex < uids.length - 1) {
-            const delayMs = RATE_LIMITS.FETCH_DELAY;
-            logger.debug('Delaying between messages', {
-              uid,
-              userEmail,
-              folder,
-              delayMs,
-              nextUid: uids[globalIndex + 1],
-              timestamp: new Date().toISOString()
-            });
-            await new Promise(resolve => setTimeout(resolve, delayMs));
+          const { stored, skipped, errors } = await this.fetchAndStoreBatch(imap, batch, userId, userEmail, folder);
+          successCount += stored;
+          skippedCount += skipped;
+          errorCount += errors;
+          processedCount += stored + skipped + errors;
+
+          // A connection recovery during the batch replaces the connection
+          imap = this.connections.get(userId)?.imap || imap;
+        } catch (batchError) {
+          // The user's daily quota is used up: the next run resumes from this batch
+          if (batchError instanceof QuotaExhaustedError) throw batchError;
+          errorCount += batch.length;
+          logger.error('Failed to process batch', {
+            userEmail,
+            folder,
+            batchStart: batch[0],
+            batchEnd: batch[batch.length - 1],
+            error: batchError.message,
+            errorType: batchError.constructor.name
+          });
+
+          // The next batches move the resume point past this one: its unprocessed UIDs are retried as fetch failures
+          const resumeUid = await this.getLastUidByFolder(userId, folder);
+          for (const uid of batch.filter(uid => uid > resumeUid)) {
+            await fetchFailureService.record({ userId, folder, uid, uidValidity: mailbox?.uidValidity, error: batchError.message });
           }
         }
 
@@ -2039,6 +2891,8 @@ class ImapService {
           lastMemoryCheck = now;
         }
 
+        reportProgress();
+
         // Log progress after each batch
         logger.info('Gmail batch processing completed', {
           userEmail,
@@ -2049,14 +2903,10 @@ class ImapService {
           errors: errorCount,
           successRate: `${Math.round(successCount/Math.max(processedCount, 1)*100)}%`
         });
-
-        // Delay between batches for Gmail rate limiting
-        if (batchIndex + batchSize < uids.length) {
-          logger.debug('Delaying before next Gmail batch', { userEmail, folder, delayMs: 1000 });
-          await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second between batches
-        }
       }
 
+      reportProgress(true);
+
       logger.info('Gmail folder processing completed', {
         userEmail,
         folder,
@@ -2066,6 +2916,17 @@ class ImapService {
         successRate: `${Math.round(successCount/results.length*100)}%`
       });
 
+      await this.syncFolderChanges(imap, userId, userEmail, folder, mailbox, { changedSince: highestModseq, complete: errorCount === 0 });
+
+      // HIGHESTMODSEQ is only kept after a run without failures, so the next run does not skip the folder
+      await this.completeFolderState(userId, folder, errorCount === 0 ? mailbox : null, resync && {
+        ...resync,
+        messages: uids.length,
+        stored: successCount,
+        skipped: skippedCount,
+        errors: errorCount
+      });
+
       logger.info('Folder backup completed', { userEmail, folder, totalMessages: results.length });
 
     } catch (error) {
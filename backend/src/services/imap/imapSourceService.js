@@ -0,0 +1,232 @@
+const winston = require('winston');
+const { oauth2Service } = require('../auth/oauth2Service');
+const { query } = require('../database/databaseService');
+const { encryptionService } = require('../storage/encryptionService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/imap.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+const SOURCE_TYPES = ['gmail', 'gmail_api', 'imap'];
+// Read with the service account: over IMAP, or through the Gmail REST API
+const GOOGLE_SOURCE_TYPES = ['gmail', 'gmail_api'];
+// tls: implicit TLS (993), starttls: upgrade a plain connection (143), none: plaintext
+const TLS_MODES = ['tls', 'starttls', 'none'];
+const DEFAULT_PORTS = { tls: 993, starttls: 143, none: 143 };
+
+class ImapSourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImapSourceError';
+  }
+}
+
+/**
+ * Where each domain's mailboxes are read from.
+ *
+ * `gmail` domains (the default) log in to imap.gmail.com with the service
+ * account's domain-wide delegation token. `gmail_api` domains are backed up
+ * through the Gmail REST API instead (see gmailApiService), and use the same
+ * IMAP login for everything else, e.g. restores. `imap` domains log in to
+ * their own server with a password: the user's own credentials if set, else the
+ * domain's. The domain username may contain `{email}`, e.g. `{email}*backup`
+ * for a Dovecot master user. Passwords are stored encrypted with the
+ * domain's data key, so a master key must be configured to set them.
+ */
+class ImapSourceService {
+  toSource(row) {
+    return {
+      domainId: row.id,
+      sourceType: row.source_type || 'gmail',
+      host: row.imap_host,
+      port: row.imap_port,
+      tls: row.imap_tls || 'tls',
+      skipTlsVerify: Boolean(row.imap_skip_tls_verify),
+      username: row.imap_username,
+      hasPassword: Boolean(row.imap_password),
+    };
+  }
+
+  /**
+   * A domains or users row for API responses: the encrypted password
+   * replaced by whether one is set.
+   */
+  redactRow(row) {
+    const { imap_password: imapPassword, ...rest } = row;
+    return { ...rest, has_imap_password: Boolean(imapPassword) };
+  }
+
+  async getSource(domainId) {
+    const rows = await query('SELECT * FROM domains WHERE id = ?', [domainId]);
+    return rows.length > 0 ? this.toSource(rows[0]) : null;
+  }
+
+  /**
+   * Set how a domain's mailboxes are read. A password left undefined keeps
+   * the stored one; null clears it.
+   *
+   * @throws {ImapSourceError} When the settings are invalid
+   */
+  async updateSource(domainId, { sourceType = 'gmail', host = null, port = null, tls = 'tls', skipTlsVerify = false, username = null, password }) {
+    const domains = await query('SELECT * FROM domains WHERE id = ?', [domainId]);
+    if (domains.length === 0) return null;
+
+    if (!SOURCE_TYPES.includes(sourceType)) {
+      throw new ImapSourceError(`sourceType must be one of: ${SOURCE_TYPES.join(', ')}`);
+    }
+
+    let values;
+    if (GOOGLE_SOURCE_TYPES.includes(sourceType)) {
+      values = [sourceType, null, null, null, 0, null, null];
+    } else {
+      if (!host || !String(host).trim()) throw new ImapSourceError('IMAP host required');
+      if (!TLS_MODES.includes(tls)) {
+        throw new ImapSourceError(`tls must be one of: ${TLS_MODES.join(', ')}`);
+      }
+      const portNumber = port ? parseInt(port) : DEFAULT_PORTS[tls];
+      if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+        throw new ImapSourceError('Invalid IMAP port');
+      }
+
+      const encryptedPassword = password === undefined
+        ? domains[0].imap_password
+        : await this.encryptPassword(password, domains[0].name);
+
+      values = [
+        sourceType,
+        String(host).trim(),
+        portNumber,
+        tls,
+        skipTlsVerify ? 1 : 0,
+        username && String(username).trim() ? String(username).trim() : null,
+        encryptedPassword
+      ];
+    }
+
+    await query(
+      `UPDATE domains SET source_type = ?, imap_host = ?, imap_port = ?, imap_tls = ?, imap_skip_tls_verify = ?,
+       imap_username = ?, imap_password = ?, updated_at = NOW() WHERE id = ?`,
+      [...values, domainId]
+    );
+
+    logger.info('Domain mail source updated', { domainId, sourceType, host: values[1], port: values[2], tls: values[3] });
+    return this.getSource(domainId);
+  }
+
+  /**
+   * Set a user's own IMAP login, used instead of the domain's. Null values
+   * clear it; a password left undefined keeps the stored one.
+   */
+  async updateUserCredentials(userId, { username = null, password }) {
+    const users = await query(
+      'SELECT u.*, d.name as domain_name FROM users u LEFT JOIN domains d ON u.domain_id = d.id WHERE u.id = ?',
+      [userId]
+    );
+    if (users.length === 0) return null;
+
+    const encryptedPassword = password === undefined
+      ? users[0].imap_password
+      : await this.encryptPassword(password, users[0].domain_name);
+
+    const imapUsername = username && String(username).trim() ? String(username).trim() : null;
+    await query(
+      'UPDATE users SET imap_username = ?, imap_password = ?, updated_at = NOW() WHERE id = ?',
+      [imapUsername, encryptedPassword, userId]
+    );
+
+    logger.info('User IMAP credentials updated', { userId });
+    return { userId: users[0].id, username: imapUsername, hasPassword: Boolean(encryptedPassword) };
+  }
+
+  async encryptPassword(password, domainName) {
+    if (password === null || password === '') return null;
+    if (!encryptionService.isEnabled()) {
+      throw new ImapSourceError('IMAP passwords are stored encrypted: configure BACKUP_MASTER_KEY_FILE or BACKUP_MASTER_KEY first');
+    }
+    const encrypted = await encryptionService.encrypt(Buffer.from(String(password), 'utf8'), domainName);
+    return encrypted.toString('base64');
+  }
+
+  async decryptPassword(encryptedPassword) {
+    const decrypted = await encryptionService.decrypt(Buffer.from(encryptedPassword, 'base64'));
+    return decrypted.toString('utf8');
+  }
+
+  /**
+   * @returns {Promise<string>} The source type of the domain of `userEmail`
+   */
+  async getSourceType(userEmail) {
+    const rows = await query(
+      'SELECT d.source_type FROM users u LEFT JOIN domains d ON u.domain_id = d.id WHERE u.email = ?',
+      [userEmail]
+    );
+    return rows[0]?.source_type || 'gmail';
+  }
+
+  isGoogleSource(sourceType) {
+    return GOOGLE_SOURCE_TYPES.includes(sourceType || 'gmail');
+  }
+
+  /**
+   * ImapFlow options (without logger and timeouts) for the mailbox of `userEmail`.
+   */
+  async getConnectionOptions(userEmail) {
+    const users = await query(
+      `SELECT u.imap_username as user_imap_username, u.imap_password as user_imap_password, d.*
+       FROM users u LEFT JOIN domains d ON u.domain_id = d.id WHERE u.email = ?`,
+      [userEmail]
+    );
+    const row = users[0];
+
+    if (!row || this.isGoogleSource(row.source_type)) {
+      const tokenData = await oauth2Service.generateXOAuth2Token(userEmail);
+      return {
+        host: 'imap.gmail.com',
+        port: 993,
+        secure: true,
+        auth: { user: userEmail, accessToken: tokenData.token },
+      };
+    }
+
+    const encryptedPassword = row.user_imap_password || row.imap_password;
+    if (!encryptedPassword) {
+      throw new ImapSourceError(`No IMAP password configured for ${userEmail}`);
+    }
+
+    const username = row.user_imap_password
+      ? (row.user_imap_username || userEmail)
+      : (row.imap_username || '{email}').replace('{email}', userEmail);
+
+    const tls = row.imap_tls || 'tls';
+    const options = {
+      host: row.imap_host,
+      port: row.imap_port || DEFAULT_PORTS[tls],
+      secure: tls === 'tls',
+      auth: { user: username, pass: await this.decryptPassword(encryptedPassword) },
+    };
+    if (tls !== 'tls') {
+      options.doSTARTTLS = tls === 'starttls';
+    }
+    if (row.imap_skip_tls_verify) {
+      // Self-signed certificates on legacy servers
+      options.tls = { rejectUnauthorized: false };
+    }
+    return options;
+  }
+}
+
+const imapSourceService = new ImapSourceService();
+
+module.exports = {
+  ImapSourceService,
+  imapSourceService,
+  ImapSourceError,
+};
@@ -0,0 +1,315 @@
+const EventEmitter = require('events');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/rate-limit.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+const MB = 1024 * 1024;
+
+// Gmail allows 2500 MB of IMAP downloads per user per day
+const USER_BANDWIDTH_MB_PER_DAY = parseFloat(process.env.USER_BANDWIDTH_MB_PER_DAY || '2500');
+// Unlimited by default: Google does not publish a domain-wide figure
+const DOMAIN_BANDWIDTH_MB_PER_HOUR = parseFloat(process.env.DOMAIN_BANDWIDTH_MB_PER_HOUR || '0');
+// IMAP connections open at once per domain, IDLE ones included
+const DOMAIN_MAX_CONNECTIONS = parseInt(process.env.DOMAIN_MAX_CONNECTIONS || '10');
+// Gmail API: 250 quota units per user per second, messages.get costs 5
+const GMAIL_API_REQUESTS_PER_SECOND = parseFloat(process.env.GMAIL_API_REQUESTS_PER_SECOND || '40');
+// Pause of a throttled domain, doubled on each throttle in a row
+const THROTTLE_COOLDOWN_MS = parseInt(process.env.THROTTLE_COOLDOWN_SECONDS || '60') * 1000;
+const MAX_THROTTLE_COOLDOWN_MS = 15 * 60 * 1000;
+// Waits are re-checked at least this often, so a new pause is noticed
+const MAX_WAIT_STEP_MS = 5000;
+// A longer wait for the user's daily bandwidth ends the user's backup for this run
+const MAX_QUOTA_WAIT_MS = parseInt(process.env.MAX_QUOTA_WAIT_SECONDS || '300') * 1000;
+
+// Server answers meaning "slow down" rather than a failure of the request
+const THROTTLE_PATTERNS = [
+  'throttled',
+  'exceeded command or bandwidth limits',
+  'too many simultaneous connections',
+  'bandwidth limit',
+  'ratelimitexceeded',
+  'rate limit exceeded',
+  'quota exceeded',
+];
+
+/**
+ * The user's daily bandwidth is used up for longer than MAX_QUOTA_WAIT_SECONDS.
+ * Not a throttle: the domain is not paused, only this user's backup stops.
+ */
+class QuotaExhaustedError extends Error {
+  constructor(message, retryAt) {
+    super(message);
+    this.name = 'QuotaExhaustedError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Tokens refill continuously up to `capacity`. A take larger than what is
+ * left goes into debt, so one huge message waits for a full bucket rather
+ * than forever.
+ */
+class TokenBucket {
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  /**
+   * @returns {number} Milliseconds until `amount` can be taken
+   */
+  waitTime(amount) {
+    this.refill();
+    const needed = Math.min(amount, this.capacity);
+    if (this.tokens >= needed) return 0;
+    return Math.ceil(((needed - this.tokens) / this.refillPerSecond) * 1000);
+  }
+
+  take(amount) {
+    this.refill();
+    this.tokens -= amount;
+  }
+
+  available() {
+    this.refill();
+    return Math.max(0, this.tokens);
+  }
+}
+
+function getDomain(userEmail) {
+  return String(userEmail || '').split('@').pop().toLowerCase();
+}
+
+/**
+ * Google's quotas, enforced before mailboxes are read.
+ *
+ * Bytes downloaded are taken from a per-user bucket (USER_BANDWIDTH_MB_PER_DAY)
+ * and, when set, a per-domain one (DOMAIN_BANDWIDTH_MB_PER_HOUR); Gmail API
+ * requests from a per-user bucket. When a server answers that it is
+ * throttling us, the whole domain pauses for THROTTLE_COOLDOWN_SECONDS
+ * (doubled while it keeps happening) and a `throttled` event is emitted, on
+ * which the backup worker pool lowers its concurrency. Short waits are
+ * slept through; a user whose daily bandwidth is used up for longer than
+ * MAX_QUOTA_WAIT_SECONDS gets a QuotaExhaustedError instead.
+ *
+ * Buckets are kept in memory: after a restart they start full.
+ */
+class RateLimitService extends EventEmitter {
+  constructor() {
+    super();
+    this.users = new Map(); // email -> { bandwidth, requests, bytes, waiting }
+    this.domains = new Map(); // domain -> { bandwidth, pausedUntil, cooldown, throttles, lastThrottleAt, lastReason }
+  }
+
+  getDomain(userEmail) {
+    return getDomain(userEmail);
+  }
+
+  getUser(userEmail) {
+    const key = String(userEmail).toLowerCase();
+    if (!this.users.has(key)) {
+      const dailyBytes = USER_BANDWIDTH_MB_PER_DAY * MB;
+      this.users.set(key, {
+        bandwidth: USER_BANDWIDTH_MB_PER_DAY > 0 ? new TokenBucket(dailyBytes, dailyBytes / 86400) : null,
+        requests: GMAIL_API_REQUESTS_PER_SECOND > 0 ? new TokenBucket(GMAIL_API_REQUESTS_PER_SECOND, GMAIL_API_REQUESTS_PER_SECOND) : null,
+        bytes: 0,
+        waiting: null,
+      });
+    }
+    return this.users.get(key);
+  }
+
+  getDomainState(domain) {
+    if (!this.domains.has(domain)) {
+      const hourlyBytes = DOMAIN_BANDWIDTH_MB_PER_HOUR * MB;
+      this.domains.set(domain, {
+        bandwidth: DOMAIN_BANDWIDTH_MB_PER_HOUR > 0 ? new TokenBucket(hourlyBytes, hourlyBytes / 3600) : null,
+        pausedUntil: 0,
+        cooldown: THROTTLE_COOLDOWN_MS,
+        throttles: 0,
+        lastThrottleAt: null,
+        lastReason: null,
+      });
+    }
+    return this.domains.get(domain);
+  }
+
+  getDomainConnectionLimit() {
+    return DOMAIN_MAX_CONNECTIONS;
+  }
+
+  /**
+   * @returns {number} Milliseconds the domain stays paused, 0 if it is not
+   */
+  getPauseRemaining(userEmailOrDomain) {
+    const domain = String(userEmailOrDomain).includes('@') ? getDomain(userEmailOrDomain) : userEmailOrDomain;
+    const state = this.domains.get(domain);
+    return state ? Math.max(0, state.pausedUntil - Date.now()) : 0;
+  }
+
+  /**
+   * Wait until the domain is not paused and the user's and domain's buckets
+   * have `bytes` and `requests` left, then take them. With neither, waits
+   * for a pause or a bandwidth debt to end.
+   *
+   * @throws {QuotaExhaustedError} When the user's daily bandwidth would take
+   *   longer than MAX_QUOTA_WAIT_SECONDS to refill; the next backup run resumes
+   */
+  async acquire(userEmail, { bytes = 0, requests = 0 } = {}) {
+    const user = this.getUser(userEmail);
+    const domain = this.getDomainState(getDomain(userEmail));
+
+    while (true) {
+      const paused = Math.max(0, domain.pausedUntil - Date.now());
+      // Without bytes, waits only while a bucket is in debt
+      const userBandwidth = user.bandwidth ? user.bandwidth.waitTime(bytes) : 0;
+      if (userBandwidth > MAX_QUOTA_WAIT_MS) {
+        user.waiting = null;
+        const retryAt = new Date(Date.now() + userBandwidth);
+        logger.warn('Daily bandwidth used up, user stopped for this run', { userEmail, waitMs: userBandwidth, retryAt: retryAt.toISOString() });
+        throw new QuotaExhaustedError(
+          `Daily download quota of ${USER_BANDWIDTH_MB_PER_DAY} MB used up until ${retryAt.toISOString()}`,
+          retryAt
+        );
+      }
+      const bandwidth = Math.max(userBandwidth, domain.bandwidth ? domain.bandwidth.waitTime(bytes) : 0);
+      const request = requests > 0 && user.requests ? user.requests.waitTime(requests) : 0;
+      const wait = Math.max(paused, bandwidth, request);
+
+      if (wait === 0) break;
+
+      const reason = paused > 0 ? 'throttled' : (bandwidth > 0 ? 'bandwidth' : 'requests');
+      if (!user.waiting && wait > 1000) {
+        logger.info('Waiting for rate limit', { userEmail, reason, waitMs: wait });
+      }
+      user.waiting = { reason, until: new Date(Date.now() + wait).toISOString() };
+      await new Promise(resolve => setTimeout(resolve, Math.min(wait, MAX_WAIT_STEP_MS)));
+    }
+
+    user.waiting = null;
+    if (bytes > 0) this.record(userEmail, bytes);
+    if (requests > 0 && user.requests) user.requests.take(requests);
+  }
+
+  /**
+   * Count bytes already downloaded, e.g. when the size was not known before.
+   */
+  record(userEmail, bytes) {
+    const user = this.getUser(userEmail);
+    const domain = this.getDomainState(getDomain(userEmail));
+    if (user.bandwidth) user.bandwidth.take(bytes);
+    if (domain.bandwidth) domain.bandwidth.take(bytes);
+    user.bytes += bytes;
+  }
+
+  /**
+   * @returns {number} Bytes downloaded for the user since startup
+   */
+  getBytes(userEmail) {
+    return this.users.get(String(userEmail).toLowerCase())?.bytes || 0;
+  }
+
+  getWaiting(userEmail) {
+    return this.users.get(String(userEmail).toLowerCase())?.waiting || null;
+  }
+
+  isThrottlingError(error) {
+    if (!error) return false;
+    if (error.status === 429) return true;
+
+    const text = [error.message, error.responseText, error.serverResponseCode, error.code]
+      .filter(Boolean).join(' ').toLowerCase();
+    return THROTTLE_PATTERNS.some(pattern => text.includes(pattern));
+  }
+
+  /**
+   * Pause the user's domain if `error` says the server is throttling us.
+   *
+   * @returns {boolean} Whether it was a throttling error
+   */
+  reportError(userEmail, error) {
+    if (!this.isThrottlingError(error)) return false;
+    this.reportThrottle(userEmail, error.message);
+    return true;
+  }
+
+  reportThrottle(userEmail, reason) {
+    const domainName = getDomain(userEmail);
+    const domain = this.getDomainState(domainName);
+    const now = Date.now();
+
+    // A throttle while still paused is the same episode
+    if (domain.pausedUntil > now) return;
+
+    // The cooldown starts over once the domain went a whole cooldown without throttling
+    if (domain.lastThrottleAt && now - domain.lastThrottleAt > domain.cooldown * 2) {
+      domain.cooldown = THROTTLE_COOLDOWN_MS;
+    }
+
+    domain.pausedUntil = now + domain.cooldown;
+    domain.throttles++;
+    domain.lastThrottleAt = now;
+    domain.lastReason = reason;
+
+    logger.warn('Domain throttled by server, pausing', {
+      domain: domainName,
+      userEmail,
+      reason,
+      pauseSeconds: Math.round(domain.cooldown / 1000),
+    });
+    this.emit('throttled', { domain: domainName, userEmail, reason, pausedUntil: new Date(domain.pausedUntil) });
+
+    domain.cooldown = Math.min(domain.cooldown * 2, MAX_THROTTLE_COOLDOWN_MS);
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return {
+      limits: {
+        userBandwidthMBPerDay: USER_BANDWIDTH_MB_PER_DAY,
+        domainBandwidthMBPerHour: DOMAIN_BANDWIDTH_MB_PER_HOUR,
+        domainMaxConnections: DOMAIN_MAX_CONNECTIONS,
+        gmailApiRequestsPerSecond: GMAIL_API_REQUESTS_PER_SECOND,
+      },
+      domains: [...this.domains.entries()].map(([domain, state]) => ({
+        domain,
+        paused: state.pausedUntil > now,
+        pausedUntil: state.pausedUntil > now ? new Date(state.pausedUntil).toISOString() : null,
+        throttles: state.throttles,
+        lastThrottleAt: state.lastThrottleAt ? new Date(state.lastThrottleAt).toISOString() : null,
+        lastReason: state.lastReason,
+        bandwidthAvailableMB: state.bandwidth ? Math.round(state.bandwidth.available() / MB) : null,
+      })),
+      waiting: [...this.users.entries()]
+        .filter(([, user]) => user.waiting)
+        .map(([userEmail, user]) => ({ userEmail, ...user.waiting })),
+    };
+  }
+}
+
+const rateLimitService = new RateLimitService();
+
+module.exports = {
+  RateLimitService,
+  rateLimitService,
+  TokenBucket,
+  QuotaExhaustedError,
+};
@@ -0,0 +1,302 @@
+const { ImapFlow } = require('imapflow');
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+const { imapSourceService } = require('./imapSourceService');
+const { rateLimitService, QuotaExhaustedError } = require('./rateLimitService');
+const { jobService } = require('../queue/jobService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/skipped-messages.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+const SKIP_REASONS = ['too_large', 'failed'];
+const SKIPPED_STATUSES = ['skipped', 'resolved'];
+
+class SkippedMessageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SkippedMessageError';
+  }
+}
+
+/**
+ * Messages a backup moved past without archiving them, kept in
+ * skipped_messages so they are not lost: larger than MAX_MESSAGE_SIZE_MB
+ * (too_large) or failing to download, parse or store (failed).
+ *
+ * A retry is a `message-retry` job per user. It opens its own IMAP
+ * connection, so it does not wait for a backup or IDLE to let go of the
+ * mailbox, and streams every message to disk whatever its size: retrying a
+ * too_large message is how an admin archives it anyway.
+ */
+class SkippedMessageService {
+  constructor() {
+    jobService.registerHandler('message-retry', (job, context) => this.runRetryJob(job, context), { maxAttempts: 1 });
+  }
+
+  /**
+   * Record (or count one more attempt at) a message that could not be archived.
+   */
+  async record({ userId, folder, uid, uidValidity = null, messageId = null, subject = null, fromEmail = null, size = null, reason, error = null }) {
+    try {
+      await query(
+        `INSERT INTO skipped_messages (user_id, folder, uid, uid_validity, message_id, subject, from_email, size, reason, error, status, attempts, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'skipped', 1, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE
+         reason = VALUES(reason),
+         error = VALUES(error),
+         size = COALESCE(VALUES(size), size),
+         status = 'skipped',
+         attempts = attempts + 1,
+         updated_at = NOW()`,
+        [userId, folder, uid, uidValidity ? String(uidValidity) : 0, messageId, subject ? String(subject).substring(0, 1000) : null,
+          fromEmail, size, reason, error ? String(error).substring(0, 2000) : null]
+      );
+      logger.warn('Message skipped', { userId, folder, uid, messageId, size, reason, error });
+    } catch (dbError) {
+      logger.error('Failed to record skipped message', { userId, folder, uid, reason, error: dbError.message });
+    }
+  }
+
+  async resolve(id, emailId) {
+    await query(
+      "UPDATE skipped_messages SET status = 'resolved', email_id = ?, error = NULL, resolved_at = NOW(), updated_at = NOW() WHERE id = ?",
+      [emailId, id]
+    );
+  }
+
+  async list(userId, { status = 'skipped', page = 1, limit = 100 } = {}) {
+    let whereClause = 'WHERE user_id = ?';
+    const params = [userId];
+    if (status) {
+      whereClause += ' AND status = ?';
+      params.push(status);
+    }
+
+    const limitValue = parseInt(limit);
+    const offsetValue = (parseInt(page) - 1) * limitValue;
+    const messages = await query(
+      `SELECT * FROM skipped_messages ${whereClause} ORDER BY updated_at DESC, id DESC LIMIT ${limitValue} OFFSET ${offsetValue}`,
+      params
+    );
+    const [count] = await query(`SELECT COUNT(*) as total FROM skipped_messages ${whereClause}`, params);
+    const total = Number(count.total);
+
+    return {
+      messages,
+      activeJob: await jobService.findActive('message-retry', { userId }),
+      pagination: {
+        page: parseInt(page),
+        limit: limitValue,
+        total,
+        pages: Math.ceil(total / limitValue),
+      },
+    };
+  }
+
+  /**
+   * Queue a retry of the user's skipped messages, all of them or `ids`.
+   *
+   * @returns {Promise<Object|null>} The job, null if the user does not exist
+   * @throws {SkippedMessageError} When there is nothing to retry or a retry is already queued
+   */
+  async retry(userId, { ids = null, adminUserId = null } = {}) {
+    const users = await query('SELECT id, email FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) return null;
+
+    if (await jobService.findActive('message-retry', { userId })) {
+      throw new SkippedMessageError('A retry of skipped messages is already queued or running for this user');
+    }
+
+    const rows = await this.getRetryRows(userId, ids);
+    if (rows.length === 0) {
+      throw new SkippedMessageError('No skipped messages to retry');
+    }
+
+    const job = await jobService.enqueue('message-retry', { userId: parseInt(userId), ids: rows.map(row => row.id) }, {
+      lockKey: `message-retry:${userId}`,
+      userId,
+      createdBy: adminUserId,
+    });
+    logger.info('Retry of skipped messages queued', { userId, userEmail: users[0].email, count: rows.length, jobId: job.id });
+    return job;
+  }
+
+  async getRetryRows(userId, ids) {
+    let sql = "SELECT * FROM skipped_messages WHERE user_id = ? AND status = 'skipped'";
+    const params = [userId];
+    if (ids && ids.length > 0) {
+      sql += ` AND id IN (${ids.map(() => '?').join(', ')})`;
+      params.push(...ids);
+    }
+    return query(`${sql} ORDER BY folder, uid`, params);
+  }
+
+  async runRetryJob(job, context) {
+    const { userId, ids } = job.payload;
+    const { imapService } = require('./imapService');
+
+    const users = await query('SELECT id, email FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) {
+      return { archived: 0, failed: 0 };
+    }
+    const userEmail = users[0].email;
+
+    const byFolder = new Map();
+    for (const row of await this.getRetryRows(userId, ids)) {
+      if (!byFolder.has(row.folder)) byFolder.set(row.folder, []);
+      byFolder.get(row.folder).push(row);
+    }
+
+    const counts = { archived: 0, failed: 0 };
+    const client = await this.openClient(userEmail);
+    try {
+      for (const [folder, rows] of byFolder) {
+        if (context.isCancelled()) break;
+        await this.retryFolder(client, imapService, { userId, userEmail, folder, rows, counts, context });
+        await context.saveProgress({ ...counts });
+      }
+    } finally {
+      await this.closeClient(client);
+    }
+
+    logger.info('Retry of skipped messages finished', { userId, ...counts });
+    return counts;
+  }
+
+  async retryFolder(client, imapService, { userId, userEmail, folder, rows, counts, context }) {
+    const fail = async (row, error) => {
+      counts.failed++;
+      await this.record({ userId, folder, uid: row.uid, uidValidity: row.uid_validity, size: row.size, reason: row.reason, error });
+    };
+
+    let mailbox;
+    try {
+      mailbox = await client.mailboxOpen(folder, { readOnly: true });
+    } catch (error) {
+      for (const row of rows) await fail(row, `Cannot open folder: ${error.message}`);
+      return;
+    }
+
+    for (const row of rows) {
+      if (context.isCancelled()) return;
+
+      // The UID was recorded under another UIDVALIDITY: it may point at another message now
+      if (Number(row.uid_validity) && String(mailbox.uidValidity) !== String(row.uid_validity)) {
+        await fail(row, 'UIDVALIDITY of the folder changed, the UID no longer identifies the message');
+        continue;
+      }
+
+      try {
+        const message = await client.fetchOne(String(row.uid), {
+          uid: true,
+          envelope: true,
+          labels: true,
+          flags: true,
+          internalDate: true,
+          size: true
+        }, { uid: true });
+        if (!message) {
+          await fail(row, 'Message no longer in the folder');
+          continue;
+        }
+
+        const messageId = message.envelope?.messageId || row.message_id || `no-id-${row.uid}-${userId}`;
+        const labels = await imapService.getMessageLabels(client, userId, folder, message.labels);
+        await rateLimitService.acquire(userEmail, { bytes: message.size || 0 });
+
+        let emailId = await imapService.streamAndStoreMessage(client, row.uid, userId, userEmail, folder, {
+          messageId,
+          labels,
+          flags: message.flags,
+          internalDate: message.internalDate
+        });
+
+        // Archived meanwhile, e.g. from another folder
+        if (!emailId) {
+          const existing = await query('SELECT id FROM emails WHERE user_id = ? AND message_id = ?', [userId, messageId]);
+          emailId = existing[0]?.id || null;
+        }
+
+        if (emailId) {
+          await this.resolve(row.id, emailId);
+          counts.archived++;
+          logger.info('Skipped message archived', { userId, folder, uid: row.uid, emailId });
+        } else {
+          await fail(row, 'Message could not be stored');
+        }
+      } catch (error) {
+        // Not an attempt of the message: the retry stops until the quota refills
+        if (error instanceof QuotaExhaustedError) throw error;
+        rateLimitService.reportError(userEmail, error);
+        await fail(row, error.message);
+      }
+    }
+  }
+
+  /**
+   * IMAP connection to the mailbox of `userEmail`, apart from the backup
+   * connections, like a reconciliation's.
+   */
+  async openClient(userEmail) {
+    const connectionOptions = await imapSourceService.getConnectionOptions(userEmail);
+    const client = new ImapFlow({
+      ...connectionOptions,
+      connectTimeout: 30000,
+      logger: false
+    });
+
+    client.on('error', (error) => {
+      logger.error('Skipped message retry IMAP connection error', { userEmail, error: error.message });
+    });
+
+    await client.connect();
+    return client;
+  }
+
+  async closeClient(client) {
+    try {
+      await client.logout();
+    } catch (error) {
+      logger.warn('Failed to close skipped message retry IMAP connection', { error: error.message });
+    }
+  }
+
+  /**
+   * Skipped messages per user, for the user list.
+   *
+   * @returns {Promise<Map<number, number>>}
+   */
+  async countByUser(userIds) {
+    const counts = new Map();
+    if (!userIds || userIds.length === 0) return counts;
+
+    const rows = await query(
+      `SELECT user_id, COUNT(*) as count FROM skipped_messages
+       WHERE status = 'skipped' AND user_id IN (${userIds.map(() => '?').join(', ')}) GROUP BY user_id`,
+      userIds
+    );
+    for (const row of rows) {
+      counts.set(Number(row.user_id), Number(row.count));
+    }
+    return counts;
+  }
+}
+
+const skippedMessageService = new SkippedMessageService();
+
+module.exports = {
+  SkippedMessageService,
+  skippedMessageService,
+  SkippedMessageError,
+  SKIP_REASONS,
+  SKIPPED_STATUSES,
+};
@@ -0,0 +1,156 @@
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+const { FOLDER_ALIASES } = require('../search/searchQueryParser');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/labels.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+/**
+ * Which Gmail labels (IMAP folders) each archived email carries.
+ *
+ * Gmail shows one message in INBOX, every label folder and All Mail, but it
+ * is archived once: email_labels records all the folders it belongs to,
+ * while emails.folder keeps the one it was first stored from. Labels are
+ * folder paths as seen over IMAP (e.g. "INBOX", "[Gmail]/Sent Mail",
+ * "Clients/Acme"). All Mail is not a label: an email without labels is
+ * archived-only.
+ */
+class EmailLabelService {
+  normalize(labels) {
+    return [...new Set((labels || []).map(label => String(label).trim()).filter(Boolean))];
+  }
+
+  isAllMailFolder(folder) {
+    return FOLDER_ALIASES.all.includes(folder);
+  }
+
+  async addLabels(emailId, labels) {
+    for (const label of this.normalize(labels)) {
+      await query('INSERT IGNORE INTO email_labels (email_id, label) VALUES (?, ?)', [emailId, label]);
+    }
+  }
+
+  /**
+   * Add labels to an email archived before, found by Message-ID.
+   */
+  async addLabelsByMessageId(userId, messageId, labels) {
+    for (const label of this.normalize(labels)) {
+      await query(
+        `INSERT IGNORE INTO email_labels (email_id, label)
+         SELECT id, ? FROM emails WHERE user_id = ? AND message_id = ?`,
+        [label, userId, messageId]
+      );
+    }
+  }
+
+  /**
+   * Replace an email's labels, for sources that report the full set (Gmail API).
+   */
+  async setLabels(emailId, labels) {
+    await query('DELETE FROM email_labels WHERE email_id = ?', [emailId]);
+    await this.addLabels(emailId, labels);
+  }
+
+  /**
+   * Follow a folder renamed on the server, for one user's emails.
+   */
+  async renameLabel(userId, from, to) {
+    await query(
+      `UPDATE IGNORE email_labels SET label = ?
+       WHERE label = ? AND email_id IN (SELECT id FROM emails WHERE user_id = ?)`,
+      [to, from, userId]
+    );
+  }
+
+  /**
+   * @returns {Promise<Object<number, string[]>>} Labels keyed by email id
+   */
+  async getLabelsForEmails(emailIds) {
+    const labels = {};
+    if (emailIds.length === 0) return labels;
+
+    const rows = await query(
+      `SELECT email_id, label FROM email_labels WHERE email_id IN (${emailIds.map(() => '?').join(', ')}) ORDER BY label`,
+      emailIds
+    );
+    for (const row of rows) {
+      (labels[row.email_id] = labels[row.email_id] || []).push(row.label);
+    }
+    return labels;
+  }
+
+  /**
+   * All labels of a user's emails, keyed by email id (for exports).
+   */
+  async getLabelsForUser(userId) {
+    const labels = {};
+    const rows = await query(
+      `SELECT el.email_id, el.label FROM email_labels el
+       JOIN emails e ON e.id = el.email_id WHERE e.user_id = ? ORDER BY el.label`,
+      [userId]
+    );
+    for (const row of rows) {
+      (labels[row.email_id] = labels[row.email_id] || []).push(row.label);
+    }
+    return labels;
+  }
+
+  /**
+   * Every label in use with its email count, optionally for one user.
+   */
+  async listLabels({ userId = null } = {}) {
+    const params = [];
+    let sql = 'SELECT el.label, COUNT(*) as count FROM email_labels el';
+    if (userId) {
+      sql += ' JOIN emails e ON e.id = el.email_id WHERE e.user_id = ?';
+      params.push(userId);
+    }
+    sql += ' GROUP BY el.label ORDER BY el.label';
+
+    const rows = await query(sql, params);
+    return rows.map(row => ({ label: row.label, count: Number(row.count) }));
+  }
+
+  /**
+   * Label emails archived before labels were tracked with their folder.
+   * Later backups add the other folders they are in.
+   *
+   * @returns {Promise<{labeled: number}>}
+   */
+  async backfill({ userId = null } = {}) {
+    const allMail = FOLDER_ALIASES.all;
+    const params = [...allMail];
+    let sql = `INSERT IGNORE INTO email_labels (email_id, label)
+      SELECT e.id, e.folder FROM emails e
+      WHERE e.folder IS NOT NULL AND e.folder NOT IN (${allMail.map(() => '?').join(', ')})
+      AND NOT EXISTS (SELECT 1 FROM email_labels el WHERE el.email_id = e.id)`;
+
+    if (userId) {
+      sql += ' AND e.user_id = ?';
+      params.push(userId);
+    }
+
+    const result = await query(sql, params);
+    const header = Array.isArray(result) ? result[0] : result;
+    const labeled = header?.affectedRows || 0;
+
+    logger.info('Email labels backfilled from folders', { userId, labeled });
+    return { labeled };
+  }
+}
+
+const emailLabelService = new EmailLabelService();
+
+module.exports = {
+  EmailLabelService,
+  emailLabelService,
+};
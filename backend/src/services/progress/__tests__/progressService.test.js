@@ -0,0 +1,55 @@
+const { ProgressService } = require('../progressService');
+
+describe('ProgressService.publish()', () => {
+  let service;
+  let events;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    service = new ProgressService();
+    events = [];
+    service.on('progress', event => events.push(event));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('sends the last update held back in an interval when it ends', () => {
+    service.startBackup(7, 'alice@example.com');
+    service.updateFolder(7, 'INBOX', { total: 100, scanned: 10 });
+    service.updateFolder(7, 'INBOX', { total: 100, scanned: 20 });
+    service.updateFolder(7, 'INBOX', { total: 100, scanned: 30 });
+
+    expect(events.map(event => event.data.folder?.scanned)).toEqual([undefined, 10]);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(events.map(event => event.data.folder?.scanned)).toEqual([undefined, 10, 30]);
+    jest.advanceTimersByTime(5000);
+    expect(events).toHaveLength(3);
+  });
+
+  test('drops a held back update a forced one replaced', () => {
+    service.startBackup(7, 'alice@example.com');
+    service.updateFolder(7, 'INBOX', { total: 100, scanned: 10 });
+    service.updateFolder(7, 'INBOX', { total: 100, scanned: 90 });
+    service.updateFolder(7, 'INBOX', { total: 100, scanned: 100 }, { done: true });
+
+    jest.advanceTimersByTime(5000);
+
+    expect(events.map(event => event.data.folder?.status)).toEqual([undefined, 'running', 'done']);
+  });
+
+  test('sends held back folder updates before the end of the backup', () => {
+    service.startBackup(7, 'alice@example.com');
+    service.updateFolder(7, 'INBOX', { total: 100, scanned: 10 });
+    service.updateFolder(7, 'INBOX', { total: 100, scanned: 40 });
+    service.finishBackup(7, { status: 'failed', error: 'Connection lost' });
+
+    jest.advanceTimersByTime(5000);
+
+    expect(events.slice(-2).map(event => [event.data.status, event.data.folder?.scanned]))
+      .toEqual([['running', 40], ['failed', undefined]]);
+  });
+});
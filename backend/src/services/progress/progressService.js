@@ -0,0 +1,243 @@
+const EventEmitter = require('events');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/progress.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+// At most one progress event per folder (or export) this often; starts and ends are sent at once.
+// The last update held back in an interval is sent when it ends
+const UPDATE_INTERVAL_MS = parseInt(process.env.PROGRESS_UPDATE_INTERVAL_MS || '1000');
+// Finished backups and exports stay in the snapshot this long
+const FINISHED_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Live progress of the backups and exports running in this process, pushed
+ * to the browser by GET /api/events/progress.
+ *
+ * Emits `progress` with `{ type, data }`:
+ * - `backup`: a user's backup started, moved on in a folder or finished.
+ *   `data.folder` is the folder it is about, with messages scanned,
+ *   downloaded, skipped and failed, bytes downloaded and an ETA in seconds.
+ * - `export`: an export's status or progress changed.
+ *
+ * State is in memory: a browser connected to another instance of the API
+ * does not see the jobs this one runs.
+ */
+class ProgressService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per open event stream
+    this.backups = new Map(); // userId -> { userId, userEmail, jobId, status, folders, ... }
+    this.exports = new Map(); // exportId -> { exportId, userId, status, progress, processed, total, ... }
+    this.lastSent = new Map(); // event key -> time of the last event
+    this.pending = new Map(); // event key -> { timer, type, data } of the latest held back update
+  }
+
+  publish(type, key, data, { force = false } = {}) {
+    const wait = UPDATE_INTERVAL_MS - (Date.now() - (this.lastSent.get(key) || 0));
+    if (!force && wait > 0) {
+      // Sent when the interval ends, unless a newer update replaces it first
+      const pending = this.pending.get(key);
+      if (pending) {
+        Object.assign(pending, { type, data });
+      } else {
+        const timer = setTimeout(() => this.flush(key), wait);
+        timer.unref();
+        this.pending.set(key, { timer, type, data });
+      }
+      return;
+    }
+
+    this.cancelPending(key);
+    this.send(type, key, data);
+  }
+
+  flush(key) {
+    const pending = this.pending.get(key);
+    if (!pending) return;
+    this.pending.delete(key);
+    this.send(pending.type, key, pending.data);
+  }
+
+  cancelPending(key) {
+    const pending = this.pending.get(key);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this.pending.delete(key);
+  }
+
+  send(type, key, data) {
+    this.lastSent.set(key, Date.now());
+    try {
+      this.emit('progress', { type, data });
+    } catch (error) {
+      // A broken stream must not fail the backup or export reporting to it
+      logger.warn('Failed to publish progress event', { type, key, error: error.message });
+    }
+  }
+
+  startBackup(userId, userEmail, { jobId = null } = {}) {
+    const state = {
+      userId: Number(userId),
+      userEmail,
+      jobId,
+      status: 'running',
+      folders: {},
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+    };
+    this.backups.set(Number(userId), state);
+    this.publish('backup', `backup:${userId}`, this.toBackupEvent(state), { force: true });
+  }
+
+  /**
+   * @param {Object} counts - `total` messages to process, and so far
+   *   `scanned`, `downloaded`, `skipped`, `errors` and `bytes`
+   */
+  updateFolder(userId, folder, counts, { done = false } = {}) {
+    const state = this.backups.get(Number(userId));
+    if (!state) return;
+
+    const previous = state.folders[folder];
+    const startedAt = previous ? previous.startedAt : new Date().toISOString();
+    const progress = {
+      folder,
+      total: 0,
+      scanned: 0,
+      downloaded: 0,
+      skipped: 0,
+      errors: 0,
+      bytes: 0,
+      ...counts,
+      status: done ? 'done' : 'running',
+      startedAt,
+      etaSeconds: null,
+    };
+
+    // From the pace of the folder so far
+    const elapsed = Date.now() - new Date(startedAt).getTime();
+    if (!done && progress.scanned > 0 && progress.total > progress.scanned) {
+      progress.etaSeconds = Math.round(((progress.total - progress.scanned) * elapsed) / progress.scanned / 1000);
+    } else if (done) {
+      progress.etaSeconds = 0;
+    }
+
+    state.folders[folder] = progress;
+    this.publish('backup', `backup:${userId}:${folder}`, this.toBackupEvent(state, progress), { force: done || !previous });
+  }
+
+  finishBackup(userId, { status = 'completed', error = null } = {}) {
+    const state = this.backups.get(Number(userId));
+    if (!state) return;
+
+    state.status = status;
+    state.error = error;
+    state.finishedAt = new Date().toISOString();
+    // Held back folder updates go out before the end, not after it
+    for (const key of [...this.pending.keys()]) {
+      if (key.startsWith(`backup:${userId}:`)) this.flush(key);
+    }
+    this.publish('backup', `backup:${userId}`, this.toBackupEvent(state), { force: true });
+    this.prune();
+  }
+
+  /**
+   * @param {Object} update - `status`, and `progress` (percent), `processed`
+   *   and `total` emails while it is generated
+   */
+  updateExport(exportId, update) {
+    const previous = this.exports.get(exportId);
+    const finished = ['completed', 'failed', 'cancelled'].includes(update.status);
+    const state = {
+      exportId,
+      userId: null,
+      progress: 0,
+      processed: null,
+      total: null,
+      startedAt: new Date().toISOString(),
+      ...previous,
+      ...update,
+      finishedAt: finished ? new Date().toISOString() : null,
+    };
+
+    this.exports.set(exportId, state);
+    const statusChanged = !previous || previous.status !== state.status;
+    this.publish('export', `export:${exportId}`, state, { force: statusChanged });
+    if (finished) this.prune();
+  }
+
+  toBackupEvent(state, folder = null) {
+    const totals = { scanned: 0, downloaded: 0, skipped: 0, errors: 0, bytes: 0 };
+    for (const progress of Object.values(state.folders)) {
+      for (const key of Object.keys(totals)) {
+        totals[key] += progress[key] || 0;
+      }
+    }
+
+    return {
+      userId: state.userId,
+      userEmail: state.userEmail,
+      jobId: state.jobId,
+      status: state.status,
+      startedAt: state.startedAt,
+      finishedAt: state.finishedAt,
+      error: state.error,
+      totals,
+      folder,
+    };
+  }
+
+  prune() {
+    const cutoff = Date.now() - FINISHED_TTL_MS;
+    for (const [userId, state] of this.backups) {
+      if (state.finishedAt && new Date(state.finishedAt).getTime() < cutoff) {
+        this.backups.delete(userId);
+        for (const key of this.lastSent.keys()) {
+          if (key === `backup:${userId}` || key.startsWith(`backup:${userId}:`)) this.lastSent.delete(key);
+        }
+        for (const key of this.pending.keys()) {
+          if (key === `backup:${userId}` || key.startsWith(`backup:${userId}:`)) this.cancelPending(key);
+        }
+      }
+    }
+    for (const [exportId, state] of this.exports) {
+      if (state.finishedAt && new Date(state.finishedAt).getTime() < cutoff) {
+        this.exports.delete(exportId);
+        this.lastSent.delete(`export:${exportId}`);
+        this.cancelPending(`export:${exportId}`);
+      }
+    }
+  }
+
+  /**
+   * Current and recently finished backups and exports, sent first on every
+   * event stream.
+   */
+  getSnapshot() {
+    this.prune();
+    return {
+      backups: [...this.backups.values()].map(state => ({
+        ...this.toBackupEvent(state),
+        folders: Object.values(state.folders),
+      })),
+      exports: [...this.exports.values()],
+    };
+  }
+}
+
+const progressService = new ProgressService();
+
+module.exports = {
+  ProgressService,
+  progressService,
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../database/databaseService', () => ({ query: jest.fn() }));
+jest.mock('../../queue/jobService', () => ({ jobService: { registerHandler: jest.fn() } }));
+jest.mock('../../storage/storageService', () => ({ storageService: { exists: jest.fn(async () => true) } }));
+jest.mock('../../storage/backupFileService', () => ({ backupFileService: { read: jest.fn() } }));
+
+const { query } = require('../../database/databaseService');
+const { backupFileService } = require('../../storage/backupFileService');
+const { pstExportService } = require('../pstExportService');
+
+const email = (id) => ({
+  id,
+  message_id: `<message-${id}@example.com>`,
+  eml_path: `local://example.com/alice/${id}.eml`,
+  compression: null,
+  folder: 'INBOX',
+  labels: null,
+  from_email: 'bob@example.com',
+  date: '2024-01-15T10:00:00.000Z',
+});
+
+describe('PSTExportService.createMBOXArchive()', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mbox-export-'));
+    pstExportService.exportDir = dir;
+    query.mockResolvedValue({ affectedRows: 1 });
+    backupFileService.read.mockImplementation(async (uri) => Buffer.from(`Subject: ${uri}\r\n\r\nHello\r\n`));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  test('writes the mailboxes into a zip', async () => {
+    const zipPath = await pstExportService.createMBOXArchive([email(1), email(2)], 'alice@example.com', 'ok', 'single');
+
+    expect(zipPath).toBe(path.join(dir, 'backup_ok.zip'));
+    expect(fs.statSync(zipPath).size).toBeGreaterThan(0);
+  });
+
+  test('fails instead of hanging when the zip cannot be written, leaving no partial file', async () => {
+    pstExportService.exportDir = path.join(dir, 'missing');
+
+    await expect(pstExportService.createMBOXArchive([email(1), email(2)], 'alice@example.com', 'broken', 'single'))
+      .rejects.toMatchObject({ code: 'ENOENT' });
+    expect(fs.existsSync(path.join(dir, 'missing', 'backup_broken.zip'))).toBe(false);
+  });
+});
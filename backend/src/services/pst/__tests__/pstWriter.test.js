@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PSTFile } = require('pst-extractor');
+const { PSTWriter } = require('../pstWriter');
+
+const FOLDERS = ['Inbox', 'Sent', 'Archive'];
+const MESSAGES_PER_FOLDER = 100; // Contents table rows span several row matrix blocks
+
+const buildMessage = (folder, index) => ({
+  subject: `${folder} message ${index}`,
+  from: { name: 'Alice Example', address: 'alice@example.com' },
+  recipients: [
+    { name: 'Bob Example', address: 'bob@example.com', type: 'to' },
+    { name: 'Carol Example', address: 'carol@example.com', type: 'cc' },
+  ],
+  sentDate: new Date(Date.UTC(2024, 0, 1, 0, index)),
+  receivedDate: new Date(Date.UTC(2024, 0, 1, 0, index, 30)),
+  messageId: `<${folder.toLowerCase()}-${index}@example.com>`,
+  headers: `Subject: ${folder} message ${index}\r\n`,
+  text: `Body of ${folder} message ${index}`,
+  html: `<p>Body of ${folder} message ${index}</p>`,
+  size: 1024,
+  read: index % 2 === 0,
+  attachments: index % 10 === 0
+    ? [{ filename: `report-${index}.txt`, contentType: 'text/plain', content: Buffer.from(`Report ${index}`) }]
+    : [],
+});
+
+const readAttachment = (attachment) => {
+  const stream = attachment.fileInputStream;
+  const content = Buffer.alloc(attachment.filesize);
+  stream.readCompletely(content);
+  return content;
+};
+
+describe('PSTWriter', () => {
+  let dir;
+  let filePath;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pst-writer-'));
+    filePath = path.join(dir, 'roundtrip.pst');
+
+    const writer = new PSTWriter(filePath, { displayName: 'Round trip' });
+    await writer.open();
+    for (const name of FOLDERS) {
+      const folder = writer.addFolder(name);
+      for (let i = 0; i < MESSAGES_PER_FOLDER; i++) {
+        await writer.addMessage(folder, buildMessage(name, i));
+      }
+    }
+    await writer.close();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes a PST that reads back with every message and attachment', () => {
+    const pst = new PSTFile(filePath);
+    try {
+      const subtree = pst.getRootFolder().getSubFolders()
+        .find(folder => folder.hasSubfolders && folder.getSubFolders().some(child => child.displayName === 'Inbox'));
+      expect(subtree).toBeDefined();
+
+      // The writer also creates Deleted Items
+      const folders = subtree.getSubFolders().filter(folder => FOLDERS.includes(folder.displayName));
+      expect(folders).toHaveLength(FOLDERS.length);
+
+      for (const folder of folders) {
+        expect(folder.contentCount).toBe(MESSAGES_PER_FOLDER);
+
+        const subjects = [];
+        let attachments = 0;
+        let message = folder.getNextChild();
+        while (message) {
+          subjects.push(message.subject);
+          for (let i = 0; i < message.numberOfAttachments; i++) {
+            const attachment = message.getAttachment(i);
+            const index = message.subject.split(' ').pop();
+            expect(attachment.longFilename).toBe(`report-${index}.txt`);
+            expect(readAttachment(attachment).toString()).toBe(`Report ${index}`);
+            attachments++;
+          }
+          message = folder.getNextChild();
+        }
+
+        const expected = Array.from({ length: MESSAGES_PER_FOLDER }, (_, i) => `${folder.displayName} message ${i}`);
+        expect(subjects.sort()).toEqual(expected.sort());
+        expect(attachments).toBe(MESSAGES_PER_FOLDER / 10);
+      }
+    } finally {
+      pst.close();
+    }
+  });
+});
@@ -3,9 +3,16 @@ const fsSync = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
-const Queue = require('bull');
 const archiver = require('archiver');
+const { Readable } = require('stream');
+const { simpleParser } = require('mailparser');
 const { query } = require('../database/databaseService');
+const { PSTWriter } = require('./pstWriter');
+const { emailLabelService } = require('../labels/emailLabelService');
+const { backupFileService } = require('../storage/backupFileService');
+const { storageService } = require('../storage/storageService');
+const { jobService } = require('../queue/jobService');
+const { progressService } = require('../progress/progressService');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -19,95 +26,18 @@ const logger = winston.createLogger({
   ],
 });
 
+/**
+ * EML, PST and mbox exports of a user's archive. Each export is a row in
+ * pst_exports, generated by an `export` job (see jobService).
+ */
 class PSTExportService {
   constructor() {
     this.exportDir = './exports';
     this.ensureExportDir();
-    this.inMemoryQueue = []; // Fallback when Redis is not available
-    this.processingExports = new Map(); // Track currently processing exports
-    this.useRedis = false;
 
-    // Initialize queue if Redis is available
-    try {
-      const redisConfig = {
-        host: process.env.REDIS_HOST || 'localhost',
-        port: parseInt(process.env.REDIS_PORT) || 6379,
-        password: process.env.REDIS_PASSWORD || undefined,
-        retryStrategy: (times) => {
-          // If Redis connection fails, give up quickly
-          if (times > 3) {
-            return null; // Stop retrying
-          }
-          return Math.min(times * 200, 2000);
-        },
-        maxRetriesPerRequest: 1, // Fail fast if Redis is not available
-      };
-
-      this.exportQueue = new Queue('pst-exports', {
-        redis: redisConfig,
-        defaultJobOptions: {
-          attempts: 3,
-          backoff: {
-            type: 'exponential',
-            delay: 5000,
-          },
-          removeOnComplete: 100,
-          removeOnFail: 100,
-        },
-      });
-      
-      // Test connection before proceeding
-      this.exportQueue.waitUntilReady().then(() => {
-        this.setupQueueProcessor();
-        this.setupQueueEvents();
-        this.useRedis = true;
-        logger.info('PST Export queue initialized with Redis');
-      }).catch((err) => {
-        logger.warn('Redis not available, using in-memory queue', { error: err.message });
-        this.cleanupQueue();
-      });
-    } catch (error) {
-      logger.warn('Redis not available, using in-memory queue', { error: error.message });
-      this.exportQueue = null;
-    }
-  }
-
-  cleanupQueue() {
-    if (this.exportQueue) {
-      try {
-        this.exportQueue.close();
-      } catch (e) {
-        // Ignore close errors
-      }
-      this.exportQueue = null;
-    }
-    this.useRedis = false;
-  }
-
-  setupQueueEvents() {
-    if (!this.exportQueue) return;
-
-    // Track job events for better logging
-    this.exportQueue.on('completed', (job, result) => {
-      logger.info('Export job completed', { jobId: job.id, exportId: job.data?.exportId });
-    });
-
-    this.exportQueue.on('failed', (job, error) => {
-      // Don't log if export was manually deleted or cancelled
-      if (error && error.message && !error.message.includes('Export not found')) {
-        logger.error('Export job failed', { jobId: job.id, exportId: job.data?.exportId, error: error.message });
-      }
-    });
-
-    this.exportQueue.on('stalled', (job) => {
-      logger.warn('Export job stalled', { jobId: job.id, exportId: job.data?.exportId });
-    });
-
-    this.exportQueue.on('error', (error) => {
-      // Only log meaningful errors, not connection blips
-      if (error && error.message && error.message.length > 0) {
-        logger.error('Queue error', { error: error.message });
-      }
+    jobService.registerHandler('export', (job, context) => this.runExportJob(job, context), {
+      maxAttempts: 3,
+      backoffMs: 5000,
     });
   }
 
@@ -115,59 +45,74 @@ class PSTExportService {
     fsSync.mkdirSync(this.exportDir, { recursive: true });
   }
 
-  setupQueueProcessor() {
-    if (!this.exportQueue) return;
+  async runExportJob(job, context) {
+    const { exportId } = job.payload;
+    const exportData = await this.getExportStatus(exportId);
+    if (!exportData || exportData.status === 'cancelled') {
+      logger.info('Export deleted or cancelled before it ran, skipped', { exportId });
+      return null;
+    }
 
-    this.exportQueue.process(async (job) => {
-      const { exportId, userId, startDate, endDate, format } = job.data;
+    const { user_id: userId, start_date: startDate, end_date: endDate } = exportData;
+    const format = exportData.export_format || 'eml';
 
-      try {
-        logger.info('Processing export job', { exportId, userId, format });
+    try {
+      logger.info('Processing export job', { exportId, userId, format, attempt: job.attempts });
 
-        await this.updateExportStatus(exportId, 'processing');
+      await this.updateExportStatus(exportId, 'processing', null, null, { userId, format });
 
-        const result = await this.generateExport(userId, startDate, endDate, format, exportId);
+      const result = await this.generateExport(userId, startDate, endDate, format, exportId, {
+        mboxLayout: exportData.mbox_layout,
+      });
 
-        await this.updateExportStatus(exportId, 'completed', result.filePath);
+      const current = await this.getExportStatus(exportId);
+      if (context.isCancelled() || !current || current.status === 'cancelled') {
+        await fs.unlink(result.filePath).catch(() => {});
+        progressService.updateExport(exportId, { status: 'cancelled' });
+        logger.info('Export cancelled while it was generated', { exportId });
+        return null;
+      }
 
-        logger.info('Export completed', { exportId, ...result });
+      await this.updateExportStatus(exportId, 'completed', result.filePath);
 
-        return { success: true, ...result };
-      } catch (error) {
-        logger.error('Export failed', { exportId, error: error.message });
-        await this.updateExportStatus(exportId, 'failed');
-        throw error;
-      }
+      logger.info('Export completed', { exportId, ...result });
+
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Export failed', { exportId, error: error.message });
+      // Back to pending while the job will be retried
+      await this.updateExportStatus(exportId, context.isLastAttempt() ? 'failed' : 'pending');
+      throw error;
+    }
+  }
+
+  enqueue(exportId, userId) {
+    return jobService.enqueue('export', { exportId }, {
+      lockKey: `export:${exportId}`,
+      userId,
     });
   }
 
-  async createExport(userId, startDate = null, endDate = null, format = 'zip') {
+  /**
+   * Queue a new export. `options.mboxLayout` ('folder' or 'single') only
+   * applies to the mbox format.
+   */
+  async createExport(userId, startDate = null, endDate = null, format = 'zip', options = {}) {
     try {
       const exportId = uuidv4();
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const extension = format === 'pst' ? 'zip' : format; // ZIP for EMLs, or actual PST
+      // mbox exports are ZIPs of .mbox files
+      const extension = format === 'mbox' ? 'mbox.zip' : format;
       const filename = `backup_${userId}_${timestamp}.${extension}`;
+      const mboxLayout = format === 'mbox' ? (options.mboxLayout || 'folder') : null;
 
       await query(
-        `INSERT INTO pst_exports (id, user_id, filename, status, start_date, end_date, export_format, created_at)
-         VALUES (?, ?, ?, 'pending', ?, ?, ?, NOW())`,
-        [exportId, userId, filename, startDate, endDate, format]
+        `INSERT INTO pst_exports (id, user_id, filename, status, start_date, end_date, export_format, mbox_layout, created_at)
+         VALUES (?, ?, ?, 'pending', ?, ?, ?, ?, NOW())`,
+        [exportId, userId, filename, startDate, endDate, format, mboxLayout]
       );
 
-      if (this.exportQueue) {
-        await this.exportQueue.add({
-          exportId,
-          userId,
-          startDate,
-          endDate,
-          format,
-        });
-      } else {
-        // Run synchronously if no queue
-        await this.updateExportStatus(exportId, 'processing');
-        const result = await this.generateExport(userId, startDate, endDate, format, exportId);
-        await this.updateExportStatus(exportId, 'completed', result.filePath);
-      }
+      await this.enqueue(exportId, userId);
 
       logger.info('Export job created', { exportId, userId, format });
 
@@ -178,7 +123,7 @@ class PSTExportService {
     }
   }
 
-  async generateExport(userId, startDate, endDate, format, exportId) {
+  async generateExport(userId, startDate, endDate, format, exportId, options = {}) {
     try {
       // Get user info
       const users = await query('SELECT email FROM users WHERE id = ?', [userId]);
@@ -207,13 +152,20 @@ class PSTExportService {
 
       logger.info('Found emails for export', { userId, count: emails.length, format });
 
+      // PST and mbox exports file each email under every label it has
+      const labels = await emailLabelService.getLabelsForUser(userId);
+      for (const email of emails) {
+        email.labels = labels[email.id] || [];
+      }
+
       // Generate export based on format
       let filePath;
       if (format === 'eml') {
         filePath = await this.createEMLZip(emails, userEmail, exportId);
       } else if (format === 'pst') {
-        // For PST, we create a ZIP with EMLs that can be imported
-        filePath = await this.createPSTCompatibleZip(emails, userEmail, exportId);
+        filePath = await this.createPSTFile(emails, userEmail, exportId);
+      } else if (format === 'mbox') {
+        filePath = await this.createMBOXArchive(emails, userEmail, exportId, options.mboxLayout);
       } else {
         // Default to EML ZIP
         filePath = await this.createEMLZip(emails, userEmail, exportId);
@@ -273,7 +225,8 @@ class PSTExportService {
 
             // Copy or create EML file
             if (await this.fileExists(email.eml_path)) {
-              await fs.copyFile(email.eml_path, filePath);
+              // Exports are handed out as plain EML, so decode rather than copy
+              await fs.writeFile(filePath, await backupFileService.read(email.eml_path, { compression: email.compression }));
             } else {
               // Create EML file from database content if available
               await this.createEMLFile(filePath, email);
@@ -294,7 +247,7 @@ class PSTExportService {
 
         // Update progress in database
         const progress = Math.round((processedCount / totalEmails) * 90); // Max 90% for processing
-        await this.updateExportStatus(exportId, 'processing', null, progress);
+        await this.updateExportStatus(exportId, 'processing', null, progress, { processed: processedCount, total: totalEmails });
 
         logger.info(`Export batch progress: ${processedCount}/${totalEmails} (${Math.round((processedCount/totalEmails)*100)}%)`);
       }
@@ -322,127 +275,293 @@ class PSTExportService {
   }
 
   /**
-   * Create PST-compatible structure with Import instructions
+   * Write an Outlook PST (Unicode) with one PST folder per Gmail folder.
+   * An email with several labels is copied into each of their folders.
    */
-  async createPSTCompatibleZip(emails, userEmail, exportId) {
-    const zipPath = path.join(this.exportDir, `pst_backup_${exportId}.zip`);
-    const tempDir = path.join(this.exportDir, `pst_temp_${exportId}`);
+  async createPSTFile(emails, userEmail, exportId) {
+    const pstPath = path.join(this.exportDir, `backup_${exportId}.pst`);
+    const totalEmails = emails.length;
+    const writer = new PSTWriter(pstPath, { displayName: userEmail });
 
     try {
-      fsSync.mkdirSync(tempDir, { recursive: true });
+      await writer.open();
 
-      // Create EML files organized by year/month
       let processedCount = 0;
-      const batchSize = 50;
+      for (let i = 0; i < emails.length; i++) {
+        const email = emails[i];
 
-      for (let i = 0; i < emails.length; i += batchSize) {
-        const batch = emails.slice(i, i + batchSize);
+        try {
+          const message = await this.buildPSTMessage(email);
+          for (const gmailFolder of this.getExportFolders(email)) {
+            await writer.addMessage(this.resolvePSTFolder(writer, gmailFolder), message);
+          }
+          processedCount++;
+        } catch (error) {
+          logger.warn('Failed to add email to PST', {
+            messageId: email.message_id,
+            error: error.message
+          });
+        }
 
-        const promises = batch.map(async (email) => {
-          try {
-            const emailDate = new Date(email.date);
-            const year = emailDate.getFullYear();
-            const month = String(emailDate.getMonth() + 1).padStart(2, '0');
+        // PST is written message by message, so report progress every 50 emails
+        if ((i + 1) % 50 === 0 || i === emails.length - 1) {
+          const progress = Math.round(((i + 1) / totalEmails) * 90);
+          await this.updateExportStatus(exportId, 'processing', null, progress, { processed: i + 1, total: totalEmails });
+        }
+      }
 
-            const folderPath = path.join(tempDir, 'Emails', year.toString(), month);
-            fsSync.mkdirSync(folderPath, { recursive: true });
+      // Folder tables, B-trees and allocation maps are written on close
+      await this.updateExportStatus(exportId, 'processing', null, 95);
+      await writer.close();
 
-            const safeSubject = this.sanitizeFilename(email.subject || 'no-subject');
-            const filename = `${safeSubject}_${Date.now()}.eml`;
-            const filePath = path.join(folderPath, filename);
+      logger.info('PST file created', { pstPath, emailCount: processedCount });
 
-            if (await this.fileExists(email.eml_path)) {
-              await fs.copyFile(email.eml_path, filePath);
-            } else {
-              await this.createEMLFile(filePath, email);
-            }
+      return pstPath;
 
-            return true;
-          } catch (error) {
-            return false;
-          }
-        });
+    } catch (error) {
+      await writer.abort();
+      throw error;
+    }
+  }
 
-        const results = await Promise.all(promises);
-        processedCount += results.filter(r => r).length;
+  /**
+   * The folders an email is exported to: its labels, or the folder it was
+   * archived from when it has none (e.g. All Mail).
+   */
+  getExportFolders(email) {
+    return email.labels && email.labels.length > 0 ? email.labels : [email.folder];
+  }
+
+  /**
+   * Map a Gmail folder path (e.g. "INBOX", "[Gmail]/Sent Mail", "Clients/Acme")
+   * to a PST folder, creating intermediate folders as needed.
+   * Gmail system folders are placed at the top of the mailbox.
+   */
+  resolvePSTFolder(writer, gmailFolder) {
+    const segments = (gmailFolder || 'INBOX').split('/').filter(Boolean);
+    if (segments[0] === '[Gmail]' || segments[0] === '[Google Mail]') {
+      segments.shift();
+    }
+
+    if (segments.length === 0 || segments[0].toUpperCase() === 'INBOX') {
+      segments[0] = 'Inbox';
+    }
+
+    if (segments.length === 1 && (segments[0] === 'Trash' || segments[0] === 'Bin')) {
+      return writer.deletedItems;
+    }
+
+    let folder = writer.ipmSubtree;
+    for (const name of segments) {
+      folder = writer.addFolder(name, folder);
+    }
+    return folder;
+  }
+
+  /**
+   * Write a ZIP of mboxrd files, either one per Gmail folder (keeping the
+   * label hierarchy as directories, an email in each of its labels) or a
+   * single mailbox for the whole user.
+   * Stored EMLs are read one at a time and streamed straight into the archive.
+   */
+  async createMBOXArchive(emails, userEmail, exportId, layout = 'folder') {
+    const zipPath = path.join(this.exportDir, `backup_${exportId}.zip`);
+
+    const mailboxes = new Map();
+    let totalEmails = 0;
+    for (const email of emails) {
+      const names = layout === 'single'
+        ? [`${this.sanitizeFilename(userEmail)}.mbox`]
+        : [...new Set(this.getExportFolders(email).map(folder => this.getMBOXEntryName(folder)))];
+      for (const name of names) {
+        if (!mailboxes.has(name)) mailboxes.set(name, []);
+        mailboxes.get(name).push(email);
+        totalEmails++;
       }
+    }
 
-      // Create IMPORT_INSTRUCTIONS.txt
-      const instructions = this.generateImportInstructions(userEmail, processedCount);
-      await fs.writeFile(path.join(tempDir, 'IMPORT_INSTRUCTIONS.txt'), instructions);
+    let processedCount = 0;
+    const onMessage = async () => {
+      processedCount++;
+      if (processedCount % 50 === 0 || processedCount === totalEmails) {
+        const progress = Math.round((processedCount / totalEmails) * 95);
+        await this.updateExportStatus(exportId, 'processing', null, progress, { processed: processedCount, total: totalEmails });
+      }
+    };
 
-      // Create ZIP
-      await this.createZipArchive(tempDir, zipPath);
+    try {
+      await new Promise((resolve, reject) => {
+        const archive = archiver('zip', {
+          zlib: { level: 9 }
+        });
 
-      // Clean up
-      fsSync.rmSync(tempDir, { recursive: true, force: true });
+        const output = fsSync.createWriteStream(zipPath);
 
-      logger.info('PST-compatible ZIP created', { zipPath, emailCount: processedCount });
+        output.on('close', () => {
+          logger.info('MBOX archive created', { zipPath, size: archive.pointer() });
+          resolve();
+        });
+
+        // A full disk or an unwritable path: stop reading EMLs and fail the export
+        output.on('error', (error) => {
+          archive.abort();
+          reject(error);
+        });
+        archive.on('error', reject);
+        archive.pipe(output);
+
+        // archiver consumes entries in order, so only one mailbox is read at a time
+        for (const [name, mailboxEmails] of mailboxes) {
+          archive.append(Readable.from(this.generateMBOX(mailboxEmails, onMessage)), { name });
+        }
+
+        archive.finalize();
+      });
+
+      logger.info('MBOX export created', {
+        zipPath,
+        layout,
+        mailboxes: mailboxes.size,
+        emailCount: processedCount
+      });
 
       return zipPath;
 
     } catch (error) {
-      if (fsSync.existsSync(tempDir)) {
-        fsSync.rmSync(tempDir, { recursive: true, force: true });
-      }
+      fsSync.rmSync(zipPath, { force: true });
       throw error;
     }
   }
 
-  generateImportInstructions(userEmail, emailCount) {
-    return `
-==============================================
-  EMAIL BACKUP IMPORT INSTRUCTIONS
-==============================================
-
-Backup for: ${userEmail}
-Total Emails: ${emailCount}
-Date: ${new Date().toLocaleString()}
-
-----------------------------------------------
-METHOD 1: Import to Microsoft Outlook
-----------------------------------------------
-
-1. Extract the ZIP file
-2. Open Microsoft Outlook
-3. Go to File → Open & Export → Import/Export
-4. Select "Import an Internet Mail and Address Book"
-5. Choose "EML format" or "Outlook Data File (.pst)"
-6. Select the extracted EML files folder
-7. Complete the import process
-
-----------------------------------------------
-METHOD 2: Use Outlook's Auto-Import
-----------------------------------------------
-
-1. In Outlook, go to File → Open & Export
-2. Click "Import/Export"
-3. Select "Import from another program or file"
-4. Choose "Outlook Data File (.pst)" for PST
-5. Or "Comma Separated Values" for CSV
-
-----------------------------------------------
-METHOD 3: Direct EML Import
-----------------------------------------------
-
-1. Open Outlook
-2. Drag and drop EML files into the folder
-3. Or use File → Open → Open an Outlook Data File
-
-==============================================
-NOTE: This backup uses EML format which is
-natively supported by Microsoft Outlook.
-EML files can also be imported to:
-- Thunderbird
-- Windows Mail
-- Apple Mail
-- Other email clients
-==============================================
-`;
+  async *generateMBOX(emails, onMessage) {
+    for (const email of emails) {
+      try {
+        let raw;
+        if (await this.fileExists(email.eml_path)) {
+          raw = await backupFileService.read(email.eml_path, { compression: email.compression });
+        } else {
+          raw = Buffer.from(this.buildPlaceholderEML(email));
+        }
+        yield this.toMBOXRDEntry(raw, email);
+      } catch (error) {
+        logger.warn('Failed to add email to MBOX', {
+          messageId: email.message_id,
+          error: error.message
+        });
+      }
+      await onMessage();
+    }
+  }
+
+  /**
+   * Frame one message for mboxrd: a "From " separator line, LF line endings,
+   * one extra ">" on every line matching /^>*From /, and a trailing blank line.
+   * Bytes pass through latin1 so non-UTF-8 messages are not altered.
+   */
+  toMBOXRDEntry(raw, email) {
+    const fromEmail = email.from_email || '';
+    const match = fromEmail.match(/<([^<>\s]+)>/) || fromEmail.match(/[^\s<>"]+@[^\s<>"]+/);
+    const sender = match ? (match[1] || match[0]) : 'MAILER-DAEMON';
+
+    let body = raw.toString('latin1')
+      .replace(/\r\n/g, '\n')
+      .replace(/^(>*From )/gm, '>$1');
+    if (!body.endsWith('\n')) body += '\n';
+
+    return Buffer.from(`From ${sender} ${this.formatMBOXDate(email.date)}\n${body}\n`, 'latin1');
+  }
+
+  /**
+   * asctime-style date used on the "From " line, e.g. "Mon Jan  8 09:05:00 2024" (UTC)
+   */
+  formatMBOXDate(value) {
+    let date = value ? new Date(value) : new Date(0);
+    if (isNaN(date.getTime())) date = new Date(0);
+
+    const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const pad = (n) => String(n).padStart(2, '0');
+
+    return `${days[date.getUTCDay()]} ${months[date.getUTCMonth()]} ${String(date.getUTCDate()).padStart(2, ' ')} ` +
+      `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${date.getUTCFullYear()}`;
+  }
+
+  /**
+   * Archive entry for a Gmail folder, e.g. "[Gmail]/Sent Mail" -> "[Gmail]/Sent Mail.mbox".
+   * Only characters that are invalid in Windows paths are replaced.
+   */
+  getMBOXEntryName(gmailFolder) {
+    const segments = (gmailFolder || 'INBOX').split('/')
+      .map((segment) => segment.replace(/[\\:*?"<>|\x00-\x1f]/g, '_').trim())
+      .filter((segment) => segment && segment !== '.' && segment !== '..');
+
+    return `${(segments.length ? segments : ['INBOX']).join('/')}.mbox`;
+  }
+
+  async buildPSTMessage(email) {
+    let raw;
+    if (await this.fileExists(email.eml_path)) {
+      raw = await backupFileService.read(email.eml_path, { compression: email.compression });
+    } else {
+      // Same placeholder as the EML export when the original file is gone
+      raw = Buffer.from(this.buildPlaceholderEML(email));
+    }
+
+    const parsed = await simpleParser(raw);
+    const addresses = (field) => (field ? [].concat(field) : [])
+      .flatMap((entry) => entry.value || [])
+      .filter((address) => address.address || address.name);
+
+    const recipients = [
+      ...addresses(parsed.to).map((address) => ({ ...address, type: 'to' })),
+      ...addresses(parsed.cc).map((address) => ({ ...address, type: 'cc' })),
+      ...addresses(parsed.bcc).map((address) => ({ ...address, type: 'bcc' })),
+    ];
+
+    let headerEnd = raw.indexOf('\r\n\r\n');
+    if (headerEnd === -1) headerEnd = raw.indexOf('\n\n');
+    const headers = raw.subarray(0, headerEnd !== -1 ? headerEnd : raw.length).toString('utf8');
+    const sentDate = parsed.date || (email.date ? new Date(email.date) : null);
+
+    return {
+      subject: parsed.subject || email.subject || '',
+      from: addresses(parsed.from)[0] || { address: email.from_email },
+      recipients,
+      sentDate,
+      receivedDate: this.getReceivedDate(parsed) || sentDate,
+      messageId: parsed.messageId || email.message_id,
+      headers,
+      text: parsed.text || '',
+      html: parsed.html || null,
+      size: raw.length,
+      attachments: (parsed.attachments || []).map((attachment) => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        contentId: attachment.contentId ? attachment.contentId.replace(/^<|>$/g, '') : null,
+        content: attachment.content,
+      })),
+    };
+  }
+
+  /**
+   * Delivery time from the topmost Received header (added by the receiving
+   * server), falling back to the Date header when absent.
+   */
+  getReceivedDate(parsed) {
+    const received = parsed.headers && parsed.headers.get('received');
+    const topmost = Array.isArray(received) ? received[0] : received;
+    if (!topmost || typeof topmost !== 'string') return null;
+
+    const date = new Date(topmost.slice(topmost.lastIndexOf(';') + 1).trim());
+    return isNaN(date.getTime()) ? null : date;
   }
 
   async createEMLFile(filePath, email) {
-    const emlContent = `From: ${email.from_email}
+    await fs.writeFile(filePath, this.buildPlaceholderEML(email));
+  }
+
+  buildPlaceholderEML(email) {
+    return `From: ${email.from_email}
 To: ${email.to_email}
 Subject: ${email.subject}
 Date: ${new Date(email.date).toUTCString()}
@@ -454,8 +573,6 @@ Content-Type: text/plain; charset=UTF-8
 
 This is a backup record. Original EML file may be available in the backup directory.
 `;
-
-    await fs.writeFile(filePath, emlContent);
   }
 
   sanitizeFilename(filename) {
@@ -465,11 +582,9 @@ This is a backup record. Original EML file may be available in the backup direct
       .substring(0, 50);
   }
 
-  async fileExists(filePath) {
-    if (!filePath) return false;
+  async fileExists(uri) {
     try {
-      await fs.access(filePath);
-      return true;
+      return await storageService.exists(uri);
     } catch {
       return false;
     }
@@ -488,10 +603,14 @@ This is a backup record. Original EML file may be available in the backup direct
         resolve(outputPath);
       });
 
-      archive.on('error', (err) => {
+      const fail = (err) => {
         logger.error('ZIP creation failed', { error: err.message });
+        archive.abort();
+        fsSync.rmSync(outputPath, { force: true });
         reject(err);
-      });
+      };
+      output.on('error', fail);
+      archive.on('error', fail);
 
       archive.directory(sourceDir, false);
       archive.pipe(output);
@@ -499,7 +618,17 @@ This is a backup record. Original EML file may be available in the backup direct
     });
   }
 
-  async updateExportStatus(exportId, status, filePath = null, progress = null) {
+  /**
+   * @param {Object} [details] - Sent with the live progress event, e.g. emails `processed` of `total`
+   */
+  async updateExportStatus(exportId, status, filePath = null, progress = null, details = {}) {
+    progressService.updateExport(exportId, {
+      ...details,
+      status,
+      ...(status === 'completed' ? { progress: 100 } : {}),
+      ...(progress !== null ? { progress } : {}),
+    });
+
     try {
       if (status === 'completed') {
         await query(
@@ -568,32 +697,17 @@ This is a backup record. Original EML file may be available in the backup direct
   }
 
   async getQueueStatus() {
-    if (!this.exportQueue) {
-      // Fallback to in-memory tracking
-      const processingCount = this.processingExports.size;
-      return {
-        available: false,
-        message: 'Redis not configured',
-        inMemoryQueue: this.inMemoryQueue.length,
-        processing: processingCount,
-        totalPending: this.inMemoryQueue.length + processingCount,
-      };
-    }
-
     try {
-      const [waiting, active, completed, failed] = await Promise.all([
-        this.exportQueue.getWaitingCount(),
-        this.exportQueue.getActiveCount(),
-        this.exportQueue.getCompletedCount(),
-        this.exportQueue.getFailedCount(),
-      ]);
+      const counts = await jobService.getCounts('export');
+      const waiting = counts.pending;
+      const active = counts.running;
 
       return {
         available: true,
         waiting,
         active,
-        completed,
-        failed,
+        completed: counts.completed,
+        failed: counts.failed,
         totalPending: waiting + active,
       };
     } catch (error) {
@@ -622,27 +736,7 @@ This is a backup record. Original EML file may be available in the backup direct
       await query('UPDATE pst_exports SET retry_count = COALESCE(retry_count, 0) + 1 WHERE id = ?', [exportId]);
 
       // Re-queue the export
-      if (this.exportQueue) {
-        await this.exportQueue.add({
-          exportId,
-          userId: exportData.user_id,
-          startDate: exportData.start_date,
-          endDate: exportData.end_date,
-          format: exportData.export_format || 'eml',
-          retryAttempt: (exportData.retry_count || 0) + 1,
-        });
-      } else {
-        // Run synchronously
-        await this.updateExportStatus(exportId, 'processing');
-        const result = await this.generateExport(
-          exportData.user_id,
-          exportData.start_date,
-          exportData.end_date,
-          exportData.export_format || 'eml',
-          exportId
-        );
-        await this.updateExportStatus(exportId, 'completed', result.filePath);
-      }
+      await this.enqueue(exportId, exportData.user_id);
 
       logger.info('Export retry queued', { exportId, retryAttempt: (exportData.retry_count || 0) + 1 });
 
@@ -687,15 +781,12 @@ This is a backup record. Original EML file may be available in the backup direct
         ['cancelled', exportId]
       );
 
-      // Remove from queue if Redis is available
-      if (this.exportQueue) {
-        const jobs = await this.exportQueue.getJobs(['waiting', 'active'], 0, 100);
-        for (const job of jobs) {
-          if (job.data.exportId === exportId) {
-            await job.remove();
-            break;
-          }
-        }
+      progressService.updateExport(exportId, { status: 'cancelled' });
+
+      // A running export is discarded once generated
+      const job = await jobService.findActive('export', { lockKey: `export:${exportId}` });
+      if (job) {
+        await jobService.cancel(job.id);
       }
 
       logger.info('Export cancelled', { exportId });
@@ -706,24 +797,10 @@ This is a backup record. Original EML file may be available in the backup direct
       throw error;
     }
   }
-
-  async close() {
-    if (this.exportQueue) {
-      await this.exportQueue.close();
-    }
-  }
 }
 
 const pstExportService = new PSTExportService();
 
-process.on('SIGTERM', async () => {
-  await pstExportService.close();
-});
-
-process.on('SIGINT', async () => {
-  await pstExportService.close();
-});
-
 module.exports = {
   PSTExportService,
   pstExportService,
@@ -0,0 +1,1395 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+/*
+ * Unicode PST (Outlook Data File) writer, following the [MS-PST] layering:
+ *
+ *  - NDB: blocks, data trees, subnode trees, the node/block B-trees,
+ *    allocation maps and the file header.
+ *  - LTP: heap-on-node, BTree-on-heap, property contexts and table contexts.
+ *  - Messaging: message store, folder hierarchy, messages, recipients and
+ *    attachments.
+ *
+ * The file is produced in a single pass. Message blocks are appended as
+ * messages are added, folders and their tables are written on close(), then
+ * the B-trees, allocation maps and header. Nothing is rewritten in place, so
+ * there is no free-space management: every byte up to EOF is allocated.
+ */
+
+// ---------------------------------------------------------------------------
+// NDB layer
+// ---------------------------------------------------------------------------
+
+const PAGE_SIZE = 512;
+const PAGE_DATA_SIZE = 496;
+const FIRST_AMAP_OFFSET = 0x4400;
+const AMAP_COVERAGE = PAGE_DATA_SIZE * 8 * 64; // each AMap bit covers 64 bytes
+const MAX_BLOCK_DATA = 8176;
+const BLOCK_TRAILER_SIZE = 16;
+const FLUSH_THRESHOLD = 4 * 1024 * 1024;
+
+const PTYPE = {
+  BBT: 0x80,
+  NBT: 0x81,
+  FMAP: 0x82,
+  PMAP: 0x83,
+  AMAP: 0x84,
+  FPMAP: 0x85,
+};
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[i] = c >>> 0;
+  }
+  return table;
+})();
+
+// PST uses the plain CRC-32 table without the initial/final inversion
+function computeCrc(buffer, start = 0, end = buffer.length) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return crc >>> 0;
+}
+
+function computeSig(ib, bid) {
+  const value = BigInt(ib) ^ BigInt(bid);
+  return Number(((value >> 16n) ^ value) & 0xFFFFn);
+}
+
+function alignUp(value, alignment) {
+  return Math.ceil(value / alignment) * alignment;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Map pages that sit at the start of the given AMap interval. PMap, FMap and
+ * FPMap are deprecated but still live at fixed offsets, so data must never be
+ * placed where a reader expects them.
+ */
+function mapPagesFor(interval) {
+  const pages = [PTYPE.AMAP];
+  if (interval % 8 === 0) pages.push(PTYPE.PMAP);
+  if (interval >= 128 && (interval - 128) % 496 === 0) pages.push(PTYPE.FMAP);
+  if (interval >= 8192 && (interval - 8192) % 31744 === 0) pages.push(PTYPE.FPMAP);
+  return pages;
+}
+
+class NodeDatabase {
+  constructor(handle) {
+    this.handle = handle;
+    this.position = FIRST_AMAP_OFFSET;
+    this.nextBid = 4;
+    this.nextPageBid = 1;
+    this.blocks = []; // BBT leaf entries, already in BID order
+    this.nodes = []; // NBT leaf entries
+    this.pending = [];
+    this.pendingStart = null;
+    this.pendingEnd = null;
+  }
+
+  allocate(size, alignment = 64) {
+    let position = alignUp(this.position, alignment);
+
+    for (;;) {
+      const interval = Math.floor((position - FIRST_AMAP_OFFSET) / AMAP_COVERAGE);
+      const intervalStart = FIRST_AMAP_OFFSET + interval * AMAP_COVERAGE;
+      const dataStart = intervalStart + mapPagesFor(interval).length * PAGE_SIZE;
+
+      if (position < dataStart) position = dataStart;
+      if (position + size <= intervalStart + AMAP_COVERAGE) break;
+
+      // Allocations never straddle two AMap intervals
+      position = intervalStart + AMAP_COVERAGE;
+    }
+
+    this.position = position + size;
+    return position;
+  }
+
+  async emit(offset, data) {
+    if (this.pendingStart === null) {
+      this.pendingStart = offset;
+      this.pendingEnd = offset;
+    }
+    if (offset > this.pendingEnd) {
+      this.pending.push(Buffer.alloc(offset - this.pendingEnd));
+    }
+    this.pending.push(data);
+    this.pendingEnd = offset + data.length;
+
+    if (this.pendingEnd - this.pendingStart >= FLUSH_THRESHOLD) {
+      await this.flush();
+    }
+  }
+
+  async flush() {
+    if (this.pendingStart === null) return;
+
+    const data = Buffer.concat(this.pending);
+    await this.handle.write(data, 0, data.length, this.pendingStart);
+
+    this.pending = [];
+    this.pendingStart = null;
+    this.pendingEnd = null;
+  }
+
+  async writeBlock(data, internal = false) {
+    if (data.length > MAX_BLOCK_DATA) {
+      throw new Error(`PST block too large: ${data.length} bytes`);
+    }
+
+    const bid = this.nextBid | (internal ? 0x2 : 0);
+    this.nextBid += 4;
+
+    const size = alignUp(data.length + BLOCK_TRAILER_SIZE, 64);
+    const ib = this.allocate(size);
+    const block = Buffer.alloc(size);
+    data.copy(block, 0);
+
+    const trailer = size - BLOCK_TRAILER_SIZE;
+    block.writeUInt16LE(data.length, trailer);
+    block.writeUInt16LE(computeSig(ib, bid), trailer + 2);
+    block.writeUInt32LE(computeCrc(data), trailer + 4);
+    block.writeBigUInt64LE(BigInt(bid), trailer + 8);
+
+    await this.emit(ib, block);
+    this.blocks.push({ bid, ib, cb: data.length });
+
+    return bid;
+  }
+
+  /**
+   * Write raw node data, splitting it into a data tree when it does not fit
+   * in a single block.
+   */
+  async writeDataTree(data) {
+    if (data.length <= MAX_BLOCK_DATA) {
+      return this.writeBlock(data);
+    }
+
+    const blocks = [];
+    for (let offset = 0; offset < data.length; offset += MAX_BLOCK_DATA) {
+      blocks.push(data.subarray(offset, offset + MAX_BLOCK_DATA));
+    }
+    return this.writeBlockTree(blocks);
+  }
+
+  /**
+   * Write pre-split node data (e.g. heap-on-node blocks, which must keep their
+   * own boundaries) as a data tree.
+   */
+  async writeBlockTree(blocks) {
+    if (blocks.length === 1) {
+      return this.writeBlock(blocks[0]);
+    }
+
+    const leaves = [];
+    for (const block of blocks) {
+      leaves.push({ bid: await this.writeBlock(block), size: block.length });
+    }
+
+    const perBlock = (MAX_BLOCK_DATA - 8) / 8 | 0;
+    let level = 1;
+    let entries = leaves;
+
+    while (entries.length > 1) {
+      if (level > 2) {
+        throw new Error('PST node data too large');
+      }
+
+      const parents = [];
+      for (const group of chunk(entries, perBlock)) {
+        const total = group.reduce((sum, entry) => sum + entry.size, 0);
+        const xblock = Buffer.alloc(8 + group.length * 8);
+        xblock[0] = 0x01; // btype: XBLOCK/XXBLOCK
+        xblock[1] = level;
+        xblock.writeUInt16LE(group.length, 2);
+        xblock.writeUInt32LE(total, 4);
+        group.forEach((entry, i) => xblock.writeBigUInt64LE(BigInt(entry.bid), 8 + i * 8));
+
+        parents.push({ bid: await this.writeBlock(xblock, true), size: total });
+      }
+
+      entries = parents;
+      level++;
+    }
+
+    return entries[0].bid;
+  }
+
+  async writeSubnodeTree(entries) {
+    if (entries.length === 0) return 0;
+
+    const sorted = [...entries].sort((a, b) => a.nid - b.nid);
+    const leafCapacity = (MAX_BLOCK_DATA - 8) / 24 | 0;
+    const leaves = [];
+
+    for (const group of chunk(sorted, leafCapacity)) {
+      const slblock = Buffer.alloc(8 + group.length * 24);
+      slblock[0] = 0x02; // btype: SLBLOCK
+      slblock[1] = 0;
+      slblock.writeUInt16LE(group.length, 2);
+      group.forEach((entry, i) => {
+        const offset = 8 + i * 24;
+        slblock.writeBigUInt64LE(BigInt(entry.nid), offset);
+        slblock.writeBigUInt64LE(BigInt(entry.bidData), offset + 8);
+        slblock.writeBigUInt64LE(BigInt(entry.bidSub || 0), offset + 16);
+      });
+      leaves.push({ nid: group[0].nid, bid: await this.writeBlock(slblock, true) });
+    }
+
+    if (leaves.length === 1) return leaves[0].bid;
+
+    const indexCapacity = (MAX_BLOCK_DATA - 8) / 16 | 0;
+    if (leaves.length > indexCapacity) {
+      throw new Error('Too many subnodes for a single PST node');
+    }
+
+    const siblock = Buffer.alloc(8 + leaves.length * 16);
+    siblock[0] = 0x02; // btype: SIBLOCK
+    siblock[1] = 1;
+    siblock.writeUInt16LE(leaves.length, 2);
+    leaves.forEach((leaf, i) => {
+      siblock.writeBigUInt64LE(BigInt(leaf.nid), 8 + i * 16);
+      siblock.writeBigUInt64LE(BigInt(leaf.bid), 16 + i * 16);
+    });
+
+    return this.writeBlock(siblock, true);
+  }
+
+  addNode(nid, bidData, bidSub = 0, nidParent = 0) {
+    this.nodes.push({ nid, bidData, bidSub, nidParent });
+  }
+
+  sealPage(page, ptype, ib, bid, signature) {
+    page[PAGE_DATA_SIZE] = ptype;
+    page[PAGE_DATA_SIZE + 1] = ptype;
+    page.writeUInt16LE(signature, PAGE_DATA_SIZE + 2);
+    page.writeUInt32LE(computeCrc(page, 0, PAGE_DATA_SIZE), PAGE_DATA_SIZE + 4);
+    page.writeBigUInt64LE(BigInt(bid), PAGE_DATA_SIZE + 8);
+  }
+
+  async writeBTree(ptype, entries, leafEntrySize, encodeLeaf) {
+    const BT_ENTRIES_SIZE = 488;
+    let level = 0;
+    let items = entries;
+
+    do {
+      const entrySize = level === 0 ? leafEntrySize : 24;
+      const capacity = BT_ENTRIES_SIZE / entrySize | 0;
+      const groups = items.length ? chunk(items, capacity) : [[]];
+      const parents = [];
+
+      for (const group of groups) {
+        const page = Buffer.alloc(PAGE_SIZE);
+        group.forEach((item, i) => {
+          const offset = i * entrySize;
+          if (level === 0) {
+            encodeLeaf(page, offset, item);
+          } else {
+            page.writeBigUInt64LE(BigInt(item.key), offset);
+            page.writeBigUInt64LE(BigInt(item.bid), offset + 8);
+            page.writeBigUInt64LE(BigInt(item.ib), offset + 16);
+          }
+        });
+        page[BT_ENTRIES_SIZE] = group.length;
+        page[BT_ENTRIES_SIZE + 1] = capacity;
+        page[BT_ENTRIES_SIZE + 2] = entrySize;
+        page[BT_ENTRIES_SIZE + 3] = level;
+
+        const ib = this.allocate(PAGE_SIZE, PAGE_SIZE);
+        const bid = this.nextPageBid++;
+        this.sealPage(page, ptype, ib, bid, computeSig(ib, bid));
+        await this.emit(ib, page);
+
+        const first = group[0];
+        const key = !first ? 0 : level === 0 ? (first.nid !== undefined ? first.nid : first.bid) : first.key;
+        parents.push({ key, bid, ib });
+      }
+
+      items = parents;
+      level++;
+    } while (items.length > 1);
+
+    return items[0];
+  }
+
+  async writeMapPages(eof) {
+    const intervals = Math.ceil((eof - FIRST_AMAP_OFFSET) / AMAP_COVERAGE);
+
+    for (let interval = 0; interval < intervals; interval++) {
+      const start = FIRST_AMAP_OFFSET + interval * AMAP_COVERAGE;
+
+      for (const [index, ptype] of mapPagesFor(interval).entries()) {
+        const ib = start + index * PAGE_SIZE;
+        const page = Buffer.alloc(PAGE_SIZE);
+
+        if (ptype === PTYPE.AMAP) {
+          const allocatedSlots = Math.min((eof - start) / 64, PAGE_DATA_SIZE * 8);
+          page.fill(0xFF, 0, allocatedSlots >> 3);
+          if (allocatedSlots & 7) {
+            page[allocatedSlots >> 3] = (0xFF << (8 - (allocatedSlots & 7))) & 0xFF;
+          }
+        } else if (ptype !== PTYPE.FMAP) {
+          page.fill(0xFF, 0, PAGE_DATA_SIZE);
+        }
+
+        // Map pages carry their own offset as BID and no signature
+        this.sealPage(page, ptype, ib, ib, 0);
+        await this.handle.write(page, 0, PAGE_SIZE, ib);
+      }
+    }
+
+    return {
+      ibAMapLast: FIRST_AMAP_OFFSET + (intervals - 1) * AMAP_COVERAGE,
+      cbAMapFree: FIRST_AMAP_OFFSET + intervals * AMAP_COVERAGE - eof,
+    };
+  }
+
+  async finish(nidCounters) {
+    const nodes = [...this.nodes].sort((a, b) => a.nid - b.nid);
+    const nbtRoot = await this.writeBTree(PTYPE.NBT, nodes, 32, (page, offset, node) => {
+      page.writeBigUInt64LE(BigInt(node.nid), offset);
+      page.writeBigUInt64LE(BigInt(node.bidData), offset + 8);
+      page.writeBigUInt64LE(BigInt(node.bidSub), offset + 16);
+      page.writeUInt32LE(node.nidParent, offset + 24);
+    });
+
+    const bbtRoot = await this.writeBTree(PTYPE.BBT, this.blocks, 24, (page, offset, block) => {
+      page.writeBigUInt64LE(BigInt(block.bid), offset);
+      page.writeBigUInt64LE(BigInt(block.ib), offset + 8);
+      page.writeUInt16LE(block.cb, offset + 16);
+      page.writeUInt16LE(2, offset + 18); // cRef
+    });
+
+    await this.flush();
+
+    const eof = this.position;
+    const maps = await this.writeMapPages(eof);
+
+    const header = Buffer.alloc(564);
+    header.write('!BDN', 0, 'latin1');
+    header.writeUInt16LE(0x4D53, 8); // wMagicClient
+    header.writeUInt16LE(23, 10); // wVer: Unicode
+    header.writeUInt16LE(19, 12); // wVerClient
+    header[14] = 0x01; // bPlatformCreate
+    header[15] = 0x01; // bPlatformAccess
+    header.writeBigUInt64LE(BigInt(this.nextPageBid), 32); // bidNextP
+    header.writeUInt32LE(1, 40); // dwUnique
+
+    for (let type = 0; type < 32; type++) {
+      header.writeUInt32LE(nidCounters[type] || 0x400, 44 + type * 4);
+    }
+
+    const root = 180;
+    header.writeBigUInt64LE(BigInt(eof), root + 4);
+    header.writeBigUInt64LE(BigInt(maps.ibAMapLast), root + 12);
+    header.writeBigUInt64LE(BigInt(maps.cbAMapFree), root + 20);
+    header.writeBigUInt64LE(BigInt(nbtRoot.bid), root + 36);
+    header.writeBigUInt64LE(BigInt(nbtRoot.ib), root + 44);
+    header.writeBigUInt64LE(BigInt(bbtRoot.bid), root + 52);
+    header.writeBigUInt64LE(BigInt(bbtRoot.ib), root + 60);
+    header[root + 68] = 0x02; // fAMapValid: VALID_AMAP2
+
+    header.fill(0xFF, 256, 512); // rgbFM, rgbFP (deprecated)
+    header[512] = 0x80; // bSentinel
+    header[513] = 0x00; // bCryptMethod: NDB_CRYPT_NONE
+    header.writeBigUInt64LE(BigInt(this.nextBid), 516); // bidNextB
+
+    header.writeUInt32LE(computeCrc(header, 8, 8 + 471), 4);
+    header.writeUInt32LE(computeCrc(header, 8, 8 + 516), 524);
+
+    await this.handle.write(header, 0, header.length, 0);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// LTP layer
+// ---------------------------------------------------------------------------
+
+const MAX_HEAP_ALLOC = 3580;
+const HN_SIGNATURE = 0xEC;
+const CLIENT_SIG = {
+  TC: 0x7C,
+  BTH: 0xB5,
+  PC: 0xBC,
+};
+
+const PT = {
+  INT16: 0x0002,
+  INT32: 0x0003,
+  BOOLEAN: 0x000B,
+  INT64: 0x0014,
+  STRING: 0x001F,
+  TIME: 0x0040,
+  BINARY: 0x0102,
+};
+
+const NID_TYPE = {
+  HID: 0x00,
+  INTERNAL: 0x01,
+  NORMAL_FOLDER: 0x02,
+  NORMAL_MESSAGE: 0x04,
+  ATTACHMENT: 0x05,
+  HIERARCHY_TABLE: 0x0D,
+  CONTENTS_TABLE: 0x0E,
+  ASSOC_CONTENTS_TABLE: 0x0F,
+  LTP: 0x1F,
+};
+
+function fillLevel(free) {
+  const thresholds = [3584, 2560, 2048, 1792, 1536, 1280, 1024, 768, 512, 256, 128, 64, 32, 16, 8];
+  const level = thresholds.findIndex((threshold) => free >= threshold);
+  return level === -1 ? 0xF : level;
+}
+
+class HeapOnNode {
+  constructor(clientSig) {
+    this.clientSig = clientSig;
+    this.userRoot = 0;
+    this.blocks = [];
+    this.addBlock();
+  }
+
+  static headerSize(index) {
+    if (index === 0) return 12; // HNHDR
+    if (index >= 8 && (index - 8) % 128 === 0) return 66; // HNBITMAPHDR
+    return 2; // HNPAGEHDR
+  }
+
+  addBlock() {
+    if (this.blocks.length >= 0x10000) {
+      throw new Error('PST heap too large');
+    }
+    this.blocks.push({ allocations: [], used: HeapOnNode.headerSize(this.blocks.length) });
+  }
+
+  allocate(data) {
+    if (data.length > MAX_HEAP_ALLOC) {
+      throw new Error(`PST heap allocation too large: ${data.length} bytes`);
+    }
+
+    let block = this.blocks[this.blocks.length - 1];
+    const pageMapSize = 4 + 2 * (block.allocations.length + 2);
+    if (block.used + data.length + 1 + pageMapSize > MAX_BLOCK_DATA || block.allocations.length >= 0x7FF) {
+      this.addBlock();
+      block = this.blocks[this.blocks.length - 1];
+    }
+
+    block.allocations.push(data);
+    block.used += data.length;
+
+    return (((this.blocks.length - 1) << 16) | (block.allocations.length << 5)) >>> 0;
+  }
+
+  build() {
+    const layouts = this.blocks.map((block) => {
+      const ibHnpm = alignUp(block.used, 2);
+      return { ibHnpm, size: ibHnpm + 4 + 2 * (block.allocations.length + 1) };
+    });
+    const levels = layouts.map((layout) => fillLevel(MAX_BLOCK_DATA - layout.size));
+    const writeLevels = (buffer, offset, first, count) => {
+      for (let i = 0; i < count && first + i < levels.length; i++) {
+        buffer[offset + (i >> 1)] |= levels[first + i] << ((i & 1) * 4);
+      }
+    };
+
+    return this.blocks.map((block, index) => {
+      const { ibHnpm, size } = layouts[index];
+      const headerSize = HeapOnNode.headerSize(index);
+      const buffer = Buffer.alloc(size);
+
+      buffer.writeUInt16LE(ibHnpm, 0);
+      if (index === 0) {
+        buffer[2] = HN_SIGNATURE;
+        buffer[3] = this.clientSig;
+        buffer.writeUInt32LE(this.userRoot, 4);
+        writeLevels(buffer, 8, 0, 8);
+      } else if (headerSize === 66) {
+        writeLevels(buffer, 2, index, 128);
+      }
+
+      let offset = headerSize;
+      buffer.writeUInt16LE(block.allocations.length, ibHnpm);
+      buffer.writeUInt16LE(0, ibHnpm + 2);
+      block.allocations.forEach((allocation, i) => {
+        buffer.writeUInt16LE(offset, ibHnpm + 4 + i * 2);
+        allocation.copy(buffer, offset);
+        offset += allocation.length;
+      });
+      buffer.writeUInt16LE(offset, ibHnpm + 4 + block.allocations.length * 2);
+
+      return buffer;
+    });
+  }
+}
+
+function writeKey(key, size) {
+  const buffer = Buffer.alloc(size);
+  buffer.writeUIntLE(key, 0, size);
+  return buffer;
+}
+
+/**
+ * Allocate an empty BTree-on-heap header. Outlook (and readers modelled on
+ * it) expect the header to be the first allocation of PC and TC heaps, so it
+ * is reserved up front and filled in by populateBTree() once the records are
+ * known.
+ */
+function createBTree(heap, cbKey, cbEnt) {
+  const header = Buffer.alloc(8);
+  header[0] = CLIENT_SIG.BTH;
+  header[1] = cbKey;
+  header[2] = cbEnt;
+  return { hid: heap.allocate(header), header, cbKey, cbEnt };
+}
+
+/**
+ * Store records sorted by key as BTH leaves, adding index levels on top when
+ * they do not fit in a single heap allocation.
+ */
+function populateBTree(heap, tree, records) {
+  const { header, cbKey, cbEnt } = tree;
+  if (records.length === 0) return;
+
+  let nodes = chunk(records, MAX_HEAP_ALLOC / (cbKey + cbEnt) | 0).map((group) => ({
+    key: group[0].key,
+    hid: heap.allocate(Buffer.concat(group.flatMap((record) => [writeKey(record.key, cbKey), record.data]))),
+  }));
+  let levels = 0;
+
+  while (nodes.length > 1) {
+    nodes = chunk(nodes, MAX_HEAP_ALLOC / (cbKey + 4) | 0).map((group) => ({
+      key: group[0].key,
+      hid: heap.allocate(Buffer.concat(group.flatMap((node) => [writeKey(node.key, cbKey), writeKey(node.hid, 4)]))),
+    }));
+    levels++;
+  }
+
+  header[3] = levels;
+  header.writeUInt32LE(nodes[0].hid, 4);
+}
+
+function toFileTime(date) {
+  return (BigInt(new Date(date).getTime()) + 11644473600000n) * 10000n;
+}
+
+function encodeVariable(type, value) {
+  switch (type) {
+    case PT.STRING:
+      return Buffer.from(String(value), 'utf16le');
+    case PT.BINARY:
+      return Buffer.isBuffer(value) ? value : Buffer.from(value);
+    case PT.TIME: {
+      const buffer = Buffer.alloc(8);
+      buffer.writeBigUInt64LE(toFileTime(value));
+      return buffer;
+    }
+    case PT.INT64: {
+      const buffer = Buffer.alloc(8);
+      buffer.writeBigInt64LE(BigInt(value));
+      return buffer;
+    }
+    default:
+      throw new Error(`Unsupported PST property type 0x${type.toString(16)}`);
+  }
+}
+
+/**
+ * Subnodes owned by a single node (large property values, recipient and
+ * attachment tables, attachments).
+ */
+class SubnodeList {
+  constructor() {
+    this.entries = [];
+    this.nextIndex = 1;
+  }
+
+  allocateNid(type) {
+    return ((this.nextIndex++ << 5) | type) >>> 0;
+  }
+
+  add(nid, bidData, bidSub = 0) {
+    this.entries.push({ nid, bidData, bidSub });
+  }
+}
+
+/**
+ * Store a variable-size (or 8-byte) value on the heap, moving it to a subnode
+ * when it exceeds the heap allocation limit. Returns the HNID.
+ */
+async function storeValue(ndb, heap, subnodes, type, value) {
+  const data = encodeVariable(type, value);
+  if (data.length <= MAX_HEAP_ALLOC) {
+    return heap.allocate(data);
+  }
+
+  const nid = subnodes.allocateNid(NID_TYPE.LTP);
+  subnodes.add(nid, await ndb.writeDataTree(data));
+  return nid;
+}
+
+async function buildPropertyContext(ndb, properties, subnodes) {
+  const heap = new HeapOnNode(CLIENT_SIG.PC);
+  const tree = createBTree(heap, 2, 6);
+  const records = [];
+
+  for (const [id, { type, value }] of [...properties.entries()].sort((a, b) => a[0] - b[0])) {
+    const data = Buffer.alloc(6);
+    data.writeUInt16LE(type, 0);
+
+    if (type === PT.INT16 || type === PT.INT32) {
+      data.writeUInt32LE(value >>> 0, 2);
+    } else if (type === PT.BOOLEAN) {
+      data.writeUInt32LE(value ? 1 : 0, 2);
+    } else {
+      data.writeUInt32LE(await storeValue(ndb, heap, subnodes, type, value), 2);
+    }
+
+    records.push({ key: id, data });
+  }
+
+  populateBTree(heap, tree, records);
+  heap.userRoot = tree.hid;
+  return heap.build();
+}
+
+function columnSize(type) {
+  switch (type) {
+    case PT.INT64:
+    case PT.TIME:
+      return 8;
+    case PT.INT16:
+      return 2;
+    case PT.BOOLEAN:
+      return 1;
+    default:
+      return 4; // 4-byte values and HNIDs of variable-size values
+  }
+}
+
+class TableContext {
+  constructor(columns) {
+    this.columns = [[PR.LTP_ROW_ID, PT.INT32], [PR.LTP_ROW_VER, PT.INT32], ...columns];
+    this.rows = [];
+  }
+
+  addRow(rowId, values = {}) {
+    this.rows.push({ rowId, values });
+  }
+
+  layout() {
+    const [rowIdColumn, rowVerColumn, ...rest] = this.columns;
+    const bySize = [8, 4, 2, 1].flatMap((size) => rest.filter(([, type]) => columnSize(type) === size));
+    const ordered = [rowIdColumn, rowVerColumn, ...bySize];
+
+    let offset = 0;
+    const ends = {};
+    const columns = ordered.map(([id, type], iBit) => {
+      const cbData = columnSize(type);
+      const column = { id, type, ibData: offset, cbData, iBit };
+      offset += cbData;
+      ends[cbData] = offset;
+      return column;
+    });
+
+    const end4b = Math.max(ends[8] || 0, ends[4] || 0);
+    const end2b = ends[2] || end4b;
+    const end1b = ends[1] || end2b;
+
+    return { columns, rgib: [end4b, end2b, end1b, end1b + Math.ceil(columns.length / 8)] };
+  }
+}
+
+async function buildTableContext(ndb, table, subnodes) {
+  const heap = new HeapOnNode(CLIENT_SIG.TC);
+  const rowIndexTree = createBTree(heap, 4, 4);
+  const { columns, rgib } = table.layout();
+  const rowSize = rgib[3];
+  const cebOffset = rgib[2];
+  const rows = [];
+
+  for (const { rowId, values } of table.rows) {
+    const row = Buffer.alloc(rowSize);
+    const cells = { ...values, [PR.LTP_ROW_ID]: rowId, [PR.LTP_ROW_VER]: 0 };
+
+    for (const column of columns) {
+      const value = cells[column.id];
+      if (value === undefined || value === null) continue;
+
+      if (column.type === PT.INT16) {
+        row.writeUInt16LE(value & 0xFFFF, column.ibData);
+      } else if (column.type === PT.INT32) {
+        row.writeUInt32LE(value >>> 0, column.ibData);
+      } else if (column.type === PT.BOOLEAN) {
+        row[column.ibData] = value ? 1 : 0;
+      } else if (column.cbData === 8) {
+        encodeVariable(column.type, value).copy(row, column.ibData);
+      } else {
+        row.writeUInt32LE(await storeValue(ndb, heap, subnodes, column.type, value), column.ibData);
+      }
+
+      row[cebOffset + (column.iBit >> 3)] |= 0x80 >> (column.iBit & 7);
+    }
+
+    rows.push(row);
+  }
+
+  let hnidRows = 0;
+  if (rows.length > 0 && rows.length * rowSize <= MAX_HEAP_ALLOC) {
+    hnidRows = heap.allocate(Buffer.concat(rows));
+  } else if (rows.length > 0) {
+    // Row matrix blocks hold whole rows only. Readers find a row from its
+    // block index and the rows per block, so every block but the last is full size
+    const perBlock = MAX_BLOCK_DATA / rowSize | 0;
+    const blocks = chunk(rows, perBlock).map((group, index, groups) => {
+      const block = Buffer.concat(group);
+      return index < groups.length - 1 ? Buffer.concat([block, Buffer.alloc(MAX_BLOCK_DATA - block.length)]) : block;
+    });
+    hnidRows = subnodes.allocateNid(NID_TYPE.LTP);
+    subnodes.add(hnidRows, await ndb.writeBlockTree(blocks));
+  }
+
+  const rowIndex = table.rows
+    .map(({ rowId }, index) => ({ key: rowId, data: writeKey(index, 4) }))
+    .sort((a, b) => a.key - b.key);
+  populateBTree(heap, rowIndexTree, rowIndex);
+
+  const descriptors = [...columns].sort((a, b) => (a.id - b.id) || (a.type - b.type));
+  const tcinfo = Buffer.alloc(22 + descriptors.length * 8);
+  tcinfo[0] = CLIENT_SIG.TC;
+  tcinfo[1] = descriptors.length;
+  rgib.forEach((end, i) => tcinfo.writeUInt16LE(end, 2 + i * 2));
+  tcinfo.writeUInt32LE(rowIndexTree.hid, 10);
+  tcinfo.writeUInt32LE(hnidRows, 14);
+  tcinfo.writeUInt32LE(0, 18); // hidIndex (deprecated)
+  descriptors.forEach((column, i) => {
+    const offset = 22 + i * 8;
+    tcinfo.writeUInt32LE(((column.id << 16) | column.type) >>> 0, offset);
+    tcinfo.writeUInt16LE(column.ibData, offset + 4);
+    tcinfo[offset + 6] = column.cbData;
+    tcinfo[offset + 7] = column.iBit;
+  });
+
+  heap.userRoot = heap.allocate(tcinfo);
+  return heap.build();
+}
+
+// ---------------------------------------------------------------------------
+// Messaging layer
+// ---------------------------------------------------------------------------
+
+const NID = {
+  MESSAGE_STORE: 0x21,
+  NAME_TO_ID_MAP: 0x61,
+  ROOT_FOLDER: 0x122,
+  SEARCH_MANAGEMENT_QUEUE: 0x1E1,
+  SEARCH_ACTIVITY_LIST: 0x201,
+  SEARCH_GATHERER_QUEUE: 0x281,
+  SEARCH_GATHERER_FOLDER_QUEUE: 0x321,
+  HIERARCHY_TABLE_TEMPLATE: 0x60D,
+  CONTENTS_TABLE_TEMPLATE: 0x60E,
+  ASSOC_CONTENTS_TABLE_TEMPLATE: 0x60F,
+  ATTACHMENT_TABLE: 0x671,
+  RECIPIENT_TABLE: 0x692,
+};
+
+const PR = {
+  NAMEID_BUCKET_COUNT: 0x0001,
+  NAMEID_STREAM_GUID: 0x0002,
+  NAMEID_STREAM_ENTRY: 0x0003,
+  NAMEID_STREAM_STRING: 0x0004,
+  IMPORTANCE: 0x0017,
+  MESSAGE_CLASS: 0x001A,
+  SENSITIVITY: 0x0036,
+  SUBJECT: 0x0037,
+  CLIENT_SUBMIT_TIME: 0x0039,
+  SENT_REPRESENTING_NAME: 0x0042,
+  MESSAGE_TO_ME: 0x0057,
+  MESSAGE_CC_ME: 0x0058,
+  SENT_REPRESENTING_ADDRTYPE: 0x0064,
+  SENT_REPRESENTING_EMAIL_ADDRESS: 0x0065,
+  CONVERSATION_TOPIC: 0x0070,
+  TRANSPORT_MESSAGE_HEADERS: 0x007D,
+  RECIPIENT_TYPE: 0x0C15,
+  SENDER_NAME: 0x0C1A,
+  SENDER_ADDRTYPE: 0x0C1E,
+  SENDER_EMAIL_ADDRESS: 0x0C1F,
+  DISPLAY_BCC: 0x0E02,
+  DISPLAY_CC: 0x0E03,
+  DISPLAY_TO: 0x0E04,
+  MESSAGE_DELIVERY_TIME: 0x0E06,
+  MESSAGE_FLAGS: 0x0E07,
+  MESSAGE_SIZE: 0x0E08,
+  RESPONSIBILITY: 0x0E0F,
+  MESSAGE_STATUS: 0x0E17,
+  HAS_ATTACHMENTS: 0x0E1B,
+  ATTACH_SIZE: 0x0E20,
+  REPL_ITEMID: 0x0E30,
+  REPL_CHANGENUM: 0x0E33,
+  REPL_VERSION_HISTORY: 0x0E34,
+  REPL_FLAGS: 0x0E38,
+  RECORD_KEY: 0x0FF9,
+  OBJECT_TYPE: 0x0FFE,
+  ENTRY_ID: 0x0FFF,
+  BODY: 0x1000,
+  HTML: 0x1013,
+  NATIVE_BODY: 0x1016,
+  INTERNET_MESSAGE_ID: 0x1035,
+  DISPLAY_NAME: 0x3001,
+  ADDRTYPE: 0x3002,
+  EMAIL_ADDRESS: 0x3003,
+  CREATION_TIME: 0x3007,
+  LAST_MODIFICATION_TIME: 0x3008,
+  SEARCH_KEY: 0x300B,
+  IPM_SUBTREE_ENTRYID: 0x35E0,
+  IPM_WASTEBASKET_ENTRYID: 0x35E3,
+  FINDER_ENTRYID: 0x35E7,
+  CONTENT_COUNT: 0x3602,
+  CONTENT_UNREAD: 0x3603,
+  SUBFOLDERS: 0x360A,
+  CONTAINER_CLASS: 0x3613,
+  ATTACH_DATA_BIN: 0x3701,
+  ATTACH_EXTENSION: 0x3703,
+  ATTACH_FILENAME: 0x3704,
+  ATTACH_METHOD: 0x3705,
+  ATTACH_LONG_FILENAME: 0x3707,
+  RENDERING_POSITION: 0x370B,
+  ATTACH_MIME_TAG: 0x370E,
+  ATTACH_CONTENT_ID: 0x3712,
+  DISPLAY_TYPE: 0x3900,
+  SEND_RICH_INFO: 0x3A40,
+  INTERNET_CODEPAGE: 0x3FDE,
+  PST_HIDDEN_COUNT: 0x6635,
+  PST_HIDDEN_UNREAD: 0x6636,
+  LTP_ROW_ID: 0x67F2,
+  LTP_ROW_VER: 0x67F3,
+};
+
+// Named properties registered in the name-to-id map; entry N is exposed as
+// property id 0x8000 + N on messages
+const PS_PUBLIC_STRINGS = 'PS_PUBLIC_STRINGS';
+const PSETID_COMMON = '00062008-0000-0000-C000-000000000046';
+const NAMED_PROPERTIES = [
+  { guid: PSETID_COMMON, lid: 0x8580 }, // PidLidInternetAccountName
+  { guid: PS_PUBLIC_STRINGS, name: 'Keywords' }, // categories
+];
+const NAMED = {
+  INTERNET_ACCOUNT_NAME: 0x8000,
+  KEYWORDS: 0x8001,
+};
+const NAMEID_BUCKET_COUNT = 251;
+
+// Column sets of the template tables in [MS-PST] 2.4.4-2.4.6
+const HIERARCHY_COLUMNS = [
+  [PR.REPL_ITEMID, PT.INT32],
+  [PR.REPL_CHANGENUM, PT.INT64],
+  [PR.REPL_VERSION_HISTORY, PT.BINARY],
+  [PR.REPL_FLAGS, PT.INT32],
+  [PR.DISPLAY_NAME, PT.STRING],
+  [PR.CONTENT_COUNT, PT.INT32],
+  [PR.CONTENT_UNREAD, PT.INT32],
+  [PR.SUBFOLDERS, PT.BOOLEAN],
+  [PR.CONTAINER_CLASS, PT.STRING],
+  [PR.PST_HIDDEN_COUNT, PT.INT32],
+  [PR.PST_HIDDEN_UNREAD, PT.INT32],
+];
+
+const CONTENTS_COLUMNS = [
+  [PR.IMPORTANCE, PT.INT32],
+  [PR.MESSAGE_CLASS, PT.STRING],
+  [PR.SENSITIVITY, PT.INT32],
+  [PR.SUBJECT, PT.STRING],
+  [PR.CLIENT_SUBMIT_TIME, PT.TIME],
+  [PR.SENT_REPRESENTING_NAME, PT.STRING],
+  [PR.MESSAGE_TO_ME, PT.BOOLEAN],
+  [PR.MESSAGE_CC_ME, PT.BOOLEAN],
+  [PR.CONVERSATION_TOPIC, PT.STRING],
+  [PR.DISPLAY_CC, PT.STRING],
+  [PR.DISPLAY_TO, PT.STRING],
+  [PR.MESSAGE_DELIVERY_TIME, PT.TIME],
+  [PR.MESSAGE_FLAGS, PT.INT32],
+  [PR.MESSAGE_SIZE, PT.INT32],
+  [PR.MESSAGE_STATUS, PT.INT32],
+  [PR.REPL_ITEMID, PT.INT32],
+  [PR.REPL_CHANGENUM, PT.INT64],
+  [PR.REPL_VERSION_HISTORY, PT.BINARY],
+  [PR.REPL_FLAGS, PT.INT32],
+  [PR.LAST_MODIFICATION_TIME, PT.TIME],
+];
+
+const ASSOC_CONTENTS_COLUMNS = [
+  [PR.MESSAGE_CLASS, PT.STRING],
+  [PR.MESSAGE_FLAGS, PT.INT32],
+  [PR.MESSAGE_STATUS, PT.INT32],
+  [PR.DISPLAY_NAME, PT.STRING],
+  [PR.REPL_ITEMID, PT.INT32],
+  [PR.REPL_CHANGENUM, PT.INT64],
+  [PR.REPL_VERSION_HISTORY, PT.BINARY],
+  [PR.REPL_FLAGS, PT.INT32],
+  [PR.SEARCH_KEY, PT.BINARY],
+];
+
+const RECIPIENT_COLUMNS = [
+  [PR.RECIPIENT_TYPE, PT.INT32],
+  [PR.RESPONSIBILITY, PT.BOOLEAN],
+  [PR.RECORD_KEY, PT.BINARY],
+  [PR.OBJECT_TYPE, PT.INT32],
+  [PR.ENTRY_ID, PT.BINARY],
+  [PR.DISPLAY_NAME, PT.STRING],
+  [PR.ADDRTYPE, PT.STRING],
+  [PR.EMAIL_ADDRESS, PT.STRING],
+  [PR.SEARCH_KEY, PT.BINARY],
+  [PR.DISPLAY_TYPE, PT.INT32],
+  [PR.SEND_RICH_INFO, PT.BOOLEAN],
+];
+
+const ATTACHMENT_COLUMNS = [
+  [PR.ATTACH_SIZE, PT.INT32],
+  [PR.ATTACH_FILENAME, PT.STRING],
+  [PR.ATTACH_METHOD, PT.INT32],
+  [PR.RENDERING_POSITION, PT.INT32],
+];
+
+const MSGFLAG_READ = 0x01;
+const MSGFLAG_HASATTACH = 0x10;
+const RECIPIENT_TYPES = { to: 1, cc: 2, bcc: 3 };
+const ATTACH_BY_VALUE = 1;
+const MAPI_MAILUSER = 6;
+
+class Properties {
+  constructor() {
+    this.values = new Map();
+  }
+
+  set(id, type, value) {
+    if (value !== undefined && value !== null) {
+      this.values.set(id, { type, value });
+    }
+    return this;
+  }
+}
+
+function guidToBuffer(guid) {
+  const bytes = Buffer.from(guid.replace(/-/g, ''), 'hex');
+  // Data1..Data3 are stored little-endian, Data4 as-is
+  bytes.subarray(0, 4).reverse();
+  bytes.subarray(4, 6).reverse();
+  bytes.subarray(6, 8).reverse();
+  return bytes;
+}
+
+function nameIdRecord(propertyId, guidField, index) {
+  const record = Buffer.alloc(8);
+  record.writeUInt32LE(propertyId >>> 0, 0);
+  record.writeUInt16LE(guidField, 4);
+  record.writeUInt16LE(index, 6);
+  return record;
+}
+
+/**
+ * Build the name-to-id map PC: GUID, entry and string streams plus the hash
+ * buckets used for name lookups.
+ */
+function buildNameToIdMap() {
+  const guids = [];
+  const entries = [];
+  const strings = [];
+  const buckets = new Map();
+  let stringOffset = 0;
+
+  NAMED_PROPERTIES.forEach((property, index) => {
+    let wGuid = 2;
+    if (property.guid !== PS_PUBLIC_STRINGS) {
+      if (!guids.includes(property.guid)) guids.push(property.guid);
+      wGuid = guids.indexOf(property.guid) + 3;
+    }
+
+    let propertyId = property.lid;
+    let hashKey = property.lid;
+    let guidField = wGuid << 1;
+
+    if (property.name !== undefined) {
+      const name = Buffer.from(property.name, 'utf16le');
+      const entry = Buffer.alloc(alignUp(4 + name.length, 4));
+      entry.writeUInt32LE(name.length, 0);
+      name.copy(entry, 4);
+      strings.push(entry);
+
+      propertyId = stringOffset;
+      hashKey = computeCrc(name);
+      guidField |= 1;
+      stringOffset += entry.length;
+    }
+
+    entries.push(nameIdRecord(propertyId, guidField, index));
+
+    const bucket = 0x1000 + ((hashKey ^ guidField) >>> 0) % NAMEID_BUCKET_COUNT;
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push(nameIdRecord(hashKey, guidField, index));
+  });
+
+  const properties = new Properties()
+    .set(PR.NAMEID_BUCKET_COUNT, PT.INT32, NAMEID_BUCKET_COUNT)
+    .set(PR.NAMEID_STREAM_GUID, PT.BINARY, Buffer.concat(guids.map(guidToBuffer)))
+    .set(PR.NAMEID_STREAM_ENTRY, PT.BINARY, Buffer.concat(entries))
+    .set(PR.NAMEID_STREAM_STRING, PT.BINARY, Buffer.concat(strings));
+  for (const [bucket, records] of buckets) {
+    properties.set(bucket, PT.BINARY, Buffer.concat(records));
+  }
+
+  return properties;
+}
+
+/**
+ * Writes a Unicode PST file.
+ *
+ *   const writer = new PSTWriter('/tmp/out.pst', { displayName: 'user@example.com' });
+ *   await writer.open();
+ *   const inbox = writer.addFolder('Inbox');
+ *   await writer.addMessage(inbox, { subject, from, recipients, sentDate, ... });
+ *   await writer.close();
+ */
+class PSTWriter {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.displayName = options.displayName || 'Personal Folders';
+    this.storeUid = crypto.randomBytes(16);
+    this.nidCounters = {};
+    this.handle = null;
+    this.ndb = null;
+
+    this.rootFolder = this.createFolder('', null, NID.ROOT_FOLDER);
+    this.ipmSubtree = this.createFolder('Top of Personal Folders', this.rootFolder);
+    this.searchRoot = this.createFolder('Search Root', this.rootFolder);
+    this.deletedItems = this.createFolder('Deleted Items', this.ipmSubtree);
+  }
+
+  async open() {
+    this.handle = await fs.open(this.filePath, 'w');
+    this.ndb = new NodeDatabase(this.handle);
+  }
+
+  allocateNid(type) {
+    const index = this.nidCounters[type] || 0x400;
+    this.nidCounters[type] = index + 1;
+    return ((index << 5) | type) >>> 0;
+  }
+
+  createFolder(name, parent, nid = null) {
+    const folder = {
+      nid: nid || this.allocateNid(NID_TYPE.NORMAL_FOLDER),
+      name,
+      parent,
+      children: [],
+      contents: new TableContext(CONTENTS_COLUMNS),
+      unread: 0,
+    };
+    if (parent) parent.children.push(folder);
+    return folder;
+  }
+
+  /**
+   * Get or create a folder under the given parent (the top of the mailbox by
+   * default).
+   */
+  addFolder(name, parent = this.ipmSubtree) {
+    const existing = parent.children.find((child) => child.name === name);
+    return existing || this.createFolder(name, parent);
+  }
+
+  entryId(nid) {
+    const entryId = Buffer.alloc(24);
+    this.storeUid.copy(entryId, 4);
+    entryId.writeUInt32LE(nid, 20);
+    return entryId;
+  }
+
+  /**
+   * Write a top-level node or subnode backed by a heap-on-node. `build`
+   * receives the node's own subnode list and returns the heap blocks.
+   */
+  async writeHeapNode(build) {
+    const subnodes = new SubnodeList();
+    const blocks = await build(subnodes);
+    const bidSub = await this.ndb.writeSubnodeTree(subnodes.entries);
+    const bidData = await this.ndb.writeBlockTree(blocks);
+    return { bidData, bidSub };
+  }
+
+  async writePropertyContextNode(properties) {
+    return this.writeHeapNode((subnodes) => buildPropertyContext(this.ndb, properties.values, subnodes));
+  }
+
+  async writeTableContextNode(table) {
+    return this.writeHeapNode((subnodes) => buildTableContext(this.ndb, table, subnodes));
+  }
+
+  /**
+   * Add a message to a folder. `message` fields:
+   *   subject, from { name, address }, recipients [{ name, address, type: to|cc|bcc }],
+   *   sentDate, receivedDate, messageId, headers, text, html, size, read,
+   *   attachments [{ filename, contentType, contentId, content }]
+   */
+  async addMessage(folder, message) {
+    const nid = this.allocateNid(NID_TYPE.NORMAL_MESSAGE);
+    const recipients = message.recipients || [];
+    const attachments = message.attachments || [];
+    const sentDate = message.sentDate || message.receivedDate || new Date();
+    const receivedDate = message.receivedDate || sentDate;
+    const from = message.from || {};
+    const subject = message.subject || '';
+    const read = message.read !== false;
+
+    const displayList = (type) => recipients
+      .filter((recipient) => recipient.type === type)
+      .map((recipient) => recipient.name || recipient.address)
+      .join('; ');
+
+    let flags = read ? MSGFLAG_READ : 0;
+    if (attachments.length > 0) flags |= MSGFLAG_HASATTACH;
+
+    const { bidData, bidSub } = await this.writeHeapNode(async (subnodes) => {
+      const recipientTable = new TableContext(RECIPIENT_COLUMNS);
+      recipients.forEach((recipient, index) => {
+        const address = recipient.address || '';
+        recipientTable.addRow(index, {
+          [PR.RECIPIENT_TYPE]: RECIPIENT_TYPES[recipient.type] || RECIPIENT_TYPES.to,
+          [PR.RESPONSIBILITY]: false,
+          [PR.OBJECT_TYPE]: MAPI_MAILUSER,
+          [PR.DISPLAY_NAME]: recipient.name || address,
+          [PR.ADDRTYPE]: 'SMTP',
+          [PR.EMAIL_ADDRESS]: address,
+          [PR.SEARCH_KEY]: Buffer.from(`SMTP:${address.toUpperCase()}\0`, 'latin1'),
+          [PR.DISPLAY_TYPE]: 0,
+          [PR.SEND_RICH_INFO]: false,
+        });
+      });
+      const recipientNode = await this.writeTableContextNode(recipientTable);
+      subnodes.add(NID.RECIPIENT_TABLE, recipientNode.bidData, recipientNode.bidSub);
+
+      if (attachments.length > 0) {
+        const attachmentTable = new TableContext(ATTACHMENT_COLUMNS);
+
+        for (const attachment of attachments) {
+          const attachmentNid = subnodes.allocateNid(NID_TYPE.ATTACHMENT);
+          const content = attachment.content || Buffer.alloc(0);
+          const filename = attachment.filename || 'attachment';
+          const extension = filename.includes('.') ? filename.slice(filename.lastIndexOf('.')) : null;
+
+          const properties = new Properties()
+            .set(PR.ATTACH_METHOD, PT.INT32, ATTACH_BY_VALUE)
+            .set(PR.ATTACH_SIZE, PT.INT32, content.length)
+            .set(PR.ATTACH_DATA_BIN, PT.BINARY, content)
+            .set(PR.ATTACH_FILENAME, PT.STRING, filename)
+            .set(PR.ATTACH_LONG_FILENAME, PT.STRING, filename)
+            .set(PR.DISPLAY_NAME, PT.STRING, filename)
+            .set(PR.ATTACH_EXTENSION, PT.STRING, extension)
+            .set(PR.ATTACH_MIME_TAG, PT.STRING, attachment.contentType)
+            .set(PR.ATTACH_CONTENT_ID, PT.STRING, attachment.contentId)
+            .set(PR.RENDERING_POSITION, PT.INT32, 0xFFFFFFFF)
+            .set(PR.CREATION_TIME, PT.TIME, receivedDate)
+            .set(PR.LAST_MODIFICATION_TIME, PT.TIME, receivedDate);
+
+          const attachmentNode = await this.writePropertyContextNode(properties);
+          subnodes.add(attachmentNid, attachmentNode.bidData, attachmentNode.bidSub);
+
+          attachmentTable.addRow(attachmentNid, {
+            [PR.ATTACH_SIZE]: content.length,
+            [PR.ATTACH_FILENAME]: filename,
+            [PR.ATTACH_METHOD]: ATTACH_BY_VALUE,
+            [PR.RENDERING_POSITION]: 0xFFFFFFFF,
+          });
+        }
+
+        const attachmentTableNode = await this.writeTableContextNode(attachmentTable);
+        subnodes.add(NID.ATTACHMENT_TABLE, attachmentTableNode.bidData, attachmentTableNode.bidSub);
+      }
+
+      const properties = new Properties()
+        .set(PR.MESSAGE_CLASS, PT.STRING, 'IPM.Note')
+        .set(PR.SUBJECT, PT.STRING, subject)
+        .set(PR.CONVERSATION_TOPIC, PT.STRING, subject)
+        .set(PR.IMPORTANCE, PT.INT32, 1)
+        .set(PR.SENSITIVITY, PT.INT32, 0)
+        .set(PR.CLIENT_SUBMIT_TIME, PT.TIME, sentDate)
+        .set(PR.MESSAGE_DELIVERY_TIME, PT.TIME, receivedDate)
+        .set(PR.CREATION_TIME, PT.TIME, receivedDate)
+        .set(PR.LAST_MODIFICATION_TIME, PT.TIME, receivedDate)
+        .set(PR.MESSAGE_FLAGS, PT.INT32, flags)
+        .set(PR.MESSAGE_SIZE, PT.INT32, message.size || 0)
+        .set(PR.HAS_ATTACHMENTS, PT.BOOLEAN, attachments.length > 0)
+        .set(PR.SEARCH_KEY, PT.BINARY, crypto.randomBytes(16))
+        .set(PR.DISPLAY_TO, PT.STRING, displayList('to'))
+        .set(PR.DISPLAY_CC, PT.STRING, displayList('cc'))
+        .set(PR.DISPLAY_BCC, PT.STRING, displayList('bcc'))
+        .set(PR.INTERNET_MESSAGE_ID, PT.STRING, message.messageId)
+        .set(PR.TRANSPORT_MESSAGE_HEADERS, PT.STRING, message.headers)
+        .set(PR.INTERNET_CODEPAGE, PT.INT32, 65001)
+        .set(NAMED.INTERNET_ACCOUNT_NAME, PT.STRING, this.displayName);
+
+      if (from.address || from.name) {
+        properties
+          .set(PR.SENDER_NAME, PT.STRING, from.name || from.address)
+          .set(PR.SENDER_EMAIL_ADDRESS, PT.STRING, from.address)
+          .set(PR.SENDER_ADDRTYPE, PT.STRING, 'SMTP')
+          .set(PR.SENT_REPRESENTING_NAME, PT.STRING, from.name || from.address)
+          .set(PR.SENT_REPRESENTING_EMAIL_ADDRESS, PT.STRING, from.address)
+          .set(PR.SENT_REPRESENTING_ADDRTYPE, PT.STRING, 'SMTP');
+      }
+
+      if (message.text) {
+        properties.set(PR.BODY, PT.STRING, message.text);
+      }
+      if (message.html) {
+        properties.set(PR.HTML, PT.BINARY, Buffer.from(message.html, 'utf8'));
+      }
+      properties.set(PR.NATIVE_BODY, PT.INT32, message.html ? 3 : 1);
+
+      return buildPropertyContext(this.ndb, properties.values, subnodes);
+    });
+
+    this.ndb.addNode(nid, bidData, bidSub, folder.nid);
+
+    folder.contents.addRow(nid, {
+      [PR.IMPORTANCE]: 1,
+      [PR.MESSAGE_CLASS]: 'IPM.Note',
+      [PR.SENSITIVITY]: 0,
+      [PR.SUBJECT]: subject,
+      [PR.CLIENT_SUBMIT_TIME]: sentDate,
+      [PR.SENT_REPRESENTING_NAME]: from.name || from.address,
+      [PR.MESSAGE_TO_ME]: false,
+      [PR.MESSAGE_CC_ME]: false,
+      [PR.CONVERSATION_TOPIC]: subject,
+      [PR.DISPLAY_CC]: displayList('cc'),
+      [PR.DISPLAY_TO]: displayList('to'),
+      [PR.MESSAGE_DELIVERY_TIME]: receivedDate,
+      [PR.MESSAGE_FLAGS]: flags,
+      [PR.MESSAGE_SIZE]: message.size || 0,
+      [PR.MESSAGE_STATUS]: 0,
+      [PR.LAST_MODIFICATION_TIME]: receivedDate,
+    });
+    if (!read) folder.unread++;
+
+    return nid;
+  }
+
+  async writeFolder(folder) {
+    for (const child of folder.children) {
+      await this.writeFolder(child);
+    }
+
+    const index = folder.nid >>> 5;
+    const tableNid = (type) => ((index << 5) | type) >>> 0;
+    const contentCount = folder.contents.rows.length;
+
+    const properties = new Properties()
+      .set(PR.DISPLAY_NAME, PT.STRING, folder.name)
+      .set(PR.CONTENT_COUNT, PT.INT32, contentCount)
+      .set(PR.CONTENT_UNREAD, PT.INT32, folder.unread)
+      .set(PR.SUBFOLDERS, PT.BOOLEAN, folder.children.length > 0);
+    if (folder.parent && folder.parent !== this.rootFolder) {
+      properties.set(PR.CONTAINER_CLASS, PT.STRING, 'IPF.Note');
+    }
+
+    const folderNode = await this.writePropertyContextNode(properties);
+    // The root folder is its own parent
+    this.ndb.addNode(folder.nid, folderNode.bidData, folderNode.bidSub, folder.parent ? folder.parent.nid : folder.nid);
+
+    const hierarchy = new TableContext(HIERARCHY_COLUMNS);
+    for (const child of folder.children) {
+      hierarchy.addRow(child.nid, {
+        [PR.DISPLAY_NAME]: child.name,
+        [PR.CONTENT_COUNT]: child.contents.rows.length,
+        [PR.CONTENT_UNREAD]: child.unread,
+        [PR.SUBFOLDERS]: child.children.length > 0,
+        [PR.CONTAINER_CLASS]: folder === this.rootFolder ? null : 'IPF.Note',
+      });
+    }
+
+    const tables = [
+      [NID_TYPE.HIERARCHY_TABLE, hierarchy],
+      [NID_TYPE.CONTENTS_TABLE, folder.contents],
+      [NID_TYPE.ASSOC_CONTENTS_TABLE, new TableContext(ASSOC_CONTENTS_COLUMNS)],
+    ];
+    for (const [type, table] of tables) {
+      const node = await this.writeTableContextNode(table);
+      this.ndb.addNode(tableNid(type), node.bidData, node.bidSub);
+    }
+
+    // Row data is on disk now; drop it so large mailboxes do not pin memory
+    folder.contents.rows = [];
+  }
+
+  async close() {
+    await this.writeFolder(this.rootFolder);
+
+    const store = new Properties()
+      .set(PR.RECORD_KEY, PT.BINARY, this.storeUid)
+      .set(PR.DISPLAY_NAME, PT.STRING, this.displayName)
+      .set(PR.IPM_SUBTREE_ENTRYID, PT.BINARY, this.entryId(this.ipmSubtree.nid))
+      .set(PR.IPM_WASTEBASKET_ENTRYID, PT.BINARY, this.entryId(this.deletedItems.nid))
+      .set(PR.FINDER_ENTRYID, PT.BINARY, this.entryId(this.searchRoot.nid));
+    const storeNode = await this.writePropertyContextNode(store);
+    this.ndb.addNode(NID.MESSAGE_STORE, storeNode.bidData, storeNode.bidSub);
+
+    const nameToId = buildNameToIdMap();
+    const nameToIdNode = await this.writePropertyContextNode(nameToId);
+    this.ndb.addNode(NID.NAME_TO_ID_MAP, nameToIdNode.bidData, nameToIdNode.bidSub);
+
+    const templates = [
+      [NID.HIERARCHY_TABLE_TEMPLATE, HIERARCHY_COLUMNS],
+      [NID.CONTENTS_TABLE_TEMPLATE, CONTENTS_COLUMNS],
+      [NID.ASSOC_CONTENTS_TABLE_TEMPLATE, ASSOC_CONTENTS_COLUMNS],
+      [NID.ATTACHMENT_TABLE, ATTACHMENT_COLUMNS],
+      [NID.RECIPIENT_TABLE, RECIPIENT_COLUMNS],
+    ];
+    for (const [nid, columns] of templates) {
+      const node = await this.writeTableContextNode(new TableContext(columns));
+      this.ndb.addNode(nid, node.bidData, node.bidSub);
+    }
+
+    // Search queues start out empty
+    for (const nid of [NID.SEARCH_MANAGEMENT_QUEUE, NID.SEARCH_ACTIVITY_LIST, NID.SEARCH_GATHERER_QUEUE, NID.SEARCH_GATHERER_FOLDER_QUEUE]) {
+      this.ndb.addNode(nid, await this.ndb.writeBlock(Buffer.alloc(0)));
+    }
+
+    const rgnid = {};
+    for (const [type, next] of Object.entries(this.nidCounters)) {
+      rgnid[type] = next;
+    }
+
+    await this.ndb.finish(rgnid);
+    await this.handle.close();
+    this.handle = null;
+  }
+
+  /**
+   * Close and remove a partially written file.
+   */
+  async abort() {
+    if (this.handle) {
+      await this.handle.close().catch(() => {});
+      this.handle = null;
+    }
+    await fs.unlink(this.filePath).catch(() => {});
+  }
+}
+
+module.exports = {
+  PSTWriter,
+};
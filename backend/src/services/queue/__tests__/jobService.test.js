@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Claims run against a real SQLite database
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+process.env.DB_TYPE = 'sqlite';
+process.env.DB_FILE = path.join(dataDir, 'database.sqlite');
+
+// Dates of the test sandbox are not Dates to the native binding: pass them as it stores Dates, in milliseconds
+jest.mock('../../database/databaseService', () => {
+  const actual = jest.requireActual('../../database/databaseService');
+  const sqliteQuery = (sql, params = []) => actual.query(sql, params.map(param => (
+    Object.prototype.toString.call(param) === '[object Date]' ? param.getTime() : param
+  )));
+  return { ...actual, sqliteQuery, query: jest.fn(sqliteQuery) };
+});
+
+const databaseService = require('../../database/databaseService');
+const { JobService } = require('../jobService');
+
+const { query, sqliteQuery } = databaseService;
+
+describe('JobService.claimNext()', () => {
+  let first;
+  let second;
+
+  beforeAll(async () => {
+    await databaseService.connectDB();
+  });
+
+  afterAll(async () => {
+    await databaseService.closeDB();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    first = new JobService();
+    second = new JobService();
+  });
+
+  afterEach(async () => {
+    query.mockImplementation(sqliteQuery);
+    await sqliteQuery('DELETE FROM jobs');
+    await sqliteQuery('DELETE FROM job_locks');
+  });
+
+  test('two workers claiming at once never run jobs of one lock_key together', async () => {
+    const a = await first.enqueue('backup', {}, { lockKey: 'imap:1' });
+    await first.enqueue('backup', {}, { lockKey: 'imap:1' });
+    const c = await first.enqueue('backup', {}, { lockKey: 'imap:2' });
+
+    const claimed = await Promise.all([first.claimNext('backup'), second.claimNext('backup')]);
+
+    expect(claimed.map(job => job.id).sort()).toEqual([a.id, c.id]);
+    expect(new Set(claimed.map(job => job.leaseOwner)).size).toBe(2);
+    const running = await sqliteQuery("SELECT lock_key FROM jobs WHERE status = 'running'");
+    expect(running.map(row => row.lock_key).sort()).toEqual(['imap:1', 'imap:2']);
+  });
+
+  test('claims the next job of a lock_key once the holder finished', async () => {
+    await first.enqueue('backup', {}, { lockKey: 'imap:1' });
+    const b = await first.enqueue('backup', {}, { lockKey: 'imap:1' });
+
+    const holder = await first.claimNext('backup');
+    expect(await second.claimNext('backup')).toBeNull();
+
+    await first.finish(holder, 'completed');
+
+    expect(await second.claimNext('backup')).toMatchObject({ id: b.id, leaseOwner: second.workerId });
+  });
+
+  test('takes over a job and its lock after its worker stopped renewing the lease', async () => {
+    const a = await first.enqueue('backup', {}, { lockKey: 'imap:1' });
+    await first.enqueue('backup', {}, { lockKey: 'imap:1' });
+    await first.claimNext('backup');
+
+    const past = new Date(Date.now() - 1000);
+    await sqliteQuery('UPDATE jobs SET lease_expires_at = ?', [past]);
+    await sqliteQuery('UPDATE job_locks SET lease_expires_at = ?', [past]);
+
+    expect(await second.claimNext('backup')).toMatchObject({ id: a.id, leaseOwner: second.workerId, attempts: 2 });
+    expect(await first.claimNext('backup')).toBeNull();
+  });
+
+  test('frees the lock_key of a job that was no longer due when claimed', async () => {
+    const a = await first.enqueue('backup', {}, { lockKey: 'imap:1' });
+    const b = await first.enqueue('backup', {}, { lockKey: 'imap:1' });
+    // Cancelled between the candidate lookup and the claim
+    query.mockImplementation(async (sql, params) => {
+      if (sql.trim().startsWith('UPDATE jobs SET status') && params[4] === a.id) {
+        await sqliteQuery("UPDATE jobs SET status = 'cancelled' WHERE id = ?", [a.id]);
+      }
+      return sqliteQuery(sql, params);
+    });
+
+    expect(await second.claimNext('backup')).toMatchObject({ id: b.id });
+  });
+
+  test('treats a deadlock between claiming workers as claimed elsewhere', async () => {
+    await first.enqueue('backup', {}, { lockKey: 'imap:1' });
+    const b = await first.enqueue('backup', {});
+    query.mockImplementation(async (sql, params) => {
+      if (sql.startsWith('SELECT job_id FROM job_locks')) {
+        throw Object.assign(new Error('Deadlock found when trying to get lock'), { code: 'ER_LOCK_DEADLOCK' });
+      }
+      return sqliteQuery(sql, params);
+    });
+
+    expect(await first.claimNext('backup')).toMatchObject({ id: b.id });
+  });
+
+  test('passes on other database errors', async () => {
+    await first.enqueue('backup', {});
+    query.mockImplementation(async (sql, params) => {
+      if (sql.trim().startsWith('UPDATE jobs SET status')) throw new Error('Connection lost');
+      return sqliteQuery(sql, params);
+    });
+
+    await expect(first.claimNext('backup')).rejects.toThrow('Connection lost');
+  });
+
+  test('returns null when there is nothing to claim', async () => {
+    expect(await first.claimNext('backup')).toBeNull();
+  });
+});
@@ -0,0 +1,592 @@
+const crypto = require('crypto');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/jobs.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+const JOB_TYPES = ['backup', 'export', 'restore', 'verification', 'imap', 'message-retry', 'reconciliation'];
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+const ACTIVE_STATUSES = ['pending', 'running'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL || '2000');
+const LEASE_MS = parseInt(process.env.JOB_LEASE_SECONDS || '120') * 1000;
+// Renewed three times per lease, so one slow heartbeat does not lose it
+const HEARTBEAT_MS = Math.floor(LEASE_MS / 3);
+const DEFAULT_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+class JobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobError';
+  }
+}
+
+function isDeadlock(error) {
+  return error.code === 'ER_LOCK_DEADLOCK' || error.code === '40P01' || error.code === 'SQLITE_BUSY';
+}
+
+function isDuplicateKey(error) {
+  return error.code === 'ER_DUP_ENTRY' || error.code === '23505' || error.code === 'SQLITE_CONSTRAINT';
+}
+
+function parseJSON(value) {
+  if (value === null || value === undefined || value === '') return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+// SQLite returns the millisecond timestamps it was given, MySQL and PostgreSQL dates
+function toDate(value) {
+  return value === null || value === undefined ? null : new Date(value);
+}
+
+/**
+ * Persistent background jobs: backups, exports, restores, integrity
+ * verification and IMAP connection actions.
+ *
+ * Jobs are rows in the jobs table, so they survive restarts and need no
+ * Redis. Timestamps are passed as parameters rather than NOW(), and claims
+ * are plain UPDATEs read back by owner, so the same code runs on SQLite,
+ * MySQL and PostgreSQL, and several processes can share the table.
+ *
+ * The service owning a job type registers its handler (registerHandler) with
+ * the number of jobs of that type one process runs at a time. The worker
+ * polls for due jobs and claims one by writing its lease. While the handler
+ * runs the lease is renewed (heartbeat), which is also when cancellation
+ * requests from other processes are seen. A job whose worker died is claimed
+ * again when its lease expires; handlers save progress to resume from. A
+ * failed job is retried with exponential backoff until max_attempts. Jobs
+ * with the same lock_key never run at the same time: a job with a lock_key
+ * is only claimed by the worker holding its row in job_locks (see
+ * acquireLock).
+ */
+class JobService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.handlers = new Map();
+    // Jobs this process is running: id -> { type, cancelRequested }
+    this.running = new Map();
+    this.timer = null;
+    this.polling = false;
+    this.pollRequested = false;
+    this.started = false;
+  }
+
+  /**
+   * @param {string} type - One of JOB_TYPES
+   * @param {function(Object, Object): Promise<*>} handler - Called with the
+   *   job and a context ({ isCancelled, isLastAttempt, saveProgress });
+   *   its return value is stored as the job's result
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Jobs of this type run at a time in this process
+   * @param {number} [options.maxAttempts] - Default for new jobs
+   * @param {number} [options.backoffMs] - Delay before the first retry, doubled for each further one
+   */
+  registerHandler(type, handler, { concurrency = 1, maxAttempts = 3, backoffMs = DEFAULT_BACKOFF_MS } = {}) {
+    if (!JOB_TYPES.includes(type)) {
+      throw new JobError(`Unknown job type: ${type}`);
+    }
+    this.handlers.set(type, { handler, concurrency, maxAttempts, backoffMs });
+  }
+
+  toJob(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      status: row.status,
+      payload: parseJSON(row.payload) || {},
+      progress: parseJSON(row.progress),
+      result: parseJSON(row.result),
+      lockKey: row.lock_key,
+      userId: row.user_id,
+      priority: row.priority,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      runAt: toDate(row.run_at),
+      leaseOwner: row.lease_owner,
+      leaseExpiresAt: toDate(row.lease_expires_at),
+      heartbeatAt: toDate(row.heartbeat_at),
+      cancelRequested: Boolean(row.cancel_requested),
+      error: row.error,
+      createdBy: row.created_by_username || row.created_by,
+      createdAt: toDate(row.created_at),
+      startedAt: toDate(row.started_at),
+      finishedAt: toDate(row.finished_at),
+    };
+  }
+
+  /**
+   * Queue a job. It starts as soon as a slot for its type is free, its
+   * lock_key is not held and `runAt` has passed.
+   *
+   * @param {string} type
+   * @param {Object} payload - Handler input, stored as JSON
+   * @param {Object} [options]
+   * @param {string} [options.lockKey] - Jobs with the same key run one at a time
+   * @param {number} [options.userId] - Mailbox the job is about, for lookups
+   * @param {number} [options.priority] - Higher runs first
+   * @param {number} [options.maxAttempts]
+   * @param {Date} [options.runAt]
+   * @param {number} [options.createdBy] - Admin who queued it
+   */
+  async enqueue(type, payload = {}, { lockKey = null, userId = null, priority = 0, maxAttempts = null, runAt = null, createdBy = null } = {}) {
+    if (!JOB_TYPES.includes(type)) {
+      throw new JobError(`Unknown job type: ${type}`);
+    }
+
+    const uuid = uuidv4();
+    const now = new Date();
+    await query(
+      `INSERT INTO jobs (uuid, type, status, payload, lock_key, user_id, priority, max_attempts, run_at, created_by, created_at)
+       VALUES (?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuid, type, JSON.stringify(payload), lockKey, userId, priority,
+        maxAttempts || this.handlers.get(type)?.maxAttempts || 3,
+        runAt || now, createdBy, now
+      ]
+    );
+
+    const rows = await query('SELECT * FROM jobs WHERE uuid = ?', [uuid]);
+    const job = this.toJob(rows[0]);
+    logger.info('Job queued', { id: job.id, type, lockKey, userId });
+
+    this.poll();
+    return job;
+  }
+
+  async getJob(id) {
+    const rows = await query(
+      `SELECT j.*, a.username as created_by_username FROM jobs j
+       LEFT JOIN admin_users a ON j.created_by = a.id WHERE j.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? this.toJob(rows[0]) : null;
+  }
+
+  /**
+   * @param {Object} [filters]
+   * @param {string} [filters.type]
+   * @param {string[]} [filters.statuses]
+   * @param {number} [filters.userId]
+   * @param {string} [filters.lockKey]
+   */
+  async listJobs({ type = null, statuses = null, userId = null, lockKey = null, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (type) {
+      conditions.push('j.type = ?');
+      params.push(type);
+    }
+    if (statuses && statuses.length > 0) {
+      conditions.push(`j.status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (userId) {
+      conditions.push('j.user_id = ?');
+      params.push(userId);
+    }
+    if (lockKey) {
+      conditions.push('j.lock_key = ?');
+      params.push(lockKey);
+    }
+
+    const rows = await query(
+      `SELECT j.*, a.username as created_by_username FROM jobs j
+       LEFT JOIN admin_users a ON j.created_by = a.id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY j.id DESC LIMIT ${parseInt(limit)}`,
+      params
+    );
+    return rows.map(row => this.toJob(row));
+  }
+
+  /**
+   * The oldest pending or running job matching the filters, or null.
+   */
+  async findActive(type, { userId = null, lockKey = null } = {}) {
+    const jobs = await this.listJobs({ type, statuses: ACTIVE_STATUSES, userId, lockKey, limit: 100 });
+    return jobs.length > 0 ? jobs[jobs.length - 1] : null;
+  }
+
+  /**
+   * @returns {Promise<Object<string, number>>} Jobs of a type per status, plus
+   *   `delayed`: pending jobs waiting for a retry
+   */
+  async getCounts(type) {
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    const rows = await query('SELECT status, COUNT(*) as count FROM jobs WHERE type = ? GROUP BY status', [type]);
+    for (const row of rows) {
+      counts[row.status] = Number(row.count);
+    }
+
+    const delayed = await query(
+      "SELECT COUNT(*) as count FROM jobs WHERE type = ? AND status = 'pending' AND run_at > ?",
+      [type, new Date()]
+    );
+    counts.delayed = Number(delayed[0]?.count || 0);
+    return counts;
+  }
+
+  /**
+   * Cancel a pending job, or ask a running one to stop. Handlers stop at the
+   * next point they check for it.
+   *
+   * @returns {Promise<Object|null>} The job, or null if it is not pending or running
+   */
+  async cancel(id) {
+    const job = await this.getJob(id);
+    if (!job || !ACTIVE_STATUSES.includes(job.status)) return null;
+
+    const now = new Date();
+    await query("UPDATE jobs SET status = 'cancelled', finished_at = ? WHERE id = ? AND status = 'pending'", [now, job.id]);
+    await query("UPDATE jobs SET cancel_requested = 1 WHERE id = ? AND status = 'running'", [job.id]);
+
+    const local = this.running.get(job.id);
+    if (local) local.cancelRequested = true;
+
+    logger.info('Job cancellation requested', { id: job.id, type: job.type, status: job.status });
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Queue a failed or cancelled job again, keeping its progress.
+   *
+   * @returns {Promise<Object|null>} The job, or null if it is not failed or cancelled
+   */
+  async retry(id) {
+    const job = await this.getJob(id);
+    if (!job || !['failed', 'cancelled'].includes(job.status)) return null;
+
+    await query(
+      `UPDATE jobs SET status = 'pending', attempts = 0, run_at = ?, error = NULL, cancel_requested = 0,
+       lease_owner = NULL, lease_expires_at = NULL, finished_at = NULL WHERE id = ?`,
+      [new Date(), job.id]
+    );
+    logger.info('Job requeued', { id: job.id, type: job.type });
+
+    this.poll();
+    return this.getJob(job.id);
+  }
+
+  async retryFailed(type) {
+    const jobs = await this.listJobs({ type, statuses: ['failed'], limit: 1000 });
+    for (const job of jobs) {
+      await this.retry(job.id);
+    }
+    return jobs.length;
+  }
+
+  /**
+   * Delete finished jobs of a type older than `graceMs`.
+   */
+  async purgeFinished(type, graceMs) {
+    const result = await query(
+      `DELETE FROM jobs WHERE type = ? AND status IN (${FINISHED_STATUSES.map(() => '?').join(', ')}) AND finished_at < ?`,
+      [type, ...FINISHED_STATUSES, new Date(Date.now() - graceMs)]
+    );
+    const header = Array.isArray(result) ? result[0] : result;
+    return header ? (header.affectedRows || header.changes || 0) : 0;
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL);
+    logger.info('Job worker started', { workerId: this.workerId, types: [...this.handlers.keys()], leaseSeconds: LEASE_MS / 1000 });
+    this.poll();
+  }
+
+  /**
+   * Stop claiming jobs and give up the leases of running ones, so another
+   * worker (or this one after a restart) takes them over right away.
+   */
+  async stop() {
+    if (!this.started) return;
+    this.started = false;
+    clearInterval(this.timer);
+    this.timer = null;
+
+    for (const id of this.running.keys()) {
+      const now = new Date();
+      await query(
+        'UPDATE jobs SET lease_expires_at = ? WHERE id = ? AND lease_owner = ?',
+        [now, id, this.workerId]
+      ).catch(error => logger.warn('Failed to release job lease', { id, error: error.message }));
+      await query('UPDATE job_locks SET lease_expires_at = ? WHERE job_id = ?', [now, id])
+        .catch(error => logger.warn('Failed to release job lock', { id, error: error.message }));
+    }
+    logger.info('Job worker stopped', { workerId: this.workerId, released: this.running.size });
+  }
+
+  countRunning(type) {
+    let count = 0;
+    for (const state of this.running.values()) {
+      if (state.type === type) count++;
+    }
+    return count;
+  }
+
+  async poll() {
+    if (!this.started) return;
+    if (this.polling) {
+      this.pollRequested = true;
+      return;
+    }
+
+    this.polling = true;
+    try {
+      for (const [type, options] of this.handlers) {
+        while (this.started && this.countRunning(type) < options.concurrency) {
+          const job = await this.claimNext(type);
+          if (!job) break;
+          this.execute(job, options);
+        }
+      }
+    } catch (error) {
+      logger.error('Job polling failed', { error: error.message });
+    } finally {
+      this.polling = false;
+      if (this.pollRequested) {
+        this.pollRequested = false;
+        setImmediate(() => this.poll());
+      }
+    }
+  }
+
+  /**
+   * Claim the next due job of a type: a pending one, or a running one whose
+   * worker stopped renewing its lease. A job whose lock_key is held by
+   * another job is left for later.
+   */
+  async claimNext(type) {
+    const now = new Date();
+    const candidates = await query(
+      `SELECT id, lock_key FROM jobs WHERE type = ?
+       AND ((status = 'pending' AND run_at <= ?) OR (status = 'running' AND lease_expires_at < ?))
+       ORDER BY priority DESC, id LIMIT 20`,
+      [type, now, now]
+    );
+
+    for (const candidate of candidates) {
+      try {
+        if (candidate.lock_key && !await this.acquireLock(candidate.lock_key, candidate.id, now)) continue;
+
+        await query(
+          `UPDATE jobs SET status = 'running', lease_owner = ?, lease_expires_at = ?, heartbeat_at = ?,
+           started_at = ?, finished_at = NULL, attempts = attempts + 1
+           WHERE id = ? AND ((status = 'pending' AND run_at <= ?) OR (status = 'running' AND lease_expires_at < ?))`,
+          [this.workerId, new Date(now.getTime() + LEASE_MS), now, now, candidate.id, now, now]
+        );
+      } catch (error) {
+        // Workers claiming jobs of the same lock_key at once: the other one got it
+        if (isDeadlock(error)) continue;
+        throw error;
+      }
+
+      // Another worker may have claimed it first
+      const rows = await query(
+        "SELECT * FROM jobs WHERE id = ? AND status = 'running' AND lease_owner = ?",
+        [candidate.id, this.workerId]
+      );
+      if (rows.length > 0) return this.toJob(rows[0]);
+
+      // Gone meanwhile, e.g. cancelled: its lock must not wait for the lease to expire
+      if (candidate.lock_key) {
+        await query(
+          `DELETE FROM job_locks WHERE lock_key = ? AND job_id = ?
+           AND NOT EXISTS (SELECT 1 FROM jobs WHERE id = ? AND status = 'running')`,
+          [candidate.lock_key, candidate.id, candidate.id]
+        );
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Take the lock_key's row in job_locks for a job, or find it taken. The
+   * row's primary key lets only one INSERT succeed, and the takeover of an
+   * expired lock is an UPDATE of that one row, which every database
+   * serializes, so two workers never both see a lock_key as theirs. As with
+   * claims, the outcome is read back rather than taken from affected rows.
+   * Unlike a NOT EXISTS check in the claiming UPDATE, this does not depend on
+   * what a MySQL REPEATABLE READ snapshot lets the claim see.
+   *
+   * @returns {Promise<boolean>} Whether the lock is held for `jobId`
+   */
+  async acquireLock(lockKey, jobId, now) {
+    const expiresAt = new Date(now.getTime() + LEASE_MS);
+    const held = await query('SELECT job_id FROM job_locks WHERE lock_key = ?', [lockKey]);
+
+    if (held.length === 0) {
+      try {
+        await query('INSERT INTO job_locks (lock_key, job_id, lease_expires_at) VALUES (?, ?, ?)', [lockKey, jobId, expiresAt]);
+      } catch (error) {
+        // Another worker inserted it first
+        if (!isDuplicateKey(error)) throw error;
+      }
+    } else {
+      // Ours already (a job taken over after its worker died), or left by a job whose lease expired
+      await query(
+        'UPDATE job_locks SET job_id = ?, lease_expires_at = ? WHERE lock_key = ? AND (job_id = ? OR lease_expires_at < ?)',
+        [jobId, expiresAt, lockKey, jobId, now]
+      );
+    }
+
+    const rows = await query('SELECT job_id FROM job_locks WHERE lock_key = ?', [lockKey]);
+    return rows.length > 0 && Number(rows[0].job_id) === Number(jobId);
+  }
+
+  async releaseLock(job) {
+    if (!job.lockKey) return;
+    try {
+      await query('DELETE FROM job_locks WHERE lock_key = ? AND job_id = ?', [job.lockKey, job.id]);
+    } catch (error) {
+      // It expires with the job's lease
+      logger.warn('Failed to release job lock', { id: job.id, lockKey: job.lockKey, error: error.message });
+    }
+  }
+
+  async execute(job, { handler, backoffMs }) {
+    const state = { type: job.type, cancelRequested: job.cancelRequested };
+    this.running.set(job.id, state);
+
+    const context = {
+      isCancelled: () => state.cancelRequested,
+      isLastAttempt: () => job.attempts >= job.maxAttempts,
+      saveProgress: (progress) => this.saveProgress(job.id, progress),
+    };
+
+    // A job whose worker keeps dying is not claimed forever
+    if (job.attempts > job.maxAttempts) {
+      await this.finish(job, 'failed', { error: 'Job was interrupted too many times' });
+      this.running.delete(job.id);
+      return;
+    }
+
+    const heartbeat = setInterval(() => this.heartbeat(job.id, state), HEARTBEAT_MS);
+    let result = null;
+    let failure = null;
+    try {
+      logger.info('Job started', { id: job.id, type: job.type, attempt: job.attempts, maxAttempts: job.maxAttempts });
+      result = await handler(job, context);
+    } catch (error) {
+      failure = error;
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    if (!failure) {
+      await this.finish(job, state.cancelRequested ? 'cancelled' : 'completed', { result });
+    } else if (state.cancelRequested) {
+      await this.finish(job, 'cancelled', { error: failure.message });
+    } else if (job.attempts < job.maxAttempts) {
+      const delay = Math.min(backoffMs * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+      await this.release(job, new Date(Date.now() + delay), failure.message);
+      logger.warn('Job failed, will retry', { id: job.id, type: job.type, attempt: job.attempts, retryInSeconds: delay / 1000, error: failure.message });
+    } else {
+      await this.finish(job, 'failed', { error: failure.message });
+    }
+
+    this.running.delete(job.id);
+    this.poll();
+  }
+
+  async finish(job, status, { result = null, error = null } = {}) {
+    try {
+      await query(
+        `UPDATE jobs SET status = ?, result = ?, error = ?, finished_at = ?, lease_owner = NULL, lease_expires_at = NULL
+         WHERE id = ? AND lease_owner = ?`,
+        [status, result === null || result === undefined ? null : JSON.stringify(result), error, new Date(), job.id, this.workerId]
+      );
+      const log = status === 'failed' ? logger.error.bind(logger) : logger.info.bind(logger);
+      log(`Job ${status}`, { id: job.id, type: job.type, attempts: job.attempts, error });
+    } catch (updateError) {
+      logger.error('Failed to record job outcome', { id: job.id, status, error: updateError.message });
+    }
+    await this.releaseLock(job);
+  }
+
+  // Back to pending for a retry at `runAt`
+  async release(job, runAt, error) {
+    try {
+      await query(
+        `UPDATE jobs SET status = 'pending', run_at = ?, error = ?, lease_owner = NULL, lease_expires_at = NULL
+         WHERE id = ? AND lease_owner = ?`,
+        [runAt, error, job.id, this.workerId]
+      );
+    } catch (updateError) {
+      logger.error('Failed to requeue job', { id: job.id, error: updateError.message });
+    }
+    await this.releaseLock(job);
+  }
+
+  async heartbeat(id, state) {
+    const now = new Date();
+    try {
+      await query(
+        'UPDATE jobs SET lease_expires_at = ?, heartbeat_at = ? WHERE id = ? AND lease_owner = ?',
+        [new Date(now.getTime() + LEASE_MS), now, id, this.workerId]
+      );
+      await query('UPDATE job_locks SET lease_expires_at = ? WHERE job_id = ?', [new Date(now.getTime() + LEASE_MS), id]);
+
+      const rows = await query('SELECT lease_owner, cancel_requested FROM jobs WHERE id = ?', [id]);
+      if (rows.length === 0 || rows[0].lease_owner !== this.workerId) {
+        // Deleted, or taken over after a missed lease: stop working on it
+        logger.warn('Job lease lost', { id, workerId: this.workerId });
+        state.cancelRequested = true;
+      } else if (rows[0].cancel_requested) {
+        state.cancelRequested = true;
+      }
+    } catch (error) {
+      logger.warn('Job heartbeat failed', { id, error: error.message });
+    }
+  }
+
+  /**
+   * Store a running job's progress (JSON), which also renews its lease.
+   */
+  async saveProgress(id, progress) {
+    const now = new Date();
+    await query(
+      'UPDATE jobs SET progress = ?, heartbeat_at = ?, lease_expires_at = ? WHERE id = ? AND lease_owner = ?',
+      [JSON.stringify(progress), now, new Date(now.getTime() + LEASE_MS), id, this.workerId]
+    );
+  }
+
+  getStatus() {
+    return {
+      workerId: this.workerId,
+      started: this.started,
+      running: [...this.running.entries()].map(([id, state]) => ({ id, type: state.type })),
+    };
+  }
+}
+
+const jobService = new JobService();
+
+module.exports = {
+  JobService,
+  jobService,
+  JobError,
+  JOB_TYPES,
+  JOB_STATUSES,
+  ACTIVE_STATUSES,
+};
@@ -0,0 +1,126 @@
+const { startFakeImapServer, buildRawMessage } = require('../../../../test/helpers/fakeImapServer');
+
+jest.mock('../../database/databaseService', () => ({ query: jest.fn() }));
+jest.mock('../../queue/jobService', () => ({
+  jobService: { registerHandler: jest.fn(), enqueue: jest.fn(), findActive: jest.fn() },
+}));
+jest.mock('../../imap/imapService', () => ({
+  imapService: {
+    connections: new Map(),
+    loadMessageIdCache: jest.fn(),
+    getMessageLabels: jest.fn(async () => ['INBOX']),
+    streamAndStoreMessage: jest.fn(),
+  },
+}));
+jest.mock('../../imap/imapSourceService', () => ({
+  imapSourceService: { getSourceType: jest.fn(async () => 'imap'), getConnectionOptions: jest.fn() },
+}));
+jest.mock('../../gmail/gmailApiService', () => ({ gmailApiService: {} }));
+jest.mock('../../labels/emailLabelService', () => ({ emailLabelService: {} }));
+
+const { query } = require('../../database/databaseService');
+const { jobService } = require('../../queue/jobService');
+const { imapService } = require('../../imap/imapService');
+const { imapSourceService } = require('../../imap/imapSourceService');
+const { rateLimitService } = require('../../imap/rateLimitService');
+const { reconciliationService } = require('../reconciliationService');
+
+const [registeredType] = jobService.registerHandler.mock.calls[0];
+
+describe('ReconciliationService jobs', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  test('runs as a reconciliation job under the user\'s IMAP lock', async () => {
+    query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT id, email FROM users')) return [{ id: 7, email: 'alice@example.com' }];
+      if (sql.startsWith('INSERT INTO reconciliation_runs')) return { insertId: 12 };
+      return [];
+    });
+
+    await reconciliationService.startRun(7, 1);
+
+    expect(registeredType).toBe('reconciliation');
+    expect(jobService.enqueue).toHaveBeenCalledWith('reconciliation', { runId: 12 }, {
+      lockKey: 'imap:7',
+      userId: 7,
+      createdBy: 1,
+    });
+  });
+
+  test('queues the runs a restart left without a job', async () => {
+    query.mockResolvedValue([
+      { id: 3, user_id: 7, created_by: 1 },
+      { id: 4, user_id: 8, created_by: null },
+    ]);
+    jobService.findActive.mockImplementation(async (type, { userId }) => (
+      userId === 7 ? { payload: { runId: 3 } } : null
+    ));
+
+    await reconciliationService.resumeInterrupted();
+
+    expect(jobService.enqueue).toHaveBeenCalledTimes(1);
+    expect(jobService.enqueue).toHaveBeenCalledWith('reconciliation', { runId: 4 }, {
+      lockKey: 'imap:8',
+      userId: 8,
+      createdBy: null,
+    });
+  });
+});
+
+describe('ReconciliationService.backfill', () => {
+  let imap;
+
+  beforeEach(async () => {
+    imap = await startFakeImapServer({
+      storage: {
+        INBOX: {
+          uidvalidity: 5,
+          messages: [{ raw: buildRawMessage({ messageId: '<missing@example.com>' }), flags: ['\\Seen'] }],
+        },
+      },
+    });
+    imapSourceService.getConnectionOptions.mockResolvedValue(imap.connectionOptions);
+    jest.spyOn(rateLimitService, 'acquire').mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    imapService.connections.clear();
+    await imap.close();
+  });
+
+  test('fetches the missing messages on its own connection while a backup holds the user\'s', async () => {
+    const backupConnection = { imap: {} };
+    imapService.connections.set(7, backupConnection);
+    imapService.loadMessageIdCache.mockResolvedValue(new Set(['<archived@example.com>']));
+    imapService.streamAndStoreMessage.mockResolvedValue(101);
+    query.mockResolvedValue([
+      { folder: 'INBOX', uid: 1, uid_validity: 5, message_id: '<missing@example.com>' },
+      { folder: 'INBOX', uid: 2, uid_validity: 5, message_id: '<archived@example.com>' },
+      { folder: 'INBOX', uid: 9, uid_validity: 5, message_id: '<expunged@example.com>' },
+    ]);
+    const counts = { backfilled: 0, skipped: 0, failed: 0 };
+
+    await reconciliationService.backfill({ id: 2, userId: 7, userEmail: 'alice@example.com', backfillFromRunId: 1 }, counts);
+
+    expect(counts).toEqual({ backfilled: 1, skipped: 1, failed: 0 });
+    expect(imapService.streamAndStoreMessage).toHaveBeenCalledTimes(1);
+    const [client, uid, userId, userEmail, folder, entry] = imapService.streamAndStoreMessage.mock.calls[0];
+    expect(client).not.toBe(backupConnection.imap);
+    expect([uid, userId, userEmail, folder]).toEqual([1, 7, 'alice@example.com', 'INBOX']);
+    expect(entry).toMatchObject({ messageId: '<missing@example.com>', labels: ['INBOX'] });
+    expect(imapService.connections.get(7)).toBe(backupConnection);
+  });
+
+  test('does not backfill a folder whose UIDVALIDITY changed', async () => {
+    imapService.loadMessageIdCache.mockResolvedValue(new Set());
+    query.mockResolvedValue([{ folder: 'INBOX', uid: 1, uid_validity: 4, message_id: '<missing@example.com>' }]);
+    const counts = { backfilled: 0, skipped: 0, failed: 0 };
+
+    await reconciliationService.backfill({ id: 2, userId: 7, userEmail: 'alice@example.com', backfillFromRunId: 1 }, counts);
+
+    expect(counts).toEqual({ backfilled: 0, skipped: 0, failed: 1 });
+    expect(imapService.streamAndStoreMessage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,685 @@
+const { ImapFlow } = require('imapflow');
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+const { imapService } = require('../imap/imapService');
+const { imapSourceService } = require('../imap/imapSourceService');
+const { gmailApiService } = require('../gmail/gmailApiService');
+const { emailLabelService } = require('../labels/emailLabelService');
+const { rateLimitService, QuotaExhaustedError } = require('../imap/rateLimitService');
+const { jobService } = require('../queue/jobService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/reconciliation.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+const ITEM_KINDS = ['missing', 'deleted'];
+const INSERT_BATCH_SIZE = 100;
+const LOOKUP_BATCH_SIZE = 500;
+// Folders Gmail leaves out of All Mail
+const NOT_IN_ALL_MAIL_USES = ['\\Trash', '\\Junk'];
+
+class ReconciliationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReconciliationError';
+  }
+}
+
+/**
+ * Compares a mailbox on the server with its archive, message by message.
+ *
+ * Equal counts can hide gaps: a message missing from the archive and one
+ * deleted on the server cancel out. A run lists the Message-ID and UID of
+ * every message in every folder over IMAP (envelopes only) and compares them
+ * with the user's archived emails and the folders they are recorded in
+ * (emails.folder and email_labels). It reports:
+ * - missing: on the server but not archived. Messages archived under another
+ *   user (Message-IDs are unique in the archive) are only counted.
+ * - deleted: archived, but in no folder on the server any more. Only checked
+ *   when every folder could be read, and only for emails with a real
+ *   Message-ID.
+ * - per folder: server and archive counts, a mismatch when they differ.
+ *
+ * A backfill run first fetches the messages an earlier run found missing,
+ * on its own IMAP connection, then compares again. Runs are rows in
+ * reconciliation_runs (items in reconciliation_items), each run by a
+ * `reconciliation` job (see jobService). The job takes the user's IMAP lock
+ * (imap:<userId>), so it never overlaps the user's connection actions.
+ */
+class ReconciliationService {
+  constructor() {
+    this.runningRunId = null;
+
+    jobService.registerHandler('reconciliation', (job, context) => this.runQueuedJob(job, context), {
+      maxAttempts: 2,
+      backoffMs: 60 * 1000,
+    });
+  }
+
+  toRun(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      userEmail: row.user_email,
+      backfillFromRunId: row.backfill_from_run_id,
+      status: row.status,
+      serverCount: row.server_count,
+      archivedCount: row.archived_count,
+      missingCount: row.missing_count,
+      deletedCount: row.deleted_count,
+      archivedElsewhereCount: row.archived_elsewhere_count,
+      mismatchedFolders: row.mismatched_folders,
+      backfilledCount: row.backfilled_count,
+      backfillFailedCount: row.backfill_failed_count,
+      backfillSkippedCount: row.backfill_skipped_count,
+      folders: JSON.parse(row.folders || '[]'),
+      error: row.error,
+      createdBy: row.created_by_username || row.created_by,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+    };
+  }
+
+  async getRun(id) {
+    const rows = await query(
+      `SELECT r.*, u.email as user_email, a.username as created_by_username
+       FROM reconciliation_runs r
+       LEFT JOIN users u ON r.user_id = u.id
+       LEFT JOIN admin_users a ON r.created_by = a.id
+       WHERE r.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? this.toRun(rows[0]) : null;
+  }
+
+  async listRuns(userId, limit = 20) {
+    const rows = await query(
+      `SELECT r.*, u.email as user_email, a.username as created_by_username
+       FROM reconciliation_runs r
+       LEFT JOIN users u ON r.user_id = u.id
+       LEFT JOIN admin_users a ON r.created_by = a.id
+       WHERE r.user_id = ? ORDER BY r.id DESC LIMIT ${parseInt(limit)}`,
+      [userId]
+    );
+    return rows.map(row => this.toRun(row));
+  }
+
+  async getActiveRun(userId) {
+    const rows = await query(
+      "SELECT id FROM reconciliation_runs WHERE user_id = ? AND status IN ('pending', 'running') ORDER BY id LIMIT 1",
+      [userId]
+    );
+    return rows.length > 0 ? this.getRun(rows[0].id) : null;
+  }
+
+  /**
+   * Report of one completed run (the user's latest by default) with a page
+   * of its missing and deleted messages, and the run still queued or running
+   * if there is one.
+   *
+   * @param {number} userId
+   * @param {Object} [options]
+   * @param {number} [options.runId]
+   * @param {string} [options.kind] - missing or deleted
+   */
+  async getReport(userId, { runId = null, kind = null, page = 1, limit = 100 } = {}) {
+    const runs = runId
+      ? await query('SELECT id FROM reconciliation_runs WHERE id = ? AND user_id = ?', [runId, userId])
+      : await query(
+        "SELECT id FROM reconciliation_runs WHERE user_id = ? AND status = 'completed' ORDER BY id DESC LIMIT 1",
+        [userId]
+      );
+    const active = await this.getActiveRun(userId);
+
+    if (runs.length === 0) {
+      return { run: null, active, mismatches: [], items: [], pagination: { page: 1, limit, total: 0, pages: 0 } };
+    }
+
+    const run = await this.getRun(runs[0].id);
+    let whereClause = 'WHERE run_id = ?';
+    const params = [run.id];
+    if (kind) {
+      whereClause += ' AND kind = ?';
+      params.push(kind);
+    }
+
+    const limitValue = parseInt(limit);
+    const offsetValue = (parseInt(page) - 1) * limitValue;
+    const items = await query(
+      `SELECT * FROM reconciliation_items ${whereClause} ORDER BY id LIMIT ${limitValue} OFFSET ${offsetValue}`,
+      params
+    );
+    const [count] = await query(`SELECT COUNT(*) as total FROM reconciliation_items ${whereClause}`, params);
+    const total = Number(count.total);
+
+    return {
+      run,
+      active,
+      mismatches: run.folders.filter(folder => folder.mismatch),
+      items,
+      pagination: {
+        page: parseInt(page),
+        limit: limitValue,
+        total,
+        pages: Math.ceil(total / limitValue),
+      },
+    };
+  }
+
+  /**
+   * Queue a reconciliation of a user's mailbox. With `backfill`, the messages
+   * the latest completed run found missing are fetched first.
+   *
+   * @returns {Promise<Object|null>} The run, or null if the user does not exist
+   * @throws {ReconciliationError} When a run is already queued, or there is nothing to backfill
+   */
+  async startRun(userId, adminUserId, { backfill = false } = {}) {
+    const users = await query('SELECT id, email FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) return null;
+
+    if (await this.getActiveRun(userId)) {
+      throw new ReconciliationError('A reconciliation is already queued or running for this user');
+    }
+
+    let backfillFromRunId = null;
+    if (backfill) {
+      const latest = await query(
+        "SELECT id, missing_count FROM reconciliation_runs WHERE user_id = ? AND status = 'completed' ORDER BY id DESC LIMIT 1",
+        [userId]
+      );
+      if (latest.length === 0 || Number(latest[0].missing_count) === 0) {
+        throw new ReconciliationError('The latest reconciliation found no missing messages to backfill');
+      }
+      backfillFromRunId = latest[0].id;
+    }
+
+    const result = await query(
+      `INSERT INTO reconciliation_runs (user_id, backfill_from_run_id, status, created_by, created_at)
+       VALUES (?, ?, 'pending', ?, NOW())`,
+      [userId, backfillFromRunId, adminUserId]
+    );
+
+    const header = Array.isArray(result) ? result[0] : result;
+    const id = header.insertId || header.lastID;
+    logger.info('Reconciliation queued', { id, userId, userEmail: users[0].email, backfillFromRunId });
+
+    await this.enqueue(id, userId, adminUserId);
+    return this.getRun(id);
+  }
+
+  enqueue(id, userId, adminUserId = null) {
+    return jobService.enqueue('reconciliation', { runId: id }, {
+      lockKey: `imap:${userId}`,
+      userId,
+      createdBy: adminUserId,
+    });
+  }
+
+  /**
+   * Queue runs left without a job, e.g. queued before reconciliations were
+   * run as jobs. They start over.
+   */
+  async resumeInterrupted() {
+    const rows = await query(
+      "SELECT id, user_id, created_by FROM reconciliation_runs WHERE status IN ('pending', 'running') ORDER BY id"
+    );
+    let resumed = 0;
+
+    for (const row of rows) {
+      const active = await jobService.findActive('reconciliation', { userId: row.user_id });
+      if (active?.payload.runId !== row.id) {
+        await this.enqueue(row.id, row.user_id, row.created_by);
+        resumed++;
+      }
+    }
+
+    if (resumed > 0) {
+      logger.info('Requeued interrupted reconciliation runs', { count: resumed });
+    }
+  }
+
+  async runQueuedJob(queued, context) {
+    const run = await this.getRun(queued.payload.runId);
+    if (!run || !['pending', 'running'].includes(run.status)) {
+      logger.info('Reconciliation no longer pending, skipped', { id: queued.payload.runId });
+      return null;
+    }
+
+    return this.runJob(run, context);
+  }
+
+  async runJob(run, context) {
+    this.runningRunId = run.id;
+    const counts = { backfilled: 0, skipped: 0, failed: 0 };
+
+    await query(
+      `UPDATE reconciliation_runs SET status = 'running', error = NULL, started_at = NOW(), finished_at = NULL
+       WHERE id = ?`,
+      [run.id]
+    );
+    // Left by an interrupted attempt
+    await query('DELETE FROM reconciliation_items WHERE run_id = ?', [run.id]);
+    logger.info('Reconciliation started', { id: run.id, userEmail: run.userEmail, backfillFromRunId: run.backfillFromRunId });
+
+    try {
+      if (run.backfillFromRunId) {
+        try {
+          await this.backfill(run, counts);
+        } finally {
+          await query(
+            'UPDATE reconciliation_runs SET backfilled_count = ?, backfill_skipped_count = ?, backfill_failed_count = ? WHERE id = ?',
+            [counts.backfilled, counts.skipped, counts.failed, run.id]
+          );
+        }
+      }
+
+      const scan = await this.scanServer(run.userEmail);
+      const result = await this.compare(run.id, run.userId, scan);
+
+      await query(
+        `UPDATE reconciliation_runs SET status = 'completed', server_count = ?, archived_count = ?, missing_count = ?,
+         deleted_count = ?, archived_elsewhere_count = ?, mismatched_folders = ?, folders = ?,
+         error = ?, finished_at = NOW()
+         WHERE id = ?`,
+        [
+          result.serverCount, result.archivedCount, result.missingCount, result.deletedCount,
+          result.archivedElsewhereCount, result.mismatchedFolders, JSON.stringify(result.folders),
+          scan.errors.length > 0 ? scan.errors.map(({ folder, error }) => `${folder}: ${error}`).join('\n') : null,
+          run.id
+        ]
+      );
+      logger.info('Reconciliation completed', { id: run.id, userEmail: run.userEmail, ...counts, ...result, folders: result.folders.length });
+      return { ...counts, missing: result.missingCount, deleted: result.deletedCount };
+    } catch (error) {
+      // Back to pending while the job will be retried
+      await query(
+        'UPDATE reconciliation_runs SET status = ?, error = ?, finished_at = NOW() WHERE id = ?',
+        [context.isLastAttempt() ? 'failed' : 'pending', error.message, run.id]
+      );
+      throw error;
+    } finally {
+      this.runningRunId = null;
+    }
+  }
+
+  /**
+   * Message-IDs and UIDs of every message in every selectable folder.
+   *
+   * @returns {Promise<{folders: Array<Object>, errors: Array<{folder: string, error: string}>}>}
+   */
+  async scanServer(userEmail) {
+    const client = await this.openClient(userEmail);
+    const folders = [];
+    const errors = [];
+
+    try {
+      for (const mailbox of await client.list()) {
+        if (mailbox.flags && (mailbox.flags.has('\\Noselect') || mailbox.flags.has('\\NonExistent'))) continue;
+
+        try {
+          folders.push(await this.scanFolder(client, mailbox));
+        } catch (error) {
+          errors.push({ folder: mailbox.path, error: error.message });
+          logger.warn('Failed to list messages in folder', { userEmail, folder: mailbox.path, error: error.message });
+        }
+      }
+    } finally {
+      await this.closeClient(client);
+    }
+
+    return { folders, errors };
+  }
+
+  async scanFolder(client, mailbox) {
+    const opened = await client.mailboxOpen(mailbox.path, { readOnly: true });
+    const messages = new Map();
+    let withoutMessageId = 0;
+
+    if (opened.exists > 0) {
+      for await (const message of client.fetch('1:*', { uid: true, envelope: true })) {
+        const messageId = message.envelope?.messageId;
+        if (!messageId) {
+          withoutMessageId++;
+        } else if (!messages.has(messageId)) {
+          messages.set(messageId, { uid: message.uid, subject: message.envelope.subject || null, date: message.envelope.date || null });
+        }
+      }
+    }
+
+    return {
+      folder: mailbox.path,
+      specialUse: imapService.getSpecialUse(mailbox),
+      uidValidity: opened.uidValidity ? String(opened.uidValidity) : null,
+      exists: opened.exists || 0,
+      messages,
+      withoutMessageId,
+    };
+  }
+
+  /**
+   * Compare a scan with the archive and store the missing and deleted
+   * messages as items of the run.
+   */
+  async compare(runId, userId, scan) {
+    const emails = await query('SELECT id, message_id, folder, subject, date FROM emails WHERE user_id = ?', [userId]);
+    const labels = await emailLabelService.getLabelsForUser(userId);
+
+    // Archived emails by Message-ID, with every folder they are recorded in
+    const archived = new Map();
+    const archivedByFolder = new Map();
+    for (const email of emails) {
+      const emailFolders = new Set([email.folder, ...(labels[email.id] || [])].filter(Boolean));
+      archived.set(email.message_id, { ...email, folders: emailFolders });
+      for (const folder of emailFolders) {
+        if (!archivedByFolder.has(folder)) archivedByFolder.set(folder, new Set());
+        archivedByFolder.get(folder).add(email.message_id);
+      }
+    }
+
+    // Message-IDs are unique in the archive: these were archived from another user's mailbox
+    const archivedElsewhere = new Set();
+    const unknownIds = [...new Set(scan.folders.flatMap(scanned => [...scanned.messages.keys()]))]
+      .filter(messageId => !archived.has(messageId));
+    for (let i = 0; i < unknownIds.length; i += LOOKUP_BATCH_SIZE) {
+      const batch = unknownIds.slice(i, i + LOOKUP_BATCH_SIZE);
+      const rows = await query(
+        `SELECT message_id FROM emails WHERE message_id IN (${batch.map(() => '?').join(', ')})`,
+        batch
+      );
+      for (const row of rows) {
+        archivedElsewhere.add(row.message_id);
+      }
+    }
+
+    const notInAllMail = new Set(
+      scan.folders.filter(scanned => NOT_IN_ALL_MAIL_USES.includes(scanned.specialUse)).map(scanned => scanned.folder)
+    );
+    const missing = new Map();
+    const onServer = new Set();
+    const folders = [];
+
+    // All Mail last, so a missing message is backfilled into a real folder when it has one
+    const ordered = [...scan.folders].sort((a, b) => (a.specialUse === '\\All') - (b.specialUse === '\\All'));
+    for (const scanned of ordered) {
+      let expected;
+      if (scanned.specialUse === '\\All') {
+        expected = new Set([...archived.values()]
+          .filter(email => ![...email.folders].some(folder => notInAllMail.has(folder)))
+          .map(email => email.message_id));
+      } else {
+        expected = archivedByFolder.get(scanned.folder) || new Set();
+      }
+
+      let missingHere = 0;
+      let notRecorded = 0;
+      for (const [messageId, message] of scanned.messages) {
+        onServer.add(messageId);
+        if (archivedElsewhere.has(messageId)) continue;
+        if (!archived.has(messageId)) {
+          missingHere++;
+          if (!missing.has(messageId)) {
+            missing.set(messageId, { folder: scanned.folder, uidValidity: scanned.uidValidity, ...message });
+          }
+        } else if (!expected.has(messageId)) {
+          notRecorded++;
+        }
+      }
+
+      let notOnServer = 0;
+      for (const messageId of expected) {
+        if (!scanned.messages.has(messageId)) notOnServer++;
+      }
+
+      folders.push({
+        folder: scanned.folder,
+        specialUse: scanned.specialUse,
+        onServer: true,
+        serverCount: scanned.exists,
+        archivedCount: expected.size,
+        missing: missingHere,
+        notRecorded,
+        notOnServer,
+        withoutMessageId: scanned.withoutMessageId,
+        mismatch: scanned.exists !== expected.size,
+      });
+    }
+
+    // Folders with archived emails that the server no longer lists
+    const listed = new Set([...scan.folders.map(scanned => scanned.folder), ...scan.errors.map(({ folder }) => folder)]);
+    for (const [folder, messageIds] of archivedByFolder) {
+      if (listed.has(folder)) continue;
+      folders.push({
+        folder,
+        specialUse: null,
+        onServer: false,
+        serverCount: 0,
+        archivedCount: messageIds.size,
+        missing: 0,
+        notRecorded: 0,
+        notOnServer: messageIds.size,
+        withoutMessageId: 0,
+        mismatch: true,
+      });
+    }
+
+    const items = [...missing].map(([messageId, message]) => ({
+      kind: 'missing',
+      folder: message.folder,
+      uid: message.uid,
+      uidValidity: message.uidValidity,
+      messageId,
+      subject: message.subject,
+      date: message.date,
+    }));
+
+    // A folder that could not be read would make its messages look deleted.
+    // Emails archived without a Message-ID got a generated one that matches nothing.
+    let deletedCount = null;
+    if (scan.errors.length === 0) {
+      deletedCount = 0;
+      for (const [messageId, email] of archived) {
+        if (!messageId || !messageId.startsWith('<') || onServer.has(messageId)) continue;
+        deletedCount++;
+        items.push({
+          kind: 'deleted',
+          folder: email.folder,
+          emailId: email.id,
+          messageId,
+          subject: email.subject,
+          date: email.date,
+        });
+      }
+    }
+
+    await this.insertItems(runId, items);
+
+    return {
+      serverCount: onServer.size,
+      archivedCount: emails.length,
+      missingCount: missing.size,
+      deletedCount,
+      archivedElsewhereCount: archivedElsewhere.size,
+      mismatchedFolders: folders.filter(folder => folder.mismatch).length,
+      folders,
+    };
+  }
+
+  async insertItems(runId, items) {
+    for (let i = 0; i < items.length; i += INSERT_BATCH_SIZE) {
+      const batch = items.slice(i, i + INSERT_BATCH_SIZE);
+      await query(
+        `INSERT INTO reconciliation_items (run_id, kind, folder, uid, uid_validity, email_id, message_id, subject, date)
+         VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+        batch.flatMap(item => [
+          runId,
+          item.kind,
+          item.folder || null,
+          item.uid || null,
+          item.uidValidity || null,
+          item.emailId || null,
+          item.messageId,
+          imapService.sanitizeForDb(item.subject),
+          item.date ? new Date(item.date) : null
+        ])
+      );
+    }
+  }
+
+  /**
+   * Fetch the messages the run's source run found missing. gmail_api
+   * domains run a full Gmail API sync instead, which fetches everything not
+   * archived yet.
+   */
+  async backfill(run, counts) {
+    if (await imapSourceService.getSourceType(run.userEmail) === 'gmail_api') {
+      await gmailApiService.resetSyncState(run.userId);
+      const stats = await gmailApiService.backupMailbox(run.userId, run.userEmail);
+      counts.backfilled = stats.fetched;
+      counts.skipped = stats.skipped;
+      counts.failed = stats.errors;
+      return;
+    }
+
+    const items = await query(
+      "SELECT * FROM reconciliation_items WHERE run_id = ? AND kind = 'missing' ORDER BY folder, uid",
+      [run.backfillFromRunId]
+    );
+    const archivedIds = await imapService.loadMessageIdCache(run.userId, true);
+    const byFolder = new Map();
+    for (const item of items) {
+      // Archived since, e.g. by a backup
+      if (archivedIds.has(item.message_id)) continue;
+      if (!byFolder.has(item.folder)) byFolder.set(item.folder, []);
+      byFolder.get(item.folder).push(item);
+    }
+    if (byFolder.size === 0) return;
+
+    // Its own connection, like a scan's: a backup or IDLE keeps the user's backup connection
+    const client = await this.openClient(run.userEmail);
+    try {
+      for (const [folder, folderItems] of byFolder) {
+        await this.backfillFolder(client, run, folder, folderItems, counts);
+        logger.info(`Backfill progress: ${counts.backfilled} fetched, ${counts.skipped} skipped, ${counts.failed} failed`, { id: run.id, folder });
+      }
+    } finally {
+      await this.closeClient(client);
+    }
+  }
+
+  async backfillFolder(client, run, folder, items, counts) {
+    let mailbox;
+    try {
+      mailbox = await client.mailboxOpen(folder, { readOnly: true });
+    } catch (error) {
+      logger.warn('Cannot open folder to backfill', { id: run.id, folder, error: error.message });
+      counts.failed += items.length;
+      return;
+    }
+
+    // The UIDs were listed under another UIDVALIDITY: they may point at other messages now
+    if (String(mailbox.uidValidity) !== String(items[0].uid_validity)) {
+      logger.warn('UIDVALIDITY changed since the reconciliation, not backfilling folder', {
+        id: run.id, folder, listedUidValidity: String(items[0].uid_validity), uidValidity: String(mailbox.uidValidity)
+      });
+      counts.failed += items.length;
+      return;
+    }
+
+    for (const item of items) {
+      try {
+        const emailId = await this.backfillMessage(client, run, folder, item);
+        // Expunged or archived meanwhile: nothing left to fetch
+        if (emailId) {
+          counts.backfilled++;
+        } else {
+          counts.skipped++;
+        }
+      } catch (error) {
+        // The user's daily quota is used up: the run fails, the next backup fetches the rest
+        if (error instanceof QuotaExhaustedError) throw error;
+        counts.failed++;
+        logger.warn('Failed to backfill message', { id: run.id, folder, uid: item.uid, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Archive one missing message through the backup's storage path.
+   *
+   * @returns {Promise<number|null>} The new email's id, null if it is gone or was archived meanwhile
+   */
+  async backfillMessage(client, run, folder, item) {
+    const message = await client.fetchOne(String(item.uid), {
+      uid: true,
+      envelope: true,
+      labels: true,
+      flags: true,
+      internalDate: true,
+      size: true
+    }, { uid: true });
+    if (!message) return null;
+
+    const messageId = message.envelope?.messageId || item.message_id;
+    const labels = await imapService.getMessageLabels(client, run.userId, folder, message.labels);
+    await rateLimitService.acquire(run.userEmail, { bytes: message.size || 0 });
+
+    return imapService.streamAndStoreMessage(client, item.uid, run.userId, run.userEmail, folder, {
+      messageId,
+      labels,
+      flags: message.flags,
+      internalDate: message.internalDate
+    });
+  }
+
+  /**
+   * IMAP connection to the mailbox of `userEmail`, apart from the backup
+   * connections, like a restore's.
+   */
+  async openClient(userEmail) {
+    const connectionOptions = await imapSourceService.getConnectionOptions(userEmail);
+    const client = new ImapFlow({
+      ...connectionOptions,
+      connectTimeout: 30000,
+      logger: false
+    });
+
+    client.on('error', (error) => {
+      logger.error('Reconciliation IMAP connection error', { userEmail, error: error.message });
+    });
+
+    await client.connect();
+    return client;
+  }
+
+  async closeClient(client) {
+    try {
+      await client.logout();
+    } catch (error) {
+      logger.warn('Failed to close reconciliation IMAP connection', { error: error.message });
+    }
+  }
+
+  getStatus() {
+    return {
+      runningRunId: this.runningRunId,
+    };
+  }
+}
+
+const reconciliationService = new ReconciliationService();
+
+module.exports = {
+  ReconciliationService,
+  reconciliationService,
+  ReconciliationError,
+  ITEM_KINDS,
+};
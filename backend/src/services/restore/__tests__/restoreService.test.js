@@ -0,0 +1,202 @@
+const { startFakeImapServer, buildRawMessage } = require('../../../../test/helpers/fakeImapServer');
+
+jest.mock('../../database/databaseService', () => ({ query: jest.fn() }));
+jest.mock('../../imap/imapSourceService', () => ({
+  imapSourceService: { getConnectionOptions: jest.fn() },
+}));
+jest.mock('../../search/searchIndexService', () => ({
+  searchIndexService: { buildEmailSearch: jest.fn(() => ({ conditions: [], params: [], joinSearchIndex: false })) },
+}));
+jest.mock('../../search/savedSearchService', () => ({ savedSearchService: {} }));
+jest.mock('../../storage/backupFileService', () => ({ backupFileService: { read: jest.fn() } }));
+jest.mock('../../queue/jobService', () => ({ jobService: { registerHandler: jest.fn() } }));
+
+const { query } = require('../../database/databaseService');
+const { imapSourceService } = require('../../imap/imapSourceService');
+const { backupFileService } = require('../../storage/backupFileService');
+const { restoreService, RestoreError } = require('../restoreService');
+
+const USERS = { 1: 'alice@example.com' };
+
+const context = { isCancelled: () => false, isLastAttempt: () => false };
+
+/**
+ * Archived emails and their files, served to restoreService through the
+ * mocked query() and backupFileService.read().
+ */
+function useArchive(emails, { failUserLookups = 0 } = {}) {
+  const files = new Map(emails.map(email => [email.eml_path, buildRawMessage({
+    messageId: email.message_id,
+    subject: `Archived ${email.id}`,
+  })]));
+  const jobUpdates = [];
+  let userLookupFailures = failUserLookups;
+  let userLookups = 0;
+
+  backupFileService.read.mockImplementation(async (emlPath) => Buffer.from(files.get(emlPath)));
+
+  query.mockImplementation(async (sql, params = []) => {
+    if (/^\s*UPDATE restore_jobs/.test(sql)) {
+      jobUpdates.push({ sql, params });
+      return { affectedRows: 1 };
+    }
+
+    if (/SELECT DISTINCT e\.user_id, e\.folder/.test(sql)) {
+      const groups = new Map();
+      for (const email of emails) groups.set(`${email.user_id}:${email.folder}`, { user_id: email.user_id, folder: email.folder });
+      return [...groups.values()];
+    }
+
+    if (/SELECT email FROM users WHERE id = \?/.test(sql)) {
+      // The second group's lookup fails while failures are left, cutting the run short
+      userLookups++;
+      if (userLookups % 2 === 0 && userLookupFailures > 0) {
+        userLookupFailures--;
+        return [];
+      }
+      return USERS[params[0]] ? [{ email: USERS[params[0]] }] : [];
+    }
+
+    if (/SELECT e\.id, e\.message_id/.test(sql)) {
+      const [userId, ...rest] = params;
+      const lastEmailId = rest.pop();
+      const folder = rest.length > 0 ? rest[0] : null;
+      return emails.filter(email => email.user_id === userId && email.folder === folder && email.id > lastEmailId);
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  return { jobUpdates };
+}
+
+const archivedEmail = (id, overrides = {}) => ({
+  id,
+  user_id: 1,
+  folder: 'INBOX',
+  message_id: `<archived-${id}@example.com>`,
+  eml_path: `local://example.com/alice/${id}.eml`,
+  compression: null,
+  date: '2024-01-15T10:00:00.000Z',
+  internal_date: '2024-01-15T10:05:00.000Z',
+  flags: JSON.stringify(['\\Seen']),
+  ...overrides,
+});
+
+describe('RestoreService', () => {
+  let imap;
+
+  beforeEach(async () => {
+    imap = await startFakeImapServer({
+      storage: {
+        INBOX: {
+          messages: [{
+            raw: buildRawMessage({ messageId: '<already-there@example.com>', subject: 'Already there' }),
+            flags: ['\\Seen'],
+          }],
+        },
+        '': { separator: '/', folders: { Projects: {} } },
+      },
+    });
+    imapSourceService.getConnectionOptions.mockResolvedValue(imap.connectionOptions);
+  });
+
+  afterEach(async () => {
+    await imap.close();
+    jest.clearAllMocks();
+  });
+
+  test('appends messages with their flags, except \\Recent and \\Deleted, and internal date', async () => {
+    useArchive([
+      archivedEmail(1, { flags: JSON.stringify(['\\Seen', '\\Flagged', '\\Recent', '\\Deleted']) }),
+      archivedEmail(2, { flags: null, internal_date: null, date: '2023-12-31T23:00:00.000Z' }),
+    ]);
+
+    const counts = await restoreService.runJob({ id: 1, selection: { user_id: 1 }, targetUserId: null, folderPrefix: null }, context);
+
+    expect(counts).toEqual({ restored: 2, skipped: 0, failed: 0 });
+    const [, first, second] = await imap.readMailbox('INBOX');
+    expect(first).toMatchObject({ messageId: '<archived-1@example.com>', flags: ['\\Flagged', '\\Seen'] });
+    expect(first.internalDate).toEqual(new Date('2024-01-15T10:05:00.000Z'));
+    // Without an internal date the Date header's date is used
+    expect(second).toMatchObject({ messageId: '<archived-2@example.com>', flags: [] });
+    expect(second.internalDate).toEqual(new Date('2023-12-31T23:00:00.000Z'));
+  });
+
+  test('skips a message whose Message-ID is already in the target folder', async () => {
+    const { jobUpdates } = useArchive([
+      archivedEmail(1, { message_id: '<already-there@example.com>' }),
+      archivedEmail(2),
+    ]);
+
+    const counts = await restoreService.runJob({ id: 1, selection: { user_id: 1 }, targetUserId: null, folderPrefix: null }, context);
+
+    expect(counts).toEqual({ restored: 1, skipped: 1, failed: 0 });
+    expect((await imap.readMailbox('INBOX')).map(message => message.messageId)).toEqual([
+      '<already-there@example.com>',
+      '<archived-2@example.com>',
+    ]);
+    const finished = jobUpdates[jobUpdates.length - 1];
+    expect(finished.params).toEqual(['completed', 1]);
+  });
+
+  test('restores into the folder the email was archived from, creating it if missing', async () => {
+    useArchive([archivedEmail(1, { folder: 'Projects' }), archivedEmail(2, { folder: 'Clients/Acme' })]);
+
+    await restoreService.runJob({ id: 1, selection: { user_id: 1 }, targetUserId: null, folderPrefix: null }, context);
+
+    expect((await imap.readMailbox('Projects')).map(message => message.messageId)).toEqual(['<archived-1@example.com>']);
+    expect((await imap.readMailbox('Clients/Acme')).map(message => message.messageId)).toEqual(['<archived-2@example.com>']);
+  });
+
+  test('a retry after a partial failure restores the rest without duplicates', async () => {
+    const { jobUpdates } = useArchive([
+      archivedEmail(1),
+      archivedEmail(2),
+      archivedEmail(3, { folder: 'Projects' }),
+      archivedEmail(4, { folder: 'Projects' }),
+    ], { failUserLookups: 1 });
+    const job = { id: 1, selection: { user_id: 1 }, targetUserId: null, folderPrefix: null };
+
+    await expect(restoreService.runJob(job, context)).rejects.toThrow(RestoreError);
+    expect(jobUpdates[jobUpdates.length - 1].params[0]).toBe('pending');
+    expect(await imap.readMailbox('Projects')).toEqual([]);
+
+    const counts = await restoreService.runJob(job, context);
+
+    expect(counts).toEqual({ restored: 2, skipped: 2, failed: 0 });
+    expect((await imap.readMailbox('INBOX')).map(message => message.messageId)).toEqual([
+      '<already-there@example.com>',
+      '<archived-1@example.com>',
+      '<archived-2@example.com>',
+    ]);
+    expect((await imap.readMailbox('Projects')).map(message => message.messageId)).toEqual([
+      '<archived-3@example.com>',
+      '<archived-4@example.com>',
+    ]);
+  });
+
+  test('puts Gmail system folders under the folder prefix as plain folders', async () => {
+    useArchive([
+      archivedEmail(1, { folder: '[Gmail]/Sent Mail' }),
+      archivedEmail(2, { folder: '[Google Mail]/Sent Mail' }),
+      archivedEmail(3, { folder: 'INBOX' }),
+    ]);
+
+    await restoreService.runJob({ id: 1, selection: { user_id: 1 }, targetUserId: null, folderPrefix: 'Restored' }, context);
+
+    expect((await imap.readMailbox('Restored/Sent Mail')).map(message => message.messageId)).toEqual([
+      '<archived-1@example.com>',
+      '<archived-2@example.com>',
+    ]);
+    expect((await imap.readMailbox('Restored/INBOX')).map(message => message.messageId)).toEqual(['<archived-3@example.com>']);
+  });
+
+  test('getTargetMailbox() strips both Gmail system folder prefixes', () => {
+    const client = { namespace: { delimiter: '.' } };
+    expect(restoreService.getTargetMailbox('[Gmail]/Sent Mail', 'Restored', client)).toBe('Restored.Sent Mail');
+    expect(restoreService.getTargetMailbox('[Google Mail]/Bin', 'Restored', client)).toBe('Restored.Bin');
+    expect(restoreService.getTargetMailbox('[Google Mail]/Bin', null, client)).toBe('[Google Mail]/Bin');
+    expect(restoreService.getTargetMailbox(null, null, client)).toBe('INBOX');
+  });
+});
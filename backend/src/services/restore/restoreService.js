@@ -0,0 +1,417 @@
+const { ImapFlow } = require('imapflow');
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+const { imapSourceService } = require('../imap/imapSourceService');
+const { searchIndexService } = require('../search/searchIndexService');
+const { savedSearchService } = require('../search/savedSearchService');
+const { backupFileService } = require('../storage/backupFileService');
+const { jobService } = require('../queue/jobService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/restore.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+const BATCH_SIZE = 100;
+// Set by the server: \Recent cannot be appended, and \Deleted would be expunged again
+const SKIPPED_FLAGS = ['\\Recent', '\\Deleted'];
+
+class RestoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RestoreError';
+  }
+}
+
+/**
+ * Restores archived emails into a mailbox with IMAP APPEND.
+ *
+ * The emails are picked with /api/emails/search parameters: a search, a
+ * folder, a date range or a whole user (user_id). They go back into their
+ * own mailbox or into `target_user_id`'s, in the folder recorded in
+ * emails.folder (created if missing, optionally under a prefix), with their
+ * INTERNALDATE and flags. A message whose Message-ID is already in the target
+ * folder is skipped, so a job can safely be run again.
+ *
+ * Jobs are rows in restore_jobs, each run by a `restore` job (see
+ * jobService) one at a time, oldest first. A run that fails or is cut short
+ * by a restart is retried, skipping what was already restored.
+ */
+class RestoreService {
+  constructor() {
+    this.runningJobId = null;
+
+    jobService.registerHandler('restore', (job, context) => this.runQueuedJob(job, context), {
+      maxAttempts: 3,
+      backoffMs: 60 * 1000,
+    });
+  }
+
+  toJob(row) {
+    return {
+      id: row.id,
+      selection: JSON.parse(row.selection || '{}'),
+      targetUserId: row.target_user_id,
+      targetUserEmail: row.target_user_email,
+      folderPrefix: row.folder_prefix,
+      status: row.status,
+      totalCount: row.total_count,
+      restoredCount: row.restored_count,
+      skippedCount: row.skipped_count,
+      failedCount: row.failed_count,
+      error: row.error,
+      createdBy: row.created_by_username || row.created_by,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+    };
+  }
+
+  async listJobs(limit = 50) {
+    const rows = await query(
+      `SELECT j.*, u.email as target_user_email, a.username as created_by_username
+       FROM restore_jobs j
+       LEFT JOIN users u ON j.target_user_id = u.id
+       LEFT JOIN admin_users a ON j.created_by = a.id
+       ORDER BY j.id DESC LIMIT ${parseInt(limit)}`
+    );
+    return rows.map(row => this.toJob(row));
+  }
+
+  async getJob(id) {
+    const rows = await query(
+      `SELECT j.*, u.email as target_user_email FROM restore_jobs j
+       LEFT JOIN users u ON j.target_user_id = u.id
+       WHERE j.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? this.toJob(rows[0]) : null;
+  }
+
+  /**
+   * SQL over `emails e` for the emails a selection picks.
+   */
+  buildSelection(selection) {
+    const search = searchIndexService.buildEmailSearch(selection);
+    return {
+      from: `emails e${search.joinSearchIndex ? ' LEFT JOIN email_search_index si ON si.email_id = e.id' : ''}`,
+      where: search.conditions.length > 0 ? search.conditions.join(' AND ') : '1 = 1',
+      params: search.params,
+    };
+  }
+
+  /**
+   * Queue a restore job and start it if nothing else is restoring.
+   *
+   * @param {number} adminUserId
+   * @param {Object} job
+   * @param {Object} [job.params] - Search parameters selecting the emails
+   * @param {number} [job.savedSearchId] - Use a saved search's parameters instead
+   * @param {number} [job.targetUserId] - Mailbox to restore into, default each email's own
+   * @param {string} [job.folderPrefix] - Recreate the folders under this folder
+   * @throws {RestoreError|SearchQueryError} When the job is invalid
+   */
+  async createJob(adminUserId, { params = null, savedSearchId = null, targetUserId = null, folderPrefix = null }) {
+    if (savedSearchId) {
+      const savedSearch = await savedSearchService.getSavedSearch(savedSearchId, adminUserId);
+      if (!savedSearch) throw new RestoreError('Saved search not found');
+      params = savedSearch.params;
+    }
+
+    const selection = savedSearchService.normalizeParams(params || {});
+    if (Object.keys(selection).length === 0) {
+      // Restoring the whole archive is never what was meant
+      throw new RestoreError('Select the emails to restore: a search, folder, date range or user_id');
+    }
+
+    if (targetUserId) {
+      const users = await query('SELECT id FROM users WHERE id = ?', [targetUserId]);
+      if (users.length === 0) throw new RestoreError('Target user not found');
+    }
+
+    const prefix = folderPrefix && String(folderPrefix).trim() ? String(folderPrefix).trim() : null;
+
+    const { from, where, params: selectionParams } = this.buildSelection(selection);
+    const countResult = await query(`SELECT COUNT(*) as count FROM ${from} WHERE ${where}`, selectionParams);
+    const totalCount = Number(countResult[0]?.count || 0);
+    if (totalCount === 0) {
+      throw new RestoreError('No emails match the selection');
+    }
+
+    const result = await query(
+      `INSERT INTO restore_jobs (selection, target_user_id, folder_prefix, status, total_count, created_by, created_at)
+       VALUES (?, ?, ?, 'pending', ?, ?, NOW())`,
+      [JSON.stringify(selection), targetUserId || null, prefix, totalCount, adminUserId]
+    );
+
+    const header = Array.isArray(result) ? result[0] : result;
+    const id = header.insertId || header.lastID;
+    logger.info('Restore job created', { id, selection, targetUserId, totalCount });
+
+    await this.enqueue(id, adminUserId);
+    return this.getJob(id);
+  }
+
+  enqueue(id, adminUserId = null) {
+    return jobService.enqueue('restore', { restoreJobId: id }, {
+      lockKey: `restore:${id}`,
+      createdBy: adminUserId,
+    });
+  }
+
+  /**
+   * Cancel a pending job, or stop a running one after the current message.
+   *
+   * @returns {Promise<Object|null>} The job, or null if it is not pending or running
+   */
+  async cancelJob(id) {
+    const job = await this.getJob(id);
+    if (!job || !['pending', 'running'].includes(job.status)) return null;
+
+    const queued = await jobService.findActive('restore', { lockKey: `restore:${id}` });
+    if (queued) {
+      await jobService.cancel(queued.id);
+    }
+    // A running job marks itself cancelled after the current message
+    if (!queued || queued.status !== 'running') {
+      await query(
+        "UPDATE restore_jobs SET status = 'cancelled', finished_at = NOW() WHERE id = ? AND status IN ('pending', 'running')",
+        [id]
+      );
+    }
+
+    logger.info('Restore job cancellation requested', { id, status: job.status });
+    return this.getJob(id);
+  }
+
+  /**
+   * Queue restore jobs left without a job, e.g. created before restores
+   * were run as jobs. Already restored messages are skipped on the second pass.
+   */
+  async resumeInterrupted() {
+    const rows = await query("SELECT id, created_by FROM restore_jobs WHERE status IN ('pending', 'running') ORDER BY id");
+    let resumed = 0;
+
+    for (const row of rows) {
+      if (!await jobService.findActive('restore', { lockKey: `restore:${row.id}` })) {
+        await this.enqueue(row.id, row.created_by);
+        resumed++;
+      }
+    }
+
+    if (resumed > 0) {
+      logger.info('Requeued interrupted restore jobs', { count: resumed });
+    }
+  }
+
+  async runQueuedJob(queued, context) {
+    const job = await this.getJob(queued.payload.restoreJobId);
+    if (!job || !['pending', 'running'].includes(job.status)) {
+      logger.info('Restore job no longer pending, skipped', { id: queued.payload.restoreJobId });
+      return null;
+    }
+
+    return this.runJob(job, context);
+  }
+
+  async runJob(job, context) {
+    this.runningJobId = job.id;
+    const counts = { restored: 0, skipped: 0, failed: 0 };
+
+    await query(
+      `UPDATE restore_jobs SET status = 'running', restored_count = 0, skipped_count = 0, failed_count = 0,
+       error = NULL, started_at = NOW(), finished_at = NULL WHERE id = ?`,
+      [job.id]
+    );
+    logger.info('Restore job started', { id: job.id, selection: job.selection, targetUserId: job.targetUserId });
+
+    const saveProgress = () => query(
+      'UPDATE restore_jobs SET restored_count = ?, skipped_count = ?, failed_count = ? WHERE id = ?',
+      [counts.restored, counts.skipped, counts.failed, job.id]
+    );
+
+    let client = null;
+    let clientEmail = null;
+    let mailboxes = null;
+
+    try {
+      const { from, where, params } = this.buildSelection(job.selection);
+
+      // One mailbox and folder at a time, so each target folder is selected once
+      const groups = await query(
+        `SELECT DISTINCT e.user_id, e.folder FROM ${from} WHERE ${where} ORDER BY e.user_id, e.folder`,
+        params
+      );
+
+      for (const group of groups) {
+        if (context.isCancelled()) break;
+
+        const targetUserId = job.targetUserId || group.user_id;
+        const users = await query('SELECT email FROM users WHERE id = ?', [targetUserId]);
+        if (users.length === 0) {
+          throw new RestoreError(`Target user ${targetUserId} not found`);
+        }
+
+        if (clientEmail !== users[0].email) {
+          if (client) await this.closeClient(client);
+          client = null;
+          client = await this.openClient(users[0].email);
+          clientEmail = users[0].email;
+          mailboxes = new Set((await client.list()).map(entry => entry.path));
+        }
+
+        const mailbox = this.getTargetMailbox(group.folder, job.folderPrefix, client);
+        await this.ensureMailbox(client, mailbox, mailboxes);
+        const folderCondition = group.folder === null ? 'e.folder IS NULL' : 'e.folder = ?';
+        const folderParams = group.folder === null ? [] : [group.folder];
+
+        const lock = await client.getMailboxLock(mailbox);
+        try {
+          // Keyset pagination over the group's emails
+          let lastEmailId = 0;
+          while (!context.isCancelled()) {
+            const emails = await query(
+              `SELECT e.id, e.message_id, e.eml_path, e.compression, e.date, e.internal_date, e.flags FROM ${from}
+               WHERE ${where} AND e.user_id = ? AND ${folderCondition} AND e.id > ?
+               ORDER BY e.id LIMIT ${BATCH_SIZE}`,
+              [...params, group.user_id, ...folderParams, lastEmailId]
+            );
+            if (emails.length === 0) break;
+
+            for (const email of emails) {
+              lastEmailId = email.id;
+              if (context.isCancelled()) break;
+
+              try {
+                const outcome = await this.restoreEmail(client, mailbox, email);
+                counts[outcome]++;
+              } catch (error) {
+                counts.failed++;
+                logger.error('Failed to restore email', { jobId: job.id, emailId: email.id, mailbox, error: error.message });
+              }
+            }
+
+            await saveProgress();
+          }
+        } finally {
+          lock.release();
+        }
+
+        logger.info(`Restore progress: ${counts.restored} restored, ${counts.skipped} skipped`, { jobId: job.id, mailbox });
+      }
+
+      const status = context.isCancelled() ? 'cancelled' : 'completed';
+      await saveProgress();
+      await query("UPDATE restore_jobs SET status = ?, finished_at = NOW() WHERE id = ?", [status, job.id]);
+      logger.info(`Restore job ${status}`, { id: job.id, ...counts });
+    } catch (error) {
+      await saveProgress().catch(() => {});
+      // Back to pending while the job will be retried
+      const status = context.isLastAttempt() ? 'failed' : 'pending';
+      await query(
+        'UPDATE restore_jobs SET status = ?, error = ?, finished_at = NOW() WHERE id = ?',
+        [status, error.message, job.id]
+      );
+      throw error;
+    } finally {
+      if (client) await this.closeClient(client);
+      this.runningJobId = null;
+    }
+
+    return counts;
+  }
+
+  /**
+   * @returns {Promise<string>} 'restored', or 'skipped' when the message is already there
+   */
+  async restoreEmail(client, mailbox, email) {
+    // Messages archived without a Message-ID got a generated one that cannot be searched for
+    if (email.message_id && !email.message_id.startsWith('no-id-')) {
+      const existing = await client.search({ header: { 'message-id': email.message_id } }, { uid: true });
+      if (existing && existing.length > 0) {
+        return 'skipped';
+      }
+    }
+
+    const content = await backupFileService.read(email.eml_path, { compression: email.compression });
+    const flags = (email.flags ? JSON.parse(email.flags) : []).filter(flag => !SKIPPED_FLAGS.includes(flag));
+    const internalDate = email.internal_date || email.date;
+
+    await client.append(mailbox, content, flags, internalDate ? new Date(internalDate) : undefined);
+    return 'restored';
+  }
+
+  /**
+   * Folder to restore into: the archived folder, under `folderPrefix` if set.
+   * Gmail system folders ([Gmail]/ or, in some locales, [Google Mail]/) become
+   * plain folders under a prefix.
+   */
+  getTargetMailbox(folder, folderPrefix, client) {
+    const source = folder || 'INBOX';
+    if (!folderPrefix) return source;
+
+    const delimiter = client.namespace?.delimiter || '/';
+    return `${folderPrefix}${delimiter}${source.replace(/^\[(Gmail|Google Mail)\]\//, '')}`;
+  }
+
+  /**
+   * Create `mailbox` unless it is among `mailboxes`, the paths listed on connect.
+   */
+  async ensureMailbox(client, mailbox, mailboxes) {
+    if (mailbox.toUpperCase() !== 'INBOX' && !mailboxes.has(mailbox)) {
+      await client.mailboxCreate(mailbox);
+      mailboxes.add(mailbox);
+      logger.info('Created mailbox for restore', { mailbox });
+    }
+  }
+
+  /**
+   * IMAP connection to the mailbox of `userEmail`, on the same server and
+   * with the same login as the backup connections.
+   */
+  async openClient(userEmail) {
+    const connectionOptions = await imapSourceService.getConnectionOptions(userEmail);
+    const client = new ImapFlow({
+      ...connectionOptions,
+      connectTimeout: 30000,
+      logger: false
+    });
+
+    client.on('error', (error) => {
+      logger.error('Restore IMAP connection error', { userEmail, error: error.message });
+    });
+
+    await client.connect();
+    return client;
+  }
+
+  async closeClient(client) {
+    try {
+      await client.logout();
+    } catch (error) {
+      logger.warn('Failed to close restore IMAP connection', { error: error.message });
+    }
+  }
+
+  getStatus() {
+    return {
+      processing: this.runningJobId !== null,
+      runningJobId: this.runningJobId,
+    };
+  }
+}
+
+const restoreService = new RestoreService();
+
+module.exports = {
+  RestoreService,
+  restoreService,
+  RestoreError,
+};
@@ -0,0 +1,237 @@
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+const { searchIndexService } = require('../search/searchIndexService');
+const { savedSearchService } = require('../search/savedSearchService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/retention.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+const HOLD_TYPES = ['user', 'search', 'email'];
+
+class LegalHoldError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LegalHoldError';
+  }
+}
+
+/**
+ * Legal holds keep emails from being deleted, by retention purges or by an
+ * admin, until the hold is released. A hold covers:
+ *
+ *   user    every email of a user, including mail archived later
+ *   search  every email matching /api/emails/search parameters, evaluated
+ *           when a deletion is attempted, so new matches are held too
+ *   email   a single email
+ *
+ * Released holds are kept for the audit trail.
+ */
+class LegalHoldService {
+  toHold(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      reason: row.reason,
+      holdType: row.hold_type,
+      userId: row.user_id,
+      userEmail: row.user_email,
+      emailId: row.email_id,
+      params: row.params ? JSON.parse(row.params) : null,
+      createdBy: row.created_by_username || row.created_by,
+      createdAt: row.created_at,
+      releasedAt: row.released_at,
+      releasedBy: row.released_by_username || row.released_by,
+      active: !row.released_at,
+    };
+  }
+
+  async listHolds({ includeReleased = false } = {}) {
+    const rows = await query(
+      `SELECT h.*, u.email as user_email, c.username as created_by_username, r.username as released_by_username
+       FROM legal_holds h
+       LEFT JOIN users u ON h.user_id = u.id
+       LEFT JOIN admin_users c ON h.created_by = c.id
+       LEFT JOIN admin_users r ON h.released_by = r.id
+       ${includeReleased ? '' : 'WHERE h.released_at IS NULL'}
+       ORDER BY h.created_at DESC`
+    );
+    return rows.map(row => this.toHold(row));
+  }
+
+  async getHold(id) {
+    const rows = await query('SELECT * FROM legal_holds WHERE id = ?', [id]);
+    return rows.length > 0 ? this.toHold(rows[0]) : null;
+  }
+
+  /**
+   * @param {number} adminUserId
+   * @param {Object} hold
+   * @param {string} hold.holdType - user, search or email
+   * @param {Object} [hold.params] - Search parameters, for search holds
+   * @param {number} [hold.savedSearchId] - Copy the parameters of a saved search instead
+   * @throws {LegalHoldError|SearchQueryError} When the hold is invalid
+   */
+  async createHold(adminUserId, { name, reason = null, holdType, userId = null, emailId = null, params = null, savedSearchId = null }) {
+    if (!name || !String(name).trim()) {
+      throw new LegalHoldError('Name is required');
+    }
+    if (!HOLD_TYPES.includes(holdType)) {
+      throw new LegalHoldError(`Hold type must be one of: ${HOLD_TYPES.join(', ')}`);
+    }
+
+    let searchParams = null;
+    if (holdType === 'user') {
+      const users = await query('SELECT id FROM users WHERE id = ?', [userId]);
+      if (users.length === 0) throw new LegalHoldError('User not found');
+    } else if (holdType === 'email') {
+      const emails = await query('SELECT id FROM emails WHERE id = ?', [emailId]);
+      if (emails.length === 0) throw new LegalHoldError('Email not found');
+    } else {
+      if (savedSearchId) {
+        const savedSearch = await savedSearchService.getSavedSearch(savedSearchId, adminUserId);
+        if (!savedSearch) throw new LegalHoldError('Saved search not found');
+        params = savedSearch.params;
+      }
+      // A snapshot of the parameters: editing the saved search later does not change the hold
+      searchParams = savedSearchService.normalizeParams(params || {});
+      if (Object.keys(searchParams).length === 0) {
+        throw new LegalHoldError('A search hold needs at least one search parameter');
+      }
+    }
+
+    const result = await query(
+      `INSERT INTO legal_holds (name, reason, hold_type, user_id, email_id, params, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        String(name).trim(),
+        reason,
+        holdType,
+        holdType === 'user' ? userId : null,
+        holdType === 'email' ? emailId : null,
+        searchParams ? JSON.stringify(searchParams) : null,
+        adminUserId
+      ]
+    );
+
+    const header = Array.isArray(result) ? result[0] : result;
+    const id = header.insertId || header.lastID;
+    logger.info('Legal hold created', { id, name, holdType, userId, emailId, adminUserId });
+    return this.getHold(id);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The released hold, or null if there is no active hold with this id
+   */
+  async releaseHold(id, adminUserId) {
+    const result = await query(
+      'UPDATE legal_holds SET released_at = NOW(), released_by = ? WHERE id = ? AND released_at IS NULL',
+      [adminUserId, id]
+    );
+
+    const header = Array.isArray(result) ? result[0] : result;
+    if (!header || !(header.affectedRows || header.changes)) return null;
+
+    logger.info('Legal hold released', { id, adminUserId });
+    return this.getHold(id);
+  }
+
+  async getActiveHolds() {
+    const rows = await query('SELECT * FROM legal_holds WHERE released_at IS NULL');
+    return rows.map(row => this.toHold(row));
+  }
+
+  /**
+   * Active holds covering each of `emailIds`.
+   *
+   * @returns {Promise<Map<number, Object[]>>} Only emails that are held
+   */
+  async findHolds(emailIds) {
+    const held = new Map();
+    const ids = (emailIds || []).map(id => parseInt(id)).filter(id => !isNaN(id));
+    if (ids.length === 0) return held;
+
+    const holds = await this.getActiveHolds();
+    if (holds.length === 0) return held;
+
+    const add = (emailId, hold) => {
+      if (!held.has(emailId)) held.set(emailId, []);
+      held.get(emailId).push(hold);
+    };
+    const placeholders = ids.map(() => '?').join(', ');
+
+    for (const hold of holds) {
+      if (hold.holdType === 'email') {
+        if (ids.includes(hold.emailId)) add(hold.emailId, hold);
+        continue;
+      }
+
+      let rows;
+      if (hold.holdType === 'user') {
+        rows = await query(`SELECT id FROM emails WHERE user_id = ? AND id IN (${placeholders})`, [hold.userId, ...ids]);
+      } else {
+        const search = searchIndexService.buildEmailSearch(hold.params || {});
+        const searchIndexJoin = search.joinSearchIndex ? ' LEFT JOIN email_search_index si ON si.email_id = e.id' : '';
+        rows = await query(
+          `SELECT e.id FROM emails e${searchIndexJoin} WHERE ${[...search.conditions, `e.id IN (${placeholders})`].join(' AND ')}`,
+          [...search.params, ...ids]
+        );
+      }
+      rows.forEach(row => add(row.id, hold));
+    }
+
+    return held;
+  }
+
+  async getHeldEmailIds(emailIds) {
+    return new Set((await this.findHolds(emailIds)).keys());
+  }
+
+  async getHoldsForEmail(emailId) {
+    return (await this.findHolds([emailId])).get(parseInt(emailId)) || [];
+  }
+
+  /**
+   * Active holds covering the user or any of the user's emails.
+   */
+  async getHoldsForUser(userId) {
+    const holds = await this.getActiveHolds();
+    const covering = [];
+
+    for (const hold of holds) {
+      if (hold.holdType === 'user') {
+        if (hold.userId === parseInt(userId)) covering.push(hold);
+      } else if (hold.holdType === 'email') {
+        const rows = await query('SELECT id FROM emails WHERE id = ? AND user_id = ?', [hold.emailId, userId]);
+        if (rows.length > 0) covering.push(hold);
+      } else {
+        const search = searchIndexService.buildEmailSearch(hold.params || {});
+        const searchIndexJoin = search.joinSearchIndex ? ' LEFT JOIN email_search_index si ON si.email_id = e.id' : '';
+        const rows = await query(
+          `SELECT e.id FROM emails e${searchIndexJoin} WHERE ${[...search.conditions, 'e.user_id = ?'].join(' AND ')} LIMIT 1`,
+          [...search.params, userId]
+        );
+        if (rows.length > 0) covering.push(hold);
+      }
+    }
+
+    return covering;
+  }
+}
+
+const legalHoldService = new LegalHoldService();
+
+module.exports = {
+  LegalHoldService,
+  legalHoldService,
+  LegalHoldError,
+  HOLD_TYPES,
+};
@@ -0,0 +1,474 @@
+const cron = require('node-cron');
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+const { attachmentStorageService } = require('../storage/attachmentStorageService');
+const { storageService } = require('../storage/storageService');
+const { legalHoldService } = require('./legalHoldService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/retention.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+const BATCH_SIZE = 200;
+// Daily at 02:00; set RETENTION_PURGE_SCHEDULE=off to disable
+const DEFAULT_SCHEDULE = '0 2 * * *';
+const MAX_RETENTION_YEARS = 100;
+
+class RetentionPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RetentionPolicyError';
+  }
+}
+
+function normalizeSenderDomain(value) {
+  return String(value).trim().toLowerCase().replace(/^@/, '');
+}
+
+/**
+ * Retention policies and the purge job that enforces them.
+ *
+ * A policy keeps the emails of a domain or of one user for N years, optionally
+ * only those in one folder and/or from one sender domain. When several
+ * policies match an email, the most specific one decides:
+ *
+ *   1. a user policy beats a domain policy
+ *   2. then the policy with more filters (folder, sender domain)
+ *   3. then the longer retention
+ *
+ * So a domain may keep everything for 7 years while one user's newsletters go
+ * after 1. Emails without a date and emails under a legal hold are never
+ * purged. Every purged email is recorded in audit_logs.
+ */
+class RetentionService {
+  constructor() {
+    this.cronJob = null;
+    this.status = {
+      running: false,
+      triggerType: null,
+      policiesApplied: 0,
+      emailsPurged: 0,
+      emailsHeld: 0,
+      errors: 0,
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+    };
+  }
+
+  startSchedule() {
+    const schedule = process.env.RETENTION_PURGE_SCHEDULE || DEFAULT_SCHEDULE;
+    if (schedule === 'off') {
+      logger.info('Scheduled retention purge disabled');
+      return;
+    }
+    if (!cron.validate(schedule)) {
+      logger.error('Invalid RETENTION_PURGE_SCHEDULE, scheduled retention purge disabled', { schedule });
+      return;
+    }
+
+    this.cronJob = cron.schedule(schedule, async () => {
+      if (this.status.running) {
+        logger.info('Skipping scheduled retention purge, a purge is already running');
+        return;
+      }
+
+      try {
+        await this.run({ triggerType: 'scheduled' });
+      } catch (error) {
+        logger.error('Scheduled retention purge failed', { error: error.message });
+      }
+    });
+
+    logger.info('Scheduled retention purge started', { schedule });
+  }
+
+  stopSchedule() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+    }
+  }
+
+  getStatus() {
+    return { ...this.status };
+  }
+
+  toPolicy(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      domainId: row.domain_id,
+      domainName: row.domain_name,
+      userId: row.user_id,
+      userEmail: row.user_email,
+      retentionYears: row.retention_years,
+      folder: row.folder,
+      senderDomain: row.sender_domain,
+      enabled: Boolean(row.enabled),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  async listPolicies() {
+    const rows = await query(
+      `SELECT p.*, d.name as domain_name, u.email as user_email
+       FROM retention_policies p
+       LEFT JOIN domains d ON p.domain_id = d.id
+       LEFT JOIN users u ON p.user_id = u.id
+       ORDER BY p.name`
+    );
+    return rows.map(row => this.toPolicy(row));
+  }
+
+  async getPolicy(id) {
+    const rows = await query('SELECT * FROM retention_policies WHERE id = ?', [id]);
+    return rows.length > 0 ? this.toPolicy(rows[0]) : null;
+  }
+
+  /**
+   * Validate a policy, merged over `existing` when updating.
+   *
+   * @throws {RetentionPolicyError}
+   */
+  async validatePolicy(fields, existing = {}) {
+    const policy = { ...existing };
+    for (const key of ['name', 'domainId', 'userId', 'retentionYears', 'folder', 'senderDomain', 'enabled']) {
+      if (fields[key] !== undefined) policy[key] = fields[key];
+    }
+
+    if (!policy.name || !String(policy.name).trim()) {
+      throw new RetentionPolicyError('Name is required');
+    }
+    policy.name = String(policy.name).trim();
+
+    if (Boolean(policy.domainId) === Boolean(policy.userId)) {
+      throw new RetentionPolicyError('A policy applies to either a domain or a user');
+    }
+    if (policy.domainId) {
+      const domains = await query('SELECT id FROM domains WHERE id = ?', [policy.domainId]);
+      if (domains.length === 0) throw new RetentionPolicyError('Domain not found');
+    } else {
+      const users = await query('SELECT id FROM users WHERE id = ?', [policy.userId]);
+      if (users.length === 0) throw new RetentionPolicyError('User not found');
+    }
+
+    const years = Number(policy.retentionYears);
+    if (!Number.isInteger(years) || years < 1 || years > MAX_RETENTION_YEARS) {
+      throw new RetentionPolicyError(`Retention must be a whole number of years between 1 and ${MAX_RETENTION_YEARS}`);
+    }
+    policy.retentionYears = years;
+
+    policy.folder = policy.folder && String(policy.folder).trim() ? String(policy.folder).trim() : null;
+    policy.senderDomain = policy.senderDomain && normalizeSenderDomain(policy.senderDomain)
+      ? normalizeSenderDomain(policy.senderDomain)
+      : null;
+    policy.enabled = policy.enabled === undefined ? true : Boolean(policy.enabled);
+
+    return policy;
+  }
+
+  async createPolicy(adminUserId, fields) {
+    const policy = await this.validatePolicy(fields);
+
+    const result = await query(
+      `INSERT INTO retention_policies
+       (name, domain_id, user_id, retention_years, folder, sender_domain, enabled, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        policy.name,
+        policy.domainId || null,
+        policy.userId || null,
+        policy.retentionYears,
+        policy.folder,
+        policy.senderDomain,
+        policy.enabled ? 1 : 0,
+        adminUserId
+      ]
+    );
+
+    const header = Array.isArray(result) ? result[0] : result;
+    const id = header.insertId || header.lastID;
+    logger.info('Retention policy created', { id, ...policy });
+    return this.getPolicy(id);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The updated policy, or null if it does not exist
+   */
+  async updatePolicy(id, fields) {
+    const existing = await this.getPolicy(id);
+    if (!existing) return null;
+
+    // Switching scope: the other one is cleared
+    if (fields.domainId && fields.userId === undefined) fields = { ...fields, userId: null };
+    if (fields.userId && fields.domainId === undefined) fields = { ...fields, domainId: null };
+    const policy = await this.validatePolicy(fields, existing);
+
+    await query(
+      `UPDATE retention_policies
+       SET name = ?, domain_id = ?, user_id = ?, retention_years = ?, folder = ?, sender_domain = ?, enabled = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [
+        policy.name,
+        policy.domainId || null,
+        policy.userId || null,
+        policy.retentionYears,
+        policy.folder,
+        policy.senderDomain,
+        policy.enabled ? 1 : 0,
+        id
+      ]
+    );
+
+    logger.info('Retention policy updated', { id, ...policy });
+    return this.getPolicy(id);
+  }
+
+  async deletePolicy(id) {
+    const result = await query('DELETE FROM retention_policies WHERE id = ?', [id]);
+    const header = Array.isArray(result) ? result[0] : result;
+    return Boolean(header && (header.affectedRows || header.changes));
+  }
+
+  /**
+   * Enabled policies, most specific first.
+   */
+  async getEnabledPolicies() {
+    const rows = await query('SELECT * FROM retention_policies WHERE enabled = 1');
+    const specificity = policy => (policy.userId ? 10 : 0) + (policy.folder ? 1 : 0) + (policy.senderDomain ? 1 : 0);
+
+    return rows
+      .map(row => this.toPolicy(row))
+      .sort((a, b) => specificity(b) - specificity(a) || b.retentionYears - a.retentionYears || a.id - b.id);
+  }
+
+  /**
+   * SQL condition matching the emails a policy applies to, whatever their age.
+   */
+  buildPolicyMatch(policy) {
+    const conditions = [];
+    const params = [];
+
+    if (policy.userId) {
+      conditions.push('e.user_id = ?');
+      params.push(policy.userId);
+    } else {
+      conditions.push('e.user_id IN (SELECT id FROM users WHERE domain_id = ?)');
+      params.push(policy.domainId);
+    }
+
+    if (policy.folder) {
+      conditions.push('e.folder = ?');
+      params.push(policy.folder);
+    }
+
+    if (policy.senderDomain) {
+      // from_email is either a bare address or "Name <address>"
+      conditions.push('(LOWER(e.from_email) LIKE ? OR LOWER(e.from_email) LIKE ?)');
+      params.push(`%@${policy.senderDomain}`, `%@${policy.senderDomain}>%`);
+    }
+
+    return { sql: conditions.join(' AND '), params };
+  }
+
+  /**
+   * SQL condition matching the expired emails governed by `policies[index]`:
+   * older than its cutoff and not matched by any more specific policy.
+   */
+  buildExpiredCondition(policies, index, now = new Date()) {
+    const policy = policies[index];
+    const match = this.buildPolicyMatch(policy);
+
+    const cutoff = new Date(now);
+    cutoff.setFullYear(cutoff.getFullYear() - policy.retentionYears);
+
+    const conditions = [match.sql, 'e.date < ?'];
+    const params = [...match.params, cutoff];
+
+    for (const preceding of policies.slice(0, index)) {
+      const precedingMatch = this.buildPolicyMatch(preceding);
+      conditions.push(`NOT (${precedingMatch.sql})`);
+      params.push(...precedingMatch.params);
+    }
+
+    return { sql: conditions.join(' AND '), params, cutoff };
+  }
+
+  /**
+   * Expired emails of one policy, batch by batch, with held ones separated out.
+   */
+  async forEachExpiredBatch(policies, index, batchSize, handler) {
+    const condition = this.buildExpiredCondition(policies, index);
+
+    // Keyset pagination, since purged rows disappear while we go
+    let lastEmailId = 0;
+    while (true) {
+      const emails = await query(
+        `SELECT e.id, e.user_id, e.message_id, e.date, e.folder, e.eml_path FROM emails e
+         WHERE ${condition.sql} AND e.id > ?
+         ORDER BY e.id LIMIT ${batchSize}`,
+        [...condition.params, lastEmailId]
+      );
+      if (emails.length === 0) break;
+      lastEmailId = emails[emails.length - 1].id;
+
+      const heldIds = await legalHoldService.getHeldEmailIds(emails.map(email => email.id));
+      await handler(
+        emails.filter(email => !heldIds.has(email.id)),
+        emails.filter(email => heldIds.has(email.id)),
+        condition.cutoff
+      );
+    }
+  }
+
+  /**
+   * What a purge would delete now, per policy.
+   */
+  async preview({ batchSize = BATCH_SIZE } = {}) {
+    const policies = await this.getEnabledPolicies();
+    const results = [];
+
+    for (let i = 0; i < policies.length; i++) {
+      const result = { policy: policies[i], cutoff: null, expired: 0, held: 0 };
+      await this.forEachExpiredBatch(policies, i, parseInt(batchSize), (purgeable, held, cutoff) => {
+        result.cutoff = cutoff;
+        result.expired += purgeable.length;
+        result.held += held.length;
+      });
+      results.push(result);
+    }
+
+    return {
+      policies: results,
+      totalExpired: results.reduce((sum, result) => sum + result.expired, 0),
+      totalHeld: results.reduce((sum, result) => sum + result.held, 0),
+    };
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.triggerType] - 'manual' or 'scheduled'
+   * @param {number} [options.adminUserId] - Admin who started a manual purge
+   */
+  async run({ triggerType = 'manual', adminUserId = null, batchSize = BATCH_SIZE } = {}) {
+    if (this.status.running) {
+      throw new Error('Retention purge is already running');
+    }
+
+    this.status = {
+      running: true,
+      triggerType,
+      policiesApplied: 0,
+      emailsPurged: 0,
+      emailsHeld: 0,
+      errors: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+    };
+
+    const status = this.status;
+
+    try {
+      const policies = await this.getEnabledPolicies();
+      logger.info('Retention purge started', { triggerType, policies: policies.length });
+
+      for (let i = 0; i < policies.length; i++) {
+        const policy = policies[i];
+
+        await this.forEachExpiredBatch(policies, i, parseInt(batchSize), async (purgeable, held) => {
+          status.emailsHeld += held.length;
+
+          for (const email of purgeable) {
+            try {
+              await this.purgeEmail(email, policy, adminUserId);
+              status.emailsPurged++;
+            } catch (error) {
+              status.errors++;
+              logger.error('Failed to purge email', { emailId: email.id, policyId: policy.id, error: error.message });
+            }
+          }
+        });
+
+        status.policiesApplied++;
+        logger.info(`Retention purge progress: policy ${policy.id} applied`, { emailsPurged: status.emailsPurged });
+      }
+
+      logger.info('Retention purge completed', { ...status });
+    } catch (error) {
+      status.error = error.message;
+      logger.error('Retention purge failed', { error: error.message });
+      throw error;
+    } finally {
+      status.running = false;
+      status.finishedAt = new Date().toISOString();
+
+      await this.logAudit(adminUserId, 'retention_purge_run', 'retention_policies', null, {
+        triggerType,
+        policiesApplied: status.policiesApplied,
+        emailsPurged: status.emailsPurged,
+        emailsHeld: status.emailsHeld,
+        errors: status.errors,
+        error: status.error,
+      });
+    }
+
+    return { ...status };
+  }
+
+  async purgeEmail(email, policy, adminUserId) {
+    // Recorded first: an email is never purged without its audit entry
+    await query(
+      'INSERT INTO audit_logs (admin_user_id, action, resource, resource_id, details) VALUES (?, ?, ?, ?, ?)',
+      [adminUserId, 'retention_purge', 'emails', email.id, JSON.stringify({
+        policyId: policy.id,
+        policyName: policy.name,
+        retentionYears: policy.retentionYears,
+        userId: email.user_id,
+        messageId: email.message_id,
+        folder: email.folder,
+        date: email.date,
+      })]
+    );
+
+    try {
+      await storageService.delete(email.eml_path);
+    } catch (error) {
+      logger.warn('Failed to delete EML file', { path: email.eml_path });
+    }
+
+    // Release attachment blobs before the cascade drops the references
+    await attachmentStorageService.releaseEmailAttachments([email.id]);
+
+    await query('DELETE FROM emails WHERE id = ?', [email.id]);
+  }
+
+  async logAudit(adminUserId, action, resource, resourceId, details) {
+    try {
+      await query(
+        'INSERT INTO audit_logs (admin_user_id, action, resource, resource_id, details) VALUES (?, ?, ?, ?, ?)',
+        [adminUserId, action, resource, resourceId, JSON.stringify(details)]
+      );
+    } catch (error) {
+      logger.error('Failed to log audit action', { action, resourceId, error: error.message });
+    }
+  }
+}
+
+const retentionService = new RetentionService();
+
+module.exports = {
+  RetentionService,
+  retentionService,
+  RetentionPolicyError,
+};
@@ -0,0 +1,63 @@
+jest.mock('../../database/databaseService', () => ({ query: jest.fn() }));
+
+const { query } = require('../../database/databaseService');
+const { savedSearchService } = require('../savedSearchService');
+
+/**
+ * Saved searches and their alerts behind the mocked query().
+ */
+function useDatabase() {
+  const db = {
+    searches: [
+      { id: 1, admin_user_id: 10, name: 'Invoices', params: '{"q":"invoice"}', alert_enabled: 1 },
+      { id: 2, admin_user_id: 20, name: 'Contracts', params: '{"q":"contract"}', alert_enabled: 1 },
+    ],
+    alerts: [
+      { id: 1, saved_search_id: 1 },
+      { id: 2, saved_search_id: 2 },
+    ],
+  };
+
+  query.mockImplementation(async (sql, params) => {
+    if (sql.startsWith('SELECT * FROM saved_searches WHERE id = ? AND admin_user_id = ?')) {
+      return db.searches.filter(search => search.id === Number(params[0]) && search.admin_user_id === params[1]);
+    }
+    if (sql.startsWith('DELETE FROM saved_search_alerts WHERE saved_search_id = ?')) {
+      db.alerts = db.alerts.filter(alert => alert.saved_search_id !== Number(params[0]));
+      return { affectedRows: 1 };
+    }
+    if (sql.startsWith('DELETE FROM saved_searches WHERE id = ? AND admin_user_id = ?')) {
+      db.searches = db.searches.filter(search => !(search.id === Number(params[0]) && search.admin_user_id === params[1]));
+      return { affectedRows: 1 };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  return db;
+}
+
+describe('SavedSearchService.deleteSavedSearch()', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("deletes the admin's search and its alerts", async () => {
+    const db = useDatabase();
+
+    const deleted = await savedSearchService.deleteSavedSearch('1', 10);
+
+    expect(deleted).toMatchObject({ id: 1, name: 'Invoices' });
+    expect(db.searches.map(search => search.id)).toEqual([2]);
+    expect(db.alerts.map(alert => alert.saved_search_id)).toEqual([2]);
+  });
+
+  test("leaves another admin's search and alerts alone", async () => {
+    const db = useDatabase();
+
+    expect(await savedSearchService.deleteSavedSearch('2', 10)).toBeNull();
+
+    expect(db.searches.map(search => search.id)).toEqual([1, 2]);
+    expect(db.alerts.map(alert => alert.saved_search_id)).toEqual([1, 2]);
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,161 @@
+const { parseSearchQuery, SearchQueryError } = require('../searchQueryParser');
+
+const parseError = (query) => {
+  try {
+    parseSearchQuery(query);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Expected "${query}" to be rejected`);
+};
+
+describe('parseSearchQuery', () => {
+  test('returns no terms or filters for an empty query', () => {
+    expect(parseSearchQuery('')).toEqual({ terms: [], filters: [] });
+    expect(parseSearchQuery(null)).toEqual({ terms: [], filters: [] });
+    expect(parseSearchQuery('   ')).toEqual({ terms: [], filters: [] });
+  });
+
+  test('parses from:, to: and subject:', () => {
+    const { terms, filters } = parseSearchQuery('from:alice@example.com to:bob subject:invoice');
+    expect(terms).toEqual([]);
+    expect(filters).toEqual([
+      { type: 'from', value: 'alice@example.com', negated: false },
+      { type: 'to', value: 'bob', negated: false },
+      { type: 'subject', value: 'invoice', negated: false },
+    ]);
+  });
+
+  test('accepts operators in any case', () => {
+    expect(parseSearchQuery('FROM:alice').filters).toEqual([{ type: 'from', value: 'alice', negated: false }]);
+  });
+
+  test('parses has:attachment', () => {
+    expect(parseSearchQuery('has:attachment').filters).toEqual([{ type: 'hasAttachment', negated: false }]);
+    expect(parseSearchQuery('has:attachments').filters).toEqual([{ type: 'hasAttachment', negated: false }]);
+  });
+
+  test('maps label: and in: to folders, with Gmail system folder aliases', () => {
+    expect(parseSearchQuery('label:Projects').filters).toEqual([
+      { type: 'folder', folders: ['Projects'], negated: false },
+    ]);
+    expect(parseSearchQuery('in:sent').filters).toEqual([
+      { type: 'folder', folders: ['[Gmail]/Sent Mail', '[Google Mail]/Sent Mail'], negated: false },
+    ]);
+    expect(parseSearchQuery('in:anywhere').filters).toEqual([]);
+  });
+
+  test('parses quoted phrases as terms and as operator values', () => {
+    const { terms, filters } = parseSearchQuery('"quarterly report" subject:"budget review" draft');
+    expect(terms).toEqual([
+      { value: 'quarterly report', phrase: true, negated: false },
+      { value: 'draft', phrase: false, negated: false },
+    ]);
+    expect(filters).toEqual([{ type: 'subject', value: 'budget review', negated: false }]);
+  });
+
+  test('negates terms, phrases and operators with a leading minus', () => {
+    const { terms, filters } = parseSearchQuery('-newsletter -"do not reply" -from:noreply -has:attachment -in:trash');
+    expect(terms).toEqual([
+      { value: 'newsletter', phrase: false, negated: true },
+      { value: 'do not reply', phrase: true, negated: true },
+    ]);
+    expect(filters).toEqual([
+      { type: 'from', value: 'noreply', negated: true },
+      { type: 'hasAttachment', negated: true },
+      { type: 'folder', folders: ['[Gmail]/Trash', '[Google Mail]/Trash', '[Google Mail]/Bin'], negated: true },
+    ]);
+  });
+
+  test('treats is:unread as the negation of the \\Seen flag', () => {
+    expect(parseSearchQuery('is:unread').filters).toEqual([{ type: 'flag', flag: '\\Seen', negated: true }]);
+    expect(parseSearchQuery('-is:unread').filters).toEqual([{ type: 'flag', flag: '\\Seen', negated: false }]);
+    expect(parseSearchQuery('is:deleted').filters).toEqual([{ type: 'deletedOnServer', negated: false }]);
+  });
+
+  test('parses before: and after: dates as UTC midnight', () => {
+    const { filters } = parseSearchQuery('after:2024/01/15 before:2024-03-01');
+    expect(filters).toEqual([
+      { type: 'date', comparison: 'after', value: new Date('2024-01-15T00:00:00Z'), negated: false },
+      { type: 'date', comparison: 'before', value: new Date('2024-03-01T00:00:00Z'), negated: false },
+    ]);
+  });
+
+  test('accepts US dates and Unix timestamps', () => {
+    expect(parseSearchQuery('after:12/31/2023').filters[0].value).toEqual(new Date('2023-12-31T00:00:00Z'));
+    expect(parseSearchQuery('before:1704067200').filters[0].value).toEqual(new Date('2024-01-01T00:00:00Z'));
+  });
+
+  test('resolves newer_than: and older_than: against the reference time', () => {
+    const now = new Date('2024-06-15T12:00:00Z');
+    const { filters } = parseSearchQuery('newer_than:7d older_than:1y', { now });
+    expect(filters).toEqual([
+      { type: 'date', comparison: 'after', value: new Date('2024-06-08T12:00:00Z'), negated: false },
+      { type: 'date', comparison: 'before', value: new Date('2023-06-15T12:00:00Z'), negated: false },
+    ]);
+  });
+
+  test('parses larger: and smaller: sizes with unit suffixes', () => {
+    const { filters } = parseSearchQuery('larger:5M smaller:100kb size:2048');
+    expect(filters).toEqual([
+      { type: 'size', comparison: 'larger', value: 5 * 1024 * 1024, negated: false },
+      { type: 'size', comparison: 'smaller', value: 100 * 1024, negated: false },
+      { type: 'size', comparison: 'larger', value: 2048, negated: false },
+    ]);
+    expect(parseSearchQuery('larger:1.5G').filters[0].value).toBe(Math.round(1.5 * 1024 * 1024 * 1024));
+  });
+
+  test('keeps unknown operators such as URLs as plain words', () => {
+    expect(parseSearchQuery('https://example.com/page').terms).toEqual([
+      { value: 'https://example.com/page', phrase: false, negated: false },
+    ]);
+  });
+
+  test('skips punctuation-only words', () => {
+    expect(parseSearchQuery('salt & pepper - ok').terms.map(term => term.value)).toEqual(['salt', 'pepper', 'ok']);
+  });
+
+  describe('malformed queries', () => {
+    test('rejects an unterminated quote', () => {
+      const error = parseError('from:alice "unfinished phrase');
+      expect(error).toBeInstanceOf(SearchQueryError);
+      expect(error.code).toBe('UNTERMINATED_QUOTE');
+      expect(error.position).toBe(11);
+      expect(error.token).toBe('"unfinished phrase');
+    });
+
+    test('rejects an operator without a value', () => {
+      const error = parseError('subject: hello');
+      expect(error.code).toBe('MISSING_VALUE');
+      expect(error.token).toBe('subject:');
+      expect(parseError('from:""').code).toBe('MISSING_VALUE');
+    });
+
+    test('rejects unsupported has: and is: values', () => {
+      expect(parseError('has:drive').code).toBe('UNSUPPORTED_VALUE');
+      expect(parseError('is:muted').code).toBe('UNSUPPORTED_VALUE');
+    });
+
+    test('rejects invalid and rolled-over dates', () => {
+      expect(parseError('after:yesterday').code).toBe('INVALID_DATE');
+      expect(parseError('before:2024/02/31').code).toBe('INVALID_DATE');
+      expect(parseError('after:2024/13/01').code).toBe('INVALID_DATE');
+    });
+
+    test('rejects invalid periods and sizes', () => {
+      expect(parseError('newer_than:week').code).toBe('INVALID_PERIOD');
+      expect(parseError('larger:huge').code).toBe('INVALID_SIZE');
+      expect(parseError('smaller:5T').code).toBe('INVALID_SIZE');
+    });
+
+    test('serializes errors for API responses', () => {
+      const error = parseError('-larger:big');
+      expect(error.toJSON()).toEqual({
+        code: 'INVALID_SIZE',
+        message: 'Invalid size "big", use bytes or a K/M/G suffix (e.g. 5M)',
+        position: 0,
+        token: '-larger:big',
+      });
+    });
+  });
+});
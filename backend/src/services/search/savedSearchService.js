@@ -0,0 +1,257 @@
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+const { searchIndexService } = require('./searchIndexService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/saved-searches.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+// The /api/emails/search parameters a saved search can store
+const SEARCH_PARAM_KEYS = ['q', 'subject', 'from', 'to', 'user_id', 'folder', 'label', 'date_from', 'date_to',
+  'deleted_on_server', 'deleted_from', 'deleted_to'];
+const MAX_ALERT_EMAIL_IDS = 100;
+
+class SavedSearchService {
+  /**
+   * Keep only known, non-empty search parameters. Validates the query
+   * syntax so a broken saved search is rejected when it is saved.
+   *
+   * @throws {SearchQueryError} When `q` is malformed
+   */
+  normalizeParams(params = {}) {
+    const normalized = {};
+    for (const key of SEARCH_PARAM_KEYS) {
+      const value = params[key];
+      if (value !== undefined && value !== null && String(value).trim() !== '') {
+        normalized[key] = typeof value === 'string' ? value.trim() : value;
+      }
+    }
+
+    searchIndexService.buildEmailSearch(normalized);
+    return normalized;
+  }
+
+  toSavedSearch(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      params: JSON.parse(row.params || '{}'),
+      alertEnabled: Boolean(row.alert_enabled),
+      lastAlertAt: row.last_alert_at,
+      unreadAlerts: Number(row.unread_alerts || 0),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  async getLatestEmailId() {
+    const result = await query('SELECT MAX(id) as max_id FROM emails');
+    return result[0]?.max_id || 0;
+  }
+
+  async listSavedSearches(adminUserId) {
+    const rows = await query(
+      `SELECT s.*,
+              (SELECT COUNT(*) FROM saved_search_alerts sa
+               WHERE sa.saved_search_id = s.id AND sa.read_at IS NULL) as unread_alerts
+       FROM saved_searches s
+       WHERE s.admin_user_id = ?
+       ORDER BY s.name`,
+      [adminUserId]
+    );
+    return rows.map(row => this.toSavedSearch(row));
+  }
+
+  async getSavedSearch(id, adminUserId) {
+    const rows = await query(
+      'SELECT * FROM saved_searches WHERE id = ? AND admin_user_id = ?',
+      [id, adminUserId]
+    );
+    return rows.length > 0 ? this.toSavedSearch(rows[0]) : null;
+  }
+
+  async createSavedSearch(adminUserId, { name, params, alertEnabled = false }) {
+    const normalized = this.normalizeParams(params);
+
+    // Alerts only cover mail ingested after the search was saved
+    const latestEmailId = await this.getLatestEmailId();
+
+    const result = await query(
+      `INSERT INTO saved_searches (admin_user_id, name, params, alert_enabled, last_checked_email_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
+      [adminUserId, name, JSON.stringify(normalized), alertEnabled ? 1 : 0, latestEmailId]
+    );
+
+    const header = Array.isArray(result) ? result[0] : result;
+    const id = header.insertId || header.lastID;
+
+    logger.info('Saved search created', { id, adminUserId, name, alertEnabled });
+    return this.getSavedSearch(id, adminUserId);
+  }
+
+  async updateSavedSearch(id, adminUserId, { name, params, alertEnabled }) {
+    const existing = await this.getSavedSearch(id, adminUserId);
+    if (!existing) return null;
+
+    const updates = ['updated_at = NOW()'];
+    const values = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      values.push(name);
+    }
+
+    if (params !== undefined) {
+      updates.push('params = ?');
+      values.push(JSON.stringify(this.normalizeParams(params)));
+    }
+
+    if (alertEnabled !== undefined) {
+      updates.push('alert_enabled = ?');
+      values.push(alertEnabled ? 1 : 0);
+
+      // Re-enabling alerts should not report everything ingested while they were off
+      if (alertEnabled && !existing.alertEnabled) {
+        updates.push('last_checked_email_id = ?');
+        values.push(await this.getLatestEmailId());
+      }
+    }
+
+    await query(
+      `UPDATE saved_searches SET ${updates.join(', ')} WHERE id = ? AND admin_user_id = ?`,
+      [...values, id, adminUserId]
+    );
+
+    logger.info('Saved search updated', { id, adminUserId });
+    return this.getSavedSearch(id, adminUserId);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The deleted search, null if the admin has none with this id
+   */
+  async deleteSavedSearch(id, adminUserId) {
+    const existing = await this.getSavedSearch(id, adminUserId);
+    if (!existing) return null;
+
+    await query('DELETE FROM saved_search_alerts WHERE saved_search_id = ?', [existing.id]);
+    await query('DELETE FROM saved_searches WHERE id = ? AND admin_user_id = ?', [existing.id, adminUserId]);
+    logger.info('Saved search deleted', { id, adminUserId });
+    return existing;
+  }
+
+  /**
+   * Run every alert-enabled saved search against emails ingested since it was
+   * last checked and record an alert for each search with new matches.
+   * Called after each backup run.
+   */
+  async checkAlerts() {
+    const savedSearches = await query('SELECT * FROM saved_searches WHERE alert_enabled = 1');
+    if (savedSearches.length === 0) return { checked: 0, alerts: 0 };
+
+    // Snapshot so mail arriving during the check is picked up next time
+    const latestEmailId = await this.getLatestEmailId();
+    let alertCount = 0;
+
+    for (const savedSearch of savedSearches) {
+      try {
+        if ((savedSearch.last_checked_email_id || 0) >= latestEmailId) continue;
+
+        const search = searchIndexService.buildEmailSearch(JSON.parse(savedSearch.params || '{}'));
+        const searchIndexJoin = search.joinSearchIndex ? ' LEFT JOIN email_search_index si ON si.email_id = e.id' : '';
+        const conditions = [...search.conditions, 'e.id > ?', 'e.id <= ?'];
+        const params = [...search.params, savedSearch.last_checked_email_id || 0, latestEmailId];
+
+        const matches = await query(
+          `SELECT e.id FROM emails e${searchIndexJoin} WHERE ${conditions.join(' AND ')} ORDER BY e.id`,
+          params
+        );
+
+        if (matches.length > 0) {
+          await query(
+            `INSERT INTO saved_search_alerts (saved_search_id, admin_user_id, match_count, email_ids, created_at)
+             VALUES (?, ?, ?, ?, NOW())`,
+            [
+              savedSearch.id,
+              savedSearch.admin_user_id,
+              matches.length,
+              JSON.stringify(matches.slice(0, MAX_ALERT_EMAIL_IDS).map(match => match.id))
+            ]
+          );
+          alertCount++;
+
+          logger.info('Saved search alert raised', {
+            savedSearchId: savedSearch.id,
+            adminUserId: savedSearch.admin_user_id,
+            name: savedSearch.name,
+            matches: matches.length
+          });
+        }
+
+        await query(
+          `UPDATE saved_searches SET last_checked_email_id = ?${matches.length > 0 ? ', last_alert_at = NOW()' : ''} WHERE id = ?`,
+          [latestEmailId, savedSearch.id]
+        );
+      } catch (error) {
+        // A broken saved search must not stop the others from being checked
+        logger.error('Failed to check saved search', { savedSearchId: savedSearch.id, error: error.message });
+      }
+    }
+
+    logger.info('Saved search alerts checked', { checked: savedSearches.length, alerts: alertCount });
+    return { checked: savedSearches.length, alerts: alertCount };
+  }
+
+  async listAlerts(adminUserId, { unreadOnly = false } = {}) {
+    const rows = await query(
+      `SELECT sa.*, s.name as saved_search_name
+       FROM saved_search_alerts sa
+       JOIN saved_searches s ON sa.saved_search_id = s.id
+       WHERE sa.admin_user_id = ?${unreadOnly ? ' AND sa.read_at IS NULL' : ''}
+       ORDER BY sa.created_at DESC
+       LIMIT 100`,
+      [adminUserId]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      savedSearchId: row.saved_search_id,
+      savedSearchName: row.saved_search_name,
+      matchCount: row.match_count,
+      emailIds: JSON.parse(row.email_ids || '[]'),
+      read: Boolean(row.read_at),
+      createdAt: row.created_at,
+    }));
+  }
+
+  async markAlertsRead(adminUserId, { alertId = null, savedSearchId = null } = {}) {
+    let sql = 'UPDATE saved_search_alerts SET read_at = NOW() WHERE admin_user_id = ? AND read_at IS NULL';
+    const params = [adminUserId];
+
+    if (alertId) {
+      sql += ' AND id = ?';
+      params.push(alertId);
+    }
+
+    if (savedSearchId) {
+      sql += ' AND saved_search_id = ?';
+      params.push(savedSearchId);
+    }
+
+    await query(sql, params);
+  }
+}
+
+const savedSearchService = new SavedSearchService();
+
+module.exports = {
+  SavedSearchService,
+  savedSearchService,
+};
@@ -0,0 +1,563 @@
+const path = require('path');
+const winston = require('winston');
+const { simpleParser } = require('mailparser');
+const { convert: htmlToText } = require('html-to-text');
+const mammoth = require('mammoth');
+// Require the library entry directly: pdf-parse's index.js runs a self-test when loaded without a parent module
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { query, DB_TYPE } = require('../database/databaseService');
+const { parseSearchQuery } = require('./searchQueryParser');
+const { backupFileService } = require('../storage/backupFileService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/search-index.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+const LIMITS = {
+  MAX_BODY_CHARS: 200000,
+  MAX_ATTACHMENT_CHARS: 500000, // Total extracted text across all attachments of one email
+  MAX_ATTACHMENT_BYTES: parseInt(process.env.SEARCH_MAX_ATTACHMENT_BYTES || String(25 * 1024 * 1024)),
+  MIN_TERM_LENGTH: 3, // InnoDB innodb_ft_min_token_size default
+  SNIPPET_RADIUS: 80,
+  BACKFILL_BATCH_SIZE: 200,
+};
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const TEXT_TYPES = ['application/json', 'application/xml', 'application/csv', 'application/x-yaml', 'message/rfc822'];
+const TEXT_EXTENSIONS = ['.txt', '.csv', '.tsv', '.md', '.json', '.xml', '.log', '.ics', '.vcf', '.yaml', '.yml'];
+
+class SearchIndexService {
+  constructor() {
+    this.backfillStatus = {
+      running: false,
+      userId: null,
+      total: 0,
+      processed: 0,
+      indexed: 0,
+      failed: 0,
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+    };
+  }
+
+  /**
+   * Store the searchable text of a parsed message (mailparser output).
+   * Never throws: a message that cannot be indexed is still archived.
+   */
+  async indexEmail(emailId, userId, parsed) {
+    try {
+      const bodyText = this.truncate(this.getBodyText(parsed), LIMITS.MAX_BODY_CHARS);
+      const attachmentText = await this.extractAttachmentsText(parsed.attachments || []);
+
+      await query(
+        `INSERT INTO email_search_index (email_id, user_id, subject, body_text, attachment_text, indexed_at)
+         VALUES (?, ?, ?, ?, ?, NOW())
+         ON DUPLICATE KEY UPDATE
+         subject = VALUES(subject),
+         body_text = VALUES(body_text),
+         attachment_text = VALUES(attachment_text),
+         indexed_at = NOW()`,
+        [emailId, userId, parsed.subject || '', bodyText, attachmentText]
+      );
+
+      logger.debug('Email indexed', { emailId, bodyChars: bodyText.length, attachmentChars: attachmentText.length });
+      return true;
+    } catch (error) {
+      logger.error('Failed to index email', { emailId, error: error.message });
+      return false;
+    }
+  }
+
+  getBodyText(parsed) {
+    if (parsed.text) return parsed.text;
+    if (parsed.html) return htmlToText(parsed.html, { wordwrap: false });
+    return '';
+  }
+
+  async extractAttachmentsText(attachments) {
+    let combined = '';
+
+    for (const attachment of attachments) {
+      if (combined.length >= LIMITS.MAX_ATTACHMENT_CHARS) break;
+
+      let text = '';
+      try {
+        text = await this.extractAttachmentText(attachment);
+      } catch (error) {
+        logger.warn('Failed to extract attachment text', {
+          filename: attachment.filename,
+          contentType: attachment.contentType,
+          error: error.message
+        });
+      }
+
+      // Filenames are searchable even when the content is not
+      const entry = [attachment.filename, text].filter(Boolean).join('\n');
+      if (entry) combined += `${entry}\n\n`;
+    }
+
+    return this.truncate(combined, LIMITS.MAX_ATTACHMENT_CHARS);
+  }
+
+  /**
+   * Plain text of common document types: text/*, HTML, PDF and DOCX.
+   * Anything else (images, archives, ...) yields an empty string.
+   */
+  async extractAttachmentText(attachment) {
+    const content = attachment.content;
+    if (!Buffer.isBuffer(content) || content.length === 0 || content.length > LIMITS.MAX_ATTACHMENT_BYTES) {
+      return '';
+    }
+
+    const contentType = (attachment.contentType || '').toLowerCase();
+    const extension = path.extname(attachment.filename || '').toLowerCase();
+
+    if (contentType === 'application/pdf' || extension === '.pdf') {
+      const result = await pdfParse(content);
+      return result.text || '';
+    }
+
+    if (contentType === DOCX_TYPE || extension === '.docx') {
+      const result = await mammoth.extractRawText({ buffer: content });
+      return result.value || '';
+    }
+
+    if (contentType === 'text/html' || extension === '.html' || extension === '.htm') {
+      return htmlToText(content.toString('utf8'), { wordwrap: false });
+    }
+
+    if (contentType.startsWith('text/') || TEXT_TYPES.includes(contentType) || TEXT_EXTENSIONS.includes(extension)) {
+      return content.toString('utf8');
+    }
+
+    return '';
+  }
+
+  truncate(text, maxChars) {
+    if (!text) return '';
+    return text.length > maxChars ? text.substring(0, maxChars) : text;
+  }
+
+  /**
+   * WHERE conditions for the /api/emails/search parameters: the Gmail-style
+   * `q` plus the explicit subject/from/to/user_id/folder/label/date_from/date_to
+   * and deleted_on_server/deleted_from/deleted_to filters. Also used to
+   * evaluate saved searches.
+   *
+   * @throws {SearchQueryError} When `q` is malformed
+   */
+  buildEmailSearch(filters) {
+    const search = this.buildSearchConditions(parseSearchQuery(filters.q || ''));
+    const { conditions, params } = search;
+
+    if (filters.subject) {
+      conditions.push('e.subject LIKE ?');
+      params.push(`%${filters.subject}%`);
+    }
+
+    if (filters.from) {
+      conditions.push('e.from_email LIKE ?');
+      params.push(`%${filters.from}%`);
+    }
+
+    if (filters.to) {
+      conditions.push('e.to_email LIKE ?');
+      params.push(`%${filters.to}%`);
+    }
+
+    if (filters.user_id) {
+      conditions.push('e.user_id = ?');
+      params.push(filters.user_id);
+    }
+
+    if (filters.folder) {
+      conditions.push('e.folder = ?');
+      params.push(filters.folder);
+    }
+
+    // One label or several (any of them), see emailLabelService
+    if (filters.label) {
+      const labels = Array.isArray(filters.label) ? filters.label : [filters.label];
+      conditions.push(`EXISTS (SELECT 1 FROM email_labels el WHERE el.email_id = e.id AND el.label IN (${labels.map(() => '?').join(', ')}))`);
+      params.push(...labels);
+    }
+
+    if (filters.date_from) {
+      conditions.push('e.date >= ?');
+      params.push(new Date(filters.date_from));
+    }
+
+    if (filters.date_to) {
+      conditions.push('e.date <= ?');
+      params.push(new Date(filters.date_to));
+    }
+
+    // Deleted from the user's mailbox (emails.deleted_on_server_at), e.g. for insider-risk reviews
+    if (filters.deleted_on_server !== undefined && filters.deleted_on_server !== '') {
+      const deleted = filters.deleted_on_server === true || filters.deleted_on_server === 'true';
+      conditions.push(`e.deleted_on_server_at IS ${deleted ? 'NOT ' : ''}NULL`);
+    }
+
+    if (filters.deleted_from) {
+      conditions.push('e.deleted_on_server_at >= ?');
+      params.push(new Date(filters.deleted_from));
+    }
+
+    if (filters.deleted_to) {
+      conditions.push('e.deleted_on_server_at <= ?');
+      params.push(new Date(filters.deleted_to));
+    }
+
+    return search;
+  }
+
+  /**
+   * Translate a parsed search query (see searchQueryParser) into WHERE
+   * conditions on `emails e`. Free-text terms also match the search index,
+   * which the caller must LEFT JOIN as `si` when `joinSearchIndex` is set.
+   *
+   * Every term must match somewhere (subject, sender, recipients, body or
+   * attachments). MySQL uses the FULLTEXT index in boolean mode; other
+   * databases fall back to LIKE.
+   */
+  buildSearchConditions(parsedQuery) {
+    const conditions = [];
+    const params = [];
+
+    for (const term of parsedQuery.terms) {
+      const like = `%${term.value}%`;
+
+      if (term.negated) {
+        const columns = ['e.subject', 'e.from_email', 'e.to_email', 'si.body_text', 'si.attachment_text'];
+        conditions.push(`NOT (${columns.map((column) => `COALESCE(${column}, '') LIKE ?`).join(' OR ')})`);
+        params.push(...columns.map(() => like));
+        continue;
+      }
+
+      const parts = ['e.subject LIKE ?', 'e.from_email LIKE ?', 'e.to_email LIKE ?'];
+      const termParams = [like, like, like];
+      const match = this.buildTermMatch(term);
+      if (match) {
+        parts.push(match.condition);
+        termParams.push(...match.params);
+      }
+      conditions.push(`(${parts.join(' OR ')})`);
+      params.push(...termParams);
+    }
+
+    for (const filter of parsedQuery.filters) {
+      const { condition, params: filterParams } = this.buildFilterCondition(filter);
+      conditions.push(condition);
+      params.push(...filterParams);
+    }
+
+    const highlightTerms = parsedQuery.terms.filter((term) => !term.negated);
+
+    return {
+      conditions,
+      params,
+      joinSearchIndex: parsedQuery.terms.length > 0,
+      relevance: this.buildRelevance(highlightTerms),
+      highlightTerms,
+    };
+  }
+
+  buildFilterCondition(filter) {
+    const { negated } = filter;
+
+    switch (filter.type) {
+      case 'from':
+      case 'to':
+      case 'subject': {
+        const column = { from: 'e.from_email', to: 'e.to_email', subject: 'e.subject' }[filter.type];
+        return negated
+          ? { condition: `COALESCE(${column}, '') NOT LIKE ?`, params: [`%${filter.value}%`] }
+          : { condition: `${column} LIKE ?`, params: [`%${filter.value}%`] };
+      }
+
+      case 'folder': {
+        // Any folder the email is in (email_labels), not only the one it was stored from
+        const placeholders = filter.folders.map(() => '?').join(', ');
+        const condition = `(COALESCE(e.folder, '') IN (${placeholders}) OR ` +
+          `EXISTS (SELECT 1 FROM email_labels el WHERE el.email_id = e.id AND el.label IN (${placeholders})))`;
+        return {
+          condition: negated ? `NOT ${condition}` : condition,
+          params: [...filter.folders, ...filter.folders],
+        };
+      }
+
+      case 'hasAttachment':
+        return {
+          condition: `${negated ? 'NOT ' : ''}EXISTS (SELECT 1 FROM attachments att WHERE att.email_id = e.id)`,
+          params: [],
+        };
+
+      case 'filename':
+        return {
+          condition: `${negated ? 'NOT ' : ''}EXISTS (SELECT 1 FROM attachments att WHERE att.email_id = e.id AND att.filename LIKE ?)`,
+          params: [`%${filter.value}%`],
+        };
+
+      case 'flag': {
+        // Flags are stored as a JSON array, e.g. ["\\Seen"]: match the quoted, escaped name
+        const pattern = `%${JSON.stringify(filter.flag).replace(/[!%_]/g, '!$&')}%`;
+        return {
+          condition: negated ? "COALESCE(e.flags, '') NOT LIKE ? ESCAPE '!'" : "e.flags LIKE ? ESCAPE '!'",
+          params: [pattern],
+        };
+      }
+
+      case 'deletedOnServer':
+        return { condition: `e.deleted_on_server_at IS ${negated ? '' : 'NOT '}NULL`, params: [] };
+
+      case 'date': {
+        // after: on or after the date, before: strictly before it
+        const onOrAfter = (filter.comparison === 'after') !== negated;
+        return { condition: onOrAfter ? 'e.date >= ?' : 'e.date < ?', params: [filter.value] };
+      }
+
+      case 'size': {
+        const larger = filter.comparison === 'larger';
+        const operator = negated ? (larger ? '<=' : '>=') : (larger ? '>' : '<');
+        return { condition: `e.size ${operator} ?`, params: [filter.value] };
+      }
+
+      default:
+        throw new Error(`Unknown search filter type: ${filter.type}`);
+    }
+  }
+
+  getTermWords(term) {
+    return term.value.match(/[\p{L}\p{N}_]+/gu) || [];
+  }
+
+  /**
+   * Full-text match for one positive term, or null when the term cannot use
+   * the index (e.g. words shorter than the minimum token length).
+   */
+  buildTermMatch(term) {
+    const words = this.getTermWords(term);
+    if (words.length === 0) return null;
+
+    if (DB_TYPE === 'mysql') {
+      let expression;
+      if (term.phrase || words.length > 1) {
+        expression = `+"${words.join(' ')}"`;
+      } else if (words[0].length >= LIMITS.MIN_TERM_LENGTH) {
+        expression = `+${words[0]}*`;
+      } else {
+        return null;
+      }
+
+      return {
+        condition: 'MATCH(si.subject, si.body_text, si.attachment_text) AGAINST (? IN BOOLEAN MODE)',
+        params: [expression],
+      };
+    }
+
+    const like = `%${term.value}%`;
+    return {
+      condition: '(si.subject LIKE ? OR si.body_text LIKE ? OR si.attachment_text LIKE ?)',
+      params: [like, like, like],
+    };
+  }
+
+  /**
+   * Relevance score expression for ORDER BY, or null when no term can be ranked.
+   */
+  buildRelevance(terms) {
+    if (DB_TYPE === 'mysql') {
+      const expression = terms
+        .map((term) => this.buildTermMatch(term))
+        .filter(Boolean)
+        .map((match) => match.params[0].substring(1)) // Drop the "+": any term adds to the score
+        .join(' ');
+      if (!expression) return null;
+
+      return {
+        expression: 'MATCH(si.subject, si.body_text, si.attachment_text) AGAINST (? IN BOOLEAN MODE)',
+        params: [expression],
+      };
+    }
+
+    if (terms.length === 0) return null;
+    return {
+      expression: terms.map(() =>
+        '(CASE WHEN si.subject LIKE ? THEN 3 ELSE 0 END + CASE WHEN si.body_text LIKE ? THEN 2 ELSE 0 END + CASE WHEN si.attachment_text LIKE ? THEN 1 ELSE 0 END)'
+      ).join(' + '),
+      params: terms.flatMap((term) => [`%${term.value}%`, `%${term.value}%`, `%${term.value}%`]),
+    };
+  }
+
+  /**
+   * Highlighted snippets for a page of results, keyed by email id.
+   * Snippets are HTML-escaped with matches wrapped in <mark>.
+   */
+  async getSnippets(emailIds, terms) {
+    const snippets = {};
+    const patterns = terms.map((term) => this.termPattern(term)).filter(Boolean);
+    if (emailIds.length === 0 || patterns.length === 0) return snippets;
+
+    const rows = await query(
+      `SELECT email_id, body_text, attachment_text FROM email_search_index
+       WHERE email_id IN (${emailIds.map(() => '?').join(', ')})`,
+      emailIds
+    );
+
+    const pattern = new RegExp(`(${patterns.join('|')})`, 'giu');
+
+    for (const row of rows) {
+      const snippet = this.buildSnippet(row.body_text, pattern) || this.buildSnippet(row.attachment_text, pattern);
+      if (snippet) {
+        snippets[row.email_id] = snippet;
+      }
+    }
+
+    return snippets;
+  }
+
+  termPattern(term) {
+    const words = this.getTermWords(term).map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (words.length === 0) return null;
+    // Single words are prefix-matched, as in the boolean-mode query
+    return words.length > 1 || term.phrase ? words.join('\\W+') : `${words[0]}[\\p{L}\\p{N}_]*`;
+  }
+
+  buildSnippet(text, pattern) {
+    if (!text) return null;
+
+    pattern.lastIndex = 0;
+    const match = pattern.exec(text);
+    if (!match) return null;
+
+    const start = Math.max(0, match.index - LIMITS.SNIPPET_RADIUS);
+    const end = Math.min(text.length, match.index + match[0].length + LIMITS.SNIPPET_RADIUS);
+    const excerpt = text.substring(start, end).replace(/\s+/g, ' ');
+
+    const highlighted = excerpt
+      .split(pattern)
+      .map((part, index) => (index % 2 === 1 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part)))
+      .join('');
+
+    return `${start > 0 ? '…' : ''}${highlighted.trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Index every email that has no email_search_index row yet, reading the
+   * stored EML files. Progress is available via getBackfillStatus().
+   */
+  async backfill({ userId = null, batchSize = LIMITS.BACKFILL_BATCH_SIZE } = {}) {
+    if (this.backfillStatus.running) {
+      throw new Error('Search index backfill is already running');
+    }
+
+    this.backfillStatus = {
+      running: true,
+      userId,
+      total: 0,
+      processed: 0,
+      indexed: 0,
+      failed: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+    };
+
+    const status = this.backfillStatus;
+
+    try {
+      let baseQuery = `FROM emails e
+        LEFT JOIN email_search_index si ON si.email_id = e.id
+        WHERE si.email_id IS NULL`;
+      const baseParams = [];
+
+      if (userId) {
+        baseQuery += ' AND e.user_id = ?';
+        baseParams.push(userId);
+      }
+
+      const countResult = await query(`SELECT COUNT(*) as total ${baseQuery}`, baseParams);
+      status.total = countResult[0].total;
+
+      logger.info('Search index backfill started', { userId, total: status.total });
+
+      // Keyset pagination: emails that fail to index stay unindexed, so OFFSET would loop over them
+      let lastId = 0;
+      const limitValue = parseInt(batchSize);
+
+      while (true) {
+        const rows = await query(
+          `SELECT e.id, e.user_id, e.eml_path, e.compression ${baseQuery} AND e.id > ? ORDER BY e.id LIMIT ${limitValue}`,
+          [...baseParams, lastId]
+        );
+
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          lastId = row.id;
+
+          try {
+            const raw = await backupFileService.read(row.eml_path, { compression: row.compression });
+            const parsed = await simpleParser(raw);
+
+            if (await this.indexEmail(row.id, row.user_id, parsed)) {
+              status.indexed++;
+            } else {
+              status.failed++;
+            }
+          } catch (error) {
+            status.failed++;
+            logger.warn('Search index backfill skipped email', { emailId: row.id, error: error.message });
+          }
+
+          status.processed++;
+        }
+
+        logger.info(`Search index backfill progress: ${status.processed}/${status.total}`, {
+          indexed: status.indexed,
+          failed: status.failed
+        });
+      }
+
+      logger.info('Search index backfill completed', { ...status });
+    } catch (error) {
+      status.error = error.message;
+      logger.error('Search index backfill failed', { error: error.message });
+      throw error;
+    } finally {
+      status.running = false;
+      status.finishedAt = new Date().toISOString();
+    }
+
+    return { ...status };
+  }
+
+  getBackfillStatus() {
+    return { ...this.backfillStatus };
+  }
+}
+
+const searchIndexService = new SearchIndexService();
+
+module.exports = {
+  SearchIndexService,
+  searchIndexService,
+};
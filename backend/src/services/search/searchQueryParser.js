@@ -0,0 +1,298 @@
+/**
+ * Gmail-style search query parser for the email search box, e.g.
+ *
+ *   from:alice has:attachment after:2024/01/01 -in:trash larger:5M "exact phrase"
+ *   is:deleted is:unread
+ *
+ * Pure module (no database access): parseSearchQuery() returns free-text
+ * terms and structured filters; searchIndexService turns them into SQL.
+ */
+
+const OPERATOR_ALIASES = {
+  from: 'from',
+  to: 'to',
+  subject: 'subject',
+  in: 'in',
+  label: 'in',
+  has: 'has',
+  is: 'is',
+  filename: 'filename',
+  after: 'after',
+  newer: 'after',
+  before: 'before',
+  older: 'before',
+  newer_than: 'newer_than',
+  older_than: 'older_than',
+  larger: 'larger',
+  size: 'larger',
+  smaller: 'smaller',
+};
+
+// Gmail system folder names as they appear over IMAP (Google Mail in some locales)
+const FOLDER_ALIASES = {
+  inbox: ['INBOX'],
+  sent: ['[Gmail]/Sent Mail', '[Google Mail]/Sent Mail'],
+  drafts: ['[Gmail]/Drafts', '[Google Mail]/Drafts'],
+  draft: ['[Gmail]/Drafts', '[Google Mail]/Drafts'],
+  trash: ['[Gmail]/Trash', '[Google Mail]/Trash', '[Google Mail]/Bin'],
+  bin: ['[Gmail]/Trash', '[Google Mail]/Trash', '[Google Mail]/Bin'],
+  spam: ['[Gmail]/Spam', '[Google Mail]/Spam'],
+  starred: ['[Gmail]/Starred', '[Google Mail]/Starred'],
+  important: ['[Gmail]/Important', '[Google Mail]/Important'],
+  all: ['[Gmail]/All Mail', '[Google Mail]/All Mail'],
+};
+
+// is: values for IMAP flags as last seen on the server; unread is -is:read
+const STATUS_FLAGS = {
+  read: { flag: '\\Seen', negated: false },
+  seen: { flag: '\\Seen', negated: false },
+  unread: { flag: '\\Seen', negated: true },
+  starred: { flag: '\\Flagged', negated: false },
+  flagged: { flag: '\\Flagged', negated: false },
+  answered: { flag: '\\Answered', negated: false },
+  replied: { flag: '\\Answered', negated: false },
+};
+
+const SIZE_UNITS = { b: 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+const PERIOD_UNITS = { d: 'day', m: 'month', y: 'year' };
+
+class SearchQueryError extends Error {
+  constructor(code, message, { position = null, token = null } = {}) {
+    super(message);
+    this.name = 'SearchQueryError';
+    this.code = code;
+    this.position = position;
+    this.token = token;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      position: this.position,
+      token: this.token,
+    };
+  }
+}
+
+/**
+ * Split the query into tokens of the form [-][operator:](word | "quoted value").
+ * Unknown operators (e.g. "http://...") are kept as plain words.
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let negated = false;
+    if (input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      negated = true;
+      i++;
+    }
+
+    let operator = null;
+    let key = null;
+    const operatorMatch = /^([A-Za-z_]+):/.exec(input.slice(i));
+    if (operatorMatch && OPERATOR_ALIASES[operatorMatch[1].toLowerCase()]) {
+      operator = OPERATOR_ALIASES[operatorMatch[1].toLowerCase()];
+      key = operatorMatch[1];
+      i += operatorMatch[0].length;
+    }
+
+    let value;
+    let quoted = false;
+    if (input[i] === '"') {
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new SearchQueryError('UNTERMINATED_QUOTE', 'Missing closing quote', {
+          position: i,
+          token: input.slice(start),
+        });
+      }
+      value = input.slice(i + 1, end);
+      quoted = true;
+      i = end + 1;
+    } else {
+      const valueStart = i;
+      while (i < input.length && !/\s/.test(input[i])) i++;
+      value = input.slice(valueStart, i);
+    }
+
+    tokens.push({
+      operator,
+      key,
+      value: value.trim(),
+      quoted,
+      negated,
+      position: start,
+      raw: input.slice(start, i),
+    });
+  }
+
+  return tokens;
+}
+
+/**
+ * Accepts YYYY/MM/DD, YYYY-MM-DD, MM/DD/YYYY or a Unix timestamp in seconds.
+ * Calendar dates are interpreted as UTC midnight.
+ */
+function parseDate(value) {
+  if (/^\d{9,11}$/.test(value)) {
+    return new Date(parseInt(value) * 1000);
+  }
+
+  let match = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/.exec(value);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+    if (!match) return null;
+    [, month, day, year] = match.map(Number);
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject dates that roll over, e.g. 2024/02/31
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([bkmg])?b?$/i.exec(value);
+  if (!match) return null;
+  const unit = (match[2] || 'b').toLowerCase();
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[unit]);
+}
+
+function subtractPeriod(now, value) {
+  const match = /^(\d+)([dmy])$/i.exec(value);
+  if (!match) return null;
+
+  const amount = parseInt(match[1]);
+  const date = new Date(now.getTime());
+  switch (PERIOD_UNITS[match[2].toLowerCase()]) {
+    case 'day':
+      date.setUTCDate(date.getUTCDate() - amount);
+      break;
+    case 'month':
+      date.setUTCMonth(date.getUTCMonth() - amount);
+      break;
+    default:
+      date.setUTCFullYear(date.getUTCFullYear() - amount);
+  }
+  return date;
+}
+
+function toFilter(token, now) {
+  const { operator, key, value, negated, position, raw } = token;
+  const fail = (code, message) => {
+    throw new SearchQueryError(code, message, { position, token: raw });
+  };
+
+  if (!value) {
+    fail('MISSING_VALUE', `"${key}:" needs a value`);
+  }
+
+  switch (operator) {
+    case 'from':
+    case 'to':
+    case 'subject':
+    case 'filename':
+      return { type: operator, value, negated };
+
+    case 'in': {
+      const name = value.toLowerCase();
+      if (name === 'anywhere') return null;
+      return { type: 'folder', folders: FOLDER_ALIASES[name] || [value], negated };
+    }
+
+    case 'has':
+      if (!['attachment', 'attachments'].includes(value.toLowerCase())) {
+        fail('UNSUPPORTED_VALUE', `Unsupported value "has:${value}", use "has:attachment"`);
+      }
+      return { type: 'hasAttachment', negated };
+
+    case 'is': {
+      const name = value.toLowerCase();
+      if (name === 'deleted') return { type: 'deletedOnServer', negated };
+      const status = STATUS_FLAGS[name];
+      if (!status) {
+        fail('UNSUPPORTED_VALUE', `Unsupported value "is:${value}", use one of: ${[...Object.keys(STATUS_FLAGS), 'deleted'].join(', ')}`);
+      }
+      return { type: 'flag', flag: status.flag, negated: negated !== status.negated };
+    }
+
+    case 'after':
+    case 'before': {
+      const date = parseDate(value);
+      if (!date) {
+        fail('INVALID_DATE', `Invalid date "${value}", use YYYY/MM/DD`);
+      }
+      return { type: 'date', comparison: operator, value: date, negated };
+    }
+
+    case 'newer_than':
+    case 'older_than': {
+      const date = subtractPeriod(now, value);
+      if (!date) {
+        fail('INVALID_PERIOD', `Invalid period "${value}", use a number followed by d, m or y (e.g. 7d)`);
+      }
+      return { type: 'date', comparison: operator === 'newer_than' ? 'after' : 'before', value: date, negated };
+    }
+
+    case 'larger':
+    case 'smaller': {
+      const bytes = parseSize(value);
+      if (bytes === null) {
+        fail('INVALID_SIZE', `Invalid size "${value}", use bytes or a K/M/G suffix (e.g. 5M)`);
+      }
+      return { type: 'size', comparison: operator, value: bytes, negated };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse a search box query.
+ *
+ * @param {string} input - Raw query text
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time for newer_than/older_than
+ * @returns {{ terms: Array<{value: string, phrase: boolean, negated: boolean}>, filters: Array<Object> }}
+ * @throws {SearchQueryError} When the query is malformed
+ */
+function parseSearchQuery(input, { now = new Date() } = {}) {
+  const terms = [];
+  const filters = [];
+
+  for (const token of tokenize(input || '')) {
+    if (token.operator) {
+      const filter = toFilter(token, now);
+      if (filter) filters.push(filter);
+      continue;
+    }
+
+    // Skip punctuation-only words such as a lone "-" or "&"
+    if (!token.value || (!token.quoted && !/[\p{L}\p{N}]/u.test(token.value))) continue;
+
+    terms.push({ value: token.value, phrase: token.quoted, negated: token.negated });
+  }
+
+  return { terms, filters };
+}
+
+module.exports = {
+  parseSearchQuery,
+  SearchQueryError,
+  FOLDER_ALIASES,
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../database/databaseService', () => ({ query: jest.fn() }));
+
+const { query } = require('../../database/databaseService');
+const { attachmentStorageService } = require('../attachmentStorageService');
+const { backupFileService } = require('../backupFileService');
+const { compressionService } = require('../compressionService');
+
+/**
+ * attachment_blobs and attachments rows behind the mocked query().
+ */
+function useDatabase() {
+  const db = { blobs: new Map(), attachments: [] };
+
+  query.mockImplementation(async (sql, params) => {
+    const statement = sql.replace(/\s+/g, ' ').trim();
+    if (statement.startsWith('INSERT INTO attachment_blobs')) {
+      const [contentHash, size, filePath] = params;
+      const blob = db.blobs.get(contentHash);
+      if (blob) blob.ref_count++;
+      else db.blobs.set(contentHash, { content_hash: contentHash, size, file_path: filePath, ref_count: 1 });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('SELECT file_path FROM attachment_blobs')) {
+      return [db.blobs.get(params[0])];
+    }
+    if (statement.startsWith('UPDATE attachment_blobs SET file_path')) {
+      const [filePath, compression, storedSize, contentHash] = params;
+      Object.assign(db.blobs.get(contentHash), { file_path: filePath, compression, stored_size: storedSize });
+      return { affectedRows: 1 };
+    }
+    if (statement.startsWith('INSERT INTO attachments')) {
+      const [emailId, filename, mimeType, size, filePath, contentHash] = params;
+      db.attachments.push({ email_id: emailId, filename, mime_type: mimeType, size, file_path: filePath, content_hash: contentHash });
+      return { affectedRows: 1 };
+    }
+    throw new Error(`Unexpected query: ${statement}`);
+  });
+
+  return db;
+}
+
+describe('AttachmentStorageService.storeAttachment()', () => {
+  let root;
+  let spoolDir;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+    spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-spool-'));
+    process.env.BACKUP_DIR = root;
+    compressionService.algorithm = 'gzip';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    compressionService.algorithm = undefined;
+    delete process.env.BACKUP_DIR;
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  });
+
+  test('streams a spooled attachment from its file into a blob', async () => {
+    const db = useDatabase();
+    const content = Buffer.from('quarter,total\r\n'.repeat(20000));
+    const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+    const spoolPath = path.join(spoolDir, 'message.eml.0.part');
+    fs.writeFileSync(spoolPath, content);
+    const readContent = jest.spyOn(attachmentStorageService, 'readContent');
+
+    const blob = await attachmentStorageService.storeAttachment(5, { filename: 'report.csv', contentType: 'text/csv', path: spoolPath });
+
+    expect(readContent).not.toHaveBeenCalled();
+    expect(blob).toMatchObject({ contentHash, size: content.length, deduplicated: false });
+    expect(db.attachments).toEqual([{
+      email_id: 5,
+      filename: 'report.csv',
+      mime_type: 'text/csv',
+      size: content.length,
+      file_path: `local://attachments/${contentHash.slice(0, 2)}/${contentHash.slice(2, 4)}/${contentHash}.gz`,
+      content_hash: contentHash,
+    }]);
+    const row = db.blobs.get(contentHash);
+    expect(row).toMatchObject({ size: content.length, compression: 'gzip', file_path: blob.uri });
+    expect((await backupFileService.read(blob.uri, { compression: 'gzip' })).equals(content)).toBe(true);
+    expect(fs.readdirSync(spoolDir)).toEqual(['message.eml.0.part']);
+  });
+
+  test('reuses the blob of the same content stored from memory', async () => {
+    const db = useDatabase();
+    const content = Buffer.from('quarter,total\r\nQ4,42\r\n'.repeat(100));
+    const spoolPath = path.join(spoolDir, 'message.eml.0.part');
+    fs.writeFileSync(spoolPath, content);
+
+    const first = await attachmentStorageService.storeAttachment(5, { filename: 'report.csv', content });
+    const second = await attachmentStorageService.storeAttachment(6, { filename: 'report.csv', path: spoolPath });
+
+    expect(second).toMatchObject({ contentHash: first.contentHash, uri: first.uri, deduplicated: true });
+    expect(db.blobs.get(first.contentHash).ref_count).toBe(2);
+  });
+});
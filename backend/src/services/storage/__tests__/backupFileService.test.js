@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../database/databaseService', () => ({ query: jest.fn() }));
+
+const { backupFileService } = require('../backupFileService');
+const { compressionService } = require('../compressionService');
+const { encryptionService } = require('../encryptionService');
+
+const DATA_KEY = { id: 1, key: crypto.randomBytes(32) };
+
+describe('BackupFileService.writeFile()', () => {
+  let root;
+  let spoolDir;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-files-'));
+    spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-spool-'));
+    process.env.BACKUP_DIR = root;
+    compressionService.algorithm = 'gzip';
+    jest.spyOn(encryptionService, 'isEnabled').mockReturnValue(true);
+    jest.spyOn(encryptionService, 'getDataKeyForScope').mockResolvedValue(DATA_KEY);
+    jest.spyOn(encryptionService, 'getDataKeyById').mockResolvedValue(DATA_KEY);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    compressionService.algorithm = undefined;
+    delete process.env.BACKUP_DIR;
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  });
+
+  test('compresses, encrypts and stores a file without reading it into memory', async () => {
+    const sourcePath = path.join(spoolDir, 'message.eml');
+    const content = Buffer.from(`Subject: Large\r\n\r\n${'All work and no play. '.repeat(50000)}\r\n`);
+    fs.writeFileSync(sourcePath, content);
+    const readFile = jest.spyOn(fs.promises, 'readFile');
+
+    const stored = await backupFileService.writeFile('example.com/alice/2024/01/large.eml', sourcePath, { scope: 'example.com' });
+
+    expect(readFile).not.toHaveBeenCalledWith(sourcePath);
+    expect(stored).toMatchObject({ uri: 'local://example.com/alice/2024/01/large.eml.gz', compression: 'gzip' });
+    const onDisk = fs.readFileSync(path.join(root, 'example.com/alice/2024/01/large.eml.gz'));
+    expect(stored.storedSize).toBe(onDisk.length);
+    expect(stored.storedSize).toBeLessThan(content.length / 10);
+    expect(encryptionService.isEncrypted(onDisk)).toBe(true);
+
+    // Readable like a file written from memory, temp files removed
+    expect((await backupFileService.read(stored.uri, { compression: 'gzip' })).equals(content)).toBe(true);
+    expect(fs.readdirSync(spoolDir)).toEqual(['message.eml']);
+  });
+
+  test('stores the file as it is when it does not compress', async () => {
+    const sourcePath = path.join(spoolDir, 'photo.jpg');
+    const content = crypto.randomBytes(64 * 1024);
+    fs.writeFileSync(sourcePath, content);
+
+    const stored = await backupFileService.writeFile('attachments/ab/cd/photo', sourcePath, { scope: 'example.com' });
+
+    expect(stored).toMatchObject({ uri: 'local://attachments/ab/cd/photo', compression: 'none' });
+    expect((await backupFileService.read(stored.uri, { compression: 'none' })).equals(content)).toBe(true);
+    expect(fs.readdirSync(spoolDir)).toEqual(['photo.jpg']);
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalStorageBackend } = require('../localStorageBackend');
+
+describe('LocalStorageBackend', () => {
+  let root;
+  let backend;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-'));
+    backend = new LocalStorageBackend({ root });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('put() writes through a temp file renamed into place', async () => {
+    const renameSpy = jest.spyOn(fs.promises, 'rename');
+    try {
+      await backend.put('blobs/ab/abcdef', Buffer.from('content'));
+
+      expect(renameSpy).toHaveBeenCalledTimes(1);
+      const [tempPath, filePath] = renameSpy.mock.calls[0];
+      expect(filePath).toBe(path.join(root, 'blobs', 'ab', 'abcdef'));
+      expect(path.dirname(tempPath)).toBe(path.dirname(filePath));
+      expect(tempPath).toMatch(/\.tmp$/);
+    } finally {
+      renameSpy.mockRestore();
+    }
+
+    expect((await backend.get('blobs/ab/abcdef')).toString()).toBe('content');
+    expect(fs.readdirSync(path.join(root, 'blobs', 'ab'))).toEqual(['abcdef']);
+  });
+
+  test('getStream() reads the file, or rejects with ENOENT before reading', async () => {
+    await backend.put('blobs/ab/abcdef', Buffer.from('content'));
+
+    const chunks = [];
+    for await (const chunk of await backend.getStream('blobs/ab/abcdef')) chunks.push(chunk);
+
+    expect(Buffer.concat(chunks).toString()).toBe('content');
+    await expect(backend.getStream('blobs/ab/missing')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  test('put() replaces an existing file', async () => {
+    await backend.put('blobs/ab/abcdef', Buffer.from('old'));
+    await backend.put('blobs/ab/abcdef', Buffer.from('new'));
+
+    expect((await backend.get('blobs/ab/abcdef')).toString()).toBe('new');
+    expect(fs.readdirSync(path.join(root, 'blobs', 'ab'))).toEqual(['abcdef']);
+  });
+
+  test('put() removes the temp file when the rename fails', async () => {
+    // A non-empty directory in the way of the target makes the rename fail
+    fs.mkdirSync(path.join(root, 'blobs', 'ab', 'abcdef'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'blobs', 'ab', 'abcdef', 'other'), 'x');
+
+    await expect(backend.put('blobs/ab/abcdef', Buffer.from('content'))).rejects.toThrow();
+    expect(fs.readdirSync(path.join(root, 'blobs', 'ab'))).toEqual(['abcdef']);
+  });
+
+  test('putFile() copies a file in through a temp file', async () => {
+    const sourcePath = path.join(root, 'source.eml');
+    fs.writeFileSync(sourcePath, 'content');
+
+    await backend.putFile('blobs/ab/abcdef', sourcePath);
+
+    expect((await backend.get('blobs/ab/abcdef')).toString()).toBe('content');
+    expect(fs.readdirSync(path.join(root, 'blobs', 'ab'))).toEqual(['abcdef']);
+    expect(fs.existsSync(sourcePath)).toBe(true);
+  });
+
+  test('rejects keys that escape the root', async () => {
+    await expect(backend.put('../outside', Buffer.from('content'))).rejects.toThrow(/escapes the backup directory/);
+  });
+});
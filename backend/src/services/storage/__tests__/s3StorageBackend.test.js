@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const S3rver = require('s3rver');
+const { S3StorageBackend } = require('../s3StorageBackend');
+
+const BUCKET = 'archive';
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Against s3rver, an in-process S3-compatible server, reached like MinIO:
+ * a custom endpoint with path-style buckets.
+ */
+describe('S3StorageBackend', () => {
+  let directory;
+  let server;
+  let backend;
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 's3-storage-'));
+    server = new S3rver({ address: '127.0.0.1', port: 0, silent: true, directory, configureBuckets: [{ name: BUCKET }] });
+    const { address, port } = await server.run();
+    backend = new S3StorageBackend({
+      bucket: BUCKET,
+      endpoint: `http://${address}:${port}`,
+      accessKeyId: 'S3RVER',
+      secretAccessKey: 'S3RVER',
+      prefix: 'tenant',
+    });
+  });
+
+  afterAll(async () => {
+    backend.client.destroy();
+    await server.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('puts, reads and deletes an object', async () => {
+    const objectKey = 'tenant/example.com/alice/1.eml';
+    const content = Buffer.from('Subject: Hello\r\n\r\nBody\r\n');
+
+    await backend.put(objectKey, content);
+
+    expect(backend.toUri('example.com/alice/1.eml')).toBe(`s3://${BUCKET}/${objectKey}`);
+    expect(await backend.exists(objectKey)).toBe(true);
+    expect(await backend.stat(objectKey)).toEqual({ size: content.length });
+    expect(await backend.get(objectKey)).toEqual(content);
+    expect(await readAll(await backend.getStream(objectKey))).toEqual(content);
+
+    await backend.delete(objectKey);
+
+    expect(await backend.exists(objectKey)).toBe(false);
+  });
+
+  test('puts the content of a file, streamed from disk', async () => {
+    const objectKey = 'tenant/example.com/alice/large.eml';
+    const sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), 's3-source-'));
+    const sourcePath = path.join(sourceDir, 'large.eml');
+    const content = Buffer.alloc(3 * 1024 * 1024, 'a');
+    fs.writeFileSync(sourcePath, content);
+
+    try {
+      await backend.putFile(objectKey, sourcePath);
+    } finally {
+      fs.rmSync(sourceDir, { recursive: true, force: true });
+    }
+
+    expect(await backend.stat(objectKey)).toEqual({ size: content.length });
+    expect((await backend.get(objectKey)).equals(content)).toBe(true);
+  });
+
+  test('replaces an object on a second put', async () => {
+    await backend.put('tenant/blob', Buffer.from('old'));
+    await backend.put('tenant/blob', Buffer.from('new'));
+
+    expect((await backend.get('tenant/blob')).toString()).toBe('new');
+  });
+
+  test('reports a missing object with code ENOENT, like the local backend', async () => {
+    await expect(backend.get('tenant/missing')).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(backend.getStream('tenant/missing')).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(backend.stat('tenant/missing')).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(backend.delete('tenant/missing')).resolves.toBeUndefined();
+  });
+
+  test('lists the objects under the prefix only', async () => {
+    await backend.put('tenant/a/1.eml', Buffer.from('one'));
+    await backend.put('tenant/b/2.eml', Buffer.from('two!'));
+    await backend.put('other/3.eml', Buffer.from('three'));
+
+    const listed = [];
+    for await (const object of backend.list()) listed.push(object);
+
+    expect(listed.map(({ key, size }) => [key, size])).toEqual(expect.arrayContaining([
+      ['tenant/a/1.eml', 3],
+      ['tenant/b/2.eml', 4],
+    ]));
+    expect(listed.some(object => object.key.startsWith('other/'))).toBe(false);
+  });
+});
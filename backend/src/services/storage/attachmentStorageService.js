@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+const { SHARED_SCOPE } = require('./encryptionService');
+const { backupFileService } = require('./backupFileService');
+const { storageService } = require('./storageService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/attachments.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+/**
+ * Content-addressed attachment storage.
+ *
+ * Each distinct attachment body is written once to the storage key
+ * attachments/<aa>/<bb>/<sha256>[.gz|.zst] and tracked in attachment_blobs
+ * with a reference count. Rows in `attachments` keep the per-message metadata
+ * (original filename, MIME type) and point at the blob through content_hash.
+ */
+class AttachmentStorageService {
+  getBlobKey(contentHash) {
+    return `attachments/${contentHash.slice(0, 2)}/${contentHash.slice(2, 4)}/${contentHash}`;
+  }
+
+  async readContent(attachment) {
+    if (Buffer.isBuffer(attachment.content)) return attachment.content;
+    if (typeof attachment.content === 'string') return Buffer.from(attachment.content, 'utf8');
+
+    if (attachment.stream) {
+      const chunks = [];
+      for await (const chunk of attachment.stream) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      }
+      return Buffer.concat(chunks);
+    }
+
+    return Buffer.alloc(0);
+  }
+
+  /**
+   * Take a reference to the blob for `content`, writing it if it is new.
+   * Blobs are shared across domains, so they are encrypted with the shared
+   * data key.
+   *
+   * @returns {Promise<{contentHash: string, uri: string, size: number, deduplicated: boolean}>}
+   */
+  async storeBlob(content) {
+    const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+
+    return this.takeBlob(contentHash, content.length, async (record) => {
+      const { data, compression } = await backupFileService.encode(content, { scope: SHARED_SCOPE });
+      await backupFileService.writeStored(await record(compression, data.length), data);
+    });
+  }
+
+  /**
+   * storeBlob() for the content of a file, which is hashed, encoded and
+   * written without being held in memory.
+   */
+  async storeBlobFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(createReadStream(filePath), hash);
+    const { size } = await fs.stat(filePath);
+
+    return this.takeBlob(hash.digest('hex'), size, (record) => (
+      backupFileService.withEncodedFile(filePath, { scope: SHARED_SCOPE }, async ({ path: encodedPath, compression, storedSize }) => {
+        await backupFileService.writeStoredFile(await record(compression, storedSize), encodedPath);
+      })
+    ));
+  }
+
+  /**
+   * Take a reference to the blob of `contentHash`; unless it is stored
+   * already, `write(record)` writes it, calling `record(compression,
+   * storedSize)` for the URI to write to before it does.
+   */
+  async takeBlob(contentHash, size, write) {
+    const blobKey = this.getBlobKey(contentHash);
+
+    // Take the reference before touching the file so a concurrent release
+    // does not delete a blob that is about to be referenced
+    await query(
+      `INSERT INTO attachment_blobs (content_hash, size, file_path, ref_count, created_at)
+       VALUES (?, ?, ?, 1, NOW())
+       ON DUPLICATE KEY UPDATE ref_count = ref_count + 1`,
+      [contentHash, size, storageService.buildUri(blobKey)]
+    );
+
+    // The blob may live on another backend than new files, e.g. during a migration
+    const rows = await query('SELECT file_path FROM attachment_blobs WHERE content_hash = ?', [contentHash]);
+    if (await storageService.exists(rows[0].file_path)) {
+      return { contentHash, uri: rows[0].file_path, size, deduplicated: true };
+    }
+
+    let uri;
+    await write(async (compression, storedSize) => {
+      uri = storageService.buildUri(backupFileService.getStoredPath(blobKey, compression));
+
+      // Record how the blob is stored before it appears on disk, so readers
+      // never pick up the file with a stale compression value. Backends write it
+      // atomically (a temp file renamed into place on local disk), so a concurrent
+      // storeBlob() of the same content never deduplicates against a partial blob
+      await query(
+        'UPDATE attachment_blobs SET file_path = ?, compression = ?, stored_size = ? WHERE content_hash = ?',
+        [uri, compression, storedSize, contentHash]
+      );
+      return uri;
+    });
+
+    return { contentHash, uri, size, deduplicated: false };
+  }
+
+  /**
+   * Store one attachment of an email, reusing the blob if identical content
+   * was stored before. An attachment with a `path` (spooled to a file) is
+   * streamed from it.
+   */
+  async storeAttachment(emailId, attachment) {
+    const filename = attachment.filename || `attachment_${Date.now()}`;
+    const blob = attachment.path
+      ? await this.storeBlobFile(attachment.path)
+      : await this.storeBlob(await this.readContent(attachment));
+
+    await query(
+      'INSERT INTO attachments (email_id, filename, mime_type, size, file_path, content_hash) VALUES (?, ?, ?, ?, ?, ?)',
+      [emailId, filename, attachment.contentType || 'application/octet-stream', blob.size, blob.uri, blob.contentHash]
+    );
+
+    logger.debug('Attachment stored', { emailId, filename, contentHash: blob.contentHash, deduplicated: blob.deduplicated });
+    return blob;
+  }
+
+  async storeAttachments(emailId, attachments) {
+    const stored = [];
+    for (const attachment of attachments || []) {
+      stored.push(await this.storeAttachment(emailId, attachment));
+    }
+    return stored;
+  }
+
+  /**
+   * Delete the attachment rows of the given emails and release their blobs.
+   * Must run before the emails themselves are deleted, since the foreign key
+   * cascade would remove the rows without releasing the references.
+   */
+  async releaseEmailAttachments(emailIds) {
+    if (!emailIds || emailIds.length === 0) return { released: 0, blobsDeleted: 0 };
+
+    const placeholders = emailIds.map(() => '?').join(', ');
+    return this.releaseAttachments(`email_id IN (${placeholders})`, emailIds);
+  }
+
+  async releaseUserAttachments(userId) {
+    return this.releaseAttachments('email_id IN (SELECT id FROM emails WHERE user_id = ?)', [userId]);
+  }
+
+  async releaseAttachments(whereClause, params) {
+    const rows = await query(`SELECT id, content_hash, file_path FROM attachments WHERE ${whereClause}`, params);
+    if (rows.length === 0) return { released: 0, blobsDeleted: 0 };
+
+    await query(`DELETE FROM attachments WHERE ${whereClause}`, params);
+
+    const refsByHash = new Map();
+    const legacyUris = new Set();
+    for (const row of rows) {
+      if (row.content_hash) {
+        refsByHash.set(row.content_hash, (refsByHash.get(row.content_hash) || 0) + 1);
+      } else if (row.file_path) {
+        legacyUris.add(row.file_path);
+      }
+    }
+
+    let blobsDeleted = 0;
+    for (const [contentHash, count] of refsByHash) {
+      try {
+        if (await this.releaseBlob(contentHash, count)) blobsDeleted++;
+      } catch (error) {
+        logger.error('Failed to release attachment blob', { contentHash, error: error.message });
+      }
+    }
+
+    // Attachments stored before deduplication live next to their EML file
+    for (const uri of legacyUris) {
+      await this.deleteLegacyFile(uri);
+    }
+
+    logger.info('Attachments released', { released: rows.length, blobsDeleted, legacyFiles: legacyUris.size });
+    return { released: rows.length, blobsDeleted };
+  }
+
+  /**
+   * Drop `count` references to a blob and delete it once nothing refers to it.
+   *
+   * @returns {Promise<boolean>} Whether the blob was deleted
+   */
+  async releaseBlob(contentHash, count = 1) {
+    await query(
+      'UPDATE attachment_blobs SET ref_count = ref_count - ? WHERE content_hash = ?',
+      [count, contentHash]
+    );
+
+    const blobs = await query('SELECT file_path FROM attachment_blobs WHERE content_hash = ?', [contentHash]);
+    if (blobs.length === 0) return false;
+
+    const result = await query(
+      'DELETE FROM attachment_blobs WHERE content_hash = ? AND ref_count <= 0',
+      [contentHash]
+    );
+
+    const header = Array.isArray(result) ? result[0] : result;
+    if (!header || !(header.affectedRows || header.changes)) return false;
+
+    try {
+      await storageService.delete(blobs[0].file_path);
+    } catch (error) {
+      logger.warn('Failed to delete attachment blob', { contentHash, error: error.message });
+    }
+    return true;
+  }
+
+  async deleteLegacyFile(uri) {
+    try {
+      // Same-named attachments in one month shared a single file
+      const remaining = await query('SELECT COUNT(*) as count FROM attachments WHERE file_path = ?', [uri]);
+      if (remaining[0].count > 0) return;
+
+      await storageService.delete(uri);
+    } catch (error) {
+      logger.warn('Failed to delete legacy attachment file', { uri, error: error.message });
+    }
+  }
+}
+
+const attachmentStorageService = new AttachmentStorageService();
+
+module.exports = {
+  AttachmentStorageService,
+  attachmentStorageService,
+};
@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { compressionService } = require('./compressionService');
+const { encryptionService } = require('./encryptionService');
+const { storageService } = require('./storageService');
+
+const COMPRESSION_EXTENSIONS = {
+  gzip: '.gz',
+  zstd: '.zst',
+};
+
+/**
+ * Reads and writes backup files through the storage backend: compression first
+ * (ciphertext does not compress), then encryption. Callers keep the returned
+ * URI and `compression` in the row that references the file and pass them
+ * back when reading.
+ */
+class BackupFileService {
+  /**
+   * Key or URI for a file stored with `compression`, e.g. msg.eml -> msg.eml.gz,
+   * so a compressed copy never replaces the uncompressed file in place.
+   */
+  getStoredPath(uri, compression) {
+    return uri + (COMPRESSION_EXTENSIONS[compression] || '');
+  }
+
+  /**
+   * Name to hand out for a stored file (without the compression extension).
+   */
+  getOriginalName(uri) {
+    const name = path.posix.basename(uri.replace(/\\/g, '/'));
+    const extension = Object.values(COMPRESSION_EXTENSIONS).find(ext => name.endsWith(ext));
+    return extension ? name.slice(0, -extension.length) : name;
+  }
+
+  /**
+   * @param {Buffer|string} content
+   * @param {Object} options
+   * @param {string} options.scope - Encryption scope (domain name)
+   * @param {boolean} [options.compress=true] - False when `content` is already stored bytes
+   * @returns {Promise<{data: Buffer, compression: string|null}>}
+   */
+  async encode(content, { scope, compress = true }) {
+    let data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    let compression = null;
+
+    if (compress) {
+      ({ content: data, compression } = await compressionService.compress(data));
+    }
+
+    return { data: await encryptionService.encrypt(data, scope), compression };
+  }
+
+  /**
+   * encode() for a file, streamed through temporary files next to it, which
+   * are removed once `callback` settles.
+   *
+   * @param {function({path: string, compression: string|null, storedSize: number}): Promise<*>} callback -
+   *   Called with the encoded file, e.g. to write it with writeStoredFile()
+   * @returns {Promise<*>} What `callback` returns
+   */
+  async withEncodedFile(sourcePath, { scope, compress = true }, callback) {
+    const tempPath = `${sourcePath}.${uuidv4()}`;
+    try {
+      let encoded = { path: sourcePath, compression: null };
+      if (compress) {
+        encoded = await compressionService.compressFile(sourcePath, `${tempPath}.compressed`);
+      }
+      const encodedPath = await encryptionService.encryptFile(encoded.path, `${tempPath}.encrypted`, scope);
+      const { size } = await fs.stat(encodedPath);
+
+      return await callback({ path: encodedPath, compression: encoded.compression, storedSize: size });
+    } finally {
+      await Promise.all([
+        fs.rm(`${tempPath}.compressed`, { force: true }),
+        fs.rm(`${tempPath}.encrypted`, { force: true }),
+      ]);
+    }
+  }
+
+  /**
+   * Write already encoded bytes. Readers never see a partially written file.
+   */
+  async writeStored(uri, data) {
+    await storageService.put(uri, data);
+  }
+
+  /**
+   * writeStored() of an encoded file.
+   */
+  async writeStoredFile(uri, sourcePath) {
+    await storageService.putFile(uri, sourcePath);
+  }
+
+  /**
+   * Stored bytes of a file, as written by writeStored().
+   */
+  async readStored(uri) {
+    return storageService.get(uri);
+  }
+
+  /**
+   * Encode and write `content` to `key` on the default backend. The file name
+   * gets the compression extension.
+   *
+   * @param {string} key - e.g. example.com/alice/2024/01/<id>.eml
+   * @returns {Promise<{uri: string, compression: string|null, storedSize: number}>}
+   */
+  async write(key, content, options) {
+    const { data, compression } = await this.encode(content, options);
+    const uri = storageService.buildUri(this.getStoredPath(key, compression));
+    await this.writeStored(uri, data);
+    return { uri, compression, storedSize: data.length };
+  }
+
+  /**
+   * write() of the content of the file at `sourcePath`, which is never held
+   * in memory as a whole.
+   *
+   * @returns {Promise<{uri: string, compression: string|null, storedSize: number}>}
+   */
+  async writeFile(key, sourcePath, options) {
+    return this.withEncodedFile(sourcePath, options, async ({ path: encodedPath, compression, storedSize }) => {
+      const uri = storageService.buildUri(this.getStoredPath(key, compression));
+      await this.writeStoredFile(uri, encodedPath);
+      return { uri, compression, storedSize };
+    });
+  }
+
+  /**
+   * Drop-in replacement for fs.readFile on backup files. Rejects with code
+   * ENOENT when the file does not exist, whatever the backend.
+   *
+   * @param {string} uri - Storage URI (or legacy path) from the row
+   * @param {Object} [options]
+   * @param {string|null} [options.compression] - Value of the row's compression column
+   * @param {string} [options.encoding] - Return a string instead of a Buffer
+   */
+  async read(uri, { compression = null, encoding = null } = {}) {
+    const content = await this.decode(await this.readStored(uri), { compression });
+    return encoding ? content.toString(encoding) : content;
+  }
+
+  /**
+   * Original content of stored bytes. Fails if encrypted data was altered.
+   */
+  async decode(stored, { compression = null } = {}) {
+    return compressionService.decompress(await encryptionService.decrypt(stored), compression);
+  }
+}
+
+const backupFileService = new BackupFileService();
+
+module.exports = {
+  BackupFileService,
+  backupFileService,
+};
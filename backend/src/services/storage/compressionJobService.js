@@ -0,0 +1,234 @@
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+const { compressionService } = require('./compressionService');
+const { backupFileService } = require('./backupFileService');
+const { storageService } = require('./storageService');
+const { SHARED_SCOPE } = require('./encryptionService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/compression.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+const BATCH_SIZE = 200;
+const COMPRESSED = ['gzip', 'zstd'];
+
+/**
+ * Background job that compresses EML files and attachment blobs stored
+ * before compression was enabled (compression IS NULL).
+ *
+ * Each file is written as a new file with the compression extension and the
+ * row is switched to it in a single UPDATE before the old file is removed, so
+ * concurrent readers always see a matching path and algorithm.
+ */
+class CompressionJobService {
+  constructor() {
+    this.status = {
+      running: false,
+      total: 0,
+      processed: 0,
+      compressed: 0,
+      skipped: 0,
+      failed: 0,
+      bytesSaved: 0,
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+    };
+  }
+
+  async run({ batchSize = BATCH_SIZE } = {}) {
+    if (this.status.running) {
+      throw new Error('Compression job is already running');
+    }
+
+    if (!compressionService.isEnabled()) {
+      throw new Error('Compression is not enabled (set BACKUP_COMPRESSION to zstd or gzip)');
+    }
+
+    this.status = {
+      running: true,
+      total: 0,
+      processed: 0,
+      compressed: 0,
+      skipped: 0,
+      failed: 0,
+      bytesSaved: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+    };
+
+    const status = this.status;
+
+    try {
+      const emailCount = await query('SELECT COUNT(*) as total FROM emails WHERE compression IS NULL');
+      const blobCount = await query('SELECT COUNT(*) as total FROM attachment_blobs WHERE compression IS NULL');
+      status.total = Number(emailCount[0].total) + Number(blobCount[0].total);
+
+      logger.info('Compression job started', { total: status.total, algorithm: compressionService.getAlgorithm() });
+
+      const limitValue = parseInt(batchSize);
+
+      // Keyset pagination: files that fail stay uncompressed, so OFFSET would loop over them
+      let lastEmailId = 0;
+      while (true) {
+        const emails = await query(
+          `SELECT e.id, e.eml_path, u.email as user_email FROM emails e
+           JOIN users u ON e.user_id = u.id
+           WHERE e.compression IS NULL AND e.id > ?
+           ORDER BY e.id LIMIT ${limitValue}`,
+          [lastEmailId]
+        );
+        if (emails.length === 0) break;
+
+        for (const email of emails) {
+          lastEmailId = email.id;
+          await this.processFile(email.eml_path, email.user_email.split('@')[1], (uri, compression, storedSize) => query(
+            'UPDATE emails SET eml_path = ?, compression = ?, stored_size = ? WHERE id = ? AND compression IS NULL',
+            [uri, compression, storedSize, email.id]
+          ), 'SELECT COUNT(*) as count FROM emails WHERE eml_path = ?');
+        }
+
+        this.logProgress();
+      }
+
+      let lastContentHash = '';
+      while (true) {
+        const blobs = await query(
+          `SELECT content_hash, file_path FROM attachment_blobs
+           WHERE compression IS NULL AND content_hash > ?
+           ORDER BY content_hash LIMIT ${limitValue}`,
+          [lastContentHash]
+        );
+        if (blobs.length === 0) break;
+
+        for (const blob of blobs) {
+          lastContentHash = blob.content_hash;
+          await this.processFile(blob.file_path, SHARED_SCOPE, async (uri, compression, storedSize) => {
+            await query(
+              'UPDATE attachment_blobs SET file_path = ?, compression = ?, stored_size = ? WHERE content_hash = ? AND compression IS NULL',
+              [uri, compression, storedSize, blob.content_hash]
+            );
+            await query('UPDATE attachments SET file_path = ? WHERE content_hash = ?', [uri, blob.content_hash]);
+          }, 'SELECT COUNT(*) as count FROM attachment_blobs WHERE file_path = ?');
+        }
+
+        this.logProgress();
+      }
+
+      logger.info('Compression job completed', { ...status });
+    } catch (error) {
+      status.error = error.message;
+      logger.error('Compression job failed', { error: error.message });
+      throw error;
+    } finally {
+      status.running = false;
+      status.finishedAt = new Date().toISOString();
+    }
+
+    return { ...status };
+  }
+
+  /**
+   * Compress one stored file.
+   *
+   * @param {string} uri - Current (uncompressed) file
+   * @param {string} scope - Encryption scope
+   * @param {Function} updateRow - (uri, compression, storedSize) => Promise, records the new file
+   * @param {string} referencesSql - Counts rows still pointing at a URI, before the old file is removed
+   */
+  async processFile(uri, scope, updateRow, referencesSql) {
+    const status = this.status;
+
+    try {
+      const content = await backupFileService.read(uri);
+      const { data, compression } = await backupFileService.encode(content, { scope });
+
+      if (!COMPRESSED.includes(compression)) {
+        // Did not shrink: leave the file as it is and stop retrying it
+        const { size } = await storageService.stat(uri);
+        await updateRow(uri, compression, size);
+        status.skipped++;
+        return;
+      }
+
+      const { size: previousSize } = await storageService.stat(uri);
+      const compressedUri = backupFileService.getStoredPath(uri, compression);
+      await backupFileService.writeStored(compressedUri, data);
+      await updateRow(compressedUri, compression, data.length);
+
+      const references = await query(referencesSql, [uri]);
+      if (Number(references[0].count) === 0) {
+        await storageService.delete(uri);
+      }
+
+      status.compressed++;
+      status.bytesSaved += previousSize - data.length;
+    } catch (error) {
+      status.failed++;
+      logger.warn('Compression job skipped file', { uri, error: error.message });
+    } finally {
+      status.processed++;
+    }
+  }
+
+  logProgress() {
+    const status = this.status;
+    logger.info(`Compression job progress: ${status.processed}/${status.total}`, {
+      compressed: status.compressed,
+      skipped: status.skipped,
+      failed: status.failed,
+      bytesSaved: status.bytesSaved
+    });
+  }
+
+  getStatus() {
+    return { ...this.status };
+  }
+
+  /**
+   * Space saved by compression across all stored EML files and attachment blobs.
+   */
+  async getSpaceSaved() {
+    const [emails] = await query(
+      `SELECT COUNT(*) as files, COALESCE(SUM(size), 0) as original_size, COALESCE(SUM(stored_size), 0) as stored_size
+       FROM emails WHERE compression IN ('gzip', 'zstd')`
+    );
+    const [attachments] = await query(
+      `SELECT COUNT(*) as files, COALESCE(SUM(size), 0) as original_size, COALESCE(SUM(stored_size), 0) as stored_size
+       FROM attachment_blobs WHERE compression IN ('gzip', 'zstd')`
+    );
+    const [pending] = await query(
+      `SELECT
+         (SELECT COUNT(*) FROM emails WHERE compression IS NULL) +
+         (SELECT COUNT(*) FROM attachment_blobs WHERE compression IS NULL) as files`
+    );
+
+    const originalSize = Number(emails.original_size) + Number(attachments.original_size);
+    const storedSize = Number(emails.stored_size) + Number(attachments.stored_size);
+
+    return {
+      algorithm: compressionService.getAlgorithm(),
+      compressed_files: Number(emails.files) + Number(attachments.files),
+      uncompressed_files: Number(pending.files),
+      original_size: originalSize,
+      stored_size: storedSize,
+      space_saved: originalSize - storedSize,
+    };
+  }
+}
+
+const compressionJobService = new CompressionJobService();
+
+module.exports = {
+  CompressionJobService,
+  compressionJobService,
+};
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/compression.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+// zstd is built into zlib from Node 22.15 / 23.8 on
+const CODECS = {
+  gzip: {
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip),
+    createCompressStream: () => zlib.createGzip(),
+  },
+  zstd: zlib.zstdCompress ? {
+    compress: promisify(zlib.zstdCompress),
+    decompress: promisify(zlib.zstdDecompress),
+    createCompressStream: () => zlib.createZstdCompress(),
+  } : null,
+};
+
+// Stored in the `compression` column when compressing did not make the file smaller
+const NONE = 'none';
+
+/**
+ * Compression of stored EML and attachment files, configured with
+ * BACKUP_COMPRESSION (zstd, gzip or none). The algorithm is recorded per row
+ * in emails.compression / attachment_blobs.compression: NULL for files written
+ * without compression enabled, 'none' for files that did not compress.
+ */
+class CompressionService {
+  constructor() {
+    this.algorithm = undefined;
+  }
+
+  getAlgorithm() {
+    if (this.algorithm !== undefined) return this.algorithm;
+
+    const configured = (process.env.BACKUP_COMPRESSION || NONE).toLowerCase();
+    if (configured === NONE) {
+      this.algorithm = null;
+    } else if (!(configured in CODECS)) {
+      logger.warn('Unknown BACKUP_COMPRESSION, storing files uncompressed', { configured });
+      this.algorithm = null;
+    } else if (!CODECS[configured]) {
+      logger.warn('zstd requires Node.js 22.15 or later, falling back to gzip', { node: process.version });
+      this.algorithm = 'gzip';
+    } else {
+      this.algorithm = configured;
+    }
+
+    return this.algorithm;
+  }
+
+  isEnabled() {
+    return this.getAlgorithm() !== null;
+  }
+
+  getCodec(algorithm) {
+    const codec = CODECS[algorithm];
+    if (!codec) {
+      throw new Error(algorithm === 'zstd'
+        ? 'File is zstd-compressed, which requires Node.js 22.15 or later'
+        : `Unknown compression algorithm: ${algorithm}`);
+    }
+    return codec;
+  }
+
+  /**
+   * Compress with the configured algorithm.
+   *
+   * @returns {Promise<{content: Buffer, compression: string|null}>} The bytes to
+   *   store and the value for the compression column
+   */
+  async compress(content) {
+    const algorithm = this.getAlgorithm();
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    if (!algorithm) return { content: buffer, compression: null };
+
+    const compressed = await this.getCodec(algorithm).compress(buffer);
+    // Already-compressed attachments (images, zip, docx) rarely shrink; keep them as they are
+    if (compressed.length >= buffer.length) {
+      return { content: buffer, compression: NONE };
+    }
+    return { content: compressed, compression: algorithm };
+  }
+
+  /**
+   * compress() for a file, streamed into `targetPath`.
+   *
+   * @returns {Promise<{path: string, compression: string|null}>} The file to
+   *   store, `targetPath` or `sourcePath` when it is not compressed, and the
+   *   value for the compression column
+   */
+  async compressFile(sourcePath, targetPath) {
+    const algorithm = this.getAlgorithm();
+    if (!algorithm) return { path: sourcePath, compression: null };
+
+    await pipeline(fs.createReadStream(sourcePath), this.getCodec(algorithm).createCompressStream(), fs.createWriteStream(targetPath));
+    const [source, compressed] = await Promise.all([fs.promises.stat(sourcePath), fs.promises.stat(targetPath)]);
+    if (compressed.size >= source.size) {
+      return { path: sourcePath, compression: NONE };
+    }
+    return { path: targetPath, compression: algorithm };
+  }
+
+  async decompress(content, compression) {
+    if (!compression || compression === NONE) return content;
+    return this.getCodec(compression).decompress(content);
+  }
+}
+
+const compressionService = new CompressionService();
+
+module.exports = {
+  CompressionService,
+  compressionService,
+};
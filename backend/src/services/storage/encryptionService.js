@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const winston = require('winston');
+const { query } = require('../database/databaseService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/encryption.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+// "\x89GWSENC" + format version; never the start of an EML file
+const MAGIC = Buffer.from([0x89, 0x47, 0x57, 0x53, 0x45, 0x4e, 0x43, 0x01]);
+const KEY_ID_LENGTH = 4;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + KEY_ID_LENGTH + IV_LENGTH + TAG_LENGTH;
+const ALGORITHM = 'aes-256-gcm';
+
+// Data key scope for attachment blobs, which are shared across domains
+const SHARED_SCOPE = '*';
+
+/**
+ * Envelope encryption for stored EML and attachment files.
+ *
+ * Every domain gets its own random data key, stored in encryption_keys wrapped
+ * (AES-256-GCM) by the master key. Encrypted files carry the id of their data
+ * key in the header, so rotating the master key only re-wraps the data keys.
+ *
+ * Master keys are base64-encoded 32-byte keys, read from BACKUP_MASTER_KEY_FILE
+ * (one key per line) or BACKUP_MASTER_KEY (comma separated). The first key
+ * wraps new data keys; the others are only used to unwrap during rotation.
+ * Without a master key, files are written in plaintext as before.
+ */
+class EncryptionService {
+  constructor() {
+    this.masterKeys = null;
+    this.dataKeysById = new Map();
+    this.dataKeyIdsByScope = new Map();
+  }
+
+  static parseMasterKeys(text, separator) {
+    return text
+      .split(separator)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map((encoded) => {
+        const key = Buffer.from(encoded, 'base64');
+        if (key.length !== 32) {
+          throw new Error('Master keys must be base64-encoded 32-byte keys');
+        }
+        return { id: EncryptionService.getMasterKeyId(key), key };
+      });
+  }
+
+  static getMasterKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  }
+
+  static generateKey() {
+    return crypto.randomBytes(32);
+  }
+
+  loadMasterKeys() {
+    const keyFile = process.env.BACKUP_MASTER_KEY_FILE;
+    if (keyFile) {
+      this.masterKeys = EncryptionService.parseMasterKeys(fs.readFileSync(keyFile, 'utf8'), /\r?\n/);
+    } else if (process.env.BACKUP_MASTER_KEY) {
+      this.masterKeys = EncryptionService.parseMasterKeys(process.env.BACKUP_MASTER_KEY, ',');
+    } else {
+      this.masterKeys = [];
+    }
+    return this.masterKeys;
+  }
+
+  getMasterKeys() {
+    return this.masterKeys || this.loadMasterKeys();
+  }
+
+  isEnabled() {
+    return this.getMasterKeys().length > 0;
+  }
+
+  getCurrentMasterKey() {
+    const [current] = this.getMasterKeys();
+    if (!current) {
+      throw new Error('No master key configured (set BACKUP_MASTER_KEY_FILE or BACKUP_MASTER_KEY)');
+    }
+    return current;
+  }
+
+  getMasterKey(masterKeyId) {
+    let masterKey = this.getMasterKeys().find(key => key.id === masterKeyId);
+    if (!masterKey && process.env.BACKUP_MASTER_KEY_FILE) {
+      // The key file may have been rotated while we were running
+      masterKey = this.loadMasterKeys().find(key => key.id === masterKeyId);
+    }
+    if (!masterKey) {
+      throw new Error(`Master key ${masterKeyId} is not configured`);
+    }
+    return masterKey;
+  }
+
+  wrapKey(dataKey, masterKey) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, masterKey.key, iv);
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64');
+  }
+
+  unwrapKey(wrappedKey, masterKey) {
+    const raw = Buffer.from(wrappedKey, 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, masterKey.key, raw.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  }
+
+  /**
+   * Data key used to encrypt new files of a domain, created on first use.
+   */
+  async getDataKeyForScope(scope) {
+    if (this.dataKeyIdsByScope.has(scope)) {
+      const id = this.dataKeyIdsByScope.get(scope);
+      return { id, key: this.dataKeysById.get(id) };
+    }
+
+    let rows = await query('SELECT * FROM encryption_keys WHERE scope = ?', [scope]);
+    if (rows.length === 0) {
+      const masterKey = this.getCurrentMasterKey();
+      // INSERT IGNORE: another worker may create the key for this domain concurrently
+      await query(
+        'INSERT IGNORE INTO encryption_keys (scope, wrapped_key, master_key_id, created_at) VALUES (?, ?, ?, NOW())',
+        [scope, this.wrapKey(EncryptionService.generateKey(), masterKey), masterKey.id]
+      );
+      rows = await query('SELECT * FROM encryption_keys WHERE scope = ?', [scope]);
+      logger.info('Data key created', { scope, masterKeyId: masterKey.id });
+    }
+
+    const dataKey = this.cacheDataKey(rows[0]);
+    this.dataKeyIdsByScope.set(scope, dataKey.id);
+    return dataKey;
+  }
+
+  async getDataKeyById(id) {
+    if (this.dataKeysById.has(id)) {
+      return { id, key: this.dataKeysById.get(id) };
+    }
+
+    const rows = await query('SELECT * FROM encryption_keys WHERE id = ?', [id]);
+    if (rows.length === 0) {
+      throw new Error(`Data key ${id} not found`);
+    }
+    return this.cacheDataKey(rows[0]);
+  }
+
+  cacheDataKey(row) {
+    const key = this.unwrapKey(row.wrapped_key, this.getMasterKey(row.master_key_id));
+    this.dataKeysById.set(row.id, key);
+    return { id: row.id, key };
+  }
+
+  isEncrypted(buffer) {
+    return buffer.length >= HEADER_LENGTH && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+  }
+
+  /**
+   * Encrypt with the data key of `scope` (a domain name). Returns the content
+   * unchanged when no master key is configured.
+   */
+  async encrypt(content, scope) {
+    if (!this.isEnabled()) return content;
+
+    const plaintext = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const dataKey = await this.getDataKeyForScope(scope);
+
+    const keyId = Buffer.alloc(KEY_ID_LENGTH);
+    keyId.writeUInt32BE(dataKey.id);
+    const iv = crypto.randomBytes(IV_LENGTH);
+
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey.key, iv);
+    cipher.setAAD(Buffer.concat([MAGIC, keyId]));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return Buffer.concat([MAGIC, keyId, iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  /**
+   * encrypt() for a file, streamed into `targetPath` in the same format. The
+   * tag goes before the ciphertext but is only known at its end, so its place
+   * in the header is filled in last.
+   *
+   * @returns {Promise<string>} The file to store: `targetPath`, or
+   *   `sourcePath` when no master key is configured
+   */
+  async encryptFile(sourcePath, targetPath, scope) {
+    if (!this.isEnabled()) return sourcePath;
+
+    const dataKey = await this.getDataKeyForScope(scope);
+    const keyId = Buffer.alloc(KEY_ID_LENGTH);
+    keyId.writeUInt32BE(dataKey.id);
+    const iv = crypto.randomBytes(IV_LENGTH);
+
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey.key, iv);
+    cipher.setAAD(Buffer.concat([MAGIC, keyId]));
+
+    await fs.promises.writeFile(targetPath, Buffer.concat([MAGIC, keyId, iv, Buffer.alloc(TAG_LENGTH)]));
+    await pipeline(fs.createReadStream(sourcePath), cipher, fs.createWriteStream(targetPath, { flags: 'r+', start: HEADER_LENGTH }));
+
+    const handle = await fs.promises.open(targetPath, 'r+');
+    try {
+      await handle.write(cipher.getAuthTag(), 0, TAG_LENGTH, HEADER_LENGTH - TAG_LENGTH);
+    } finally {
+      await handle.close();
+    }
+    return targetPath;
+  }
+
+  /**
+   * Decrypt file content written by encrypt(). Plaintext files (written
+   * before encryption was enabled) are returned unchanged.
+   */
+  async decrypt(buffer) {
+    if (!this.isEncrypted(buffer)) return buffer;
+
+    const keyId = buffer.subarray(MAGIC.length, MAGIC.length + KEY_ID_LENGTH);
+    const ivStart = MAGIC.length + KEY_ID_LENGTH;
+    const iv = buffer.subarray(ivStart, ivStart + IV_LENGTH);
+    const tag = buffer.subarray(ivStart + IV_LENGTH, HEADER_LENGTH);
+
+    const dataKey = await this.getDataKeyById(keyId.readUInt32BE());
+    const decipher = crypto.createDecipheriv(ALGORITHM, dataKey.key, iv);
+    decipher.setAAD(Buffer.concat([MAGIC, keyId]));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(buffer.subarray(HEADER_LENGTH)), decipher.final()]);
+  }
+
+  /**
+   * Re-wrap every data key with the current master key. Files are not
+   * touched, since they only reference their data key by id.
+   *
+   * @returns {Promise<{rewrapped: number, total: number}>}
+   */
+  async rewrapDataKeys() {
+    const currentMasterKey = this.getCurrentMasterKey();
+    const rows = await query('SELECT * FROM encryption_keys');
+    let rewrapped = 0;
+
+    for (const row of rows) {
+      if (row.master_key_id === currentMasterKey.id) continue;
+
+      const dataKey = this.unwrapKey(row.wrapped_key, this.getMasterKey(row.master_key_id));
+      await query(
+        'UPDATE encryption_keys SET wrapped_key = ?, master_key_id = ?, rotated_at = NOW() WHERE id = ? AND master_key_id = ?',
+        [this.wrapKey(dataKey, currentMasterKey), currentMasterKey.id, row.id, row.master_key_id]
+      );
+      rewrapped++;
+    }
+
+    logger.info('Data keys re-wrapped', { masterKeyId: currentMasterKey.id, rewrapped, total: rows.length });
+    return { rewrapped, total: rows.length };
+  }
+}
+
+const encryptionService = new EncryptionService();
+
+module.exports = {
+  EncryptionService,
+  encryptionService,
+  SHARED_SCOPE,
+};
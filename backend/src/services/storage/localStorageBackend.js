@@ -0,0 +1,145 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Storage backend for a directory on the local filesystem (BACKUP_DIR).
+ *
+ * Keys are '/'-separated paths relative to the root. Absolute paths are
+ * accepted as well, for rows written before storage URIs were introduced.
+ */
+class LocalStorageBackend {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  toUri(key) {
+    return `local://${key}`;
+  }
+
+  getUri(key) {
+    return this.toUri(key);
+  }
+
+  /**
+   * Root-relative key, or null for an absolute path outside the root.
+   */
+  getKey(key) {
+    return path.isAbsolute(key) ? this.relativeKey(key) : key;
+  }
+
+  relativeKey(filePath) {
+    const relative = path.relative(this.root, filePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+    return relative.split(path.sep).join('/');
+  }
+
+  resolvePath(key) {
+    if (path.isAbsolute(key)) return key;
+
+    const filePath = path.resolve(this.root, ...key.split('/'));
+    if (!this.relativeKey(filePath)) {
+      throw new Error(`Storage key escapes the backup directory: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Write through a temp file so readers never see a partially written file.
+   */
+  async put(key, data) {
+    const filePath = this.resolvePath(key);
+    const tempPath = `${filePath}.${uuidv4()}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await fs.writeFile(tempPath, data);
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * put() of the content of the file at `sourcePath`, copied rather than read
+   * into memory.
+   */
+  async putFile(key, sourcePath) {
+    const filePath = this.resolvePath(key);
+    const tempPath = `${filePath}.${uuidv4()}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await fs.copyFile(sourcePath, tempPath);
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolvePath(key));
+  }
+
+  /**
+   * Rejects with code ENOENT up front, like get(), rather than on the first read.
+   */
+  async getStream(key) {
+    const handle = await fs.open(this.resolvePath(key), 'r');
+    return handle.createReadStream();
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this.resolvePath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async stat(key) {
+    const { size } = await fs.stat(this.resolvePath(key));
+    return { size };
+  }
+
+  /**
+   * Every file under the root, as {key, size, lastModified}.
+   */
+  async *list() {
+    const pending = [this.root];
+    while (pending.length > 0) {
+      const dirPath = pending.pop();
+      let dir;
+      try {
+        dir = await fs.opendir(dirPath);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for await (const entry of dir) {
+        const entryPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory()) {
+          pending.push(entryPath);
+        } else if (entry.isFile()) {
+          const { size, mtime } = await fs.stat(entryPath);
+          yield { key: this.relativeKey(entryPath), size, lastModified: mtime };
+        }
+      }
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = {
+  LocalStorageBackend,
+};
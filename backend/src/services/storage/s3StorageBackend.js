@@ -0,0 +1,167 @@
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+
+function isNotFound(error) {
+  return error.name === 'NoSuchKey'
+    || error.name === 'NotFound'
+    || (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+// Callers treat a missing file the same on every backend
+function notFoundError(bucket, key) {
+  const error = new Error(`Object not found: s3://${bucket}/${key}`);
+  error.code = 'ENOENT';
+  return error;
+}
+
+/**
+ * Storage backend for an S3-compatible bucket (AWS S3, MinIO, Wasabi, ...).
+ *
+ * Keys are object keys. New objects are written under `prefix`, so one bucket
+ * can hold several archives; URIs always carry the full object key.
+ */
+class S3StorageBackend {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) {
+    if (!bucket) {
+      throw new Error('S3 storage requires a bucket (set S3_BUCKET)');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      // MinIO and most self-hosted stores do not support virtual-hosted buckets
+      forcePathStyle: forcePathStyle !== undefined ? forcePathStyle : Boolean(endpoint),
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+      // Otherwise a streamed body (putFile) is sent aws-chunked with a trailing
+      // checksum, which not every S3-compatible store decodes
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+    });
+  }
+
+  toUri(key) {
+    return this.getUri(`${this.prefix}${key}`);
+  }
+
+  /**
+   * URI of an object key, as returned by list().
+   */
+  getUri(objectKey) {
+    return `s3://${this.bucket}/${objectKey}`;
+  }
+
+  /**
+   * Archive-relative key of an object key, without the configured prefix.
+   */
+  getKey(objectKey) {
+    return objectKey.startsWith(this.prefix) ? objectKey.slice(this.prefix.length) : objectKey;
+  }
+
+  async put(key, data) {
+    // A PUT replaces the object in one step, so no temp object is needed
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: data,
+      ContentLength: data.length,
+    }));
+  }
+
+  /**
+   * put() of the content of the file at `sourcePath`, streamed from disk.
+   */
+  async putFile(key, sourcePath) {
+    const { size } = await fs.promises.stat(sourcePath);
+    const body = fs.createReadStream(sourcePath);
+    try {
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentLength: size,
+      }));
+    } finally {
+      body.destroy();
+    }
+  }
+
+  /**
+   * Whole object in memory: stored files are decrypted in one piece, since
+   * their AES-GCM tag covers all of it. Use getStream() to pass bytes on as is.
+   */
+  async get(key) {
+    return Buffer.from(await (await this.getObject(key)).Body.transformToByteArray());
+  }
+
+  /**
+   * The object as a Readable, read from the bucket as it is consumed.
+   */
+  async getStream(key) {
+    return (await this.getObject(key)).Body;
+  }
+
+  async getObject(key) {
+    try {
+      return await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    } catch (error) {
+      if (isNotFound(error)) throw notFoundError(this.bucket, key);
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await this.stat(key);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return { size: Number(response.ContentLength) };
+    } catch (error) {
+      if (isNotFound(error)) throw notFoundError(this.bucket, key);
+      throw error;
+    }
+  }
+
+  /**
+   * Every object under the prefix, as {key, size, lastModified}.
+   */
+  async *list() {
+    let continuationToken;
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix || undefined,
+        ContinuationToken: continuationToken,
+      }));
+
+      for (const object of response.Contents || []) {
+        yield { key: object.Key, size: Number(object.Size), lastModified: object.LastModified };
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
+
+module.exports = {
+  S3StorageBackend,
+};
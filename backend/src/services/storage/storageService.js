@@ -0,0 +1,202 @@
+const path = require('path');
+const winston = require('winston');
+const { LocalStorageBackend } = require('./localStorageBackend');
+const { S3StorageBackend } = require('./s3StorageBackend');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/storage.log' }),
+    new winston.transports.Console({ format: winston.format.simple() }),
+  ],
+});
+
+const BACKENDS = ['local', 's3'];
+const URI_PATTERN = /^([a-z][a-z0-9+.-]*):\/\/(.*)$/i;
+
+/**
+ * Resolves the storage URIs kept in emails.eml_path, attachment_blobs.file_path
+ * and attachments.file_path to a backend and key:
+ *
+ *   local://example.com/alice/2024/01/<id>.eml   relative to BACKUP_DIR
+ *   s3://bucket/archive/example.com/...          object key in the bucket
+ *
+ * Values without a scheme are filesystem paths written before storage URIs
+ * were introduced and keep working as local files.
+ *
+ * New files go to STORAGE_BACKEND (local or s3). Files are read from wherever
+ * their URI points, so an archive can be moved between backends row by row.
+ */
+class StorageService {
+  constructor() {
+    this.backends = new Map();
+  }
+
+  getDefaultBackendName() {
+    const name = (process.env.STORAGE_BACKEND || 'local').toLowerCase();
+    if (!BACKENDS.includes(name)) {
+      throw new Error(`Unknown STORAGE_BACKEND: ${name} (expected ${BACKENDS.join(' or ')})`);
+    }
+    return name;
+  }
+
+  /**
+   * @param {string} [name] - 'local' or 's3', defaults to STORAGE_BACKEND
+   * @param {string} [bucket] - S3 bucket, defaults to S3_BUCKET
+   */
+  getBackend(name = this.getDefaultBackendName(), bucket = process.env.S3_BUCKET) {
+    const cacheKey = name === 's3' ? `s3:${bucket}` : name;
+    if (!this.backends.has(cacheKey)) {
+      this.backends.set(cacheKey, this.createBackend(name, bucket));
+    }
+    return this.backends.get(cacheKey);
+  }
+
+  createBackend(name, bucket) {
+    if (name === 'local') {
+      return new LocalStorageBackend({ root: process.env.BACKUP_DIR || './backup' });
+    }
+
+    if (name === 's3') {
+      const backend = new S3StorageBackend({
+        bucket,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== undefined
+          ? process.env.S3_FORCE_PATH_STYLE === 'true'
+          : undefined,
+        prefix: process.env.S3_PREFIX || '',
+      });
+      logger.info('S3 storage backend initialized', { bucket, endpoint: process.env.S3_ENDPOINT || 'aws' });
+      return backend;
+    }
+
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+
+  /**
+   * URI for a new file at `key` (e.g. example.com/alice/2024/01/<id>.eml).
+   */
+  buildUri(key, backendName) {
+    return this.getBackend(backendName).toUri(key);
+  }
+
+  /**
+   * @returns {{backend: LocalStorageBackend|S3StorageBackend, key: string}}
+   */
+  resolve(uri) {
+    if (!uri) {
+      throw new Error('Missing storage URI');
+    }
+
+    const match = URI_PATTERN.exec(uri);
+    if (!match) {
+      // Legacy row: a path relative to the working directory or absolute
+      return { backend: this.getBackend('local'), key: path.resolve(uri) };
+    }
+
+    const [, scheme, rest] = match;
+    switch (scheme.toLowerCase()) {
+      case 'local':
+        return { backend: this.getBackend('local'), key: rest };
+      case 's3': {
+        const slash = rest.indexOf('/');
+        if (slash <= 0) throw new Error(`Invalid S3 storage URI: ${uri}`);
+        return { backend: this.getBackend('s3', rest.slice(0, slash)), key: rest.slice(slash + 1) };
+      }
+      default:
+        throw new Error(`Unsupported storage URI scheme: ${scheme}`);
+    }
+  }
+
+  getBackendName(uri) {
+    return this.resolve(uri).backend.name;
+  }
+
+  /**
+   * Archive-relative key of a URI, used to place the file at the same
+   * location on another backend. Null for legacy paths outside BACKUP_DIR.
+   */
+  getKey(uri) {
+    const { backend, key } = this.resolve(uri);
+    return backend.getKey(key);
+  }
+
+  /**
+   * Values a row may hold for the file at `uri`: local files can still be
+   * referenced by the path written before storage URIs were introduced.
+   */
+  getUriAliases(uri) {
+    const { backend, key } = this.resolve(uri);
+    if (backend.name !== 'local') return [uri];
+
+    const relativeKey = backend.getKey(key);
+    if (!relativeKey) return [uri];
+
+    const parts = relativeKey.split('/');
+    return [...new Set([
+      backend.toUri(relativeKey),
+      path.join(process.env.BACKUP_DIR || './backup', ...parts),
+      backend.resolvePath(relativeKey),
+    ])];
+  }
+
+  async put(uri, data) {
+    const { backend, key } = this.resolve(uri);
+    return backend.put(key, data);
+  }
+
+  /**
+   * put() of the content of a local file, without reading it into memory.
+   */
+  async putFile(uri, sourcePath) {
+    const { backend, key } = this.resolve(uri);
+    return backend.putFile(key, sourcePath);
+  }
+
+  /**
+   * Stored bytes of a file. Rejects with code ENOENT if it does not exist.
+   */
+  async get(uri) {
+    const { backend, key } = this.resolve(uri);
+    return backend.get(key);
+  }
+
+  /**
+   * Stored bytes of a file as a Readable, for copying without holding the
+   * whole file. Rejects with code ENOENT if it does not exist.
+   */
+  async getStream(uri) {
+    const { backend, key } = this.resolve(uri);
+    return backend.getStream(key);
+  }
+
+  async exists(uri) {
+    if (!uri) return false;
+    const { backend, key } = this.resolve(uri);
+    return backend.exists(key);
+  }
+
+  async stat(uri) {
+    const { backend, key } = this.resolve(uri);
+    return backend.stat(key);
+  }
+
+  async delete(uri) {
+    const { backend, key } = this.resolve(uri);
+    return backend.delete(key);
+  }
+}
+
+const storageService = new StorageService();
+
+module.exports = {
+  StorageService,
+  storageService,
+};
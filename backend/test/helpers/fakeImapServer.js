@@ -0,0 +1,89 @@
+const hoodiecrow = require('hoodiecrow-imap');
+const { ImapFlow } = require('imapflow');
+
+// Capabilities of a plain IMAP server such as Dovecot, without the X-GM-* extensions
+const DEFAULT_PLUGINS = ['ID', 'NAMESPACE', 'ENABLE', 'UIDPLUS', 'SPECIAL-USE', 'UNSELECT'];
+
+/**
+ * In-process IMAP server (hoodiecrow) for tests, on a free port of 127.0.0.1.
+ * Every login reaches the same mailboxes, given as hoodiecrow storage, e.g.
+ *
+ *   { INBOX: { messages: [{ raw, flags, internaldate }] }, '': { separator: '/', folders: { Sent: {} } } }
+ *
+ * `users` maps logins to `{ password }`, by default `testuser`/`testpass`.
+ * Every command line clients send is kept in `commands`.
+ *
+ * @returns {Promise<{server: Object, connectionOptions: Object, commands: string[], readMailbox: Function, close: Function}>}
+ */
+async function startFakeImapServer({ storage, plugins = DEFAULT_PLUGINS, users = { testuser: { password: 'testpass' } } } = {}) {
+  const server = hoodiecrow({ plugins, storage, users });
+  const commands = [];
+  server.connectionHandlers.push(connection => {
+    connection.socket.on('data', data => commands.push(...data.toString('binary').split('\r\n').filter(Boolean)));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const [user, { password }] = Object.entries(users)[0];
+  const connectionOptions = {
+    host: '127.0.0.1',
+    port: server.server.address().port,
+    secure: false,
+    auth: { user, pass: password },
+  };
+
+  /**
+   * Messages of a mailbox as a client sees them, oldest first.
+   */
+  const readMailbox = async (path) => {
+    const client = new ImapFlow({ ...connectionOptions, logger: false });
+    await client.connect();
+    try {
+      const lock = await client.getMailboxLock(path);
+      try {
+        const messages = [];
+        if (client.mailbox.exists === 0) return messages;
+        for await (const message of client.fetch('1:*', { uid: true, flags: true, internalDate: true, envelope: true })) {
+          messages.push({
+            uid: message.uid,
+            flags: [...message.flags].sort(),
+            internalDate: message.internalDate,
+            messageId: message.envelope.messageId,
+            subject: message.envelope.subject,
+          });
+        }
+        return messages;
+      } finally {
+        lock.release();
+      }
+    } finally {
+      await client.logout();
+    }
+  };
+
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  return { server, connectionOptions, commands, readMailbox, close };
+}
+
+/**
+ * A small RFC 822 message for the fake server.
+ */
+function buildRawMessage({ messageId, subject = 'Test message', from = 'alice@example.com', to = 'bob@example.com', date = 'Mon, 15 Jan 2024 10:00:00 +0000', body = 'Hello' }) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${date}`,
+    ...(messageId ? [`Message-ID: ${messageId}`] : []),
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    body,
+    '',
+  ].join('\r\n');
+}
+
+module.exports = {
+  startFakeImapServer,
+  buildRawMessage,
+};
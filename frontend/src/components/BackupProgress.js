@@ -0,0 +1,67 @@
+import React from 'react';
+import { Box, LinearProgress, Typography } from '@mui/material';
+
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.max(0, Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+};
+
+export const formatEta = (seconds) => {
+  if (seconds === null || seconds === undefined) return 'estimating...';
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+  return `${Math.floor(seconds / 3600)} h ${Math.round((seconds % 3600) / 60)} min`;
+};
+
+const STATUS_LABELS = {
+  running: 'Backing up',
+  completed: 'Completed',
+  failed: 'Failed',
+  throttled: 'Throttled by the server, queued again',
+  deferred: 'Daily quota used up, resumed by the next backup',
+};
+
+// Live progress of one user's backup, from useLiveProgress
+function BackupProgress({ backup, showEmail = false }) {
+  const { folder, totals } = backup;
+  const percent = folder && folder.total > 0 ? Math.round((folder.scanned / folder.total) * 100) : 0;
+
+  return (
+    <Box>
+      <Typography variant="body2" fontWeight="medium">
+        {showEmail ? `${backup.userEmail}: ` : ''}
+        {STATUS_LABELS[backup.status] || backup.status}
+        {backup.status === 'running' && folder ? ` ${folder.folder}` : ''}
+      </Typography>
+
+      {backup.status === 'running' && folder && folder.status === 'running' && (
+        <Box display="flex" alignItems="center" gap={1} my={0.5}>
+          <Box flexGrow={1}>
+            <LinearProgress variant="determinate" value={percent} sx={{ height: 8, borderRadius: 4 }} />
+          </Box>
+          <Typography variant="caption" sx={{ minWidth: 90, textAlign: 'right' }}>
+            {folder.scanned.toLocaleString()} / {folder.total.toLocaleString()}
+          </Typography>
+        </Box>
+      )}
+
+      <Typography variant="caption" color="text.secondary" component="div">
+        {`${totals.downloaded.toLocaleString()} downloaded · ${totals.skipped.toLocaleString()} skipped`}
+        {totals.errors > 0 ? ` · ${totals.errors.toLocaleString()} failed` : ''}
+        {` · ${formatBytes(totals.bytes)}`}
+        {backup.status === 'running' && folder && folder.status === 'running' ? ` · ETA ${formatEta(folder.etaSeconds)}` : ''}
+      </Typography>
+
+      {backup.error && backup.status !== 'running' && (
+        <Typography variant="caption" color="error" component="div">
+          {backup.error}
+        </Typography>
+      )}
+    </Box>
+  );
+}
+
+export default BackupProgress;
@@ -0,0 +1,46 @@
+import { useEffect, useRef, useState } from 'react';
+import { eventsAPI } from '../services/api';
+
+// Backups (by user id) and exports (by export id) of the server, kept up to
+// date from its progress stream. `onEvent(event, data)` is called after each
+// 'backup' or 'export' event, e.g. to reload a list when one finishes.
+function useLiveProgress(onEvent) {
+  const [backups, setBackups] = useState({});
+  const [exports, setExports] = useState({});
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  useEffect(() => eventsAPI.subscribeProgress((event, data) => {
+    if (event === 'snapshot') {
+      setBackups(Object.fromEntries(data.backups.map((backup) => [backup.userId, {
+        ...backup,
+        folder: backup.folders.find((folder) => folder.status === 'running') || null,
+        folders: Object.fromEntries(backup.folders.map((folder) => [folder.folder, folder])),
+      }])));
+      setExports(Object.fromEntries(data.exports.map((item) => [item.exportId, item])));
+      return;
+    }
+
+    if (event === 'backup') {
+      setBackups((prev) => {
+        const previous = prev[data.userId];
+        // A new run of the user's backup starts without folders
+        const sameRun = previous && previous.startedAt === data.startedAt;
+        const folders = sameRun ? { ...previous.folders } : {};
+        if (data.folder) folders[data.folder.folder] = data.folder;
+        return {
+          ...prev,
+          [data.userId]: { ...data, folders, folder: data.folder || (sameRun ? previous.folder : null) },
+        };
+      });
+    } else if (event === 'export') {
+      setExports((prev) => ({ ...prev, [data.exportId]: data }));
+    }
+
+    if (onEventRef.current) onEventRef.current(event, data);
+  }), []);
+
+  return { backups, exports };
+}
+
+export default useLiveProgress;
@@ -6,6 +6,7 @@ import {
   Grid,
   Typography,
   Alert,
+  LinearProgress,
 } from '@mui/material';
 import {
   Email,
@@ -14,6 +15,8 @@ import {
   GetApp,
 } from '@mui/icons-material';
 import { emailsAPI, usersAPI, domainsAPI, exportsAPI } from '../services/api';
+import useLiveProgress from '../hooks/useLiveProgress';
+import BackupProgress from '../components/BackupProgress';
 
 function Dashboard() {
   const [stats, setStats] = useState({
@@ -25,13 +28,23 @@ function Dashboard() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
+  // Backups and exports in progress, pushed by the server; totals are reloaded when one ends
+  const { backups, exports } = useLiveProgress((event, data) => {
+    if (['completed', 'failed'].includes(data.status)) {
+      loadDashboardData({ silent: true });
+    }
+  });
+  const activeBackups = Object.values(backups).sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+  const activeExports = Object.values(exports).filter((item) => ['pending', 'processing'].includes(item.status));
+
   useEffect(() => {
     loadDashboardData();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const loadDashboardData = async () => {
+  const loadDashboardData = async ({ silent = false } = {}) => {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
 
       // Load stats in parallel
       const [emailStats, users, domains, exports] = await Promise.all([
@@ -122,6 +135,54 @@ function Dashboard() {
         </Grid>
       </Grid>
 
+      <Box mt={4}>
+        <Typography variant="h6" gutterBottom>
+          Live Activity
+        </Typography>
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={6}>
+            <Card>
+              <CardContent>
+                <Typography color="textSecondary" gutterBottom>
+                  Backups
+                </Typography>
+                {activeBackups.length > 0 ? activeBackups.map((backup) => (
+                  <Box key={backup.userId} py={1}>
+                    <BackupProgress backup={backup} showEmail />
+                  </Box>
+                )) : (
+                  <Typography variant="body2" color="text.secondary">
+                    No backup running
+                  </Typography>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <Card>
+              <CardContent>
+                <Typography color="textSecondary" gutterBottom>
+                  Exports
+                </Typography>
+                {activeExports.length > 0 ? activeExports.map((item) => (
+                  <Box key={item.exportId} py={1}>
+                    <Typography variant="body2" fontWeight="medium">
+                      {item.format ? `${item.format.toUpperCase()} export` : 'Export'} {item.status}
+                      {item.total ? ` (${item.processed.toLocaleString()} / ${item.total.toLocaleString()} emails)` : ''}
+                    </Typography>
+                    <LinearProgress variant="determinate" value={item.progress || 0} sx={{ height: 8, borderRadius: 4, mt: 0.5 }} />
+                  </Box>
+                )) : (
+                  <Typography variant="body2" color="text.secondary">
+                    No export running
+                  </Typography>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        </Grid>
+      </Box>
+
       <Box mt={4}>
         <Typography variant="h6" gutterBottom>
           System Status
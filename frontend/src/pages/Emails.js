@@ -25,6 +25,9 @@ import {
   Accordion,
   AccordionSummary,
   AccordionDetails,
+  Badge,
+  FormControlLabel,
+  Switch,
 } from '@mui/material';
 import {
   Search,
@@ -41,9 +44,12 @@ import {
   Visibility,
   AttachFile,
   RemoveRedEye,
+  BookmarkAdd,
+  NotificationsActive,
+  NotificationsOff,
 } from '@mui/icons-material';
 import { DataGrid } from '@mui/x-data-grid';
-import { emailsAPI, usersAPI } from '../services/api';
+import { emailsAPI, usersAPI, savedSearchesAPI } from '../services/api';
 
 function Emails() {
   const [searchParams, setSearchParams] = useState({
@@ -53,8 +59,10 @@ function Emails() {
     to: '',
     user_id: '',
     folder: '',
+    label: '',
     date_from: null,
     date_to: null,
+    deleted_on_server: '',
   });
   const [searchResults, setSearchResults] = useState([]);
   const [pagination, setPagination] = useState({
@@ -66,11 +74,22 @@ function Emails() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [users, setUsers] = useState([]);
+  // Labels (Gmail folders) in use, for the label filter
+  const [labels, setLabels] = useState([]);
   const [stats, setStats] = useState(null);
   const [statsLoading, setStatsLoading] = useState(true);
   const [selectedEmails, setSelectedEmails] = useState([]);
   const [bulkDeleteLoading, setBulkDeleteLoading] = useState(false);
 
+  // Saved searches of the current admin (with unread alert counts)
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [saveSearchDialog, setSaveSearchDialog] = useState({
+    open: false,
+    name: '',
+    alertEnabled: false,
+    loading: false,
+  });
+
   // Email detail dialog (raw view)
   const [emailDialog, setEmailDialog] = useState({
     open: false,
@@ -93,8 +112,13 @@ function Emails() {
   useEffect(() => {
     loadUsers();
     loadEmailStats();
+    loadSavedSearches();
   }, []);
 
+  useEffect(() => {
+    loadLabels(searchParams.user_id);
+  }, [searchParams.user_id]);
+
   const loadUsers = async () => {
     try {
       const response = await usersAPI.getUsers({ limit: 1000 });
@@ -104,6 +128,24 @@ function Emails() {
     }
   };
 
+  const loadLabels = async (userId) => {
+    try {
+      const response = await emailsAPI.getLabels(userId ? { user_id: userId } : {});
+      setLabels(response.data.labels || []);
+    } catch (error) {
+      console.error('Failed to load labels:', error);
+    }
+  };
+
+  const loadSavedSearches = async () => {
+    try {
+      const response = await savedSearchesAPI.getSavedSearches();
+      setSavedSearches(response.data.savedSearches || []);
+    } catch (error) {
+      console.error('Failed to load saved searches:', error);
+    }
+  };
+
   const loadEmailStats = async () => {
     try {
       setStatsLoading(true);
@@ -129,22 +171,35 @@ function Emails() {
     }
   };
 
-  const handleSearch = async (page = 1) => {
+  // Malformed query syntax comes back as 400 with details from the query parser
+  const getSearchErrorMessage = (error) => {
+    const details = error.response?.data?.details;
+    if (error.response?.status === 400 && details?.message) {
+      return `Invalid search query: ${details.message}${details.token ? ` (near "${details.token}")` : ''}`;
+    }
+    return 'Search failed. Please try again.';
+  };
+
+  // overrideParams lets a saved search run before searchParams state has updated
+  const handleSearch = async (page = 1, overrideParams = null) => {
     try {
       setLoading(true);
       setError('');
 
       // Build params with current search values
+      const current = overrideParams || searchParams;
       const params = {
-        q: searchParams.q || undefined,
-        subject: searchParams.subject || undefined,
-        from: searchParams.from || undefined,
-        to: searchParams.to || undefined,
-        user_id: searchParams.user_id || undefined,
-        folder: searchParams.folder || undefined,
+        q: current.q || undefined,
+        subject: current.subject || undefined,
+        from: current.from || undefined,
+        to: current.to || undefined,
+        user_id: current.user_id || undefined,
+        folder: current.folder || undefined,
+        label: current.label || undefined,
         // Only add date params if they have valid string values
-        ...(searchParams.date_from && { date_from: searchParams.date_from }),
-        ...(searchParams.date_to && { date_to: searchParams.date_to }),
+        ...(current.date_from && { date_from: current.date_from }),
+        ...(current.date_to && { date_to: current.date_to }),
+        deleted_on_server: current.deleted_on_server || undefined,
         page,
         limit: pagination.limit,
       };
@@ -172,7 +227,7 @@ function Emails() {
       setSelectedEmails([]);
     } catch (error) {
       console.error('Search failed:', error);
-      setError('Search failed. Please try again.');
+      setError(getSearchErrorMessage(error));
       setSearchResults([]);
       setPagination(prev => ({ ...prev, total: 0, pages: 0 }));
     } finally {
@@ -194,8 +249,10 @@ function Emails() {
         to: searchParams.to || undefined,
         user_id: searchParams.user_id || undefined,
         folder: searchParams.folder || undefined,
+        label: searchParams.label || undefined,
         ...(searchParams.date_from && { date_from: searchParams.date_from }),
         ...(searchParams.date_to && { date_to: searchParams.date_to }),
+        deleted_on_server: searchParams.deleted_on_server || undefined,
         page,
         limit: customLimit,
       };
@@ -224,7 +281,7 @@ function Emails() {
       setSelectedEmails([]);
     } catch (error) {
       console.error('Search failed:', error);
-      setError('Search failed. Please try again.');
+      setError(getSearchErrorMessage(error));
       setSearchResults([]);
       setPagination(prev => ({ ...prev, total: 0, pages: 0 }));
     } finally {
@@ -240,13 +297,92 @@ function Emails() {
       to: '',
       user_id: '',
       folder: '',
+      label: '',
       date_from: null,
       date_to: null,
+      deleted_on_server: '',
     });
     setSearchResults([]);
     setPagination({ page: 1, limit: 25, total: 0, pages: 0 });
   };
 
+  const handleSaveSearch = async () => {
+    try {
+      setSaveSearchDialog(prev => ({ ...prev, loading: true }));
+
+      // Only persist filters that are actually set
+      const params = Object.fromEntries(
+        Object.entries(searchParams).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+      );
+
+      await savedSearchesAPI.createSavedSearch({
+        name: saveSearchDialog.name,
+        params,
+        alertEnabled: saveSearchDialog.alertEnabled,
+      });
+
+      setSaveSearchDialog({ open: false, name: '', alertEnabled: false, loading: false });
+      loadSavedSearches();
+    } catch (error) {
+      console.error('Failed to save search:', error);
+      setError(error.response?.data?.details?.message
+        ? `Invalid search query: ${error.response.data.details.message}`
+        : error.response?.data?.error || 'Failed to save search');
+      setSaveSearchDialog(prev => ({ ...prev, loading: false }));
+    }
+  };
+
+  const handleRunSavedSearch = async (savedSearch) => {
+    const params = {
+      q: '',
+      subject: '',
+      from: '',
+      to: '',
+      user_id: '',
+      folder: '',
+      label: '',
+      date_from: null,
+      date_to: null,
+      deleted_on_server: '',
+      ...savedSearch.params,
+    };
+    setSearchParams(params);
+    await handleSearch(1, params);
+
+    if (savedSearch.unreadAlerts > 0) {
+      try {
+        await savedSearchesAPI.markAlertsRead({ savedSearchId: savedSearch.id });
+        loadSavedSearches();
+      } catch (error) {
+        console.error('Failed to mark alerts as read:', error);
+      }
+    }
+  };
+
+  const handleToggleSavedSearchAlert = async (savedSearch) => {
+    try {
+      await savedSearchesAPI.updateSavedSearch(savedSearch.id, { alertEnabled: !savedSearch.alertEnabled });
+      loadSavedSearches();
+    } catch (error) {
+      console.error('Failed to update saved search:', error);
+      setError('Failed to update saved search');
+    }
+  };
+
+  const handleDeleteSavedSearch = async (savedSearch) => {
+    if (!window.confirm(`Delete saved search "${savedSearch.name}"?`)) {
+      return;
+    }
+
+    try {
+      await savedSearchesAPI.deleteSavedSearch(savedSearch.id);
+      loadSavedSearches();
+    } catch (error) {
+      console.error('Failed to delete saved search:', error);
+      setError('Failed to delete saved search');
+    }
+  };
+
   const handleViewEmail = async (email) => {
     try {
       setEmailDialog({ open: true, email, preview: null, loading: true });
@@ -464,9 +600,22 @@ function Emails() {
       headerName: 'Subject',
       flex: 2,
       renderCell: (params) => (
-        <Typography variant="body2" noWrap title={params.value}>
-          {params.value || '(No Subject)'}
-        </Typography>
+        <Box sx={{ overflow: 'hidden' }}>
+          <Typography variant="body2" noWrap title={params.value}>
+            {params.value || '(No Subject)'}
+          </Typography>
+          {params.row.snippet && (
+            // Snippet is HTML-escaped by the server, only <mark> highlights are markup
+            <Typography
+              variant="caption"
+              color="text.secondary"
+              noWrap
+              component="div"
+              sx={{ '& mark': { backgroundColor: 'warning.light', color: 'inherit' } }}
+              dangerouslySetInnerHTML={{ __html: params.row.snippet }}
+            />
+          )}
+        </Box>
       ),
     },
     {
@@ -521,10 +670,12 @@ function Emails() {
     },
     {
       field: 'folder',
-      headerName: 'Folder',
-      width: 100,
+      headerName: 'Labels',
+      width: 200,
+      sortable: false,
       renderCell: (params) => {
-        const folder = params.value || 'INBOX';
+        // Every folder the email is in, or the one it was stored from
+        const folders = params.row.labels?.length > 0 ? params.row.labels : [params.value || 'INBOX'];
         const getFolderColor = (f) => {
           switch (f.toUpperCase()) {
             case 'INBOX': return 'primary';
@@ -538,12 +689,25 @@ function Emails() {
           }
         };
         return (
-          <Chip
-            label={folder}
-            size="small"
-            color={getFolderColor(folder)}
-            variant="outlined"
-          />
+          <Box display="flex" gap={0.5} sx={{ overflow: 'hidden' }}>
+            {params.row.deleted_on_server_at && (
+              <Chip
+                label="Deleted"
+                size="small"
+                color="error"
+                title={`Deleted on server ${new Date(params.row.deleted_on_server_at).toLocaleString()}`}
+              />
+            )}
+            {folders.map((folder) => (
+              <Chip
+                key={folder}
+                label={folder}
+                size="small"
+                color={getFolderColor(folder)}
+                variant="outlined"
+              />
+            ))}
+          </Box>
         );
       },
     },
@@ -676,7 +840,9 @@ function Emails() {
                   Total Storage
                 </Typography>
                 <Typography variant="caption" color="text.secondary">
-                  Email data size
+                  {stats?.compression?.space_saved > 0
+                    ? `${formatBytes(stats.compression.space_saved)} saved by compression`
+                    : 'Email data size'}
                 </Typography>
               </Paper>
             </Grid>
@@ -796,9 +962,13 @@ function Emails() {
                     <TextField
                       fullWidth
                       label="General Search"
-                      placeholder="Search in subject, from, to..."
+                      placeholder='from:alice has:attachment after:2024/01/01 -in:trash larger:5M "exact phrase"'
                       value={searchParams.q}
                       onChange={(e) => setSearchParams(prev => ({ ...prev, q: e.target.value }))}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleSearch(1);
+                      }}
+                      helperText="Searches subject, from, to, body and attachments. Operators: from: to: subject: in: has:attachment filename: after: before: newer_than: older_than: larger: smaller: -exclude"
                     />
                   </Grid>
                   <Grid item xs={12} md={6}>
@@ -866,6 +1036,25 @@ function Emails() {
                       </Select>
                     </FormControl>
                   </Grid>
+                  <Grid item xs={12} md={4}>
+                    <FormControl fullWidth>
+                      <InputLabel>Label</InputLabel>
+                      <Select
+                        value={searchParams.label}
+                        onChange={(e) => setSearchParams(prev => ({ ...prev, label: e.target.value }))}
+                        label="Label"
+                      >
+                        <MenuItem value="">
+                          <em>All Labels</em>
+                        </MenuItem>
+                        {labels.map((item) => (
+                          <MenuItem key={item.label} value={item.label}>
+                            {item.label} ({item.count})
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Grid>
                   <Grid item xs={12} md={3}>
                     <TextField
                       fullWidth
@@ -886,7 +1075,23 @@ function Emails() {
                       InputLabelProps={{ shrink: true }}
                     />
                   </Grid>
-                  <Grid item xs={12} md={6}>
+                  <Grid item xs={12} md={3}>
+                    <FormControl fullWidth>
+                      <InputLabel>On Server</InputLabel>
+                      <Select
+                        value={searchParams.deleted_on_server}
+                        onChange={(e) => setSearchParams(prev => ({ ...prev, deleted_on_server: e.target.value }))}
+                        label="On Server"
+                      >
+                        <MenuItem value="">
+                          <em>Any</em>
+                        </MenuItem>
+                        <MenuItem value="false">Still on server</MenuItem>
+                        <MenuItem value="true">Deleted on server</MenuItem>
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                  <Grid item xs={12} md={3}>
                     <Box display="flex" gap={1}>
                       <Button
                         variant="contained"
@@ -905,11 +1110,49 @@ function Emails() {
                       >
                         Clear
                       </Button>
+                      <Button
+                        variant="outlined"
+                        startIcon={<BookmarkAdd />}
+                        onClick={() => setSaveSearchDialog(prev => ({ ...prev, open: true }))}
+                        fullWidth
+                      >
+                        Save
+                      </Button>
                     </Box>
                   </Grid>
                 </Grid>
               </AccordionDetails>
             </Accordion>
+
+            {savedSearches.length > 0 && (
+              <Box sx={{ mt: 2 }}>
+                <Typography variant="subtitle2" gutterBottom>
+                  Saved Searches
+                </Typography>
+                <Box display="flex" flexWrap="wrap" gap={1}>
+                  {savedSearches.map((savedSearch) => (
+                    <Box key={savedSearch.id} display="flex" alignItems="center">
+                      <Badge badgeContent={savedSearch.unreadAlerts} color="error">
+                        <Chip
+                          label={savedSearch.name}
+                          onClick={() => handleRunSavedSearch(savedSearch)}
+                          onDelete={() => handleDeleteSavedSearch(savedSearch)}
+                          color={savedSearch.unreadAlerts > 0 ? 'warning' : 'default'}
+                          variant="outlined"
+                        />
+                      </Badge>
+                      <Tooltip title={savedSearch.alertEnabled ? 'Alerts on: notify when a backup ingests new matches' : 'Alerts off'}>
+                        <IconButton size="small" onClick={() => handleToggleSavedSearchAlert(savedSearch)}>
+                          {savedSearch.alertEnabled
+                            ? <NotificationsActive fontSize="small" color="primary" />
+                            : <NotificationsOff fontSize="small" />}
+                        </IconButton>
+                      </Tooltip>
+                    </Box>
+                  ))}
+                </Box>
+              </Box>
+            )}
           </CardContent>
         </Card>
 
@@ -989,6 +1232,47 @@ function Emails() {
           </Card>
         )}
 
+        {/* Save Search Dialog */}
+        <Dialog
+          open={saveSearchDialog.open}
+          onClose={() => setSaveSearchDialog(prev => ({ ...prev, open: false }))}
+          maxWidth="sm"
+          fullWidth
+        >
+          <DialogTitle>Save Search</DialogTitle>
+          <DialogContent>
+            <TextField
+              autoFocus
+              fullWidth
+              label="Name"
+              value={saveSearchDialog.name}
+              onChange={(e) => setSaveSearchDialog(prev => ({ ...prev, name: e.target.value }))}
+              sx={{ mt: 1, mb: 2 }}
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={saveSearchDialog.alertEnabled}
+                  onChange={(e) => setSaveSearchDialog(prev => ({ ...prev, alertEnabled: e.target.checked }))}
+                />
+              }
+              label="Alert me when a scheduled backup ingests new matching emails"
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setSaveSearchDialog(prev => ({ ...prev, open: false }))}>
+              Cancel
+            </Button>
+            <Button
+              variant="contained"
+              onClick={handleSaveSearch}
+              disabled={saveSearchDialog.loading || !saveSearchDialog.name.trim()}
+            >
+              {saveSearchDialog.loading ? <CircularProgress size={20} /> : 'Save'}
+            </Button>
+          </DialogActions>
+        </Dialog>
+
         {/* Email Detail Dialog (Raw View) */}
         <Dialog
           open={emailDialog.open}
@@ -54,6 +54,7 @@ function Exports() {
     startDate: '',
     endDate: '',
     format: 'eml',
+    mboxLayout: 'folder',
   });
 
   const [pagination, setPagination] = useState({
@@ -135,6 +136,7 @@ function Exports() {
         startDate: newExport.startDate || undefined,
         endDate: newExport.endDate || undefined,
         format: newExport.format,
+        mboxLayout: newExport.format === 'mbox' ? newExport.mboxLayout : undefined,
       };
 
       console.log('🚀 Starting export creation...', exportData);
@@ -146,7 +148,7 @@ function Exports() {
       console.log('✅ PST export created successfully:', response);
 
       setCreateDialog({ open: false, loading: false });
-      setNewExport({ userId: '', startDate: '', endDate: '' });
+      setNewExport({ userId: '', startDate: '', endDate: '', format: 'eml', mboxLayout: 'folder' });
 
       // Show success message with processing info
       const successMessage = response.data.estimatedEmails > 100
@@ -678,19 +680,42 @@ function Exports() {
                 </MenuItem>
                 <MenuItem value="pst">
                   <Box>
-                    <Typography variant="body1">PST-Compatible</Typography>
+                    <Typography variant="body1">PST (Outlook Data File)</Typography>
                     <Typography variant="caption" color="text.secondary">
-                      ZIP dengan EML + instruksi import untuk Microsoft Outlook
+                      File .pst asli, bisa dibuka langsung di Outlook & review tools
+                    </Typography>
+                  </Box>
+                </MenuItem>
+                <MenuItem value="mbox">
+                  <Box>
+                    <Typography variant="body1">MBOX</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      ZIP dengan file .mbox (mboxrd), untuk Thunderbird & e-discovery tools
                     </Typography>
                   </Box>
                 </MenuItem>
               </Select>
             </FormControl>
 
+            {newExport.format === 'mbox' && (
+              <FormControl fullWidth sx={{ mb: 2 }}>
+                <InputLabel>MBOX Layout</InputLabel>
+                <Select
+                  value={newExport.mboxLayout}
+                  onChange={(e) => setNewExport(prev => ({ ...prev, mboxLayout: e.target.value }))}
+                  label="MBOX Layout"
+                >
+                  <MenuItem value="folder">Satu file .mbox per folder</MenuItem>
+                  <MenuItem value="single">Satu file .mbox untuk semua email</MenuItem>
+                </Select>
+              </FormControl>
+            )}
+
             <Alert severity="info" sx={{ mb: 2 }}>
               <Typography variant="body2">
                 <strong>Format EML:</strong> File ZIP berisi EML files yang bisa diimport langsung ke Outlook, Thunderbird, dll.<br/>
-                <strong>Format PST:</strong> Sama dengan EML, plus instruksi import lengkap untuk Microsoft Outlook.
+                <strong>Format PST:</strong> File .pst (Unicode) dengan struktur folder Gmail, attachment dan tanggal kirim/terima asli.<br/>
+                <strong>Format MBOX:</strong> File ZIP berisi mailbox .mbox yang bisa dibuka di Thunderbird dan tools e-discovery.
               </Typography>
             </Alert>
           </Box>
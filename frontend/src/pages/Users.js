@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Box,
   Typography,
@@ -22,6 +22,7 @@ import {
   Select,
   FormControl,
   InputLabel,
+  LinearProgress,
 } from '@mui/material';
 import {
   PlayArrow,
@@ -39,6 +40,8 @@ import {
 } from '@mui/icons-material';
 import { DataGrid } from '@mui/x-data-grid';
 import { usersAPI, domainsAPI } from '../services/api';
+import useLiveProgress from '../hooks/useLiveProgress';
+import BackupProgress, { formatBytes } from '../components/BackupProgress';
 
 function Users() {
   const [users, setUsers] = useState([]);
@@ -75,6 +78,38 @@ function Users() {
   const [bulkDeleteLoading, setBulkDeleteLoading] = useState(false);
   const [bulkDeleteResults, setBulkDeleteResults] = useState(null);
 
+  // Manual backups waiting for their end, by user id, see waitForBackup
+  const backupWaiters = useRef(new Map());
+
+  // Backups running on the server, pushed live
+  const { backups: liveBackups } = useLiveProgress((event, data) => {
+    if (event !== 'backup' || !['completed', 'failed'].includes(data.status)) return;
+
+    const waiter = backupWaiters.current.get(data.userId);
+    if (waiter && (!waiter.jobId || waiter.jobId === data.jobId)) {
+      backupWaiters.current.delete(data.userId);
+      waiter.resolve(data);
+    } else if (!bulkImapLoading) {
+      loadUsers(); // Email counts and sizes changed
+    }
+  });
+
+  // Resolves with the final event of the user's backup job, or { status: 'timeout' }
+  const waitForBackup = (userId, jobId = null) => new Promise((resolve) => {
+    const timeout = setTimeout(() => {
+      backupWaiters.current.delete(Number(userId));
+      resolve({ status: 'timeout' });
+    }, 30 * 60 * 1000); // 30 minutes
+
+    backupWaiters.current.set(Number(userId), {
+      jobId,
+      resolve: (data) => {
+        clearTimeout(timeout);
+        resolve(data);
+      },
+    });
+  });
+
   useEffect(() => {
     loadDomains();
     loadUsers();
@@ -207,12 +242,12 @@ function Users() {
           user: user,
           backupId: response.data.backupId,
           status: 'running',
-          message: 'Starting manual backup...',
+          message: 'Backup is queued',
           startTime: Date.now()
         });
 
-        // Start polling for status
-        pollBackupStatus(user, response.data.backupId);
+        // Progress and the end of the backup are pushed by the server
+        waitForManualBackup(user, response.data.backupId);
       } else {
         // Handle immediate errors
         alert(`❌ ${response.data.error || 'Failed to start manual backup'}`);
@@ -229,61 +264,20 @@ function Users() {
     }
   };
 
-  const pollBackupStatus = async (user, backupId) => {
-    const startTime = Date.now();
-    const pollInterval = setInterval(async () => {
-      try {
-        const response = await usersAPI.getManualBackupStatus(user.id);
-        const status = response.data;
+  const waitForManualBackup = async (user, backupId) => {
+    const result = await waitForBackup(user.id, backupId);
+    setManualBackupProgress(null);
 
-        setManualBackupProgress(prev => ({
-          ...prev,
-          status: status.status,
-          message: status.message,
-          progress: status.progress,
-          lastActivity: status.lastActivity
-        }));
-
-        // Check if backup completed or failed
-        if (status.status === 'completed') {
-          clearInterval(pollInterval);
-          setManualBackupProgress(null);
-          alert(`✅ Manual backup completed successfully for ${user.email}`);
-          loadUsers(); // Refresh to show updated data
-        } else if (status.status === 'failed') {
-          clearInterval(pollInterval);
-          setManualBackupProgress(null);
-          alert(`❌ Manual backup failed for ${user.email}. ${status.message}`);
-          loadUsers(); // Refresh to show updated data
-        } else if (status.status === 'idle') {
-          // Check if it's been idle for a while (backup might be finished)
-          const elapsed = Date.now() - startTime;
-          if (elapsed > 2 * 60 * 1000) { // 2 minutes of idle status
-            clearInterval(pollInterval);
-            setManualBackupProgress(null);
-            alert(`✅ Manual backup appears to be completed for ${user.email}`);
-            loadUsers();
-          }
-        }
-      } catch (error) {
-        console.error('Failed to poll backup status:', error);
-        // Continue polling, don't stop on polling errors
-      }
-    }, 3000); // Poll every 3 seconds
-
-    // Stop polling after 30 minutes (safety timeout)
-    setTimeout(() => {
-      clearInterval(pollInterval);
-      setManualBackupProgress(null);
+    if (result.status === 'completed') {
+      alert(`✅ Manual backup completed successfully for ${user.email}`);
+    } else if (result.status === 'failed') {
+      alert(`❌ Manual backup failed for ${user.email}. ${result.error || ''}`);
+    } else {
       alert(`⏰ Manual backup timeout for ${user.email}. The backup may still be running in the background.`);
-      loadUsers();
-    }, 30 * 60 * 1000); // 30 minutes
+    }
+    loadUsers(); // Refresh to show updated data
   };
 
-
-
-
-
   const handleDeleteUser = async (user) => {
     // Check if user is still active (sync enabled)
     if (user.status === 'active') {
@@ -353,6 +347,9 @@ Are you ABSOLUTELY sure you want to delete everything?`;
   const handleViewUser = async (user) => {
     try {
       setUserDialog({ open: true, user, stats: null, loading: true });
+      setReconciliation(null);
+      setSkippedMessages(null);
+      setFetchFailures(null);
 
       const [userDetails, userStats] = await Promise.all([
         usersAPI.getUser(user.id),
@@ -365,12 +362,96 @@ Are you ABSOLUTELY sure you want to delete everything?`;
         stats: userStats.data,
         loading: false,
       });
+      loadReconciliation(user.id);
+      loadSkippedMessages(user.id);
+      loadFetchFailures(user.id);
     } catch (error) {
       console.error('Failed to load user details:', error);
       setUserDialog(prev => ({ ...prev, loading: false }));
     }
   };
 
+  // Server vs archive reconciliation of the user in the details dialog
+  const [reconciliation, setReconciliation] = useState(null);
+  const [reconciliationError, setReconciliationError] = useState('');
+
+  const loadReconciliation = async (userId) => {
+    try {
+      const response = await usersAPI.getReconciliation(userId, { type: 'missing', limit: 20 });
+      setReconciliation(response.data);
+      setReconciliationError('');
+    } catch (error) {
+      console.error('Failed to load reconciliation:', error);
+      setReconciliationError(error.response?.data?.error || 'Failed to load reconciliation');
+    }
+  };
+
+  const handleReconcile = async (userId, backfill = false) => {
+    try {
+      if (backfill) {
+        await usersAPI.backfillMissing(userId);
+      } else {
+        await usersAPI.startReconciliation(userId);
+      }
+      await loadReconciliation(userId);
+    } catch (error) {
+      console.error('Failed to start reconciliation:', error);
+      setReconciliationError(error.response?.data?.error || 'Failed to start reconciliation');
+    }
+  };
+
+  // Messages a backup could not archive, of the user in the details dialog
+  const [skippedMessages, setSkippedMessages] = useState(null);
+  const [skippedError, setSkippedError] = useState('');
+
+  const loadSkippedMessages = async (userId) => {
+    try {
+      const response = await usersAPI.getSkippedMessages(userId, { limit: 50 });
+      setSkippedMessages(response.data);
+      setSkippedError('');
+    } catch (error) {
+      console.error('Failed to load skipped messages:', error);
+      setSkippedError(error.response?.data?.error || 'Failed to load skipped messages');
+    }
+  };
+
+  const handleRetrySkipped = async (userId, ids = null) => {
+    try {
+      await usersAPI.retrySkippedMessages(userId, ids);
+      await loadSkippedMessages(userId);
+    } catch (error) {
+      console.error('Failed to retry skipped messages:', error);
+      setSkippedError(error.response?.data?.error || 'Failed to retry skipped messages');
+    }
+  };
+
+  // Messages a backup failed to download, retried by the user's next backups
+  const [fetchFailures, setFetchFailures] = useState(null);
+  const [fetchFailuresError, setFetchFailuresError] = useState('');
+  const [fetchFailuresNotice, setFetchFailuresNotice] = useState('');
+
+  const loadFetchFailures = async (userId) => {
+    try {
+      const response = await usersAPI.getFetchFailures(userId, { limit: 50 });
+      setFetchFailures(response.data);
+      setFetchFailuresError('');
+    } catch (error) {
+      console.error('Failed to load fetch failures:', error);
+      setFetchFailuresError(error.response?.data?.error || 'Failed to load fetch failures');
+    }
+  };
+
+  const handleRetryFetchFailures = async (userId, ids = null) => {
+    try {
+      const response = await usersAPI.retryFetchFailures(userId, ids);
+      setFetchFailuresNotice(`${response.data.count} message(s) will be retried by backup job ${response.data.jobId}`);
+      await loadFetchFailures(userId);
+    } catch (error) {
+      console.error('Failed to retry fetch failures:', error);
+      setFetchFailuresError(error.response?.data?.error || 'Failed to retry fetch failures');
+    }
+  };
+
   const getConnectionStatusColor = (connection) => {
     if (!connection) return 'default';
 
@@ -504,45 +585,16 @@ Continue?`;
           const response = await usersAPI.runManualBackup(user.id);
 
           if (response.data.status === 'running') {
-            // Wait for completion by polling
-            await new Promise((resolve, reject) => {
-              const startTime = Date.now();
-              const pollInterval = setInterval(async () => {
-                try {
-                  const statusResponse = await usersAPI.getManualBackupStatus(user.id);
-                  const status = statusResponse.data;
-
-                  // Check completion conditions
-                  if (status.status === 'completed') {
-                    clearInterval(pollInterval);
-                    resolve();
-                  } else if (status.status === 'failed') {
-                    clearInterval(pollInterval);
-                    reject(new Error(status.message || 'Backup failed'));
-                  } else if (status.status === 'idle') {
-                    // Check if it's been idle for a while (backup might be finished)
-                    const elapsed = Date.now() - startTime;
-                    if (elapsed > 2 * 60 * 1000) { // 2 minutes of idle status
-                      clearInterval(pollInterval);
-                      resolve(); // Assume completed
-                    }
-                  }
-                } catch (error) {
-                  // Continue polling on errors
-                }
-              }, 3000); // Poll every 3 seconds
-
-              // Safety timeout
-              setTimeout(() => {
-                clearInterval(pollInterval);
-                resolve(); // Timeout but don't fail
-              }, 30 * 60 * 1000); // 30 minutes
-            });
+            // Wait for completion, pushed by the server
+            const result = await waitForBackup(user.id, response.data.backupId);
+            if (result.status === 'failed') {
+              throw new Error(result.error || 'Backup failed');
+            }
 
             results.push({
               user: user.email,
               status: 'success',
-              message: 'Manual backup completed successfully'
+              message: result.status === 'timeout' ? 'Manual backup still running in the background' : 'Manual backup completed successfully'
             });
             successCount++;
           } else {
@@ -887,6 +939,31 @@ Are you ABSOLUTELY sure you want to proceed?`;
         );
       },
     },
+    {
+      field: 'live_backup',
+      headerName: 'Backup',
+      width: 170,
+      sortable: false,
+      renderCell: (params) => {
+        const backup = liveBackups[params.row.id];
+        if (!backup || backup.status !== 'running') return null;
+
+        const folder = backup.folder && backup.folder.status === 'running' ? backup.folder : null;
+        return (
+          <Tooltip title={`${backup.totals.downloaded.toLocaleString()} downloaded · ${formatBytes(backup.totals.bytes)}`}>
+            <Box width="100%">
+              <Typography variant="caption" noWrap component="div">
+                {folder ? `${folder.folder} ${folder.scanned}/${folder.total}` : 'Backing up...'}
+              </Typography>
+              <LinearProgress
+                variant={folder && folder.total > 0 ? 'determinate' : 'indeterminate'}
+                value={folder && folder.total > 0 ? (folder.scanned / folder.total) * 100 : 0}
+              />
+            </Box>
+          </Tooltip>
+        );
+      },
+    },
     {
       field: 'email_count',
       headerName: 'Emails',
@@ -894,6 +971,42 @@ Are you ABSOLUTELY sure you want to proceed?`;
       align: 'right',
       valueFormatter: (params) => params.value?.toLocaleString() || 0,
     },
+    {
+      field: 'skipped_messages',
+      headerName: 'Skipped',
+      width: 90,
+      align: 'center',
+      renderCell: (params) => (
+        params.value > 0 ? (
+          <Tooltip title="Messages a backup could not archive">
+            <Chip
+              size="small"
+              color="warning"
+              label={params.value}
+              onClick={() => handleViewUser(params.row)}
+            />
+          </Tooltip>
+        ) : null
+      ),
+    },
+    {
+      field: 'fetch_failures',
+      headerName: 'Failed',
+      width: 90,
+      align: 'center',
+      renderCell: (params) => (
+        params.value > 0 ? (
+          <Tooltip title="Messages a backup failed to download">
+            <Chip
+              size="small"
+              color="error"
+              label={params.value}
+              onClick={() => handleViewUser(params.row)}
+            />
+          </Tooltip>
+        ) : null
+      ),
+    },
     {
       field: 'total_size',
       headerName: 'Storage',
@@ -1228,6 +1341,14 @@ Are you ABSOLUTELY sure you want to proceed?`;
                         new Date(userDialog.stats.stats.last_email_date).toLocaleString() :
                         'Never'
                     }</Typography>
+                    <Typography><strong>Deleted on Server:</strong> {
+                      Number(userDialog.stats.stats?.deleted_on_server || 0).toLocaleString()
+                    } ({Number(userDialog.stats.stats?.recent_deleted_on_server || 0).toLocaleString()} in the last 30 days)</Typography>
+                    <Typography><strong>Last Deletion:</strong> {
+                      userDialog.stats.stats?.last_deleted_on_server_at ?
+                        new Date(userDialog.stats.stats.last_deleted_on_server_at).toLocaleString() :
+                        'Never'
+                    }</Typography>
                   </Paper>
                 </Grid>
 
@@ -1252,6 +1373,247 @@ Are you ABSOLUTELY sure you want to proceed?`;
                     </Paper>
                   </Grid>
                 )}
+
+                <Grid item xs={12}>
+                  <Paper sx={{ p: 2 }}>
+                    <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+                      <Typography variant="h6">
+                        Reconciliation
+                      </Typography>
+                      <Box display="flex" gap={1}>
+                        <Button
+                          size="small"
+                          startIcon={<Refresh />}
+                          onClick={() => loadReconciliation(userDialog.user.id)}
+                        >
+                          Refresh
+                        </Button>
+                        <Button
+                          size="small"
+                          variant="outlined"
+                          disabled={Boolean(reconciliation?.active)}
+                          onClick={() => handleReconcile(userDialog.user.id)}
+                        >
+                          Reconcile
+                        </Button>
+                        <Button
+                          size="small"
+                          variant="contained"
+                          disabled={Boolean(reconciliation?.active) || !reconciliation?.run?.missingCount}
+                          onClick={() => handleReconcile(userDialog.user.id, true)}
+                        >
+                          Backfill Missing
+                        </Button>
+                      </Box>
+                    </Box>
+
+                    {reconciliationError && (
+                      <Alert severity="error" sx={{ mb: 1 }} onClose={() => setReconciliationError('')}>
+                        {reconciliationError}
+                      </Alert>
+                    )}
+
+                    {reconciliation?.active && (
+                      <Alert severity="info" sx={{ mb: 1 }}>
+                        {reconciliation.active.backfillFromRunId ? 'Backfill' : 'Reconciliation'} {reconciliation.active.status}...
+                      </Alert>
+                    )}
+
+                    {reconciliation?.run ? (
+                      <Box>
+                        <Typography variant="body2" color="text.secondary" gutterBottom>
+                          Last run {new Date(reconciliation.run.finishedAt).toLocaleString()}
+                          {reconciliation.run.backfillFromRunId && ` (backfilled ${reconciliation.run.backfilledCount}, skipped ${reconciliation.run.backfillSkippedCount || 0}, failed ${reconciliation.run.backfillFailedCount})`}
+                        </Typography>
+                        <Box display="flex" gap={1} flexWrap="wrap" mb={1}>
+                          <Chip size="small" label={`On server: ${reconciliation.run.serverCount}`} />
+                          <Chip size="small" label={`Archived: ${reconciliation.run.archivedCount}`} />
+                          <Chip
+                            size="small"
+                            color={reconciliation.run.missingCount > 0 ? 'warning' : 'success'}
+                            label={`Missing: ${reconciliation.run.missingCount}`}
+                          />
+                          <Chip
+                            size="small"
+                            label={`Deleted on server: ${reconciliation.run.deletedCount ?? 'not checked'}`}
+                          />
+                          <Chip size="small" label={`Folder mismatches: ${reconciliation.run.mismatchedFolders}`} />
+                        </Box>
+
+                        {reconciliation.mismatches.length > 0 && (
+                          <Box sx={{ maxHeight: 150, overflow: 'auto', mb: 1 }}>
+                            {reconciliation.mismatches.map((folder) => (
+                              <Box key={folder.folder} display="flex" justifyContent="space-between" py={0.5}>
+                                <Typography variant="body2">{folder.folder}</Typography>
+                                <Typography variant="body2">
+                                  server {folder.serverCount} / archive {folder.archivedCount}
+                                </Typography>
+                              </Box>
+                            ))}
+                          </Box>
+                        )}
+
+                        {reconciliation.items.length > 0 && (
+                          <Box sx={{ maxHeight: 200, overflow: 'auto' }}>
+                            {reconciliation.items.map((item) => (
+                              <Box key={item.id} display="flex" justifyContent="space-between" py={0.5} gap={2}>
+                                <Typography variant="body2" noWrap>
+                                  {item.subject || item.message_id}
+                                </Typography>
+                                <Typography variant="body2" color="text.secondary" noWrap>
+                                  {item.folder} (UID {item.uid})
+                                </Typography>
+                              </Box>
+                            ))}
+                          </Box>
+                        )}
+                      </Box>
+                    ) : !reconciliation?.active && (
+                      <Typography variant="body2" color="text.secondary">
+                        Not reconciled yet
+                      </Typography>
+                    )}
+                  </Paper>
+                </Grid>
+
+                <Grid item xs={12}>
+                  <Paper sx={{ p: 2 }}>
+                    <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+                      <Typography variant="h6">
+                        Skipped Messages
+                      </Typography>
+                      <Box display="flex" gap={1}>
+                        <Button
+                          size="small"
+                          startIcon={<Refresh />}
+                          onClick={() => loadSkippedMessages(userDialog.user.id)}
+                        >
+                          Refresh
+                        </Button>
+                        <Button
+                          size="small"
+                          variant="contained"
+                          disabled={Boolean(skippedMessages?.activeJob) || !skippedMessages?.pagination.total}
+                          onClick={() => handleRetrySkipped(userDialog.user.id)}
+                        >
+                          Retry All
+                        </Button>
+                      </Box>
+                    </Box>
+
+                    {skippedError && (
+                      <Alert severity="error" sx={{ mb: 1 }} onClose={() => setSkippedError('')}>
+                        {skippedError}
+                      </Alert>
+                    )}
+
+                    {skippedMessages?.activeJob && (
+                      <Alert severity="info" sx={{ mb: 1 }}>
+                        Retry {skippedMessages.activeJob.status}...
+                      </Alert>
+                    )}
+
+                    {skippedMessages?.messages.length > 0 ? (
+                      <Box sx={{ maxHeight: 250, overflow: 'auto' }}>
+                        {skippedMessages.messages.map((message) => (
+                          <Box key={message.id} display="flex" justifyContent="space-between" alignItems="center" py={0.5} gap={2}>
+                            <Box minWidth={0}>
+                              <Typography variant="body2" noWrap>
+                                {message.subject || message.message_id || `UID ${message.uid}`}
+                              </Typography>
+                              <Typography variant="caption" color="text.secondary" noWrap component="div">
+                                {message.folder} (UID {message.uid})
+                                {message.size ? ` · ${(message.size / (1024 * 1024)).toFixed(1)} MB` : ''}
+                                {` · ${message.reason === 'too_large' ? 'too large' : message.error || 'failed'}`}
+                                {message.attempts > 1 ? ` · ${message.attempts} attempts` : ''}
+                              </Typography>
+                            </Box>
+                            <Button
+                              size="small"
+                              disabled={Boolean(skippedMessages.activeJob)}
+                              onClick={() => handleRetrySkipped(userDialog.user.id, [message.id])}
+                            >
+                              Retry
+                            </Button>
+                          </Box>
+                        ))}
+                      </Box>
+                    ) : (
+                      <Typography variant="body2" color="text.secondary">
+                        No skipped messages
+                      </Typography>
+                    )}
+                  </Paper>
+                </Grid>
+
+                <Grid item xs={12}>
+                  <Paper sx={{ p: 2 }}>
+                    <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+                      <Typography variant="h6">
+                        Failed Fetches
+                      </Typography>
+                      <Box display="flex" gap={1}>
+                        <Button
+                          size="small"
+                          startIcon={<Refresh />}
+                          onClick={() => loadFetchFailures(userDialog.user.id)}
+                        >
+                          Refresh
+                        </Button>
+                        <Button
+                          size="small"
+                          variant="contained"
+                          disabled={!fetchFailures?.pagination.total}
+                          onClick={() => handleRetryFetchFailures(userDialog.user.id)}
+                        >
+                          Retry All
+                        </Button>
+                      </Box>
+                    </Box>
+
+                    {fetchFailuresError && (
+                      <Alert severity="error" sx={{ mb: 1 }} onClose={() => setFetchFailuresError('')}>
+                        {fetchFailuresError}
+                      </Alert>
+                    )}
+
+                    {fetchFailuresNotice && (
+                      <Alert severity="info" sx={{ mb: 1 }} onClose={() => setFetchFailuresNotice('')}>
+                        {fetchFailuresNotice}
+                      </Alert>
+                    )}
+
+                    {fetchFailures?.failures.length > 0 ? (
+                      <Box sx={{ maxHeight: 250, overflow: 'auto' }}>
+                        {fetchFailures.failures.map((failure) => (
+                          <Box key={failure.id} display="flex" justifyContent="space-between" alignItems="center" py={0.5} gap={2}>
+                            <Box minWidth={0}>
+                              <Typography variant="body2" noWrap>
+                                {failure.message_id || `UID ${failure.uid}`}
+                              </Typography>
+                              <Typography variant="caption" color="text.secondary" noWrap component="div">
+                                {failure.folder} (UID {failure.uid})
+                                {` · ${failure.error || 'failed'}`}
+                                {` · ${failure.attempts} of ${fetchFailures.maxAttempts} attempts`}
+                                {failure.status === 'failed' ? ' · no longer retried automatically' : ''}
+                              </Typography>
+                            </Box>
+                            <Button
+                              size="small"
+                              onClick={() => handleRetryFetchFailures(userDialog.user.id, [failure.id])}
+                            >
+                              Retry
+                            </Button>
+                          </Box>
+                        ))}
+                      </Box>
+                    ) : (
+                      <Typography variant="body2" color="text.secondary">
+                        No failed fetches
+                      </Typography>
+                    )}
+                  </Paper>
+                </Grid>
               </Grid>
             </Box>
           ) : (
@@ -1535,45 +1897,45 @@ Are you ABSOLUTELY sure you want to proceed?`;
           </Box>
         </DialogTitle>
         <DialogContent>
-          {manualBackupProgress && (
-            <Box textAlign="center" py={2}>
-              <Typography variant="h6" gutterBottom>
-                {manualBackupProgress.user.email}
-              </Typography>
+          {manualBackupProgress && (() => {
+            const live = liveBackups[manualBackupProgress.user.id];
+            const backup = live && live.jobId === manualBackupProgress.backupId ? live : null;
+            const status = backup ? backup.status : 'queued';
+
+            return (
+              <Box textAlign="center" py={2}>
+                <Typography variant="h6" gutterBottom>
+                  {manualBackupProgress.user.email}
+                </Typography>
 
-              <Box my={3}>
-                {manualBackupProgress.status === 'running' ? (
-                  <CircularProgress size={60} />
-                ) : manualBackupProgress.status === 'completed' ? (
-                  <CheckCircle color="success" sx={{ fontSize: 60 }} />
-                ) : manualBackupProgress.status === 'failed' ? (
-                  <Error color="error" sx={{ fontSize: 60 }} />
+                <Box my={3}>
+                  {status === 'running' ? (
+                    <CircularProgress size={60} />
+                  ) : status === 'completed' ? (
+                    <CheckCircle color="success" sx={{ fontSize: 60 }} />
+                  ) : status === 'failed' ? (
+                    <Error color="error" sx={{ fontSize: 60 }} />
+                  ) : (
+                    <Sync color="info" sx={{ fontSize: 60 }} />
+                  )}
+                </Box>
+
+                {backup ? (
+                  <Box textAlign="left">
+                    <BackupProgress backup={backup} />
+                  </Box>
                 ) : (
-                  <Sync color="info" sx={{ fontSize: 60 }} />
+                  <Typography variant="body1" gutterBottom>
+                    {manualBackupProgress.message}
+                  </Typography>
                 )}
-              </Box>
-
-              <Typography variant="body1" gutterBottom>
-                {manualBackupProgress.message}
-              </Typography>
-
-              {manualBackupProgress.progress && (
-                <Typography variant="body2" color="text.secondary">
-                  {manualBackupProgress.progress}
-                </Typography>
-              )}
 
-              {manualBackupProgress.lastActivity && (
-                <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
-                  Last activity: {new Date(manualBackupProgress.lastActivity).toLocaleString()}
+                <Typography variant="caption" color="text.secondary" sx={{ mt: 2, display: 'block' }}>
+                  Started: {new Date(manualBackupProgress.startTime).toLocaleString()}
                 </Typography>
-              )}
-
-              <Typography variant="caption" color="text.secondary" sx={{ mt: 2, display: 'block' }}>
-                Started: {new Date(manualBackupProgress.startTime).toLocaleString()}
-              </Typography>
-            </Box>
-          )}
+              </Box>
+            );
+          })()}
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setManualBackupProgress(null)}>
@@ -1618,6 +1980,12 @@ Are you ABSOLUTELY sure you want to proceed?`;
                 {bulkImapProgress.message}
               </Typography>
 
+              {bulkImapProgress.user && liveBackups[bulkImapProgress.user.id]?.status === 'running' && (
+                <Box textAlign="left" mt={2}>
+                  <BackupProgress backup={liveBackups[bulkImapProgress.user.id]} />
+                </Box>
+              )}
+
               {/* Progress Summary */}
               <Box sx={{ mt: 3, p: 2, bgcolor: 'background.paper', borderRadius: 1 }}>
                 <Typography variant="subtitle2" gutterBottom>
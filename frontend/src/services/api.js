@@ -75,15 +75,22 @@ export const usersAPI = {
   getGmailMessageCount: (id) => api.get(`/users/${id}/gmail-message-count`),
   // Check if user has emails to sync (enhanced smart comparison)
   checkUserHasEmailsToSync: (id) => api.get(`/users/${id}/check-sync-status`),
-  // Bulk IMAP concurrency control
-  startBulkImap: () => api.post('/users/bulk-imap/start'),
-  endBulkImap: () => api.post('/users/bulk-imap/end'),
-  // Direct bulk IMAP processing (instant execution, bypasses queue service)
+  // Bulk backups, queued as one job (end cancels it)
   startDirectBulkImap: (userIds) => api.post('/users/bulk-imap/direct', { userIds }),
+  endBulkImap: () => api.post('/users/bulk-imap/end'),
   getBackupStatus: () => api.get('/users/backup/status'),
   // Manual backup operations
   stopManualBackup: () => api.post('/users/backup/stop'),
   getUserStats: (id, params) => api.get(`/users/${id}/stats`, { params }),
+  // Server vs archive reconciliation
+  getReconciliation: (id, params) => api.get(`/users/${id}/reconciliation`, { params }),
+  startReconciliation: (id) => api.post(`/users/${id}/reconciliation`),
+  backfillMissing: (id) => api.post(`/users/${id}/reconciliation/backfill`),
+  // Messages a backup could not archive
+  getSkippedMessages: (id, params) => api.get(`/users/${id}/skipped-messages`, { params }),
+  retrySkippedMessages: (id, ids) => api.post(`/users/${id}/skipped-messages/retry`, ids ? { ids } : {}),
+  getFetchFailures: (id, params) => api.get(`/users/${id}/fetch-failures`, { params }),
+  retryFetchFailures: (id, ids) => api.post(`/users/${id}/fetch-failures/retry`, ids ? { ids } : {}),
   deleteUser: (id) => api.delete(`/users/${id}`),
 };
 
@@ -98,10 +105,21 @@ export const emailsAPI = {
   getAttachmentContent: (emailId, attachmentId) => api.get(`/emails/${emailId}/attachments/${attachmentId}?download=false`),
   downloadAttachment: (emailId, attachmentId) => api.get(`/emails/${emailId}/attachments/${attachmentId}?download=true`, { responseType: 'blob' }),
   getEmailStats: (params) => api.get('/emails/stats/overview', { params }),
+  getLabels: (params) => api.get('/emails/labels', { params }),
   deleteEmail: (id) => api.delete(`/emails/${id}`),
   bulkDeleteEmails: (emailIds) => api.delete('/emails/bulk', { data: { emailIds } }),
 };
 
+// Saved Searches API
+export const savedSearchesAPI = {
+  getSavedSearches: () => api.get('/saved-searches'),
+  createSavedSearch: (data) => api.post('/saved-searches', data),
+  updateSavedSearch: (id, data) => api.put(`/saved-searches/${id}`, data),
+  deleteSavedSearch: (id) => api.delete(`/saved-searches/${id}`),
+  getAlerts: (params) => api.get('/saved-searches/alerts', { params }),
+  markAlertsRead: (data) => api.post('/saved-searches/alerts/read', data),
+};
+
 // Exports API
 export const exportsAPI = {
   createExport: (data) => api.post('/exports', data),
@@ -113,4 +131,61 @@ export const exportsAPI = {
   retryExport: (id) => api.post(`/exports/${id}/retry`),
 };
 
+// Live progress of backups and exports, pushed by the server as server-sent
+// events. Read with fetch: EventSource cannot send the Authorization header.
+// Returns a function that closes the stream.
+export const eventsAPI = {
+  subscribeProgress: (onEvent) => {
+    const controller = new AbortController();
+    let retryTimer = null;
+
+    const dispatch = (message) => {
+      let event = 'message';
+      let data = '';
+      message.split('\n').forEach((line) => {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        else if (line.startsWith('data: ')) data += line.slice(6);
+      });
+      if (data) onEvent(event, JSON.parse(data));
+    };
+
+    const connect = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/events/progress`, {
+          headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+          signal: controller.signal,
+        });
+        if (response.status === 401 || response.status === 403) return;
+        if (!response.ok) throw new Error(`Progress stream returned ${response.status}`);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          const messages = buffer.split('\n\n');
+          buffer = messages.pop();
+          messages.forEach(dispatch);
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Progress stream error:', error);
+      }
+
+      // Reconnect; the snapshot sent first brings the page up to date
+      if (!controller.signal.aborted) {
+        retryTimer = setTimeout(connect, 5000);
+      }
+    };
+
+    connect();
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+    };
+  },
+};
+
 export default api;